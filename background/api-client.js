@@ -3,8 +3,9 @@
 // Base path: /control
 // Auth: HTTP Basic Auth
 
-import { withTimeout, withRetry, sanitizeServerForLog, validateRulesArray, validateFilteringStatus, validateServerInfo, Logger } from './helpers.js';
+import { withTimeout, withRetry, sanitizeServerForLog, validateRulesArray, validateFilteringStatus, validateServerInfo, getServerEndpoints, Logger } from './helpers.js';
 import { apiInterceptor } from './api-interceptors.js';
+import * as storage from './storage.js';
 
 const DEFAULT_TIMEOUT = 10000; // 10 seconds
 const DEFAULT_RETRIES = 2;
@@ -85,18 +86,6 @@ function dedupedRequest(cacheKey, requestFn) {
 // API CLIENT
 // ============================================================================
 
-/**
- * Create Basic Auth header
- * Uses classic UTF-8 safe encoding (unescape + encodeURIComponent) for maximum compatibility
- */
-function createAuthHeader(username, password) {
-    // FIX: Use UTF-8 encoding so special characters don't break authentication
-    const str = `${username}:${password}`;
-    const bytes = new TextEncoder().encode(str);
-    const binString = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
-    return `Basic ${btoa(binString)}`;
-}
-
 /**
  * Normalize host URL by removing trailing slash
  * Prevents double-slash in API endpoints
@@ -105,17 +94,104 @@ function normalizeHost(host) {
     return host.endsWith('/') ? host.slice(0, -1) : host;
 }
 
+// ============================================================================
+// ENDPOINT FAILOVER
+// ============================================================================
+
+// Errors meaning "this URL can't be reached from here"; anything else came from the server itself
+const UNREACHABLE_ERROR_TYPES = new Set(['NetworkError', 'TimeoutError', 'CertificateError']);
+
+/**
+ * Whether a request failed because the server couldn't be reached (rather than rejecting it)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUnreachableError(error) {
+    return UNREACHABLE_ERROR_TYPES.has(error?.type);
+}
+
+/**
+ * Whether a failed request may go through if retried later: the server couldn't be
+ * reached, was busy (429) or failing (5xx). Rejections (401/403, 400, 404) fail every time.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    return isUnreachableError(error)
+        || error?.type === 'ServerError'
+        || error?.type === 'RateLimitError'
+        || /^HTTP 5\d\d\b/.test(error?.message || '');
+}
+
+// serverId -> endpoint URL that answered last (mirrors storage to skip redundant writes)
+const activeEndpoints = new Map();
+
+async function getActiveEndpoint(serverId) {
+    if (!activeEndpoints.has(serverId)) {
+        const stored = await storage.getActiveEndpoint(serverId);
+        activeEndpoints.set(serverId, stored?.url || null);
+    }
+    return activeEndpoints.get(serverId);
+}
+
+async function rememberEndpoint(serverId, endpoint) {
+    if (activeEndpoints.get(serverId) === endpoint) return;
+
+    activeEndpoints.set(serverId, endpoint);
+    await storage.setActiveEndpoint(serverId, endpoint);
+}
+
+/**
+ * Make API request, failing over across the server's endpoints
+ * The last endpoint that answered is tried first; the rest follow in configured order.
+ * Requests are built against server.host, so the path is re-based onto each endpoint.
+ */
+async function apiRequest(url, options = {}) {
+    const { server } = options;
+    const endpoints = server ? getServerEndpoints(server) : [];
+    const base = server ? normalizeHost(server.host) : '';
+
+    if (endpoints.length < 2 || !url.startsWith(base)) {
+        return await requestEndpoint(url, options);
+    }
+
+    const path = url.substring(base.length);
+    const active = server.id ? await getActiveEndpoint(server.id) : null;
+    const ordered = endpoints.includes(active) ? [active, ...endpoints.filter(e => e !== active)] : endpoints;
+
+    let lastError;
+    for (const endpoint of ordered) {
+        try {
+            const result = await requestEndpoint(`${endpoint}${path}`, { ...options, server: { ...server, host: endpoint } });
+            if (server.id) await rememberEndpoint(server.id, endpoint);
+            return result;
+        } catch (error) {
+            if (!UNREACHABLE_ERROR_TYPES.has(error.type)) {
+                // The endpoint answered, it just didn't like the request
+                if (server.id) await rememberEndpoint(server.id, endpoint);
+                throw error;
+            }
+            Logger.debug(`[Failover] ${endpoint} unreachable (${error.type}), trying next endpoint`);
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
 /**
  * Make API request with timeout and error handling
  * Now includes interceptor support for logging, tracing, and error enrichment
+ * options.server is handed to the interceptors, which add the server's authentication
  */
-async function apiRequest(url, options = {}) {
-    const { timeout = DEFAULT_TIMEOUT, ...fetchOptions } = options;
+async function requestEndpoint(url, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, server = null, reauthenticated = false, ...fetchOptions } = options;
+    const context = { server };
 
     try {
         // ===== REQUEST INTERCEPTORS =====
         const { url: interceptedUrl, options: interceptedOptions } =
-            await apiInterceptor.interceptRequest(url, fetchOptions);
+            await apiInterceptor.interceptRequest(url, fetchOptions, context);
 
         const response = await withTimeout(
             fetch(interceptedUrl, interceptedOptions),
@@ -157,15 +233,26 @@ async function apiRequest(url, options = {}) {
         const interceptedError = await apiInterceptor.interceptError(
             error,
             url,
-            fetchOptions
+            fetchOptions,
+            context
         );
 
+        // Expired session: the auth interceptor dropped it, so one retry logs in again
+        if (interceptedError.reauthenticate && !reauthenticated) {
+            return await requestEndpoint(url, { ...options, reauthenticated: true });
+        }
+
         // Enhance error message (now done in interceptor, but keep fallback)
+        // The type survives so endpoint failover can tell unreachable from rejected
         if (interceptedError.message.includes('timed out')) {
-            throw new Error('Request timed out. Check server connectivity.');
+            const timeoutError = new Error('Request timed out. Check server connectivity.');
+            timeoutError.type = interceptedError.type;
+            throw timeoutError;
         }
         if (interceptedError.message.includes('Failed to fetch')) {
-            throw new Error('Network error. Check server URL and connectivity.');
+            const networkError = new Error('Network error. Check server URL and connectivity.');
+            networkError.type = interceptedError.type;
+            throw networkError;
         }
         throw interceptedError;
     }
@@ -175,23 +262,29 @@ async function apiRequest(url, options = {}) {
 // PUBLIC API METHODS
 // ============================================================================
 
+/**
+ * Endpoint a server was last reached on
+ * @param {string} serverId
+ * @returns {Promise<string|null>} null until a request succeeded (or for single-URL servers)
+ */
+export async function getLastWorkingEndpoint(serverId) {
+    return await getActiveEndpoint(serverId);
+}
+
 /**
  * Test connection to AdGuard Home server
  * GET /control/filtering/status
+ * @param {Object} [auth] - Authentication strategy (see AUTH_TYPE), Basic when omitted
  * Returns: { success: boolean, error?: string }
  */
-export async function testConnection(host, username, password) {
+export async function testConnection(host, username, password, auth) {
     try {
         const normalizedHost = normalizeHost(host);
         const url = `${normalizedHost}/control/filtering/status`;
-        const authHeader = createAuthHeader(username, password);
 
         await apiRequest(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-                // Removed Content-Type for GET request
-            }
+            server: { host, username, password, auth },
+            method: 'GET'
         });
 
         return { success: true };
@@ -199,7 +292,8 @@ export async function testConnection(host, username, password) {
         Logger.error('Connection test failed:', error.message);
         return {
             success: false,
-            error: error.message
+            error: error.message,
+            errorType: error.type
         };
     }
 }
@@ -214,15 +308,14 @@ export async function getFilteringStatus(server) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/filtering/status`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Fetching filtering status for:', sanitizeServerForLog(server));
 
     const data = await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'GET',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             }
         });
@@ -235,24 +328,25 @@ export async function getFilteringStatus(server) {
 /**
  * Get server information including version
  * GET /control/status
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retry count (health checks use 0 to time a single request)
  * Returns: { version: string, ... }
  */
-export async function getServerInfo(server) {
+export async function getServerInfo(server, { retries = DEFAULT_RETRIES } = {}) {
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/status`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Fetching server info for:', sanitizeServerForLog(server));
 
     const data = await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'GET',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             }
         });
-    }, DEFAULT_RETRIES);
+    }, retries);
 
     // Validate response before returning
     return validateServerInfo(data);
@@ -270,15 +364,14 @@ export async function setRules(server, rules) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/filtering/set_rules`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Setting rules for:', sanitizeServerForLog(server), `(${rules.length} rules)`);
 
     await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ rules })
@@ -337,15 +430,14 @@ export async function removeRules(server, rulesToRemove) {
 export async function addFilterURL(server, url, name, whitelist = false) {
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/filtering/add_url`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Adding filter URL:', sanitizeServerForLog(server), { url, name, whitelist });
 
     await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ url, name, whitelist })
@@ -366,15 +458,14 @@ export async function addFilterURL(server, url, name, whitelist = false) {
 export async function removeFilterURL(server, url, whitelist = false) {
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/filtering/remove_url`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Removing filter URL:', sanitizeServerForLog(server), { url, whitelist });
 
     await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ url, whitelist })
@@ -396,15 +487,14 @@ export async function removeFilterURL(server, url, whitelist = false) {
 export async function setFilteringConfig(server, config) {
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/filtering/set_config`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Setting filtering config:', sanitizeServerForLog(server), config);
 
     await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(config)
@@ -426,15 +516,14 @@ export async function refreshFilters(server, force = false) {
 
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/filtering/refresh`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Refreshing filters:', sanitizeServerForLog(server), { force });
 
     const result = await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ whitelist: false })
@@ -461,15 +550,14 @@ export async function refreshFilters(server, force = false) {
 export async function checkHost(server, name) {
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/filtering/check_host`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Checking host:', sanitizeServerForLog(server), { name });
 
     const result = await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ name })
@@ -498,17 +586,14 @@ export async function checkHost(server, name) {
 export async function getProtectionStatus(server) {
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/status`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Getting protection status:', sanitizeServerForLog(server));
 
     const result = await withRetry(async () => {
         return await apiRequest(endpoint, {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-            }
-        }, server.bypassSSL);
+            server,
+            method: 'GET'
+        });
     }, DEFAULT_RETRIES);
 
     const config = result;
@@ -525,24 +610,65 @@ export async function getProtectionStatus(server) {
 export async function setProtectionEnabled(server, enabled) {
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/dns_config`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.info(`${enabled ? 'Enabling' : 'Disabling'} protection:`, sanitizeServerForLog(server));
 
     await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ protection_enabled: enabled })
-        }, server.bypassSSL);
+        });
     }, DEFAULT_RETRIES);
 
     Logger.info(`Protection ${enabled ? 'enabled' : 'disabled'} successfully`);
 }
 
+/**
+ * Enable or disable DNS protection, optionally only for a while
+ * POST /control/protection (AdGuard Home v0.107.27+; the server re-enables itself after duration)
+ * Older servers lack the endpoint: falls back to /control/dns_config and reports native: false,
+ * so the caller has to re-enable protection itself when the pause ends
+ * @param {Object} server - Server configuration
+ * @param {boolean} enabled - true to enable, false to disable
+ * @param {number} [durationMs=0] - Pause length when disabling (0 = until re-enabled)
+ * @returns {Promise<{native: boolean}>}
+ */
+export async function setProtection(server, enabled, durationMs = 0) {
+    const normalizedHost = normalizeHost(server.host);
+    const endpoint = `${normalizedHost}/control/protection`;
+
+    const body = { enabled };
+    if (!enabled && durationMs > 0) {
+        body.duration = Math.round(durationMs);
+    }
+
+    Logger.info(`${enabled ? 'Enabling' : 'Disabling'} protection${body.duration ? ` for ${body.duration}ms` : ''}:`, sanitizeServerForLog(server));
+
+    try {
+        await apiRequest(endpoint, {
+            server,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        return { native: true };
+    } catch (error) {
+        if (!/^HTTP 40[45]\b/.test(error.message)) {
+            throw error;
+        }
+
+        Logger.warn(`${server.name}: /control/protection not supported, using dns_config`);
+        await setProtectionEnabled(server, enabled);
+        return { native: false };
+    }
+}
+
 /**
  * Get query log
  * GET /control/querylog
@@ -564,17 +690,14 @@ export async function getQueryLog(server, params = {}) {
     if (params.search) url.searchParams.append('search', params.search);
     if (params.response_status) url.searchParams.append('response_status', params.response_status);
 
-    const authHeader = createAuthHeader(server.username, server.password);
 
     // Don't log full query params to avoid clutter
     Logger.debug('Fetching query log:', sanitizeServerForLog(server), `limit=${params.limit || 'default'}`);
 
     const data = await withRetry(async () => {
         return await apiRequest(url.toString(), {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-            }
+            server,
+            method: 'GET'
         });
     }, DEFAULT_RETRIES);
 
@@ -593,16 +716,13 @@ export async function getStats(server) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/stats`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Fetching stats:', sanitizeServerForLog(server));
 
     const data = await withRetry(async () => {
         return await apiRequest(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-            }
+            server,
+            method: 'GET'
         });
     }, DEFAULT_RETRIES);
 
@@ -624,16 +744,13 @@ export async function getBlocklists(server) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/filtering/status`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Fetching DNS blocklists:', sanitizeServerForLog(server));
 
     const data = await withRetry(async () => {
         return await apiRequest(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-            }
+            server,
+            method: 'GET'
         });
     }, DEFAULT_RETRIES);
 
@@ -693,13 +810,12 @@ async function setFilterURL(server, url, data) {
 
     const normalizedHost = normalizeHost(server.host);
     const endpoint = `${normalizedHost}/control/filtering/set_url`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     await withRetry(async () => {
         return await apiRequest(endpoint, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ url, data })
@@ -718,16 +834,13 @@ export async function getRewrites(server) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/rewrite/list`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Fetching DNS rewrites:', sanitizeServerForLog(server));
 
     const data = await withRetry(async () => {
         return await apiRequest(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-            }
+            server,
+            method: 'GET'
         });
     }, DEFAULT_RETRIES);
 
@@ -771,13 +884,12 @@ async function addRewrite(server, domain, answer) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/rewrite/add`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ domain, answer })
@@ -798,13 +910,12 @@ async function deleteRewrite(server, domain, answer) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/rewrite/delete`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ domain, answer })
@@ -823,16 +934,13 @@ export async function getClients(server) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/clients`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     Logger.debug('Fetching home clients:', sanitizeServerForLog(server));
 
     const data = await withRetry(async () => {
         return await apiRequest(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': authHeader
-            }
+            server,
+            method: 'GET'
         });
     }, DEFAULT_RETRIES);
 
@@ -891,13 +999,12 @@ async function addClient(server, client) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/clients/add`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(client)
@@ -918,13 +1025,12 @@ async function updateClient(server, name, data) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/clients/update`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ name, data })
@@ -944,16 +1050,252 @@ async function deleteClient(server, name) {
 
     const normalizedHost = normalizeHost(server.host);
     const url = `${normalizedHost}/control/clients/delete`;
-    const authHeader = createAuthHeader(server.username, server.password);
 
     await withRetry(async () => {
         return await apiRequest(url, {
+            server,
             method: 'POST',
             headers: {
-                'Authorization': authHeader,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ name })
         });
     }, DEFAULT_RETRIES);
 }
+
+// ============================================================================
+// SYNC FEATURES: BLOCKED SERVICES, DNS UPSTREAMS, SAFETY FILTERS, ACCESS LIST
+// ============================================================================
+
+/**
+ * Get globally blocked services and their schedule
+ * GET /control/blocked_services/get
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} { ids: Array<string>, schedule: Object }
+ */
+export async function getBlockedServices(server) {
+    await apiLimiter.acquire();
+
+    const normalizedHost = normalizeHost(server.host);
+    const url = `${normalizedHost}/control/blocked_services/get`;
+
+    Logger.debug('Fetching blocked services:', sanitizeServerForLog(server));
+
+    const data = await withRetry(async () => {
+        return await apiRequest(url, {
+            server,
+            method: 'GET'
+        });
+    }, DEFAULT_RETRIES);
+
+    return {
+        ids: data.ids || [],
+        schedule: data.schedule || {}
+    };
+}
+
+/**
+ * Set globally blocked services and their schedule
+ * PUT /control/blocked_services/update
+ * @param {Object} server - Server configuration
+ * @param {Object} blockedServices - { ids, schedule }
+ * @returns {Promise<void>}
+ */
+export async function setBlockedServices(server, blockedServices) {
+    await apiLimiter.acquire();
+
+    const normalizedHost = normalizeHost(server.host);
+    const url = `${normalizedHost}/control/blocked_services/update`;
+
+    Logger.info(`Setting ${blockedServices.ids?.length || 0} blocked services for ${server.name}`);
+
+    await withRetry(async () => {
+        return await apiRequest(url, {
+            server,
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(blockedServices)
+        });
+    }, DEFAULT_RETRIES);
+}
+
+/**
+ * Get DNS server configuration (upstreams, bootstrap, fallback, ...)
+ * GET /control/dns_info
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} DNS configuration
+ */
+export async function getDnsConfig(server) {
+    await apiLimiter.acquire();
+
+    const normalizedHost = normalizeHost(server.host);
+    const url = `${normalizedHost}/control/dns_info`;
+
+    Logger.debug('Fetching DNS config:', sanitizeServerForLog(server));
+
+    return await withRetry(async () => {
+        return await apiRequest(url, {
+            server,
+            method: 'GET'
+        });
+    }, DEFAULT_RETRIES);
+}
+
+/**
+ * Update DNS server configuration
+ * POST /control/dns_config (only the given fields are changed)
+ * @param {Object} server - Server configuration
+ * @param {Object} config - Partial DNS configuration
+ * @returns {Promise<void>}
+ */
+export async function setDnsConfig(server, config) {
+    await apiLimiter.acquire();
+
+    const normalizedHost = normalizeHost(server.host);
+    const url = `${normalizedHost}/control/dns_config`;
+
+    Logger.info(`Setting DNS config (${Object.keys(config).join(', ')}) for ${server.name}`);
+
+    await withRetry(async () => {
+        return await apiRequest(url, {
+            server,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(config)
+        });
+    }, DEFAULT_RETRIES);
+}
+
+/**
+ * Get safe search, safe browsing and parental control settings
+ * GET /control/safesearch/status, /control/safebrowsing/status, /control/parental/status
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} { safesearch: Object, safebrowsing: boolean, parental: boolean }
+ */
+export async function getSafetySettings(server) {
+    const normalizedHost = normalizeHost(server.host);
+
+    Logger.debug('Fetching safety settings:', sanitizeServerForLog(server));
+
+    const fetchStatus = async (path) => {
+        await apiLimiter.acquire();
+        return await withRetry(async () => {
+            return await apiRequest(`${normalizedHost}${path}`, {
+                server,
+                method: 'GET'
+            });
+        }, DEFAULT_RETRIES);
+    };
+
+    const safesearch = await fetchStatus('/control/safesearch/status');
+    const safebrowsing = await fetchStatus('/control/safebrowsing/status');
+    const parental = await fetchStatus('/control/parental/status');
+
+    return {
+        safesearch,
+        safebrowsing: safebrowsing.enabled === true,
+        parental: parental.enabled === true
+    };
+}
+
+/**
+ * Set safe search, safe browsing and parental control settings
+ * PUT /control/safesearch/settings, POST /control/{safebrowsing,parental}/{enable,disable}
+ * @param {Object} server - Server configuration
+ * @param {Object} settings - { safesearch?, safebrowsing?, parental? } (missing fields are left alone)
+ * @returns {Promise<void>}
+ */
+export async function setSafetySettings(server, settings) {
+    const normalizedHost = normalizeHost(server.host);
+
+    Logger.info(`Setting safety settings for ${server.name}`);
+
+    const send = async (method, path, body) => {
+        await apiLimiter.acquire();
+        await withRetry(async () => {
+            return await apiRequest(`${normalizedHost}${path}`, {
+                server,
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                ...(body ? { body: JSON.stringify(body) } : {})
+            });
+        }, DEFAULT_RETRIES);
+    };
+
+    if (settings.safesearch) {
+        await send('PUT', '/control/safesearch/settings', settings.safesearch);
+    }
+
+    if (typeof settings.safebrowsing === 'boolean') {
+        await send('POST', `/control/safebrowsing/${settings.safebrowsing ? 'enable' : 'disable'}`);
+    }
+
+    if (typeof settings.parental === 'boolean') {
+        await send('POST', `/control/parental/${settings.parental ? 'enable' : 'disable'}`);
+    }
+}
+
+/**
+ * Get access list (allowed/disallowed clients, blocked hosts)
+ * GET /control/access/list
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Object>} { allowed_clients, disallowed_clients, blocked_hosts }
+ */
+export async function getAccessList(server) {
+    await apiLimiter.acquire();
+
+    const normalizedHost = normalizeHost(server.host);
+    const url = `${normalizedHost}/control/access/list`;
+
+    Logger.debug('Fetching access list:', sanitizeServerForLog(server));
+
+    const data = await withRetry(async () => {
+        return await apiRequest(url, {
+            server,
+            method: 'GET'
+        });
+    }, DEFAULT_RETRIES);
+
+    return {
+        allowed_clients: data.allowed_clients || [],
+        disallowed_clients: data.disallowed_clients || [],
+        blocked_hosts: data.blocked_hosts || []
+    };
+}
+
+/**
+ * Set access list
+ * POST /control/access/set
+ * @param {Object} server - Server configuration
+ * @param {Object} accessList - { allowed_clients, disallowed_clients, blocked_hosts }
+ * @returns {Promise<void>}
+ */
+export async function setAccessList(server, accessList) {
+    await apiLimiter.acquire();
+
+    const normalizedHost = normalizeHost(server.host);
+    const url = `${normalizedHost}/control/access/set`;
+
+    Logger.info(`Setting access list for ${server.name}`);
+
+    await withRetry(async () => {
+        return await apiRequest(url, {
+            server,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                allowed_clients: accessList.allowed_clients || [],
+                disallowed_clients: accessList.disallowed_clients || [],
+                blocked_hosts: accessList.blocked_hosts || []
+            })
+        });
+    }, DEFAULT_RETRIES);
+}
@@ -2,7 +2,8 @@
 // Provides middleware-like functionality for API requests/responses
 // Enables logging, request IDs, error context, and custom transformations
 
-import { Logger } from './helpers.js';
+import { Logger, withTimeout } from './helpers.js';
+import { getCertificateError, noteRequestResult } from './certificates.js';
 
 export class APIInterceptor {
     constructor() {
@@ -13,7 +14,8 @@ export class APIInterceptor {
 
     /**
      * Register request interceptor
-     * @param {Function} interceptor - Function(url, options) => modifiedOptions
+     * @param {Function} interceptor - Function(url, options, context) => modifiedOptions
+     *   context: { server } of the request, when the caller passed one
      */
     addRequestInterceptor(interceptor) {
         this.requestInterceptors.push(interceptor);
@@ -29,7 +31,7 @@ export class APIInterceptor {
 
     /**
      * Register error interceptor
-     * @param {Function} interceptor - Function(error, url, options) => modifiedError
+     * @param {Function} interceptor - Function(error, url, options, context) => modifiedError
      */
     addErrorInterceptor(interceptor) {
         this.errorInterceptors.push(interceptor);
@@ -39,13 +41,14 @@ export class APIInterceptor {
      * Process request through all interceptors
      * @param {string} url - Request URL
      * @param {Object} options - Fetch options
+     * @param {Object} [context] - Request context ({ server })
      * @returns {Promise<Object>} Modified {url, options}
      */
-    async interceptRequest(url, options) {
+    async interceptRequest(url, options, context = {}) {
         let modifiedOptions = { ...options };
 
         for (const interceptor of this.requestInterceptors) {
-            const result = await interceptor(url, modifiedOptions);
+            const result = await interceptor(url, modifiedOptions, context);
             if (result) {
                 modifiedOptions = result;
             }
@@ -79,13 +82,14 @@ export class APIInterceptor {
      * @param {Error} error - Error object
      * @param {string} url - Request URL
      * @param {Object} options - Fetch options
+     * @param {Object} [context] - Request context ({ server })
      * @returns {Promise<Error>} Modified error
      */
-    async interceptError(error, url, options) {
+    async interceptError(error, url, options, context = {}) {
         let handledError = error;
 
         for (const interceptor of this.errorInterceptors) {
-            const result = await interceptor(handledError, url, options);
+            const result = await interceptor(handledError, url, options, context);
             if (result) {
                 handledError = result;
             }
@@ -202,6 +206,160 @@ apiInterceptor.addErrorInterceptor((error, url, options) => {
     return error;
 });
 
+// 5. Certificate Error Interceptor
+// Runs after the context interceptor: to fetch a rejected certificate is just another network error
+apiInterceptor.addErrorInterceptor(async (error, url) => {
+    if (error.type !== 'NetworkError') {
+        return error;
+    }
+
+    const netError = await getCertificateError(url);
+    if (!netError) {
+        return error;
+    }
+
+    error.type = 'CertificateError';
+    error.netError = netError;
+    error.message = `Certificate not trusted (${netError})`;
+    error.userMessage = 'The server certificate is not trusted. Use "Trust certificate" in the server settings.';
+    error.retryable = false;
+
+    await noteRequestResult(url, false, netError);
+    Logger.info(`[API Error] CertificateError: ${netError}`, { url });
+
+    return error;
+});
+
+// 6. Certificate Trust Interceptor (any response means the TLS handshake succeeded)
+apiInterceptor.addResponseInterceptor(async (response, url) => {
+    await noteRequestResult(url, true);
+    return response;
+});
+
+// 7. Authentication Interceptor
+// Registered last so the request logging above never sees credentials
+apiInterceptor.addRequestInterceptor(async (url, options, { server } = {}) => {
+    if (!server) {
+        return options;
+    }
+
+    const auth = getAuthConfig(server);
+    switch (auth.type) {
+        case AUTH_TYPE.BASIC:
+            options.headers = { ...options.headers, 'Authorization': createBasicAuthHeader(server.username, server.password) };
+            break;
+        case AUTH_TYPE.SESSION:
+            await ensureSession(server);
+            options.credentials = 'include'; // Sends the agh_session cookie
+            break;
+        case AUTH_TYPE.HEADERS:
+            options.headers = { ...options.headers, ...Object.fromEntries(auth.headers.map(h => [h.name, h.value])) };
+            break;
+        default:
+            break;
+    }
+
+    return options;
+});
+
+// 8. Session Expiry Interceptor: drop the session so apiRequest's single retry logs in again
+apiInterceptor.addErrorInterceptor((error, url, options, { server } = {}) => {
+    if (!server || getAuthConfig(server).type !== AUTH_TYPE.SESSION) {
+        return error;
+    }
+
+    if (/^HTTP 40[13]\b/.test(error.message)) {
+        sessions.delete(getSessionKey(server));
+        error.reauthenticate = true;
+    }
+
+    return error;
+});
+
+// ============================================================================
+// AUTHENTICATION STRATEGIES
+// ============================================================================
+
+/**
+ * Per-server authentication strategies (server.auth.type)
+ * - basic:   HTTP Basic with username/password (default, also for servers saved before auth existed)
+ * - session: POST /control/login once, then the agh_session cookie
+ * - headers: static headers, e.g. a reverse proxy token (server.auth.headers = [{ name, value }])
+ * - none:    nothing added (proxy or network already authenticates)
+ */
+export const AUTH_TYPE = {
+    BASIC: 'basic',
+    SESSION: 'session',
+    HEADERS: 'headers',
+    NONE: 'none'
+};
+
+const LOGIN_TIMEOUT = 10000;
+
+// Session key -> login promise; concurrent requests share one login
+const sessions = new Map();
+
+/**
+ * Authentication settings of a server, defaulting to Basic
+ * @param {Object} server
+ * @returns {{type: string, headers: Array<{name: string, value: string}>}}
+ */
+export function getAuthConfig(server) {
+    const type = Object.values(AUTH_TYPE).includes(server.auth?.type) ? server.auth.type : AUTH_TYPE.BASIC;
+    const headers = (server.auth?.headers || []).filter(h => h && h.name);
+    return { type, headers };
+}
+
+/**
+ * Create Basic Auth header
+ * Uses UTF-8 encoding so special characters don't break authentication
+ */
+function createBasicAuthHeader(username, password) {
+    const str = `${username}:${password}`;
+    const bytes = new TextEncoder().encode(str);
+    const binString = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+    return `Basic ${btoa(binString)}`;
+}
+
+function getSessionKey(server) {
+    return `${server.host.replace(/\/$/, '')}|${server.username}`;
+}
+
+function ensureSession(server) {
+    const key = getSessionKey(server);
+
+    if (!sessions.has(key)) {
+        const login = loginSession(server).catch(error => {
+            sessions.delete(key);
+            throw error;
+        });
+        sessions.set(key, login);
+    }
+
+    return sessions.get(key);
+}
+
+/**
+ * POST /control/login; the server answers with the agh_session cookie
+ */
+async function loginSession(server) {
+    const response = await withTimeout(
+        fetch(`${server.host.replace(/\/$/, '')}/control/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: server.username, password: server.password }),
+            credentials: 'include'
+        }),
+        LOGIN_TIMEOUT
+    );
+
+    if (!response.ok) {
+        throw new Error(`Session login failed (status ${response.status}). Check your credentials.`);
+    }
+
+    Logger.debug(`[Auth] Logged in to ${server.host}`);
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
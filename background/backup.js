@@ -0,0 +1,242 @@
+// Backup & Restore
+// Exports servers, groups, settings and rule annotations to a portable, passphrase-encrypted JSON bundle
+
+import * as storage from './storage.js';
+import { restoreAnnotations } from './rule-annotations.js';
+import { derivePassphraseKey, encryptWithKey, decryptWithKey } from './crypto.js';
+import { generateUUID, Logger } from './helpers.js';
+
+const BACKUP_FORMAT = 'adguard-home-manager-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Encrypted with the passphrase key so a wrong passphrase is detected even without servers
+const VERIFIER_TEXT = BACKUP_FORMAT;
+
+// Server fields that only make sense on this device
+const LOCAL_SERVER_FIELDS = ['createdAt', 'updatedAt'];
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build a backup bundle
+ * Server passwords and auth header values are decrypted with the device key
+ * and re-encrypted under the passphrase. Cache, history and sync baselines are not included.
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Bundle (JSON-serializable)
+ */
+export async function exportBackup(passphrase) {
+    validatePassphrase(passphrase);
+
+    const { key, salt, iterations } = await derivePassphraseKey(passphrase);
+
+    const storedServers = await storage.getServers();
+    const servers = [];
+
+    for (const stored of storedServers) {
+        // getServer decrypts the device-bound password
+        const server = await storage.getServer(stored.id);
+        const exported = { ...server };
+
+        for (const field of LOCAL_SERVER_FIELDS) {
+            delete exported[field];
+        }
+
+        exported.password = server.password ? await encryptWithKey(server.password, key) : null;
+        if (server.auth) {
+            exported.auth = await storage.mapAuthHeaderValues(server.auth, value => encryptWithKey(value, key));
+        }
+        servers.push(exported);
+    }
+
+    const groups = await storage.getGroups();
+    const settings = await storage.getSettings();
+    const annotations = await storage.getRuleAnnotations();
+
+    Logger.info(`[Backup] Exported ${servers.length} servers and ${groups.length} groups`);
+
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        kdf: {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations,
+            salt
+        },
+        verifier: await encryptWithKey(VERIFIER_TEXT, key),
+        data: {
+            servers,
+            groups,
+            settings,
+            annotations
+        }
+    };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Import a backup bundle
+ * - replace: local servers and groups are removed, settings and rule annotations overwritten
+ * - merge: servers matched by id or host are updated, others added;
+ *          groups matched by id or name are updated; local settings kept;
+ *          rule annotations added where the rule has none locally
+ * @param {Object} bundle - Parsed backup JSON
+ * @param {string} passphrase
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<Object>} Summary { servers: { added, updated }, groups: { added, updated }, settingsReplaced }
+ */
+export async function importBackup(bundle, passphrase, mode = 'merge') {
+    if (mode !== 'merge' && mode !== 'replace') {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const migrated = migrateBundle(bundle);
+
+    const { key } = await derivePassphraseKey(passphrase, migrated.kdf.salt, migrated.kdf.iterations);
+
+    // Throws on a wrong passphrase before anything is touched
+    const verifier = await decryptWithKey(migrated.verifier, key);
+    if (verifier !== VERIFIER_TEXT) {
+        throw new Error('Wrong passphrase or corrupted data');
+    }
+
+    // Decrypt everything up front so a bad entry aborts the whole import
+    const importedServers = [];
+    for (const server of migrated.data.servers) {
+        importedServers.push({
+            ...server,
+            password: server.password ? await decryptWithKey(server.password, key) : undefined,
+            ...(server.auth && { auth: await storage.mapAuthHeaderValues(server.auth, value => decryptWithKey(value, key)) })
+        });
+    }
+
+    const summary = {
+        servers: { added: 0, updated: 0 },
+        groups: { added: 0, updated: 0 },
+        settingsReplaced: mode === 'replace'
+    };
+
+    if (mode === 'replace') {
+        for (const group of await storage.getGroups()) {
+            await storage.deleteGroup(group.id);
+        }
+        for (const server of await storage.getServers()) {
+            await storage.deleteServer(server.id);
+        }
+    }
+
+    // Imported server id -> local server id (differs when merged by host)
+    const serverIdMap = {};
+    const localServers = await storage.getServers();
+
+    for (const server of importedServers) {
+        const match = localServers.find(s => s.id === server.id) ||
+            localServers.find(s => normalizeHostKey(s.host) === normalizeHostKey(server.host));
+
+        const id = match ? match.id : (server.id || generateUUID());
+        serverIdMap[server.id] = id;
+
+        // Keep the local password when the backup has none for this server
+        await storage.saveServer({
+            ...match,
+            ...server,
+            id,
+            password: server.password ?? match?.password
+        });
+        summary.servers[match ? 'updated' : 'added']++;
+    }
+
+    const localGroups = await storage.getGroups();
+
+    for (const group of migrated.data.groups) {
+        const match = localGroups.find(g => g.id === group.id) ||
+            localGroups.find(g => g.name === group.name);
+
+        const serverIds = (group.serverIds || []).map(id => serverIdMap[id]).filter(Boolean);
+        const mergedServerIds = match ? [...new Set([...(match.serverIds || []), ...serverIds])] : serverIds;
+
+        // Conflict resolutions point at servers by id as well
+        const conflictResolutions = {};
+        for (const [type, resolutions] of Object.entries(group.conflictResolutions || {})) {
+            conflictResolutions[type] = Object.fromEntries(
+                Object.entries(resolutions).map(([key, serverId]) => [key, serverIdMap[serverId]])
+            );
+        }
+
+        await storage.saveGroup({
+            ...match,
+            ...group,
+            id: match ? match.id : (group.id || generateUUID()),
+            serverIds: mergedServerIds,
+            primaryServerId: serverIdMap[group.primaryServerId] || match?.primaryServerId || null,
+            conflictResolutions
+        });
+        summary.groups[match ? 'updated' : 'added']++;
+    }
+
+    if (mode === 'replace' && migrated.data.settings) {
+        await storage.updateSettings(migrated.data.settings);
+    }
+
+    await restoreAnnotations(migrated.data.annotations, { replace: mode === 'replace' });
+
+    // Servers and groups changed underneath the popup's snapshot
+    await chrome.storage.local.remove('ui_snapshot');
+
+    Logger.info(`[Backup] Imported (${mode}):`, summary);
+    return summary;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+/**
+ * Validate a bundle and upgrade it to the current schema version
+ * Add a step here whenever BACKUP_SCHEMA_VERSION is bumped.
+ */
+function migrateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) {
+        throw new Error('Not an AdGuard Home Manager backup file');
+    }
+
+    if (typeof bundle.schemaVersion !== 'number' || bundle.schemaVersion < 1) {
+        throw new Error('Backup file has no valid schema version');
+    }
+
+    if (bundle.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`Backup was made by a newer version (schema ${bundle.schemaVersion}). Please update the extension.`);
+    }
+
+    if (!bundle.kdf?.salt || !bundle.kdf.iterations || !bundle.verifier || !bundle.data) {
+        throw new Error('Backup file is incomplete');
+    }
+
+    return {
+        ...bundle,
+        data: {
+            servers: Array.isArray(bundle.data.servers) ? bundle.data.servers : [],
+            groups: Array.isArray(bundle.data.groups) ? bundle.data.groups : [],
+            settings: bundle.data.settings || null,
+            annotations: bundle.data.annotations || {}
+        }
+    };
+}
+
+function normalizeHostKey(host) {
+    return (host || '').trim().replace(/\/+$/, '').toLowerCase();
+}
@@ -0,0 +1,240 @@
+// Certificate Trust
+// An extension can't tell fetch() to skip TLS validation, and a rejected
+// certificate surfaces as the same "Failed to fetch" as a host that is down.
+// chrome.webRequest does see the net:: error code, so it's recorded per origin
+// here to tell the two apart. A self-signed certificate gets trusted by
+// accepting it once in a regular tab: openTrustFlow() opens that tab and
+// re-checks by itself whenever the tab finishes loading.
+
+import * as storage from './storage.js';
+import { withTimeout, Logger } from './helpers.js';
+
+const CERTIFICATE_ERROR_PATTERN = /^net::ERR_(CERT_|SSL_|BAD_SSL_CLIENT_AUTH_CERT)/;
+const PROBE_TIMEOUT_MS = 5000;
+const ERROR_WAIT_MS = 300; // webRequest may report the error just after fetch rejects
+const RECENT_ERROR_MS = 5000;
+
+const recentErrors = new Map(); // origin -> { error, at }
+const errorWaiters = new Map(); // origin -> Set<resolve>
+const knownTrust = new Map(); // origin -> boolean, avoids a storage write per request
+let pendingTabs = null; // tabId -> origin, rebuilt from storage after a worker restart
+let trustedCallback = null;
+
+/**
+ * Origin of a server host or request URL, null when unparsable
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether a Chrome net:: error code is a TLS/certificate failure
+ * @param {string} netError - e.g. "net::ERR_CERT_AUTHORITY_INVALID"
+ * @returns {boolean}
+ */
+export function isCertificateError(netError) {
+    return CERTIFICATE_ERROR_PATTERN.test(netError || '');
+}
+
+/**
+ * Register webRequest and tab listeners; call once at service worker top level
+ * @param {Function} onTrusted - Called with the origin once its certificate is accepted
+ */
+export function registerListeners(onTrusted) {
+    trustedCallback = onTrusted;
+
+    // Only the extension's own requests (tabId -1), never the user's browsing
+    chrome.webRequest?.onErrorOccurred.addListener((details) => {
+        if (details.tabId !== -1) return;
+
+        const origin = getOrigin(details.url);
+        recentErrors.set(origin, { error: details.error, at: Date.now() });
+        errorWaiters.get(origin)?.forEach(resolve => resolve());
+        errorWaiters.delete(origin);
+    }, { urls: ['https://*/*'] });
+
+    chrome.tabs.onUpdated.addListener(handleTabUpdated);
+    chrome.tabs.onRemoved.addListener(handleTabRemoved);
+}
+
+/**
+ * Certificate error behind a failed request, if any
+ * @param {string} url - Request URL that failed with a network error
+ * @returns {Promise<string|null>} net:: error code, null for other network failures
+ */
+export async function getCertificateError(url) {
+    const origin = getOrigin(url);
+    if (!origin || !origin.startsWith('https:')) return null;
+
+    const isRecent = entry => entry && Date.now() - entry.at <= RECENT_ERROR_MS;
+
+    if (!isRecent(recentErrors.get(origin))) {
+        await new Promise(resolve => {
+            if (!errorWaiters.has(origin)) errorWaiters.set(origin, new Set());
+            errorWaiters.get(origin).add(resolve);
+            setTimeout(() => {
+                errorWaiters.get(origin)?.delete(resolve);
+                resolve();
+            }, ERROR_WAIT_MS);
+        });
+    }
+
+    const recent = recentErrors.get(origin);
+    return isRecent(recent) && isCertificateError(recent.error) ? recent.error : null;
+}
+
+/**
+ * Record the outcome of a request to an HTTPS origin
+ * @param {string} url - Request URL
+ * @param {boolean} trusted - Whether the TLS handshake succeeded
+ * @param {string} [error] - net:: error code when it didn't
+ */
+export async function noteRequestResult(url, trusted, error = null) {
+    const origin = getOrigin(url);
+    if (!origin || !origin.startsWith('https:')) return;
+    if (knownTrust.get(origin) === trusted) return;
+
+    knownTrust.set(origin, trusted);
+    await storage.updateCertificateTrust(origin, { trusted, checkedAt: Date.now(), error });
+}
+
+/**
+ * Trust status of a server's certificate
+ * @param {string} host - Server host URL
+ * @returns {Promise<{origin: string|null, https: boolean, trusted: boolean|null, checkedAt: number|null, error: string|null, pending: boolean}>}
+ *   trusted is null until a request to the origin has been made
+ */
+export async function getTrustStatus(host) {
+    const origin = getOrigin(host);
+    const entry = origin ? (await storage.getCertificateTrust())[origin] || {} : {};
+
+    return {
+        origin,
+        https: !!origin && origin.startsWith('https:'),
+        trusted: entry.trusted ?? null,
+        checkedAt: entry.checkedAt ?? null,
+        error: entry.error ?? null,
+        pending: entry.pendingTabId != null
+    };
+}
+
+/**
+ * Try a TLS handshake with an origin
+ * Any HTTP response counts, even 401/404: only the certificate is being checked
+ * @param {string} origin
+ * @returns {Promise<{trusted: boolean, error: string|null}>}
+ */
+export async function checkCertificate(origin) {
+    try {
+        await withTimeout(fetch(`${origin}/`, { method: 'HEAD', cache: 'no-store', credentials: 'omit' }), PROBE_TIMEOUT_MS);
+        await noteRequestResult(origin, true);
+        return { trusted: true, error: null };
+    } catch (error) {
+        const netError = await getCertificateError(origin);
+        if (netError) {
+            await noteRequestResult(origin, false, netError);
+        }
+        return { trusted: false, error: netError || error.message };
+    }
+}
+
+/**
+ * Start the guided trust flow for a server
+ * Opens the server origin in a tab where the user accepts the certificate;
+ * the tab is closed and onTrusted runs as soon as the certificate checks out.
+ * @param {string} host - Server host URL
+ * @returns {Promise<{origin: string, trusted: boolean, tabId?: number}>}
+ */
+export async function openTrustFlow(host) {
+    const origin = getOrigin(host);
+    if (!origin || !origin.startsWith('https:')) {
+        throw new Error('Only HTTPS servers have a certificate to trust');
+    }
+
+    const check = await checkCertificate(origin);
+    if (check.trusted) {
+        await finishTrustFlow(origin, true);
+        return { origin, trusted: true };
+    }
+
+    const tab = await chrome.tabs.create({ url: `${origin}/` });
+    (await getPendingTabs()).set(tab.id, origin);
+    await storage.updateCertificateTrust(origin, { pendingTabId: tab.id });
+
+    Logger.info(`[Certificates] Waiting for the certificate of ${origin} to be accepted`);
+    return { origin, trusted: false, tabId: tab.id };
+}
+
+// ============================================================================
+// TRUST FLOW TAB
+// ============================================================================
+
+async function getPendingTabs() {
+    if (!pendingTabs) {
+        const trust = await storage.getCertificateTrust();
+        pendingTabs = new Map(
+            Object.entries(trust)
+                .filter(([, entry]) => entry.pendingTabId != null)
+                .map(([origin, entry]) => [entry.pendingTabId, origin])
+        );
+    }
+    return pendingTabs;
+}
+
+// The tab reloads once the user proceeds past the certificate warning
+async function handleTabUpdated(tabId, changeInfo) {
+    if (changeInfo.status !== 'complete') return;
+
+    const origin = (await getPendingTabs()).get(tabId);
+    if (!origin) return;
+
+    const check = await checkCertificate(origin);
+    if (check.trusted) {
+        await finishTrustFlow(origin, true, tabId);
+    }
+}
+
+async function handleTabRemoved(tabId) {
+    const origin = (await getPendingTabs()).get(tabId);
+    if (!origin) return;
+
+    const check = await checkCertificate(origin);
+    await finishTrustFlow(origin, check.trusted);
+}
+
+async function finishTrustFlow(origin, trusted, closeTabId = null) {
+    const tabs = await getPendingTabs();
+    for (const [tabId, pendingOrigin] of tabs) {
+        if (pendingOrigin === origin) tabs.delete(tabId);
+    }
+    await storage.updateCertificateTrust(origin, { pendingTabId: null });
+
+    if (!trusted) {
+        Logger.info(`[Certificates] Trust flow for ${origin} ended without accepting the certificate`);
+        return;
+    }
+
+    Logger.info(`[Certificates] Certificate of ${origin} is trusted`);
+
+    if (closeTabId !== null) {
+        chrome.tabs.remove(closeTabId).catch(() => { });
+    }
+
+    try {
+        await trustedCallback?.(origin);
+    } catch (error) {
+        Logger.error(`[Certificates] Retry after trusting ${origin} failed:`, error);
+    }
+
+    try {
+        await chrome.runtime.sendMessage({ action: 'certificateTrusted', data: { origin } });
+    } catch (ignore) {
+        // Popup not open
+    }
+}
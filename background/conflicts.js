@@ -0,0 +1,343 @@
+// Conflict Resolution
+// Per-group policies for entries that exist on several servers with different values
+// (same rewrite domain with different answers, same client name with different settings)
+
+import * as storage from './storage.js';
+import { DATA_TYPES } from './data-types.js';
+import { dedupClients, Logger } from './helpers.js';
+
+export const CONFLICT_POLICY = {
+    PRIMARY: 'primary',                     // Designated primary server wins
+    NEWEST: 'newest',                       // Most recently changed version wins
+    MOST_RESTRICTIVE: 'most-restrictive',
+    LEAST_RESTRICTIVE: 'least-restrictive',
+    MANUAL: 'manual'                        // Only explicit resolutions are synced
+};
+
+// Defaults keep the historical behaviour (first server wins / most restrictive wins)
+export const DEFAULT_CONFLICT_POLICY = {
+    dnsRewrites: CONFLICT_POLICY.PRIMARY,
+    homeClients: CONFLICT_POLICY.MOST_RESTRICTIVE
+};
+
+// Types whose conflicts are resolved by policy (others merge by union/dedup)
+export const POLICY_TYPES = Object.keys(DEFAULT_CONFLICT_POLICY);
+
+// Rewrite answers that make a domain unreachable vs. ones that defer to upstream
+const SINKHOLE_ANSWERS = new Set(['0.0.0.0', '::', '127.0.0.1', '::1']);
+const PASSTHROUGH_ANSWERS = new Set(['A', 'AAAA']);
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Comparable value of an entry, ignoring fields that are merged by union anyway
+ */
+function signature(type, entry) {
+    if (type === 'dnsRewrites') {
+        return JSON.stringify({ answer: entry.answer, enabled: entry.enabled });
+    }
+    if (type === 'homeClients') {
+        const { ids, tags, ...settings } = entry;
+        return JSON.stringify(settings);
+    }
+    return JSON.stringify(entry);
+}
+
+/**
+ * Group entries of all servers by identity key
+ * @param {string} type - Key of DATA_TYPES
+ * @param {Array<{server, current}>} participants
+ * @returns {Map<string, Array<{serverId, serverName, entry}>>} Insertion-ordered by first appearance
+ */
+function collectVersions(type, participants) {
+    const { key } = DATA_TYPES[type];
+    const byKey = new Map();
+
+    for (const { server, current } of participants) {
+        for (const entry of current || []) {
+            const id = key(entry);
+            if (!byKey.has(id)) byKey.set(id, []);
+            // One version per server (first wins within a server)
+            if (!byKey.get(id).some(v => v.serverId === server.id)) {
+                byKey.get(id).push({ serverId: server.id, serverName: server.name, entry });
+            }
+        }
+    }
+
+    return byKey;
+}
+
+// ============================================================================
+// CHANGE TRACKING (for "newest change wins")
+// ============================================================================
+
+/**
+ * When each server's version of an entry last changed
+ * AdGuard Home does not timestamp rewrites or clients, so a change is dated
+ * when it is first observed. Versions seen on the very first pass get time 0.
+ * Nothing is stored here: see saveChangeTracking().
+ * @returns {Promise<Object>} { [key]: { [serverId]: { signature, changedAt } } }
+ */
+async function getChangeTracking(group, type, versionsByKey) {
+    const stored = await storage.getSyncBaseline(group.id, `${type}:changes`);
+    const previous = stored?.data || {};
+    const now = Date.now();
+    const tracking = {};
+
+    for (const [id, versions] of versionsByKey) {
+        tracking[id] = {};
+        for (const { serverId, entry } of versions) {
+            const sig = signature(type, entry);
+            const before = previous[id]?.[serverId];
+            tracking[id][serverId] = before && before.signature === sig
+                ? before
+                : { signature: sig, changedAt: stored ? now : 0 };
+        }
+    }
+
+    return tracking;
+}
+
+/**
+ * Store the change dates a sync plan was built with, once the plan is applied
+ * Previews and conflict views only read them, so they don't move the dates "newest change wins" goes by.
+ * @param {Object} group
+ * @param {string} type
+ * @param {Object} tracking - mergeWithPolicy() result's tracking
+ */
+export async function saveChangeTracking(group, type, tracking) {
+    await storage.setSyncBaseline(group.id, `${type}:changes`, {
+        serverIds: group.serverIds || [],
+        data: tracking
+    });
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+function rewriteRank(rewrite) {
+    if (SINKHOLE_ANSWERS.has(rewrite.answer)) return 2;
+    if (PASSTHROUGH_ANSWERS.has(rewrite.answer)) return 0;
+    return 1;
+}
+
+/**
+ * Least restrictive client merge: a protection stays on only if every server has it on
+ * IDs and tags are still merged as a union.
+ */
+function mergeClientsLeastRestrictive(clients) {
+    const merged = dedupClients(clients)[0];
+
+    for (const field of ['filtering_enabled', 'parental_enabled', 'safebrowsing_enabled']) {
+        if (field in merged) {
+            merged[field] = clients.every(c => c[field]);
+        }
+    }
+
+    if (merged.safesearch) {
+        merged.safesearch = { ...merged.safesearch, enabled: clients.every(c => c.safesearch?.enabled) };
+    }
+
+    if (merged.blocked_services) {
+        const lists = clients.map(c => c.blocked_services?.ids || []);
+        merged.blocked_services = {
+            ...merged.blocked_services,
+            ids: lists[0].filter(id => lists.every(list => list.includes(id)))
+        };
+    }
+
+    return merged;
+}
+
+/**
+ * Pick one version, keeping union-merged fields (client ids/tags) from all of them
+ */
+function pickVersion(type, versions, serverId) {
+    const chosen = versions.find(v => v.serverId === serverId);
+    if (!chosen) return null;
+
+    if (type === 'homeClients') {
+        const others = versions.filter(v => v !== chosen).map(v => v.entry);
+        const union = dedupClients([chosen.entry, ...others])[0];
+        return { ...chosen.entry, ids: union.ids, tags: union.tags };
+    }
+
+    return { ...chosen.entry };
+}
+
+/**
+ * Resolve one conflict under a policy
+ * @returns {{entry: Object|null, serverId: string|null}} entry null = unresolved
+ */
+function resolveByPolicy(type, versions, policy, primaryServerId, tracking) {
+    // Primary fallback: designated primary, else first server in group order
+    const primary = versions.find(v => v.serverId === primaryServerId) || versions[0];
+
+    switch (policy) {
+        case CONFLICT_POLICY.PRIMARY:
+            return { entry: pickVersion(type, versions, primary.serverId), serverId: primary.serverId };
+
+        case CONFLICT_POLICY.NEWEST: {
+            let newest = primary;
+            for (const version of versions) {
+                const changedAt = tracking?.[version.serverId]?.changedAt || 0;
+                const newestAt = tracking?.[newest.serverId]?.changedAt || 0;
+                if (changedAt > newestAt) newest = version;
+            }
+            return { entry: pickVersion(type, versions, newest.serverId), serverId: newest.serverId };
+        }
+
+        case CONFLICT_POLICY.MOST_RESTRICTIVE:
+        case CONFLICT_POLICY.LEAST_RESTRICTIVE: {
+            const most = policy === CONFLICT_POLICY.MOST_RESTRICTIVE;
+
+            if (type === 'homeClients') {
+                const entries = versions.map(v => v.entry);
+                const entry = most ? dedupClients(entries)[0] : mergeClientsLeastRestrictive(entries);
+                return { entry, serverId: null };
+            }
+
+            let best = primary;
+            for (const version of versions) {
+                const diff = rewriteRank(version.entry) - rewriteRank(best.entry);
+                if (most ? diff > 0 : diff < 0) best = version;
+            }
+            return { entry: pickVersion(type, versions, best.serverId), serverId: best.serverId };
+        }
+
+        case CONFLICT_POLICY.MANUAL:
+        default:
+            return { entry: null, serverId: null };
+    }
+}
+
+/**
+ * Merge a policy-resolved type across group servers
+ * Explicit resolutions (group.conflictResolutions) always win over the policy.
+ * @param {string} type - 'dnsRewrites' | 'homeClients'
+ * @param {Object} group
+ * @param {Array<{server, current}>} participants
+ * @returns {Promise<{merged: Array, conflicts: Array, unresolvedKeys: Set<string>, tracking: Object}>}
+ *   tracking: change dates to store with saveChangeTracking() if the merge is applied
+ */
+export async function mergeWithPolicy(type, group, participants) {
+    const policy = group.conflictPolicy?.[type] || DEFAULT_CONFLICT_POLICY[type];
+    const resolutions = group.conflictResolutions?.[type] || {};
+    const versionsByKey = collectVersions(type, participants);
+    const tracking = await getChangeTracking(group, type, versionsByKey);
+
+    const merged = [];
+    const conflicts = [];
+    const unresolvedKeys = new Set();
+
+    for (const [id, versions] of versionsByKey) {
+        const distinct = new Set(versions.map(v => signature(type, v.entry)));
+
+        if (distinct.size <= 1) {
+            // Same value everywhere (client ids may still differ: union them)
+            merged.push(type === 'homeClients'
+                ? dedupClients(versions.map(v => v.entry))[0]
+                : { ...versions[0].entry });
+            continue;
+        }
+
+        let resolution;
+        let resolvedBy = 'policy';
+
+        if (resolutions[id] && versions.some(v => v.serverId === resolutions[id])) {
+            resolution = { entry: pickVersion(type, versions, resolutions[id]), serverId: resolutions[id] };
+            resolvedBy = 'manual';
+        } else {
+            resolution = resolveByPolicy(type, versions, policy, group.primaryServerId, tracking[id]);
+        }
+
+        if (resolution.entry) {
+            merged.push(resolution.entry);
+        } else {
+            unresolvedKeys.add(id);
+            resolvedBy = null;
+        }
+
+        conflicts.push({
+            key: id,
+            versions,
+            resolvedBy,
+            resolvedServerId: resolution.serverId,
+            resolved: resolution.entry
+        });
+    }
+
+    if (conflicts.length > 0) {
+        Logger.debug(`[Conflicts] ${conflicts.length} ${type} conflicts in group "${group.name}" (policy: ${policy}, unresolved: ${unresolvedKeys.size})`);
+    }
+
+    return { merged, conflicts, unresolvedKeys, tracking };
+}
+
+/**
+ * Conflicts for a group based on cached server data (for the group views)
+ * @param {string} groupId
+ * @param {string} type
+ * @returns {Promise<Object>} { policy, primaryServerId, merged, conflicts }
+ */
+export async function getGroupConflicts(groupId, type) {
+    if (!POLICY_TYPES.includes(type)) {
+        throw new Error(`Conflict policies are not supported for ${type}`);
+    }
+
+    const group = await storage.getGroup(groupId);
+    if (!group) throw new Error('Group not found');
+
+    const { field } = DATA_TYPES[type];
+    const servers = await storage.getServers();
+    const participants = [];
+
+    for (const server of servers.filter(s => (group.serverIds || []).includes(s.id))) {
+        const cache = await storage.getCache(server.id);
+        if (cache?.[field]) {
+            participants.push({ server, current: cache[field] });
+        }
+    }
+
+    // Replica groups have no conflicts: the primary's data is what gets synced
+    if (group.syncMode === storage.GROUP_SYNC_MODE.PRIMARY_REPLICA) {
+        const primary = participants.find(p => p.server.id === group.primaryServerId);
+        return {
+            policy: group.conflictPolicy?.[type] || DEFAULT_CONFLICT_POLICY[type],
+            primaryServerId: group.primaryServerId,
+            merged: primary ? DATA_TYPES[type].dedup(primary.current) : [],
+            conflicts: []
+        };
+    }
+
+    const { merged, conflicts } = await mergeWithPolicy(type, group, participants);
+
+    return {
+        policy: group.conflictPolicy?.[type] || DEFAULT_CONFLICT_POLICY[type],
+        primaryServerId: group.primaryServerId || null,
+        merged,
+        conflicts
+    };
+}
+
+/**
+ * Store (or clear, with serverId null) an explicit resolution for one conflicting entry
+ */
+export async function resolveGroupConflict(groupId, type, key, serverId) {
+    const group = await storage.getGroup(groupId);
+    if (!group) throw new Error('Group not found');
+
+    const resolutions = { ...group.conflictResolutions };
+    resolutions[type] = { ...resolutions[type] };
+
+    if (serverId) {
+        resolutions[type][key] = serverId;
+    } else {
+        delete resolutions[type][key];
+    }
+
+    return await storage.saveGroup({ ...group, conflictResolutions: resolutions });
+}
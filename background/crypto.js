@@ -184,6 +184,100 @@ export async function decrypt(encrypted) {
     }
 }
 
+// ============================================================================
+// PASSPHRASE ENCRYPTION (Portable backups)
+// ============================================================================
+
+/**
+ * Derive an AES-GCM key from a user passphrase
+ * Unlike getEncryptionKey this is NOT device-bound, so data encrypted with it
+ * can be decrypted in another browser given the same passphrase and salt.
+ * @param {string} passphrase - User passphrase
+ * @param {string} [salt] - Base64 salt (omit to generate a new random one)
+ * @param {number} [iterations] - PBKDF2 iterations (stored alongside the salt)
+ * @returns {Promise<{key: CryptoKey, salt: string, iterations: number}>}
+ */
+export async function derivePassphraseKey(passphrase, salt = null, iterations = PBKDF2_ITERATIONS) {
+    if (!passphrase || typeof passphrase !== 'string') {
+        throw new Error('Passphrase must be a non-empty string');
+    }
+
+    const saltBytes = salt
+        ? new Uint8Array(base64ToArrayBuffer(salt))
+        : crypto.getRandomValues(new Uint8Array(16));
+
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    const key = await crypto.subtle.deriveKey(
+        {
+            name: 'PBKDF2',
+            salt: saltBytes,
+            iterations: iterations,
+            hash: 'SHA-256'
+        },
+        keyMaterial,
+        { name: ALGORITHM, length: KEY_LENGTH },
+        false,
+        ['encrypt', 'decrypt']
+    );
+
+    return {
+        key,
+        salt: arrayBufferToBase64(saltBytes),
+        iterations
+    };
+}
+
+/**
+ * Encrypt plaintext with a given key (see derivePassphraseKey)
+ * @param {string} plaintext
+ * @param {CryptoKey} key
+ * @returns {Promise<{ciphertext: string, iv: string}>}
+ */
+export async function encryptWithKey(plaintext, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: ALGORITHM, iv: iv },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+
+    return {
+        ciphertext: arrayBufferToBase64(ciphertext),
+        iv: arrayBufferToBase64(iv)
+    };
+}
+
+/**
+ * Decrypt data encrypted with encryptWithKey
+ * @param {{ciphertext: string, iv: string}} encrypted
+ * @param {CryptoKey} key
+ * @returns {Promise<string>}
+ */
+export async function decryptWithKey(encrypted, key) {
+    if (!isEncrypted(encrypted)) {
+        throw new Error('Missing ciphertext or IV');
+    }
+
+    try {
+        const decrypted = await crypto.subtle.decrypt(
+            { name: ALGORITHM, iv: base64ToArrayBuffer(encrypted.iv) },
+            key,
+            base64ToArrayBuffer(encrypted.ciphertext)
+        );
+        return new TextDecoder().decode(decrypted);
+    } catch (error) {
+        // AES-GCM auth failure: wrong passphrase or tampered data
+        throw new Error('Wrong passphrase or corrupted data');
+    }
+}
+
 // ============================================================================
 // VALIDATION
 // ============================================================================
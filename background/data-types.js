@@ -0,0 +1,147 @@
+// Data Types
+// Per-server data kinds that are synced across groups and versioned in history
+
+import * as apiClient from './api-client.js';
+import {
+    dedupBlocklists, dedupRewrites, dedupClients,
+    dedupBlockedServices, dedupDnsConfig, dedupSafetySettings, dedupAccessList,
+    toSettingEntries, fromSettingEntries
+} from './helpers.js';
+
+// Settings synced per type (single-object settings, see toSettingEntries)
+const BLOCKED_SERVICES_FIELDS = ['ids', 'schedule'];
+const DNS_CONFIG_FIELDS = ['upstream_dns', 'bootstrap_dns', 'fallback_dns', 'upstream_mode'];
+const SAFETY_FIELDS = ['safesearch', 'safebrowsing', 'parental'];
+const ACCESS_LIST_FIELDS = ['allowed_clients', 'disallowed_clients', 'blocked_hosts'];
+
+// Sets whose order carries no meaning are sorted so reordering isn't drift
+const sorted = list => [...(list || [])].sort();
+
+/**
+ * Per-type configuration
+ * - field: property in the server cache / fetch result holding the data
+ * - key: identity of an entry, used for diffs and order-independent drift checks
+ * - dedup: merge function for union-merged types
+ * - read: API call returning the server's current data
+ * - push: API call replacing the server's data
+ * - optional: only fetched for servers in a group that syncs this type
+ */
+export const DATA_TYPES = {
+    customRules: {
+        label: 'Custom Rules',
+        field: 'rules',
+        key: rule => rule,
+        read: server => apiClient.getUserRules(server),
+        push: (server, data) => apiClient.setRules(server, data)
+    },
+    dnsBlocklists: {
+        label: 'DNS Blocklists',
+        field: 'blocklists',
+        key: filter => filter.url.trim(),
+        dedup: dedupBlocklists,
+        read: server => apiClient.getBlocklists(server),
+        push: (server, data) => apiClient.setBlocklists(server, data)
+    },
+    dnsRewrites: {
+        label: 'DNS Rewrites',
+        field: 'rewrites',
+        key: rewrite => rewrite.domain.toLowerCase().trim(),
+        dedup: dedupRewrites,
+        read: server => apiClient.getRewrites(server),
+        push: (server, data) => apiClient.setRewrites(server, data)
+    },
+    homeClients: {
+        label: 'Home Clients',
+        field: 'clients',
+        key: client => client.name.trim(),
+        dedup: dedupClients,
+        read: server => apiClient.getClients(server),
+        push: (server, data) => apiClient.setClients(server, data)
+    },
+    blockedServices: {
+        label: 'Blocked Services',
+        field: 'blockedServices',
+        key: setting => setting.name,
+        dedup: dedupBlockedServices,
+        optional: true,
+        read: async server => {
+            const { ids, schedule } = await apiClient.getBlockedServices(server);
+            return toSettingEntries({ ids: sorted(ids), schedule }, BLOCKED_SERVICES_FIELDS);
+        },
+        push: (server, data) => apiClient.setBlockedServices(server, fromSettingEntries(data))
+    },
+    dnsUpstreams: {
+        label: 'DNS Upstreams',
+        field: 'dnsConfig',
+        key: setting => setting.name,
+        dedup: dedupDnsConfig,
+        optional: true,
+        read: async server => toSettingEntries(await apiClient.getDnsConfig(server), DNS_CONFIG_FIELDS),
+        push: (server, data) => apiClient.setDnsConfig(server, fromSettingEntries(data))
+    },
+    safetyFilters: {
+        label: 'Safe Search & Parental',
+        field: 'safetySettings',
+        key: setting => setting.name,
+        dedup: dedupSafetySettings,
+        optional: true,
+        read: async server => toSettingEntries(await apiClient.getSafetySettings(server), SAFETY_FIELDS),
+        push: (server, data) => apiClient.setSafetySettings(server, fromSettingEntries(data))
+    },
+    accessList: {
+        label: 'Access List',
+        field: 'accessList',
+        key: setting => setting.name,
+        dedup: dedupAccessList,
+        optional: true,
+        read: async server => {
+            const list = await apiClient.getAccessList(server);
+            return toSettingEntries({
+                allowed_clients: sorted(list.allowed_clients),
+                disallowed_clients: sorted(list.disallowed_clients),
+                blocked_hosts: sorted(list.blocked_hosts)
+            }, ACCESS_LIST_FIELDS);
+        },
+        push: (server, data) => apiClient.setAccessList(server, fromSettingEntries(data))
+    }
+};
+
+/**
+ * Order-independent comparison of two entry lists
+ */
+export function isSameData(type, a, b) {
+    const { key } = DATA_TYPES[type];
+    const sortFn = (x, y) => key(x).localeCompare(key(y));
+    // [Fix] Use [...arr].sort() to avoid mutating the original arrays!
+    return JSON.stringify([...(a || [])].sort(sortFn)) === JSON.stringify([...(b || [])].sort(sortFn));
+}
+
+/**
+ * Diff two entry lists by identity key
+ * @returns {{added: Array, removed: Array, changed: Array<{before, after}>}}
+ */
+export function diffData(type, current, next) {
+    const { key } = DATA_TYPES[type];
+    const currentMap = new Map((current || []).map(entry => [key(entry), entry]));
+    const nextMap = new Map((next || []).map(entry => [key(entry), entry]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [id, entry] of nextMap) {
+        if (!currentMap.has(id)) {
+            added.push(entry);
+        } else if (JSON.stringify(currentMap.get(id)) !== JSON.stringify(entry)) {
+            changed.push({ before: currentMap.get(id), after: entry });
+        }
+    }
+
+    for (const [id, entry] of currentMap) {
+        if (!nextMap.has(id)) {
+            removed.push(entry);
+        }
+    }
+
+    return { added, removed, changed };
+}
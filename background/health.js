@@ -0,0 +1,137 @@
+// Server Health Monitor
+// Records reachability, response time and HTTP errors of every server over
+// time (ring buffer in storage), so the popup can show uptime and a latency
+// sparkline instead of "did the last getServerInfo call work".
+// Only the scheduled probes are recorded: samples stay evenly spaced, so the
+// buffer covers the same time span however often the popup is opened.
+
+import * as storage from './storage.js';
+import * as apiClient from './api-client.js';
+import { createSerializer, Logger } from './helpers.js';
+
+const HEALTH_CHECK_ALARM = 'health-check';
+const HEALTH_CHECK_MINUTES = 5;
+
+const UPTIME_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SPARKLINE_POINTS = 48;
+
+const serializeSamples = createSerializer();
+
+/**
+ * Run a request against a server and record how it went
+ * - up: the server answered with a 2xx
+ * - reachable: the server answered at all (an HTTP error still means it's there)
+ * - httpStatus: only on failures, from the error (a successful request doesn't expose it)
+ * @param {string} serverId
+ * @param {Function} request - async () => result
+ * @returns {Promise<*>} The request's result; its error is rethrown
+ */
+export async function measure(serverId, request) {
+    const startedAt = Date.now();
+
+    try {
+        const result = await request();
+        await recordSample(serverId, {
+            at: startedAt,
+            up: true,
+            reachable: true,
+            latencyMs: Date.now() - startedAt,
+            error: null
+        });
+        return result;
+    } catch (error) {
+        const httpStatus = Number(/^HTTP (\d{3})\b/.exec(error.message)?.[1]) || null;
+        await recordSample(serverId, {
+            at: startedAt,
+            up: false,
+            reachable: httpStatus !== null,
+            latencyMs: httpStatus !== null ? Date.now() - startedAt : null,
+            httpStatus,
+            error: error.message
+        });
+        throw error;
+    }
+}
+
+/**
+ * Probe one server: a single GET /control/status, no retries
+ * @param {Object} server
+ * @returns {Promise<boolean>} Whether it's up
+ */
+export async function checkServer(server) {
+    try {
+        await measure(server.id, () => apiClient.getServerInfo(server, { retries: 0 }));
+        return true;
+    } catch (error) {
+        Logger.debug(`[Health] ${server.name} check failed: ${error.message}`);
+        return false;
+    }
+}
+
+export async function checkAll() {
+    const servers = await storage.getServers();
+    for (const stored of servers) {
+        const server = await storage.getServer(stored.id);
+        if (server) await checkServer(server);
+    }
+}
+
+/**
+ * Health summary of a server
+ * @param {string} serverId
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=24h] - Uptime window
+ * @param {number} [options.points=48] - Sparkline length (most recent samples)
+ * @returns {Promise<Object>} {
+ *   uptime: percentage of up samples in the window (null without samples),
+ *   avgLatencyMs, lastSample, lastError: newest failed sample,
+ *   sparkline: [{ at, latencyMs, up }] oldest first (latencyMs null when unreachable),
+ *   samples: sample count in the window
+ * }
+ */
+export async function getHealth(serverId, { windowMs = UPTIME_WINDOW_MS, points = SPARKLINE_POINTS } = {}) {
+    const all = (await storage.getHealthSamples())[serverId] || [];
+    const since = Date.now() - windowMs;
+    const samples = all.filter(s => s.at >= since);
+
+    const upCount = samples.filter(s => s.up).length;
+    const latencies = samples.filter(s => s.up).map(s => s.latencyMs);
+
+    return {
+        uptime: samples.length ? Math.round((upCount / samples.length) * 1000) / 10 : null,
+        avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+        lastSample: all[all.length - 1] || null,
+        lastError: [...samples].reverse().find(s => !s.up) || null,
+        sparkline: all.slice(-points).map(s => ({ at: s.at, latencyMs: s.latencyMs, up: s.up })),
+        samples: samples.length
+    };
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+export async function scheduleHealthChecks() {
+    const existing = await chrome.alarms.get(HEALTH_CHECK_ALARM);
+    if (!existing) {
+        chrome.alarms.create(HEALTH_CHECK_ALARM, { delayInMinutes: 1, periodInMinutes: HEALTH_CHECK_MINUTES });
+    }
+}
+
+/**
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {Promise<boolean>} Whether the alarm was a health check
+ */
+export async function handleAlarm(alarm) {
+    if (alarm.name !== HEALTH_CHECK_ALARM) return false;
+
+    await checkAll();
+    return true;
+}
+
+function recordSample(serverId, sample) {
+    return serializeSamples(() => storage.appendHealthSample(serverId, sample))
+        .catch(error => {
+            Logger.error('[Health] Failed to record sample:', error);
+        });
+}
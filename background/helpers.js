@@ -1,6 +1,8 @@
 // Helper Utilities
 // Shared utility functions for rule processing, validation, and async operations
 
+import { classifyParsedRule, ruleKey } from './rule-parser.js';
+
 // ============================================================================
 // UUID GENERATION
 // ============================================================================
@@ -60,7 +62,7 @@ export function normalizeRule(rule) {
 
 /**
  * Deduplicate rules while preserving order
- * - Remove exact duplicates
+ * - Rules with the same canonical form (see ruleKey) count once
  * - Keep first occurrence
  * - [FIXED] Now properly deduplicates comments/disabled rules
  */
@@ -79,8 +81,9 @@ export function dedupRules(rules) {
         // [BUG FIX] Deduplicate ALL rules including comments
         // Previously, comments were always kept without dedup check,
         // causing double counting in group merges (e.g., 17 + 17 = 34 instead of 17)
-        if (!seen.has(normalized)) {
-            seen.add(normalized);
+        const key = ruleKey(normalized);
+        if (!seen.has(key)) {
+            seen.add(key);
             deduped.push(normalized);
         }
     }
@@ -88,6 +91,53 @@ export function dedupRules(rules) {
     return deduped;
 }
 
+/**
+ * Apply a change to a rule list
+ * Rules are matched by ruleKey(), so formatting differences don't matter.
+ * @param {Array<string>} rules
+ * @param {{add?: Array<string>, remove?: Array<string>, replace?: Array<[string, string]>}} change
+ *   replace: [from, to] pairs, replaced in place; add: appended unless already present
+ * @returns {Array<string>} New list (the input isn't modified)
+ */
+export function applyRuleChange(rules, { add = [], remove = [], replace = [] } = {}) {
+    const removeKeys = new Set(remove.map(rule => ruleKey(rule)));
+    const replacements = new Map(replace.map(([from, to]) => [ruleKey(from), to]));
+
+    // Only rules that stay count as present: a rule removed or replaced away can be added back
+    const present = new Set(rules
+        .map(rule => ruleKey(rule))
+        .filter(key => !removeKeys.has(key) && !replacements.has(key)));
+
+    const result = [];
+    for (const rule of rules) {
+        const key = ruleKey(rule);
+        if (removeKeys.has(key)) continue;
+
+        const replacement = replacements.get(key);
+        if (replacement === undefined) {
+            result.push(rule);
+            continue;
+        }
+
+        // The replacement may already be in the list: then the old rule just goes
+        const replacementKey = ruleKey(replacement);
+        if (replacementKey === key || !present.has(replacementKey)) {
+            present.add(replacementKey);
+            result.push(replacement);
+        }
+    }
+
+    for (const rule of add) {
+        const key = ruleKey(rule);
+        if (!present.has(key)) {
+            present.add(key);
+            result.push(rule);
+        }
+    }
+
+    return result;
+}
+
 /**
  * Parse input to extract hostname
  * Handles: URLs, FQDNs, IP addresses
@@ -137,29 +187,16 @@ export function generateAllowRule(domain) {
 }
 
 /**
- * Classify rule type using STRICT golden rule
+ * Classify rule type from its parsed form
  * Returns: 'disabled' | 'allow' | 'block' | 'unknown'
- * 
- * GOLDEN RULE:
- * - "@@" at start = Allow
- * - "||" at start = Block
- * - Everything else = Disabled/Inactive
+ *
+ * - "@@" exception rules = Allow
+ * - Any other valid rule (||, |, /regex/, plain domain, hosts line, $dnsrewrite) = Block
+ * - Comments, empty lines, unparseable and $badfilter rules = Disabled/Inactive
  */
 export function classifyRule(rule) {
     if (typeof rule !== 'string') return 'unknown';
-
-    const trimmed = rule.trim();
-
-    // Empty lines are disabled
-    if (!trimmed) return 'disabled';
-
-    // GOLDEN RULE: Apply strict matching
-    if (trimmed.startsWith('@@')) return 'allow';
-    if (trimmed.startsWith('||')) return 'block';
-
-    // Everything else is disabled/inactive
-    // This includes: comments (!), single pipe (|), domain-only, etc.
-    return 'disabled';
+    return classifyParsedRule(rule);
 }
 
 /**
@@ -207,6 +244,57 @@ export function getRuleCounts(rules) {
     };
 }
 
+/**
+ * Three-way merge of rule lists against the last synced state
+ * Each server is compared with its own baseline (the rules it held after the
+ * last sync that read it), so a server that missed a sync doesn't read as
+ * having deleted the rules it never received.
+ * - Rule on a server but neither in its baseline nor in the last merge = added (kept)
+ * - Rule in a server's baseline but missing from the server = removed (dropped everywhere)
+ * - Edits show up as remove + add, so they propagate too
+ * - Servers without a baseline (new members) only contribute adds
+ * @param {Array<string>} lastMerged - Merged rules of the last group sync
+ * @param {Array<{id: string, rules: Array<string>, baseline: Array<string>|null}>} sources - Current rules and baseline per server
+ * @returns {{merged: Array<string>, added: Array<string>, removed: Array<string>}}
+ */
+export function mergeRulesThreeWay(lastMerged, sources) {
+    const base = dedupRules(lastMerged);
+    const baseKeys = new Set(base.map(ruleKey));
+    const addedKeys = new Set();
+    const removedKeys = new Set();
+    const added = [];
+
+    for (const source of sources) {
+        const current = dedupRules(source.rules);
+        const currentKeys = new Set(current.map(ruleKey));
+        const ownBaseKeys = new Set(dedupRules(source.baseline || []).map(ruleKey));
+
+        // A rule still in its own baseline was dropped by the group while it was away
+        for (const rule of current) {
+            const key = ruleKey(rule);
+            if (!baseKeys.has(key) && !ownBaseKeys.has(key) && !addedKeys.has(key)) {
+                addedKeys.add(key);
+                added.push(rule);
+            }
+        }
+
+        // A new member missing merged rules has simply never received them
+        if (!source.baseline) continue;
+
+        for (const key of ownBaseKeys) {
+            if (!currentKeys.has(key)) {
+                removedKeys.add(key);
+            }
+        }
+    }
+
+    return {
+        merged: [...base.filter(rule => !removedKeys.has(ruleKey(rule))), ...added],
+        added,
+        removed: base.filter(rule => removedKeys.has(ruleKey(rule)))
+    };
+}
+
 // ============================================================================
 // ASYNC UTILITIES
 // ============================================================================
@@ -241,6 +329,11 @@ export async function withRetry(fn, maxRetries = 2, delayMs = 1000) {
         } catch (error) {
             lastError = error;
 
+            // Retrying can't fix an untrusted certificate
+            if (error.type === 'CertificateError') {
+                break;
+            }
+
             // Don't retry on last attempt
             if (attempt < maxRetries) {
                 // Exponential backoff
@@ -253,6 +346,21 @@ export async function withRetry(fn, maxRetries = 2, delayMs = 1000) {
     throw lastError;
 }
 
+/**
+ * Run async tasks one after another
+ * For read-modify-write of a storage key that overlapping callers share.
+ * @returns {Function} serialize(task) - Runs task once the previous ones settled, resolves with its result
+ */
+export function createSerializer() {
+    let chain = Promise.resolve();
+
+    return task => {
+        const run = chain.then(task);
+        chain = run.catch(() => {});
+        return run;
+    };
+}
+
 // ============================================================================
 // VALIDATION
 // ============================================================================
@@ -271,20 +379,31 @@ export function validateServer(server) {
     if (!server.host || server.host.trim().length === 0) {
         errors.push('Server host is required');
     } else {
-        // Validate URL format
-        try {
-            new URL(server.host);
-        } catch (e) {
-            errors.push('Server host must be a valid URL (e.g., https://192.168.1.1)');
+        // Validate URL format of the host and every alternative endpoint
+        for (const endpoint of getServerEndpoints(server)) {
+            try {
+                new URL(endpoint);
+            } catch (e) {
+                errors.push(`Server URL must be a valid URL (e.g., https://192.168.1.1): ${endpoint}`);
+            }
         }
     }
 
-    if (!server.username || server.username.trim().length === 0) {
-        errors.push('Username is required');
+    // Credentials only matter for Basic and session login (see AUTH_TYPE in api-interceptors.js)
+    const authType = server.auth?.type || 'basic';
+
+    if (authType === 'basic' || authType === 'session') {
+        if (!server.username || server.username.trim().length === 0) {
+            errors.push('Username is required');
+        }
+
+        if (!server.password || server.password.trim().length === 0) {
+            errors.push('Password is required');
+        }
     }
 
-    if (!server.password || server.password.trim().length === 0) {
-        errors.push('Password is required');
+    if (authType === 'headers' && !(server.auth.headers || []).some(h => h.name && h.value)) {
+        errors.push('At least one auth header is required');
     }
 
     return {
@@ -293,6 +412,21 @@ export function validateServer(server) {
     };
 }
 
+/**
+ * Ordered endpoint URLs of a server (without trailing slash)
+ * server.host is always the first; server.endpoints holds the full list when
+ * the server is reachable under several URLs (e.g. LAN address and public name)
+ * @param {Object} server
+ * @returns {Array<string>}
+ */
+export function getServerEndpoints(server) {
+    const list = server.endpoints?.length ? server.endpoints : [server.host];
+    const normalized = list
+        .filter(url => typeof url === 'string' && url.trim())
+        .map(url => url.trim().replace(/\/+$/, ''));
+    return [...new Set(normalized)];
+}
+
 /**
  * Sanitize server data for logging (remove sensitive info)
  */
@@ -710,3 +844,109 @@ export function dedupClients(clients) {
     return Array.from(map.values());
 }
 
+
+// ============================================================================
+// SETTINGS SYNC HELPERS
+// ============================================================================
+// Single-object settings (blocked services, DNS config, ...) are synced as a list
+// of { name, value } entries, one per setting, so they share the list-based
+// drift detection, diffs and history of the other sync types.
+
+/**
+ * Split a settings object into { name, value } entries
+ * @param {Object} settings - Settings object from the API
+ * @param {Array<string>} fields - Fields to sync (others are ignored)
+ * @returns {Array<{name: string, value: *}>}
+ */
+export function toSettingEntries(settings, fields) {
+    return fields
+        .filter(field => settings?.[field] !== undefined)
+        .map(field => ({ name: field, value: settings[field] }));
+}
+
+/**
+ * Rebuild a settings object from { name, value } entries
+ */
+export function fromSettingEntries(entries) {
+    return Object.fromEntries((entries || []).map(entry => [entry.name, entry.value]));
+}
+
+/**
+ * Merge setting entries from several servers
+ * @param {Array} entries - Entries of all servers, concatenated
+ * @param {Object} mergers - { [name]: (a, b) => merged }; settings without a merger keep the first value
+ * @returns {Array<{name: string, value: *}>}
+ */
+function mergeSettingEntries(entries, mergers = {}) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return [];
+    }
+
+    const map = new Map();
+
+    for (const entry of entries) {
+        if (!entry || !entry.name) continue;
+
+        if (!map.has(entry.name)) {
+            map.set(entry.name, { name: entry.name, value: entry.value });
+        } else if (mergers[entry.name]) {
+            const existing = map.get(entry.name);
+            existing.value = mergers[entry.name](existing.value, entry.value);
+        }
+    }
+
+    return Array.from(map.values());
+}
+
+const unionList = (a, b) => Array.from(new Set([...(a || []), ...(b || [])]));
+const eitherEnabled = (a, b) => a === true || b === true;
+
+/**
+ * Deduplicate global blocked services
+ * - Service ids: union (most restrictive wins)
+ * - Schedule: first server wins
+ */
+export function dedupBlockedServices(entries) {
+    return mergeSettingEntries(entries, { ids: unionList });
+}
+
+/**
+ * Deduplicate DNS upstream configuration
+ * Upstreams are a configuration rather than a set, so the first server wins per setting
+ */
+export function dedupDnsConfig(entries) {
+    return mergeSettingEntries(entries);
+}
+
+/**
+ * Deduplicate safe search / safe browsing / parental settings
+ * Most restrictive wins: a filter (or safe search engine) on anywhere is on everywhere
+ */
+export function dedupSafetySettings(entries) {
+    return mergeSettingEntries(entries, {
+        safebrowsing: eitherEnabled,
+        parental: eitherEnabled,
+        safesearch: (a, b) => {
+            const merged = { ...a };
+            for (const [engine, enabled] of Object.entries(b || {})) {
+                merged[engine] = eitherEnabled(merged[engine], enabled);
+            }
+            return merged;
+        }
+    });
+}
+
+/**
+ * Deduplicate access lists
+ * - Disallowed clients and blocked hosts: union, so nothing blocked is let through
+ * - Allowed clients: the first server's list, or empty (every client allowed) if any
+ *   server allows every client. A union would turn an allow-all server into an
+ *   allowlist-only one and lock out the rest of its network.
+ */
+export function dedupAccessList(entries) {
+    return mergeSettingEntries(entries, {
+        allowed_clients: (a, b) => (a?.length && b?.length ? a : []),
+        disallowed_clients: unionList,
+        blocked_hosts: unionList
+    });
+}
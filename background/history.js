@@ -0,0 +1,107 @@
+// Change History
+// Snapshots server data before each write and restores earlier versions
+
+import * as storage from './storage.js';
+import { DATA_TYPES, diffData } from './data-types.js';
+import { generateUUID, Logger } from './helpers.js';
+
+/**
+ * Where a write came from (shown in the history view)
+ */
+export const HISTORY_ORIGIN = {
+    POPUP: 'popup',
+    CONTEXT_MENU: 'context-menu',
+    GROUP_AUTO_REPAIR: 'group-auto-repair',
+    GROUP_SYNC: 'group-sync',
+    RESTORE: 'restore',
+    RULE_EXPIRY: 'rule-expiry'
+};
+
+/**
+ * Snapshot a server's current data before it is overwritten
+ * Never throws: a failed snapshot must not block the write itself.
+ * @param {Object} server - Server with credentials
+ * @param {string} dataType - Key of DATA_TYPES
+ * @param {string} origin - One of HISTORY_ORIGIN
+ * @param {Array} [currentData] - Already fetched current data (skips the extra request)
+ */
+export async function snapshotBeforeWrite(server, dataType, origin, currentData = null) {
+    try {
+        const data = currentData ?? await DATA_TYPES[dataType].read(server);
+        await storage.addHistoryEntry(server.id, {
+            id: generateUUID(),
+            dataType,
+            origin,
+            data: data || []
+        });
+    } catch (error) {
+        Logger.warn(`[History] Failed to snapshot ${dataType} for ${server.name}:`, error.message);
+    }
+}
+
+/**
+ * List history for a server, newest first, each with the diff to the version after it
+ * The newest version of each type is compared against the cached current state.
+ * @param {string} serverId
+ * @param {string} [dataType]
+ * @returns {Promise<Array>} [{ id, timestamp, origin, dataType, count, diff: { added, removed, changed } | null }]
+ */
+export async function getHistoryWithDiffs(serverId, dataType) {
+    const entries = await storage.getHistory(serverId, dataType);
+    const cache = await storage.getCache(serverId);
+
+    return entries.map((entry, index) => {
+        let newer = null;
+        for (let i = index - 1; i >= 0; i--) {
+            if (entries[i].dataType === entry.dataType) {
+                newer = entries[i];
+                break;
+            }
+        }
+
+        const after = newer ? newer.data : cache?.[DATA_TYPES[entry.dataType].field];
+
+        return {
+            id: entry.id,
+            timestamp: entry.timestamp,
+            origin: entry.origin,
+            dataType: entry.dataType,
+            count: entry.data.length,
+            diff: after ? diffData(entry.dataType, entry.data, after) : null
+        };
+    });
+}
+
+/**
+ * Restore a server's data to a history version
+ * The state being replaced is snapshotted first, so a restore can itself be undone.
+ * @param {string} serverId
+ * @param {string} entryId
+ * @returns {Promise<{dataType: string, count: number}>}
+ */
+export async function restoreHistoryEntry(serverId, entryId) {
+    const server = await storage.getServer(serverId);
+    if (!server) {
+        throw new Error('Server not found');
+    }
+
+    const entry = await storage.getHistoryEntry(serverId, entryId);
+    if (!entry) {
+        throw new Error('History entry not found');
+    }
+
+    const { label, push } = DATA_TYPES[entry.dataType];
+
+    await snapshotBeforeWrite(server, entry.dataType, HISTORY_ORIGIN.RESTORE);
+    await push(server, entry.data);
+
+    // Force fresh data on next load
+    await storage.clearCache(serverId);
+
+    Logger.info(`[History] Restored ${label} for ${server.name} to version from ${entry.timestamp}`);
+
+    return {
+        dataType: entry.dataType,
+        count: entry.data.length
+    };
+}
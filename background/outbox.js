@@ -0,0 +1,362 @@
+// Offline Outbox
+// Writes to a server that can't be reached are queued (storage.js OUTBOX) instead
+// of lost, and replayed in order with exponential backoff once it answers again.
+// Full replacements (setRules, setRewrites) remember the data they were based on:
+// if the server changed in the meantime, the entry stops as a conflict for the
+// user to overwrite or discard, rather than silently undoing that change.
+
+import * as storage from './storage.js';
+import * as apiClient from './api-client.js';
+import { DATA_TYPES, isSameData } from './data-types.js';
+import { snapshotBeforeWrite, HISTORY_ORIGIN } from './history.js';
+import { applyRuleChange, generateUUID, Logger } from './helpers.js';
+
+const REPLAY_ALARM = 'outbox-replay';
+const REPLAY_MINUTES = 1;
+
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Queued mutation types
+ */
+export const MUTATION = {
+    SET_RULES: 'setRules',
+    RULE_CHANGE: 'ruleChange', // { add, remove, replace } from a multi-server rule write
+    SET_REWRITES: 'setRewrites',
+    ADD_FILTER_URL: 'addFilterURL',
+    REMOVE_FILTER_URL: 'removeFilterURL'
+};
+
+/**
+ * - pending: waiting for the server (or its next backoff slot)
+ * - conflict: the server changed since the write was queued; blocks the queue until resolved
+ * - rejected: the server refused the write (credentials, invalid data), so backing off and
+ *   replaying would never get it through; blocks the queue until retried or discarded
+ */
+export const OUTBOX_STATUS = {
+    PENDING: 'pending',
+    CONFLICT: 'conflict',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Per-type configuration
+ * - dataType: DATA_TYPES key, read before replaying (snapshot, conflict check)
+ * - apply: (server, payload, current) => write
+ * - project: (data, payload) => data after the write, for types whose entries carry a base
+ * - replaces: the payload is the whole data set, so it's checked against its base on replay
+ */
+const MUTATIONS = {
+    [MUTATION.SET_RULES]: {
+        dataType: 'customRules',
+        replaces: true,
+        apply: (server, { rules }) => apiClient.setRules(server, rules),
+        project: (data, { rules }) => rules
+    },
+    [MUTATION.RULE_CHANGE]: {
+        dataType: 'customRules',
+        apply: (server, { change }, current) => apiClient.setRules(server, applyRuleChange(current, change)),
+        project: (data, { change }) => applyRuleChange(data, change)
+    },
+    [MUTATION.SET_REWRITES]: {
+        dataType: 'dnsRewrites',
+        replaces: true,
+        apply: (server, { rewrites }) => apiClient.setRewrites(server, rewrites),
+        project: (data, { rewrites }) => rewrites
+    },
+    [MUTATION.ADD_FILTER_URL]: {
+        dataType: 'dnsBlocklists',
+        // AdGuard Home rejects a URL it already has
+        apply: async (server, { url, name, whitelist }) => {
+            if (!(await hasFilterURL(server, url, whitelist))) {
+                await apiClient.addFilterURL(server, url, name, whitelist);
+            }
+        }
+    },
+    [MUTATION.REMOVE_FILTER_URL]: {
+        dataType: 'dnsBlocklists',
+        apply: async (server, { url, whitelist }) => {
+            if (await hasFilterURL(server, url, whitelist)) {
+                await apiClient.removeFilterURL(server, url, whitelist);
+            }
+        }
+    }
+};
+
+// Popup writes, the replay alarm and server deletion can overlap, and all queues share one storage key
+const serialize = storage.serializeOutbox;
+
+/**
+ * Write to a server, or queue the write if the server can't be reached
+ * A server with undelivered changes gets the write queued behind them, so order is kept.
+ * @param {Object} server - Server with credentials
+ * @param {string} type - MUTATION value
+ * @param {Object} payload - Arguments of the mutation
+ * @param {Object} [options]
+ * @param {string} [options.origin] - HISTORY_ORIGIN value
+ * @param {Array|null} [options.base] - Data the change was made against (defaults to the cached data)
+ * @returns {Promise<*>} The API result, or { queued: true, entryId, pending } when queued
+ */
+export async function write(server, type, payload, { origin = HISTORY_ORIGIN.POPUP, base = null } = {}) {
+    const { dataType, apply } = MUTATIONS[type];
+    let lastError = null;
+
+    if (await flush(server.id) === 0) {
+        try {
+            const current = await DATA_TYPES[dataType].read(server);
+            await snapshotBeforeWrite(server, dataType, origin, current);
+            return await apply(server, payload, current);
+        } catch (error) {
+            if (!apiClient.isUnreachableError(error)) throw error;
+            Logger.warn(`[Outbox] ${server.name} unreachable, queueing ${type}: ${error.message}`);
+            lastError = error.message;
+        }
+    }
+
+    const entry = await enqueue(server.id, type, payload, { origin, base, lastError });
+    return { queued: true, entryId: entry.id, pending: (await storage.getServerOutbox(server.id)).length };
+}
+
+/**
+ * Append a mutation to a server's queue
+ * @param {string} serverId
+ * @param {string} type - MUTATION value
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {string} [options.origin]
+ * @param {Array|null} [options.base] - For full replacements, see write()
+ * @param {string|null} [options.lastError] - Why it couldn't be written right away
+ * @returns {Promise<Object>} The queued entry
+ */
+export async function enqueue(serverId, type, payload, { origin = HISTORY_ORIGIN.POPUP, base = null, lastError = null } = {}) {
+    return await serialize(async () => {
+        const { dataType, replaces } = MUTATIONS[type];
+
+        // A caller's base can't include changes still queued for the same data
+        const queued = await storage.getServerOutbox(serverId);
+        const stale = queued.some(entry => MUTATIONS[entry.type].dataType === dataType);
+
+        const entry = {
+            id: generateUUID(),
+            type,
+            payload,
+            base: replaces ? (base && !stale ? base : await getExpectedData(serverId, dataType)) : null,
+            origin,
+            queuedAt: Date.now(),
+            attempts: 0,
+            lastAttemptAt: null,
+            nextAttemptAt: Date.now() + BACKOFF_BASE_MS,
+            lastError,
+            status: OUTBOX_STATUS.PENDING
+        };
+
+        await storage.enqueueOutbox(serverId, entry);
+        await scheduleReplay();
+        return entry;
+    });
+}
+
+/**
+ * Replay a server's queue right away, ignoring backoff
+ * @param {string} serverId
+ * @returns {Promise<number>} Entries still queued (0 when the server is up to date)
+ */
+export async function flush(serverId) {
+    if ((await storage.getServerOutbox(serverId)).length === 0) return 0;
+    return await replayServer(serverId, { force: true });
+}
+
+/**
+ * Replay every server whose next attempt is due
+ */
+export async function replayAll() {
+    const [outbox, health] = await Promise.all([storage.getOutbox(), storage.getHealthSamples()]);
+
+    for (const [serverId, queue] of Object.entries(outbox)) {
+        // Seen up by the health monitor since the last attempt: don't wait out the backoff
+        const lastSample = health[serverId]?.[health[serverId].length - 1];
+        const backUp = lastSample?.up && lastSample.at > (queue[0].lastAttemptAt || queue[0].queuedAt);
+
+        await replayServer(serverId, { force: backUp });
+    }
+    await scheduleReplay();
+}
+
+/**
+ * Replay a server's queue in order until it's empty, a write fails, or a conflict is found
+ * @param {string} serverId
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore backoff
+ * @returns {Promise<number>} Entries still queued
+ */
+export async function replayServer(serverId, { force = false } = {}) {
+    return await serialize(async () => {
+        const server = await storage.getServer(serverId);
+        if (!server) {
+            await storage.clearOutbox(serverId);
+            return 0;
+        }
+
+        let queue = await storage.getServerOutbox(serverId);
+        let delivered = 0;
+
+        while (queue.length > 0) {
+            const [entry, ...rest] = queue;
+            if (entry.status !== OUTBOX_STATUS.PENDING) break;
+            if (!force && entry.nextAttemptAt > Date.now()) break;
+
+            const { dataType, apply, replaces } = MUTATIONS[entry.type];
+
+            try {
+                const current = await DATA_TYPES[dataType].read(server);
+
+                if (replaces && entry.base && !isSameData(dataType, entry.base, current)) {
+                    Logger.warn(`[Outbox] ${server.name} changed since ${entry.type} was queued, holding it as a conflict`);
+                    queue = [{ ...entry, status: OUTBOX_STATUS.CONFLICT, lastError: `${DATA_TYPES[dataType].label} changed on the server since this change was made` }, ...rest];
+                    break;
+                }
+
+                await snapshotBeforeWrite(server, dataType, entry.origin, current);
+                await apply(server, entry.payload, current);
+                queue = rest;
+                delivered++;
+            } catch (error) {
+                const attempts = entry.attempts + 1;
+
+                if (!apiClient.isTransientError(error)) {
+                    Logger.warn(`[Outbox] ${server.name} rejected ${entry.type}, holding it until retried or discarded: ${error.message}`);
+                    queue = [{ ...entry, attempts, lastAttemptAt: Date.now(), status: OUTBOX_STATUS.REJECTED, lastError: error.message }, ...rest];
+                    break;
+                }
+
+                queue = [{
+                    ...entry,
+                    attempts,
+                    lastAttemptAt: Date.now(),
+                    nextAttemptAt: Date.now() + Math.min(BACKOFF_BASE_MS * 2 ** attempts, BACKOFF_MAX_MS),
+                    lastError: error.message
+                }, ...rest];
+                Logger.debug(`[Outbox] ${server.name} still failing (attempt ${attempts}): ${error.message}`);
+                break;
+            }
+        }
+
+        await storage.setServerOutbox(serverId, queue);
+        if (delivered > 0) {
+            await storage.clearCache(serverId);
+            Logger.info(`[Outbox] Delivered ${delivered} queued change(s) to ${server.name}`);
+        }
+
+        return queue.length;
+    });
+}
+
+/**
+ * Settle a conflicting or rejected entry
+ * @param {string} serverId
+ * @param {string} entryId
+ * @param {'overwrite'|'retry'|'discard'} action - overwrite: write it anyway (conflict);
+ *   retry: replay it as queued (rejected, e.g. after fixing the credentials); discard: drop it
+ * @returns {Promise<number>} Entries still queued after replaying
+ */
+export async function resolveConflict(serverId, entryId, action) {
+    await serialize(async () => {
+        const queue = await storage.getServerOutbox(serverId);
+        if (!queue.some(entry => entry.id === entryId)) {
+            throw new Error('Queued change not found');
+        }
+
+        await storage.setServerOutbox(serverId, action === 'discard'
+            ? queue.filter(entry => entry.id !== entryId)
+            : queue.map(entry => entry.id === entryId
+                ? { ...entry, base: action === 'overwrite' ? null : entry.base, status: OUTBOX_STATUS.PENDING }
+                : entry));
+    });
+
+    return await flush(serverId);
+}
+
+/**
+ * Drop a queued change (pending or conflicting)
+ * @returns {Promise<number>} Entries still queued
+ */
+export async function discard(serverId, entryId) {
+    return await serialize(async () => {
+        const queue = (await storage.getServerOutbox(serverId)).filter(entry => entry.id !== entryId);
+        await storage.setServerOutbox(serverId, queue);
+        await scheduleReplay();
+        return queue.length;
+    });
+}
+
+/**
+ * Queue sizes for the server cards
+ * @returns {Promise<Object>} { [serverId]: { pending, conflicts, rejected, lastError, nextAttemptAt } }
+ */
+export async function getSummary() {
+    const outbox = await storage.getOutbox();
+    return Object.fromEntries(Object.entries(outbox).map(([serverId, queue]) => [serverId, {
+        pending: queue.length,
+        conflicts: queue.filter(entry => entry.status === OUTBOX_STATUS.CONFLICT).length,
+        rejected: queue.filter(entry => entry.status === OUTBOX_STATUS.REJECTED).length,
+        lastError: queue[0]?.lastError || null,
+        nextAttemptAt: queue[0]?.nextAttemptAt || null
+    }]));
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Keep the replay alarm running while anything is queued
+ */
+export async function scheduleReplay() {
+    const queued = Object.keys(await storage.getOutbox()).length > 0;
+    const existing = await chrome.alarms.get(REPLAY_ALARM);
+
+    if (queued && !existing) {
+        chrome.alarms.create(REPLAY_ALARM, { delayInMinutes: REPLAY_MINUTES, periodInMinutes: REPLAY_MINUTES });
+    } else if (!queued && existing) {
+        await chrome.alarms.clear(REPLAY_ALARM);
+    }
+}
+
+/**
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {Promise<boolean>} Whether the alarm was the outbox replay
+ */
+export async function handleAlarm(alarm) {
+    if (alarm.name !== REPLAY_ALARM) return false;
+
+    await replayAll();
+    return true;
+}
+
+// ============================================================================
+// INTERNALS
+// ============================================================================
+
+/**
+ * What a server's data will be once its queue is delivered: the cached data
+ * with the queued changes applied. null when there's nothing cached to go on.
+ */
+async function getExpectedData(serverId, dataType) {
+    const cache = await storage.getCache(serverId);
+    let data = cache?.[DATA_TYPES[dataType].field] ?? null;
+
+    for (const entry of await storage.getServerOutbox(serverId)) {
+        const { dataType: entryType, project } = MUTATIONS[entry.type];
+        if (entryType !== dataType || !project) continue;
+        data = data === null && !MUTATIONS[entry.type].replaces ? null : project(data, entry.payload);
+    }
+
+    return data;
+}
+
+async function hasFilterURL(server, url, whitelist) {
+    const status = await apiClient.getFilteringStatus(server);
+    const filters = (whitelist ? status.whitelist_filters : status.filters) || [];
+    return filters.some(filter => filter.url === url);
+}
@@ -0,0 +1,425 @@
+// Protection Control
+// Protection status model (cached with a TTL and revalidated against the server),
+// and timed protection pauses ("disable for 10 min") with a local fallback timer
+// for servers whose AdGuard Home version can't pause natively
+
+import * as storage from './storage.js';
+import * as apiClient from './api-client.js';
+import { createSerializer, Logger } from './helpers.js';
+
+const ALARM_PREFIX = 'protection-resume:';
+const REVALIDATE_ALARM = 'protection-revalidate';
+const REVALIDATE_MINUTES = 5;
+const RESUME_RETRY_MINUTES = 1;         // A local-timer resume that failed is retried this often
+
+const STATUS_TTL_MS = 30 * 1000;        // Cached status is trusted this long
+const PENDING_TIMEOUT_MS = 60 * 1000;   // A toggle still pending after this is re-checked
+
+/**
+ * States of a cached protection status entry
+ * - ok: enabled reflects the server as of checkedAt
+ * - pending: a toggle to `desired` was sent and hasn't been confirmed yet
+ * - failed: the last toggle failed; enabled is the last known state, error says why
+ */
+export const PROTECTION_STATE = {
+    OK: 'ok',
+    PENDING: 'pending',
+    FAILED: 'failed'
+};
+
+/**
+ * Which servers a protection change applies to
+ * - linked: the server plus every server sharing a group with it (plain click)
+ * - server: only this server
+ * - group: every server of scope.groupId
+ * - all: every configured server
+ */
+export const PROTECTION_SCOPE = {
+    LINKED: 'linked',
+    SERVER: 'server',
+    GROUP: 'group',
+    ALL: 'all'
+};
+
+// ============================================================================
+// TARGETS
+// ============================================================================
+
+/**
+ * Resolve a protection scope to server IDs
+ * @param {string} serverId - Server whose button was used
+ * @param {{type: string, groupId?: string}} [scope] - Defaults to linked
+ * @returns {Promise<Array<string>>}
+ */
+export async function resolveScope(serverId, scope = { type: PROTECTION_SCOPE.LINKED }) {
+    switch (scope.type) {
+        case PROTECTION_SCOPE.SERVER:
+            return [serverId];
+        case PROTECTION_SCOPE.GROUP: {
+            const group = await storage.getGroup(scope.groupId);
+            if (!group) {
+                throw new Error('Group not found');
+            }
+            return [...(group.serverIds || [])];
+        }
+        case PROTECTION_SCOPE.ALL:
+            return (await storage.getServers()).map(s => s.id);
+        case PROTECTION_SCOPE.LINKED:
+            return await getLinkedServerIds(serverId);
+        default:
+            throw new Error(`Unknown protection scope: ${scope.type}`);
+    }
+}
+
+/**
+ * Servers a protection change on one server applies to
+ * A server in a group takes every server of each of its groups along.
+ * @param {string} serverId
+ * @returns {Promise<Array<string>>}
+ */
+export async function getLinkedServerIds(serverId) {
+    const groups = await storage.getGroups();
+    const ids = new Set([serverId]);
+
+    for (const group of groups) {
+        if (group.serverIds && group.serverIds.includes(serverId)) {
+            group.serverIds.forEach(id => ids.add(id));
+        }
+    }
+
+    return [...ids];
+}
+
+// ============================================================================
+// STATUS CACHE
+// ============================================================================
+
+const serializeStatus = createSerializer();
+
+/**
+ * All cached status entries
+ * Entries written before the status model (plain booleans) come back as stale "ok" entries.
+ * @returns {Promise<Object>} { [serverId]: { enabled, state, checkedAt, error, desired } }
+ */
+export async function getStatusEntries() {
+    const { protectionStatus = {} } = await chrome.storage.local.get('protectionStatus');
+    const entries = {};
+    for (const [id, entry] of Object.entries(protectionStatus)) {
+        entries[id] = typeof entry === 'boolean'
+            ? { enabled: entry, state: PROTECTION_STATE.OK, checkedAt: 0, error: null }
+            : entry;
+    }
+    return entries;
+}
+
+function updateStatusEntries(mutate) {
+    return serializeStatus(async () => {
+        const entries = await getStatusEntries();
+        mutate(entries);
+        await chrome.storage.local.set({ protectionStatus: entries });
+    }).catch(error => {
+        Logger.error('[Protection] Failed to update status cache:', error);
+    });
+}
+
+/**
+ * Record a confirmed on/off status
+ * @param {Array<string>} serverIds
+ * @param {boolean} enabled
+ */
+export async function setCachedProtection(serverIds, enabled) {
+    const checkedAt = Date.now();
+    await updateStatusEntries(entries => {
+        for (const id of serverIds) {
+            entries[id] = { enabled, state: PROTECTION_STATE.OK, checkedAt, error: null };
+        }
+    });
+}
+
+/**
+ * Record that a toggle was sent but not yet confirmed
+ * enabled keeps the last known state so a failure can fall back to it.
+ * @param {Array<string>} serverIds
+ * @param {boolean} desired
+ */
+export async function markPending(serverIds, desired) {
+    const pendingSince = Date.now();
+    await updateStatusEntries(entries => {
+        for (const id of serverIds) {
+            const previous = entries[id];
+            entries[id] = {
+                enabled: previous ? previous.enabled : !desired,
+                state: PROTECTION_STATE.PENDING,
+                desired,
+                pendingSince,
+                checkedAt: previous?.checkedAt || 0,
+                error: null
+            };
+        }
+    });
+}
+
+/**
+ * Record a failed toggle; the status stays at the last known state
+ * @param {string} serverId
+ * @param {string} error
+ */
+export async function markFailed(serverId, error) {
+    await updateStatusEntries(entries => {
+        const previous = entries[serverId];
+        entries[serverId] = {
+            enabled: previous ? previous.enabled : null,
+            state: PROTECTION_STATE.FAILED,
+            checkedAt: previous?.checkedAt || 0,
+            error
+        };
+    });
+}
+
+/**
+ * Protection status of a server, revalidated against /control/status once the cache expires
+ * @param {string} serverId
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Oldest cached entry to accept
+ * @returns {Promise<{enabled, state, checkedAt, error, fromCache}>}
+ */
+export async function getStatus(serverId, { maxAgeMs = STATUS_TTL_MS } = {}) {
+    const entries = await getStatusEntries();
+    const entry = entries[serverId];
+    const now = Date.now();
+
+    if (entry) {
+        const fresh = now - entry.checkedAt < maxAgeMs;
+        const pending = entry.state === PROTECTION_STATE.PENDING && now - entry.pendingSince < PENDING_TIMEOUT_MS;
+        if (pending || (fresh && entry.state !== PROTECTION_STATE.PENDING)) {
+            return { ...entry, fromCache: true };
+        }
+    }
+
+    return await revalidate(serverId);
+}
+
+/**
+ * Ask the server for its current protection state and cache it
+ * @param {string} serverId
+ * @returns {Promise<{enabled, state, checkedAt, error, fromCache}>}
+ */
+export async function revalidate(serverId) {
+    const server = await storage.getServer(serverId);
+    if (!server) {
+        throw new Error('Server not found');
+    }
+
+    try {
+        const enabled = await apiClient.getProtectionStatus(server);
+        await setCachedProtection([serverId], enabled);
+        return { enabled, state: PROTECTION_STATE.OK, checkedAt: Date.now(), error: null, fromCache: false };
+    } catch (error) {
+        // Unreachable: keep showing the last known state, flagged as unverified
+        const entry = (await getStatusEntries())[serverId];
+        if (!entry) throw error;
+        return { ...entry, error: error.message, fromCache: true };
+    }
+}
+
+/**
+ * Revalidate every server, skipping toggles still in flight
+ * Picks up changes made outside the extension (e.g. AdGuard Home web UI).
+ */
+export async function revalidateAll() {
+    const servers = await storage.getServers();
+    const entries = await getStatusEntries();
+    const now = Date.now();
+
+    for (const server of servers) {
+        const entry = entries[server.id];
+        if (entry?.state === PROTECTION_STATE.PENDING && now - entry.pendingSince < PENDING_TIMEOUT_MS) continue;
+
+        try {
+            await revalidate(server.id);
+        } catch (error) {
+            Logger.warn(`[Protection] Could not revalidate ${server.name}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Create the periodic revalidation alarm (safe to call repeatedly)
+ */
+export async function scheduleRevalidation() {
+    const existing = await chrome.alarms.get(REVALIDATE_ALARM);
+    if (!existing) {
+        chrome.alarms.create(REVALIDATE_ALARM, { delayInMinutes: REVALIDATE_MINUTES, periodInMinutes: REVALIDATE_MINUTES });
+    }
+}
+
+// ============================================================================
+// TOGGLE
+// ============================================================================
+
+/**
+ * Apply an on/off toggle to servers, then report per-server results to the popup
+ * Runs after the caller already returned the pending state to the UI.
+ * @param {Array<string>} serverIds
+ * @param {boolean} enabled
+ * @returns {Promise<Array<{id, name, success, error}>>}
+ */
+export async function applyToggle(serverIds, enabled) {
+    const results = [];
+
+    for (const id of serverIds) {
+        const server = await storage.getServer(id);
+        if (!server) continue;
+
+        try {
+            await apiClient.setProtection(server, enabled);
+            await setCachedProtection([id], enabled);
+            results.push({ id, name: server.name, success: true });
+            Logger.info(`Protection ${enabled ? 'enabled' : 'disabled'} for ${server.name}`);
+        } catch (error) {
+            Logger.error(`Failed to toggle protection for ${server.name}:`, error);
+            await markFailed(id, error.message);
+            results.push({ id, name: server.name, success: false, error: error.message });
+        }
+    }
+
+    try {
+        await chrome.runtime.sendMessage({
+            action: 'protectionReport',
+            data: { enabled, results }
+        });
+    } catch (ignore) {
+        // Popup might be closed; failures stay visible in the status cache
+    }
+
+    return results;
+}
+
+// ============================================================================
+// PAUSE / RESUME
+// ============================================================================
+
+/**
+ * Disable protection on servers for a limited time
+ * Servers with native support get the duration and resume by themselves; for
+ * the others an alarm re-enables protection when the pause ends.
+ * @param {Array<string>} serverIds
+ * @param {number} durationMs
+ * @returns {Promise<Array<{id, name, until, native, error}>>} Per-server outcome
+ */
+export async function pauseProtection(serverIds, durationMs) {
+    const until = Date.now() + durationMs;
+    const results = [];
+
+    for (const id of serverIds) {
+        const server = await storage.getServer(id);
+        if (!server) continue;
+
+        try {
+            const { native } = await apiClient.setProtection(server, false, durationMs);
+            await storage.setProtectionPause(id, { until, native });
+
+            // Native pauses get an alarm too, to refresh the cached status once the server resumed
+            chrome.alarms.create(ALARM_PREFIX + id, { when: until });
+
+            await setCachedProtection([id], false);
+            results.push({ id, name: server.name, until, native });
+            Logger.info(`[Protection] Paused ${server.name} until ${new Date(until).toISOString()}${native ? '' : ' (local timer)'}`);
+        } catch (error) {
+            Logger.error(`[Protection] Failed to pause ${server.name}:`, error);
+            results.push({ id, name: server.name, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Forget a pending pause (protection was switched manually in the meantime)
+ * @param {string} serverId
+ */
+export async function cancelPause(serverId) {
+    await chrome.alarms.clear(ALARM_PREFIX + serverId);
+    await storage.clearProtectionPause(serverId);
+}
+
+/**
+ * Pending pauses that haven't ended yet
+ * @returns {Promise<Object>} { [serverId]: { until, native } }
+ */
+export async function getActivePauses() {
+    const pauses = await storage.getProtectionPauses();
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(pauses).filter(([, pause]) => pause.until > now));
+}
+
+/**
+ * Alarm listener entry point
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {Promise<boolean>} True if the alarm was a protection resume or revalidation
+ */
+export async function handleAlarm(alarm) {
+    if (alarm.name === REVALIDATE_ALARM) {
+        await revalidateAll();
+        return true;
+    }
+    if (!alarm.name.startsWith(ALARM_PREFIX)) return false;
+
+    await resumeProtection(alarm.name.slice(ALARM_PREFIX.length));
+    return true;
+}
+
+/**
+ * End a pause: re-enable protection ourselves if the server can't, then refresh the cache
+ * The pause is only forgotten once protection is back on. A failed re-enable keeps it,
+ * flags the status as failed and retries on a short alarm (and at browser startup).
+ * @param {string} serverId
+ */
+export async function resumeProtection(serverId) {
+    const pauses = await storage.getProtectionPauses();
+    const pause = pauses[serverId];
+    const server = await storage.getServer(serverId);
+    if (!pause || !server) {
+        await storage.clearProtectionPause(serverId);
+        return;
+    }
+
+    if (pause.native) {
+        // The server already resumed by itself, the status refresh is best effort
+        await storage.clearProtectionPause(serverId);
+        try {
+            await revalidate(serverId);
+        } catch (error) {
+            Logger.warn(`[Protection] Could not refresh status of ${server.name}: ${error.message}`);
+        }
+        Logger.info(`[Protection] Pause ended for ${server.name}`);
+        return;
+    }
+
+    try {
+        await apiClient.setProtectionEnabled(server, true);
+    } catch (error) {
+        Logger.error(`[Protection] Failed to resume ${server.name}, retrying in ${RESUME_RETRY_MINUTES} min:`, error);
+        await markFailed(serverId, `Pause ended but protection could not be turned back on: ${error.message}`);
+        chrome.alarms.create(ALARM_PREFIX + serverId, { delayInMinutes: RESUME_RETRY_MINUTES });
+        return;
+    }
+
+    await storage.clearProtectionPause(serverId);
+    await setCachedProtection([serverId], true);
+    Logger.info(`[Protection] Pause ended for ${server.name}`);
+}
+
+/**
+ * Resume pauses whose alarm was missed (browser closed when they ended)
+ */
+export async function resumeExpiredPauses() {
+    const pauses = await storage.getProtectionPauses();
+    const now = Date.now();
+
+    for (const [serverId, pause] of Object.entries(pauses)) {
+        if (pause.until <= now) {
+            await resumeProtection(serverId);
+        }
+    }
+}
@@ -0,0 +1,100 @@
+// Merged Query Log
+// Interleaves the query logs of a group (or every server) by time, so a device
+// can be followed whichever resolver it picks. A client configured with two
+// resolvers often sends the same query to both: copies of one query (same
+// client, name and type within DEDUP_WINDOW_MS) become a single entry that
+// lists every server that answered it.
+// Paging: a page only reaches back as far as the server whose page ended
+// newest, so no server's older entries are skipped; that point is the
+// older_than of the next page for every server.
+
+import * as storage from './storage.js';
+import * as apiClient from './api-client.js';
+import { Logger } from './helpers.js';
+
+const DEDUP_WINDOW_MS = 1000;
+
+/**
+ * Query log of a group, or of all servers
+ * @param {Object} [options]
+ * @param {string|null} [options.groupId] - Group to merge, null for all servers
+ * @param {Object} [options.params] - /control/querylog parameters, sent to every server
+ * @returns {Promise<{data: Array, oldest: string|null, unreachable: Array<{id: string, name: string, error: string}>}>}
+ *   data is newest first; each entry is a server's log entry plus
+ *   { serverId, serverName, servers: [{ id, name, reason }] }.
+ *   oldest is the older_than of the next page, null once every server's log is exhausted.
+ */
+export async function getMergedQueryLog({ groupId = null, params = {} } = {}) {
+    const servers = await storage.getScopeServers(groupId);
+
+    const results = await Promise.all(servers.map(async stored => {
+        try {
+            const server = await storage.getServer(stored.id);
+            const log = await apiClient.getQueryLog(server, params);
+            return { server, entries: log?.data || [], oldest: log?.oldest || null };
+        } catch (error) {
+            Logger.warn(`[QueryLog] ${stored.name} unavailable: ${error.message}`);
+            return { server: stored, error: error.message };
+        }
+    }));
+
+    const answered = results.filter(r => r.entries);
+
+    // Any server that returned entries may have more, even with a short page (search and
+    // response_status are filtered while the server scans a limited number of entries):
+    // the page stops where the newest of them stopped
+    const horizon = answered
+        .filter(r => r.oldest && r.entries.length > 0)
+        .map(r => r.oldest)
+        .sort((a, b) => (Date.parse(b) || 0) - (Date.parse(a) || 0))[0] || null;
+
+    const entries = answered
+        .flatMap(({ server, entries }) => entries.map(entry => ({
+            ...entry,
+            serverId: server.id,
+            serverName: server.name
+        })))
+        .filter(entry => !horizon || (Date.parse(entry.time) || 0) >= Date.parse(horizon));
+
+    return {
+        data: mergeEntries(entries),
+        oldest: horizon,
+        unreachable: results.filter(r => r.error).map(r => ({ id: r.server.id, name: r.server.name, error: r.error }))
+    };
+}
+
+/**
+ * Sort newest first and fold copies of the same query from different servers
+ * @param {Array<Object>} entries - Log entries tagged with serverId/serverName
+ * @returns {Array<Object>}
+ */
+export function mergeEntries(entries) {
+    const sorted = entries
+        .map(entry => ({ entry, at: Date.parse(entry.time) || 0 }))
+        .sort((a, b) => b.at - a.at);
+
+    const merged = [];
+    const recent = new Map(); // query key -> [{ item, at }] within the window
+
+    for (const { entry, at } of sorted) {
+        const key = `${entry.client}|${entry.question?.name}|${entry.question?.type}`;
+        const candidates = (recent.get(key) || []).filter(c => c.at - at <= DEDUP_WINDOW_MS);
+
+        // Only a copy if that server isn't already part of the entry
+        const copyOf = candidates.find(c => !c.item.servers.some(s => s.id === entry.serverId));
+        if (copyOf) {
+            copyOf.item.servers.push({ id: entry.serverId, name: entry.serverName, reason: entry.reason });
+            recent.set(key, candidates);
+            continue;
+        }
+
+        const item = {
+            ...entry,
+            servers: [{ id: entry.serverId, name: entry.serverName, reason: entry.reason }]
+        };
+        merged.push(item);
+        recent.set(key, [...candidates, { item, at }]);
+    }
+
+    return merged;
+}
@@ -0,0 +1,213 @@
+// Rule Annotations
+// Note, tags, author, creation date and source page of user rules. They're kept
+// in extension storage keyed by ruleKey() rather than as "!" comment lines on
+// the server: dedupRules, group sync and multi-server writes all match rules by
+// ruleKey, so an annotation follows its rule through all of them, and the
+// server's rule list (and every rule count) stays as it was.
+
+import * as storage from './storage.js';
+import { WRITE_STATE } from './rule-writes.js';
+import { HISTORY_ORIGIN } from './history.js';
+import { ruleKey } from './rule-parser.js';
+import { createSerializer } from './helpers.js';
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_TAGS = 10;
+
+// Popup edits, transactions and sync pruning all rewrite the one annotations key
+const serialize = createSerializer();
+
+/**
+ * Annotations of some rules
+ * @param {Array<string>} rules
+ * @returns {Promise<Object<string, Object>>} rule text -> annotation, only for annotated rules
+ */
+export async function getAnnotations(rules) {
+    const annotations = await storage.getRuleAnnotations();
+    const result = {};
+
+    for (const rule of rules || []) {
+        const annotation = annotations[ruleKey(rule)];
+        if (annotation) {
+            result[rule] = annotation;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Record who added rules, when and why
+ * A rule added again starts a new annotation: the old one described a rule that was gone.
+ * @param {Array<string>} rules
+ * @param {Object} [details]
+ * @param {string} [details.note]
+ * @param {Array<string>} [details.tags]
+ * @param {string|null} [details.source] - Page the rule was added from (context menu)
+ * @param {string} [details.origin] - HISTORY_ORIGIN value
+ * @returns {Promise<number>} Rules annotated
+ */
+export async function annotateRules(rules, { note = '', tags = [], source = null, origin = HISTORY_ORIGIN.POPUP } = {}) {
+    if (!rules || rules.length === 0) return 0;
+
+    return serialize(async () => {
+        const annotations = await storage.getRuleAnnotations();
+        const { annotationAuthor } = await storage.getSettings();
+        const now = Date.now();
+
+        for (const rule of rules) {
+            annotations[ruleKey(rule)] = {
+                rule,
+                note: cleanNote(note),
+                tags: cleanTags(tags),
+                author: annotationAuthor || null,
+                createdAt: now,
+                updatedAt: now,
+                source: source || null,
+                origin
+            };
+        }
+
+        await storage.saveRuleAnnotations(annotations);
+        return rules.length;
+    });
+}
+
+/**
+ * Annotate the rules a transaction added, on the servers that got them (or have them queued)
+ * @param {Object} transaction - applyRuleTransaction() result
+ * @param {Object} changes - The changes the transaction was given (serverId -> change)
+ * @param {Object} [details] - See annotateRules()
+ * @returns {Promise<number>} Rules annotated
+ */
+export async function annotateTransaction(transaction, changes, details = {}) {
+    const added = new Map(); // ruleKey -> rule, servers may word the same rule differently
+
+    for (const server of transaction.servers) {
+        if (server.state !== WRITE_STATE.APPLIED && server.state !== WRITE_STATE.QUEUED) continue;
+
+        const change = changes[server.serverId] || {};
+        (change.add || []).forEach(rule => added.set(ruleKey(rule), rule));
+        (change.replace || []).forEach(([, to]) => added.set(ruleKey(to), to));
+    }
+
+    return await annotateRules([...added.values()], details);
+}
+
+/**
+ * Set the note and tags of a rule, keeping author, date and source
+ * An empty note and no tags on a rule with nothing else recorded removes the annotation.
+ * @param {string} rule
+ * @param {{note?: string, tags?: Array<string>}} update
+ * @returns {Promise<Object|null>} Annotation, null if removed
+ */
+export async function updateAnnotation(rule, { note = '', tags = [] }) {
+    return serialize(async () => {
+        const annotations = await storage.getRuleAnnotations();
+        const key = ruleKey(rule);
+        const now = Date.now();
+
+        const annotation = {
+            rule,
+            author: null,
+            createdAt: null,
+            source: null,
+            origin: null,
+            ...annotations[key],
+            note: cleanNote(note),
+            tags: cleanTags(tags),
+            updatedAt: now
+        };
+
+        if (!annotation.note && annotation.tags.length === 0 && !annotation.author && !annotation.createdAt) {
+            delete annotations[key];
+        } else {
+            annotations[key] = annotation;
+        }
+
+        await storage.saveRuleAnnotations(annotations);
+        return annotations[key] || null;
+    });
+}
+
+/**
+ * Carry an annotation over to an edited rule
+ * The old rule keeps its copy: it may still be on servers the edit didn't reach.
+ * @param {string} fromRule
+ * @param {string} toRule
+ * @returns {Promise<boolean>} Whether there was an annotation to copy
+ */
+export async function copyAnnotation(fromRule, toRule) {
+    return serialize(async () => {
+        const annotations = await storage.getRuleAnnotations();
+        const annotation = annotations[ruleKey(fromRule)];
+        if (!annotation || ruleKey(fromRule) === ruleKey(toRule)) return false;
+
+        annotations[ruleKey(toRule)] = { ...annotation, rule: toRule, updatedAt: Date.now() };
+        await storage.saveRuleAnnotations(annotations);
+        return true;
+    });
+}
+
+/**
+ * Restore annotations from a backup
+ * @param {Object<string, Object>} annotations - ruleKey -> annotation, as exported
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Drop local annotations first; otherwise local ones win
+ * @returns {Promise<number>} Annotations stored
+ */
+export async function restoreAnnotations(annotations, { replace = false } = {}) {
+    return serialize(async () => {
+        const local = replace ? {} : await storage.getRuleAnnotations();
+        const merged = { ...annotations, ...local };
+        await storage.saveRuleAnnotations(merged);
+        return Object.keys(merged).length;
+    });
+}
+
+/**
+ * Drop the annotations of rules that are on no server any more
+ * Rules still waiting in the outbox keep theirs: the server hasn't got them yet.
+ * @param {Array<Array<string>>} ruleLists - Current rules of every server
+ * @param {number} fetchedAt - When the rules were fetched; annotations written since are kept
+ * @returns {Promise<number>} Annotations removed
+ */
+export async function pruneAnnotations(ruleLists, fetchedAt) {
+    return serialize(async () => {
+        const live = new Set(ruleLists.flat().map(ruleKey));
+        queuedRules(await storage.getOutbox()).forEach(rule => live.add(ruleKey(rule)));
+
+        const annotations = await storage.getRuleAnnotations();
+        const stale = Object.keys(annotations)
+            .filter(key => !live.has(key) && !(annotations[key].updatedAt >= fetchedAt));
+        if (stale.length === 0) return 0;
+
+        stale.forEach(key => delete annotations[key]);
+        await storage.saveRuleAnnotations(annotations);
+        return stale.length;
+    });
+}
+
+// ============================================================================
+// INTERNALS
+// ============================================================================
+
+function queuedRules(outbox) {
+    const rules = [];
+    for (const entry of Object.values(outbox).flat()) {
+        const { rules: whole = [], change = {} } = entry.payload || {};
+        rules.push(...whole, ...(change.add || []), ...(change.replace || []).map(([, to]) => to));
+    }
+    return rules;
+}
+
+function cleanNote(note) {
+    return String(note || '').trim().slice(0, MAX_NOTE_LENGTH);
+}
+
+function cleanTags(tags) {
+    const cleaned = (tags || [])
+        .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(cleaned)].slice(0, MAX_TAGS);
+}
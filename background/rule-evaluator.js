@@ -0,0 +1,199 @@
+// Local Rule Evaluator
+// Answers "would this hostname be blocked?" against a rule list without asking
+// a server, so the popup can preview a rule before it's saved. Mirrors AdGuard
+// Home's precedence: $important > exception (@@) > $dnsrewrite > block.
+// Pure functions only, shared with the popup like rule-parser.js.
+
+import { parseRule, ruleKey, hasModifier, isActiveRule, RULE_KIND, PATTERN_TYPE } from './rule-parser.js';
+
+/**
+ * Evaluation verdicts
+ */
+export const VERDICT = {
+    BLOCKED: 'blocked',
+    ALLOWED: 'allowed',
+    REWRITTEN: 'rewritten',
+    NONE: 'none'
+};
+
+// Hosts-file answers that mean "block" rather than "rewrite"
+const SINKHOLE_IPS = new Set(['0.0.0.0', '127.0.0.1', '::', '::1']);
+
+/**
+ * Evaluate a hostname against a rule list
+ * @param {string} hostname - Hostname being resolved
+ * @param {Array<string>} rules - Filter rules (e.g. a server's user rules plus a candidate)
+ * @param {Object} options
+ * @param {string} [options.client] - Client IP, ClientID or name making the query
+ * @param {Array<string>} [options.clientTags] - ctags of that client
+ * @param {string} [options.qtype='A'] - DNS query type
+ * @returns {{verdict: string, rule: string|null, reason: string, matches: Array<{rule: string, kind: string}>}}
+ */
+export function evaluateHost(hostname, rules, options = {}) {
+    const host = String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+    const context = {
+        client: options.client ? String(options.client).trim().toLowerCase() : null,
+        clientTags: (options.clientTags || []).map(t => t.toLowerCase()),
+        qtype: (options.qtype || 'A').toUpperCase()
+    };
+
+    const parsed = (Array.isArray(rules) ? rules : []).map(parseRule);
+
+    // $badfilter disables the otherwise identical rule
+    const cancelled = new Set(
+        parsed
+            .filter(ast => ast.kind === RULE_KIND.NETWORK && !ast.error && hasModifier(ast, 'badfilter'))
+            .map(ast => ruleKey({ ...ast, modifiers: ast.modifiers.filter(m => m.name !== 'badfilter') }))
+    );
+
+    const matches = [];
+    for (const ast of parsed) {
+        if (!isActiveRule(ast) || cancelled.has(ruleKey(ast))) continue;
+        if (!matchesHost(ast, host) || !matchesModifiers(ast, host, context)) continue;
+        matches.push({ ast, kind: matchKind(ast) });
+    }
+
+    const pick = predicate => matches.find(predicate);
+    const important = m => hasModifier(m.ast, 'important');
+
+    const winner =
+        pick(m => important(m) && m.kind === VERDICT.ALLOWED) ||
+        pick(m => important(m)) ||
+        pick(m => m.kind === VERDICT.ALLOWED) ||
+        pick(m => m.kind === VERDICT.REWRITTEN) ||
+        pick(m => m.kind === VERDICT.BLOCKED);
+
+    return {
+        verdict: winner ? winner.kind : VERDICT.NONE,
+        rule: winner ? winner.ast.text : null,
+        reason: describeWinner(winner, matches),
+        matches: matches.map(m => ({ rule: m.ast.text, kind: m.kind }))
+    };
+}
+
+function matchKind(ast) {
+    if (ast.exception) return VERDICT.ALLOWED;
+    if (ast.kind === RULE_KIND.HOSTS) {
+        return SINKHOLE_IPS.has(ast.hosts.ip) ? VERDICT.BLOCKED : VERDICT.REWRITTEN;
+    }
+    return ast.modifiers.some(m => m.name === 'dnsrewrite') ? VERDICT.REWRITTEN : VERDICT.BLOCKED;
+}
+
+function describeWinner(winner, matches) {
+    if (!winner) return 'No rule matches';
+
+    const others = matches.length - 1;
+    const overridden = others > 0 ? ` (overrides ${others} other matching rule${others === 1 ? '' : 's'})` : '';
+
+    if (hasModifier(winner.ast, 'important')) {
+        return `$important ${winner.kind === VERDICT.ALLOWED ? 'exception' : 'rule'} takes precedence${overridden}`;
+    }
+    if (winner.kind === VERDICT.ALLOWED) return `Exception rule${overridden}`;
+    if (winner.kind === VERDICT.REWRITTEN) return `DNS rewrite${overridden}`;
+    return `Blocking rule${overridden}`;
+}
+
+/**
+ * Pattern match against the hostname
+ */
+function matchesHost(ast, host) {
+    if (ast.kind === RULE_KIND.HOSTS) {
+        return ast.hosts.hostnames.some(h => h.toLowerCase().replace(/\.$/, '') === host);
+    }
+
+    if (ast.patternType === PATTERN_TYPE.REGEX) {
+        try {
+            return new RegExp(ast.pattern.slice(1, -1), 'i').test(host);
+        } catch {
+            return false;
+        }
+    }
+
+    let pattern = ast.pattern;
+    if (ast.patternType === PATTERN_TYPE.URL) {
+        pattern = '|' + pattern.substring(1).replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    }
+    return patternToRegExp(pattern).test(host);
+}
+
+/**
+ * Adblock-style pattern to RegExp, hostname-only:
+ * "||" = domain or subdomain start, "|" = anchor, "^" = separator/end, "*" = anything
+ */
+function patternToRegExp(pattern) {
+    let source = '';
+    let body = pattern;
+
+    if (body.startsWith('||')) {
+        source = '^(?:[^.]+\\.)*';
+        body = body.substring(2);
+    } else if (body.startsWith('|')) {
+        source = '^';
+        body = body.substring(1);
+    }
+
+    let suffix = '';
+    if (body.endsWith('|')) {
+        suffix = '$';
+        body = body.slice(0, -1);
+    }
+
+    for (const ch of body) {
+        if (ch === '*') source += '.*';
+        else if (ch === '^') source += '(?:[^a-z0-9_.%-]|$)';
+        else source += ch.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+    }
+
+    return new RegExp(source + suffix, 'i');
+}
+
+/**
+ * $client, $ctag, $denyallow and $dnstype restrictions
+ */
+function matchesModifiers(ast, host, context) {
+    for (const { name, value } of ast.modifiers) {
+        switch (name) {
+            case 'client': {
+                // Client-restricted rules never apply to an unknown client
+                if (!context.client) return false;
+                if (!matchesValueList(value, item => unquote(item).toLowerCase() === context.client)) return false;
+                break;
+            }
+            case 'ctag': {
+                if (!matchesValueList(value, item => context.clientTags.includes(item.toLowerCase()))) return false;
+                break;
+            }
+            case 'denyallow': {
+                const denied = value.split('|').some(domain => {
+                    const d = domain.trim().toLowerCase();
+                    return d && (host === d || host.endsWith(`.${d}`));
+                });
+                if (denied) return false;
+                break;
+            }
+            case 'dnstype': {
+                if (!matchesValueList(value, item => item.toUpperCase() === context.qtype)) return false;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+    return true;
+}
+
+/**
+ * "a|b|~c" lists: any positive item matches, or only negations that all miss
+ */
+function matchesValueList(value, test) {
+    const items = value.split('|').map(i => i.trim()).filter(Boolean);
+    const positive = items.filter(i => !i.startsWith('~'));
+    const negative = items.filter(i => i.startsWith('~')).map(i => i.substring(1));
+
+    if (negative.some(test)) return false;
+    return positive.length === 0 || positive.some(test);
+}
+
+function unquote(value) {
+    return value.replace(/^(['"])(.*)\1$/, '$2').replace(/\\(.)/g, '$1');
+}
@@ -0,0 +1,224 @@
+// Bulk Rule Import
+// Turns pasted text or an uploaded list (AdGuard syntax, hosts file, plain
+// domain list, Pi-hole regex list) into AdGuard rules, and plans which of them
+// each target server is missing. Pure functions only, shared with the popup
+// like rule-parser.js.
+
+import { parseRule, validateRule, ruleKey, RULE_KIND } from './rule-parser.js';
+
+/**
+ * Input formats; AUTO detects the format of every line
+ */
+export const IMPORT_FORMAT = {
+    AUTO: 'auto',
+    ADGUARD: 'adguard',
+    HOSTS: 'hosts',
+    DOMAINS: 'domains',
+    REGEX: 'regex'
+};
+
+/**
+ * Status of an imported rule in the preview
+ * - new: missing on at least one target server
+ * - existing: already on every target server
+ * - repeated: appears earlier in the same import
+ * - invalid: doesn't parse (error says why)
+ */
+export const IMPORT_STATUS = {
+    NEW: 'new',
+    EXISTING: 'existing',
+    REPEATED: 'repeated',
+    INVALID: 'invalid'
+};
+
+// Hosts-file answers that mean "block"; anything else is kept as a rewrite
+const SINKHOLE_IPS = new Set(['0.0.0.0', '127.0.0.1', '::', '::1']);
+
+// Standard hosts-file entries that aren't blocklist content
+const LOCAL_HOSTNAMES = new Set([
+    'localhost', 'localhost.localdomain', 'local', 'broadcasthost', '0.0.0.0',
+    'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+    'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts'
+]);
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?\.)+[a-z0-9-]{2,63}\.?$/i;
+
+/**
+ * Convert import text to rules
+ * @param {string} text - Pasted text or file contents
+ * @param {Object} [options]
+ * @param {string} [options.format='auto'] - IMPORT_FORMAT value
+ * @param {boolean} [options.allow=false] - Turn converted domains/regexes into exceptions (@@), e.g. a Pi-hole allowlist
+ * @returns {{entries: Array<{lineNumber: number, source: string, rule: string|null, format: string, status: string|null, error: string|null}>, skipped: number}}
+ *   One entry per produced rule (a hosts line may list several hostnames); status is
+ *   INVALID or REPEATED when known from the text alone, otherwise null until planImport().
+ *   skipped counts blank lines, comments and local hosts-file entries.
+ */
+export function parseImportText(text, { format = IMPORT_FORMAT.AUTO, allow = false } = {}) {
+    const entries = [];
+    const seen = new Set();
+    let skipped = 0;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const source = rawLine.trim();
+        const lineNumber = index + 1;
+
+        if (!source || source.startsWith('!') || source.startsWith('#')) {
+            skipped++;
+            return;
+        }
+
+        const converted = convertLine(source, format, allow);
+        if (converted.rules.length === 0 && !converted.error) {
+            skipped++;
+            return;
+        }
+        if (converted.error) {
+            entries.push({ lineNumber, source, rule: null, format: converted.format, status: IMPORT_STATUS.INVALID, error: converted.error });
+            return;
+        }
+
+        for (const rule of converted.rules) {
+            const validation = validateRule(rule);
+            if (!validation.valid) {
+                entries.push({ lineNumber, source, rule, format: converted.format, status: IMPORT_STATUS.INVALID, error: validation.error });
+                continue;
+            }
+
+            const key = ruleKey(validation.ast);
+            const repeated = seen.has(key);
+            seen.add(key);
+            entries.push({ lineNumber, source, rule, format: converted.format, status: repeated ? IMPORT_STATUS.REPEATED : null, error: null });
+        }
+    });
+
+    return { entries, skipped };
+}
+
+/**
+ * Flag rules the target servers already have and collect what each one is missing
+ * @param {Array<Object>} entries - parseImportText().entries
+ * @param {Object<string, Array<string>>} currentRules - serverId -> the server's current user rules
+ * @returns {{entries: Array<Object>, additions: Object<string, Array<string>>}}
+ *   entries gain status (NEW/EXISTING) and existsOn (serverIds that have the rule);
+ *   additions maps each serverId to the rules to append, in import order
+ */
+export function planImport(entries, currentRules) {
+    const serverIds = Object.keys(currentRules);
+    const existingKeys = Object.fromEntries(
+        serverIds.map(id => [id, new Set((currentRules[id] || []).map(rule => ruleKey(rule)))])
+    );
+    const additions = Object.fromEntries(serverIds.map(id => [id, []]));
+
+    const planned = entries.map(entry => {
+        if (entry.status === IMPORT_STATUS.INVALID || entry.status === IMPORT_STATUS.REPEATED) {
+            return { ...entry, existsOn: [] };
+        }
+
+        const key = ruleKey(entry.rule);
+        const existsOn = serverIds.filter(id => existingKeys[id].has(key));
+        for (const id of serverIds) {
+            if (!existingKeys[id].has(key)) additions[id].push(entry.rule);
+        }
+
+        return {
+            ...entry,
+            status: existsOn.length === serverIds.length && serverIds.length > 0 ? IMPORT_STATUS.EXISTING : IMPORT_STATUS.NEW,
+            existsOn
+        };
+    });
+
+    return { entries: planned, additions };
+}
+
+// ============================================================================
+// INTERNALS
+// ============================================================================
+
+/**
+ * One line to rules
+ * @returns {{rules: Array<string>, format: string, error: string|null}}
+ */
+function convertLine(line, format, allow) {
+    const prefix = allow ? '@@' : '';
+
+    switch (format) {
+        case IMPORT_FORMAT.ADGUARD:
+            return { rules: [line], format, error: null };
+
+        case IMPORT_FORMAT.HOSTS:
+            return convertHostsLine(line, prefix);
+
+        case IMPORT_FORMAT.DOMAINS: {
+            const domain = stripInlineComment(line).toLowerCase();
+            return DOMAIN_PATTERN.test(domain)
+                ? { rules: [`${prefix}||${domain.replace(/\.$/, '')}^`], format, error: null }
+                : { rules: [], format, error: 'Not a domain name' };
+        }
+
+        case IMPORT_FORMAT.REGEX:
+            return convertRegexLine(stripInlineComment(line), prefix);
+
+        default:
+            return detectLine(line, prefix);
+    }
+}
+
+/**
+ * AUTO: hosts line, plain domain, AdGuard rule or Pi-hole regex
+ */
+function detectLine(line, prefix) {
+    const ast = parseRule(line);
+    if (ast.kind === RULE_KIND.HOSTS) {
+        return convertHostsLine(line, prefix);
+    }
+
+    const domain = stripInlineComment(line).toLowerCase();
+    if (DOMAIN_PATTERN.test(domain)) {
+        return { rules: [`${prefix}||${domain.replace(/\.$/, '')}^`], format: IMPORT_FORMAT.DOMAINS, error: null };
+    }
+
+    // AdGuard syntax markers: ||, @@, |, /regex/, or a ^ separator after the host
+    if (/^(\|\||@@|\|)/.test(line) || /^\/.*\/(\$.*)?$/.test(line) || /[^\\]\^($|\$)/.test(line)) {
+        return { rules: [line], format: IMPORT_FORMAT.ADGUARD, error: null };
+    }
+
+    // Pi-hole regex lines are bare expressions such as "^ad[0-9]*\.example\.com$"
+    if (/^\^|\$$|\\/.test(line)) {
+        return convertRegexLine(stripInlineComment(line), prefix);
+    }
+
+    // A bare word would become a substring rule matching far more than intended
+    return { rules: [], format: IMPORT_FORMAT.AUTO, error: 'Not a domain, hosts line or rule (pick the AdGuard format to import it as-is)' };
+}
+
+function convertHostsLine(line, prefix) {
+    const ast = parseRule(line);
+    if (ast.kind !== RULE_KIND.HOSTS) {
+        return { rules: [], format: IMPORT_FORMAT.HOSTS, error: 'Not a hosts-file line ("IP hostname")' };
+    }
+
+    const hostnames = ast.hosts.hostnames
+        .map(h => h.toLowerCase().replace(/\.$/, ''))
+        .filter(h => !LOCAL_HOSTNAMES.has(h));
+
+    // 0.0.0.0 / 127.0.0.1 entries block; other addresses stay hosts lines (rewrites)
+    const rules = SINKHOLE_IPS.has(ast.hosts.ip)
+        ? hostnames.map(h => `${prefix}||${h}^`)
+        : (hostnames.length > 0 ? [`${ast.hosts.ip} ${hostnames.join(' ')}`] : []);
+
+    return { rules, format: IMPORT_FORMAT.HOSTS, error: null };
+}
+
+function convertRegexLine(expression, prefix) {
+    try {
+        new RegExp(expression);
+    } catch (e) {
+        return { rules: [], format: IMPORT_FORMAT.REGEX, error: e.message };
+    }
+    return { rules: [`${prefix}/${expression}/`], format: IMPORT_FORMAT.REGEX, error: null };
+}
+
+function stripInlineComment(line) {
+    return line.replace(/\s+#.*$/, '').trim();
+}
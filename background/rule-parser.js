@@ -0,0 +1,348 @@
+// AdGuard DNS Filter Rule Parser
+// Turns one line of filter syntax into a small AST that counting, dedup,
+// validation and the popup charts all share. Pure functions only (no chrome
+// APIs) so popup views can import this module directly.
+
+/**
+ * Rule kinds produced by parseRule
+ */
+export const RULE_KIND = {
+    EMPTY: 'empty',
+    COMMENT: 'comment',
+    NETWORK: 'network',
+    HOSTS: 'hosts'
+};
+
+/**
+ * Pattern types of network rules
+ * - domain: "||example.org^" (domain and subdomains)
+ * - url:    "|http://example.org" (start-anchored)
+ * - regex:  "/ex.*\.org/"
+ * - plain:  "example.org" (substring of the hostname)
+ */
+export const PATTERN_TYPE = {
+    DOMAIN: 'domain',
+    URL: 'url',
+    REGEX: 'regex',
+    PLAIN: 'plain'
+};
+
+/**
+ * Modifiers AdGuard Home understands in DNS filtering rules
+ * Value: whether the modifier takes a "=value"
+ */
+const KNOWN_MODIFIERS = {
+    important: false,
+    badfilter: false,
+    client: true,
+    ctag: true,
+    denyallow: true,
+    dnstype: true,
+    dnsrewrite: true
+};
+
+const IPV4_PATTERN = /^(\d{1,3})(\.\d{1,3}){3}$/;
+const IPV6_PATTERN = /^[0-9a-f:]*:[0-9a-f:.]*(%\S+)?$/i;
+const HOST_PATTERN = /^[a-z0-9_*]([a-z0-9_*-]*[a-z0-9_*])?(\.[a-z0-9_*]([a-z0-9_*-]*[a-z0-9_*])?)*\.?$/i;
+
+/**
+ * Parse a single filter rule
+ * @param {string} rule - Raw rule text
+ * @returns {Object} AST:
+ *   { text, kind, exception, pattern, patternType, hostname, hosts, modifiers, error }
+ *   - hostname: literal host the pattern targets (may contain '*'), null for regex/paths
+ *   - hosts: { ip, hostnames } for hosts-file lines
+ *   - modifiers: [{ name, value, negated }]
+ *   - error: parse error message, null when the rule is valid
+ */
+export function parseRule(rule) {
+    const text = typeof rule === 'string' ? rule.trim() : '';
+    const ast = {
+        text,
+        kind: RULE_KIND.EMPTY,
+        exception: false,
+        pattern: '',
+        patternType: null,
+        hostname: null,
+        hosts: null,
+        modifiers: [],
+        error: null
+    };
+
+    if (!text) return ast;
+
+    if (text.startsWith('!') || text.startsWith('#')) {
+        ast.kind = RULE_KIND.COMMENT;
+        return ast;
+    }
+
+    const hosts = parseHostsLine(text);
+    if (hosts) {
+        ast.kind = RULE_KIND.HOSTS;
+        ast.hosts = hosts;
+        ast.pattern = hosts.hostnames.join(' ');
+        ast.hostname = hosts.hostnames[0];
+        return ast;
+    }
+
+    ast.kind = RULE_KIND.NETWORK;
+
+    let body = text;
+    if (body.startsWith('@@')) {
+        ast.exception = true;
+        body = body.substring(2);
+    }
+
+    const { pattern, modifierText } = splitModifiers(body);
+    ast.pattern = pattern;
+
+    if (modifierText !== null) {
+        const parsed = parseModifiers(modifierText);
+        ast.modifiers = parsed.modifiers;
+        ast.error = parsed.error;
+    }
+
+    if (!pattern) {
+        ast.error = ast.error || 'Rule has no pattern';
+        return ast;
+    }
+
+    if (isRegexPattern(pattern)) {
+        ast.patternType = PATTERN_TYPE.REGEX;
+        try {
+            new RegExp(pattern.slice(1, -1));
+        } catch (e) {
+            ast.error = ast.error || e.message;
+        }
+        return ast;
+    }
+
+    if (pattern.startsWith('||')) {
+        ast.patternType = PATTERN_TYPE.DOMAIN;
+        ast.hostname = extractHost(pattern.substring(2));
+    } else if (pattern.startsWith('|')) {
+        ast.patternType = PATTERN_TYPE.URL;
+        ast.hostname = extractHost(pattern.substring(1).replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''));
+    } else {
+        ast.patternType = PATTERN_TYPE.PLAIN;
+        ast.hostname = extractHost(pattern);
+    }
+
+    return ast;
+}
+
+/**
+ * Whether a parsed rule carries a modifier
+ * @param {Object} ast - parseRule result
+ * @param {string} name - Modifier name
+ * @returns {boolean}
+ */
+export function hasModifier(ast, name) {
+    return ast.modifiers.some(m => m.name === name && !m.negated);
+}
+
+/**
+ * Value of a modifier, or null when absent / valueless
+ * @param {Object} ast - parseRule result
+ * @param {string} name - Modifier name
+ * @returns {string|null}
+ */
+export function getModifier(ast, name) {
+    const modifier = ast.modifiers.find(m => m.name === name);
+    return modifier ? modifier.value : null;
+}
+
+/**
+ * Whether a parsed rule filters anything at all
+ * Comments, invalid rules and $badfilter rules (which only cancel other rules) are inactive
+ * @param {Object} ast - parseRule result
+ * @returns {boolean}
+ */
+export function isActiveRule(ast) {
+    if (ast.kind !== RULE_KIND.NETWORK && ast.kind !== RULE_KIND.HOSTS) return false;
+    if (ast.error) return false;
+    return !hasModifier(ast, 'badfilter');
+}
+
+/**
+ * Classify a rule from its AST
+ * - Exception rules (@@) = 'allow'
+ * - Any other active rule (||, |, regex, plain, hosts, $dnsrewrite) = 'block'
+ * - Comments, empty, invalid and $badfilter rules = 'disabled'
+ * @param {string|Object} rule - Rule text or parseRule result
+ * @returns {'allow'|'block'|'disabled'}
+ */
+export function classifyParsedRule(rule) {
+    const ast = typeof rule === 'string' ? parseRule(rule) : rule;
+    if (!isActiveRule(ast)) return 'disabled';
+    return ast.exception ? 'allow' : 'block';
+}
+
+/**
+ * Canonical form used for dedup: case-insensitive host patterns and
+ * order-independent modifiers, so "||A.com^$important,client=x" and
+ * "||a.com^$client=x,important" count once
+ * @param {string|Object} rule - Rule text or parseRule result
+ * @returns {string} Key ('' for empty rules)
+ */
+export function ruleKey(rule) {
+    const ast = typeof rule === 'string' ? parseRule(rule) : rule;
+
+    switch (ast.kind) {
+        case RULE_KIND.EMPTY:
+            return '';
+        case RULE_KIND.COMMENT:
+            return ast.text;
+        case RULE_KIND.HOSTS:
+            return `${ast.hosts.ip} ${ast.hosts.hostnames.map(h => h.toLowerCase()).join(' ')}`;
+        default: {
+            // Keep invalid rules verbatim so distinct typos don't collapse
+            if (ast.error) return ast.text;
+
+            const pattern = ast.patternType === PATTERN_TYPE.REGEX ? ast.pattern : ast.pattern.toLowerCase();
+            const modifiers = ast.modifiers
+                .map(m => `${m.negated ? '~' : ''}${m.name}${m.value !== null ? `=${m.value}` : ''}`)
+                .sort();
+            return `${ast.exception ? '@@' : ''}${pattern}${modifiers.length ? `$${modifiers.join(',')}` : ''}`;
+        }
+    }
+}
+
+/**
+ * Validate a rule before it's written to a server
+ * @param {string} rule - Rule text
+ * @returns {{valid: boolean, error: string|null, ast: Object}}
+ */
+export function validateRule(rule) {
+    const ast = parseRule(rule);
+    if (ast.kind === RULE_KIND.EMPTY) {
+        return { valid: false, error: 'Rule is empty', ast };
+    }
+    return { valid: !ast.error, error: ast.error, ast };
+}
+
+// ============================================================================
+// INTERNALS
+// ============================================================================
+
+/**
+ * "IP host [host...]" with an optional trailing "# comment"
+ */
+function parseHostsLine(text) {
+    const withoutComment = text.split('#')[0].trim();
+    const parts = withoutComment.split(/\s+/);
+    if (parts.length < 2) return null;
+
+    const [ip, ...hostnames] = parts;
+    if (!isIpAddress(ip)) return null;
+    if (!hostnames.every(h => HOST_PATTERN.test(h) && !h.includes('*'))) return null;
+
+    return { ip, hostnames };
+}
+
+function isIpAddress(value) {
+    if (IPV4_PATTERN.test(value)) {
+        return value.split('.').every(octet => Number(octet) <= 255);
+    }
+    return value.includes(':') && IPV6_PATTERN.test(value);
+}
+
+function isRegexPattern(pattern) {
+    return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+}
+
+/**
+ * Split "pattern$modifiers"
+ * Regex patterns may contain '$' themselves, so only a '$' after the closing slash counts
+ */
+function splitModifiers(body) {
+    if (body.startsWith('/')) {
+        const closing = body.lastIndexOf('/');
+        if (closing > 0) {
+            const rest = body.substring(closing + 1);
+            if (rest === '') return { pattern: body, modifierText: null };
+            if (rest.startsWith('$')) {
+                return { pattern: body.substring(0, closing + 1), modifierText: rest.substring(1) };
+            }
+        }
+    }
+
+    const dollarIndex = body.lastIndexOf('$');
+    if (dollarIndex === -1) return { pattern: body, modifierText: null };
+
+    return {
+        pattern: body.substring(0, dollarIndex),
+        modifierText: body.substring(dollarIndex + 1)
+    };
+}
+
+/**
+ * Parse "name[=value],..." honouring quoted $client values and "\," escapes
+ */
+function parseModifiers(modifierText) {
+    const modifiers = [];
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < modifierText.length; i++) {
+        const ch = modifierText[i];
+        if (ch === '\\' && i + 1 < modifierText.length) {
+            current += ch + modifierText[++i];
+            continue;
+        }
+        if (quote) {
+            if (ch === quote) quote = null;
+            current += ch;
+            continue;
+        }
+        if (ch === '\'' || ch === '"') {
+            quote = ch;
+            current += ch;
+            continue;
+        }
+        if (ch === ',') {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    parts.push(current);
+
+    for (const part of parts) {
+        const trimmed = part.trim();
+        if (!trimmed) {
+            return { modifiers, error: 'Empty modifier' };
+        }
+
+        const negated = trimmed.startsWith('~');
+        const body = negated ? trimmed.substring(1) : trimmed;
+        const eqIndex = body.indexOf('=');
+        const name = (eqIndex === -1 ? body : body.substring(0, eqIndex)).toLowerCase();
+        const value = eqIndex === -1 ? null : body.substring(eqIndex + 1);
+
+        if (!(name in KNOWN_MODIFIERS)) {
+            return { modifiers, error: `Unknown modifier: ${name}` };
+        }
+        // $dnsrewrite may be bare (empty NOERROR response); the others need a value
+        if (KNOWN_MODIFIERS[name] && name !== 'dnsrewrite' && !value) {
+            return { modifiers, error: `Modifier $${name} needs a value` };
+        }
+        if (!KNOWN_MODIFIERS[name] && value !== null) {
+            return { modifiers, error: `Modifier $${name} takes no value` };
+        }
+
+        modifiers.push({ name, value, negated });
+    }
+
+    return { modifiers, error: null };
+}
+
+/**
+ * Host part of a pattern body: stops at the separator (^), a path, a port or an anchor
+ */
+function extractHost(patternBody) {
+    const host = patternBody.split(/[\^/|:]/)[0];
+    return host && HOST_PATTERN.test(host) ? host.toLowerCase() : null;
+}
@@ -0,0 +1,221 @@
+// Multi-Server Rule Writes
+// Applies one rule change to several servers as a transaction: every target's
+// rules are snapshotted first, then written one by one. If any server fails,
+// the servers already written are restored from their snapshot (rollback), or
+// the failed servers get the change queued in the outbox (retry), depending on
+// the writeFailureMode setting or the caller's choice.
+// Changes are operations (add/remove/replace), not full rule lists, so a
+// queued change is re-applied to whatever the server has when it's replayed.
+
+import * as storage from './storage.js';
+import * as apiClient from './api-client.js';
+import { snapshotBeforeWrite, HISTORY_ORIGIN } from './history.js';
+import { isSameData } from './data-types.js';
+import * as outbox from './outbox.js';
+import { applyRuleChange, generateUUID, Logger } from './helpers.js';
+import { ruleKey } from './rule-parser.js';
+
+/**
+ * What happens to a transaction when a server fails
+ * - rollback: restore the servers already written, so all targets stay in sync
+ * - retry: keep the servers already written and queue the change for the failed ones in the outbox
+ *   (only failures a retry can get past: unreachable, 429, 5xx; rejected writes stay failed)
+ */
+export const WRITE_FAILURE_MODE = {
+    ROLLBACK: 'rollback',
+    RETRY: 'retry'
+};
+
+/**
+ * Final state of one server in a transaction
+ */
+export const WRITE_STATE = {
+    APPLIED: 'applied',
+    UNCHANGED: 'unchanged',             // Already had the change, nothing written
+    FAILED: 'failed',
+    SKIPPED: 'skipped',                 // Not written because another server failed (rollback mode)
+    ROLLED_BACK: 'rolled-back',
+    ROLLBACK_FAILED: 'rollback-failed', // Not restored (write failed, or the rules changed since); error says why
+    QUEUED: 'queued'                    // Failed, will be retried in the background
+};
+
+/**
+ * Outcome of a whole transaction
+ * - committed: every server has the change
+ * - rolled-back: a server failed and no server kept the change
+ * - queued: a server failed, the others have the change and the failed ones will be retried
+ * - partial: servers disagree and nothing will fix it (failed rollback, or a failure that can't be queued)
+ */
+export const TRANSACTION_STATUS = {
+    COMMITTED: 'committed',
+    ROLLED_BACK: 'rolled-back',
+    QUEUED: 'queued',
+    PARTIAL: 'partial'
+};
+
+/**
+ * Write a rule change to several servers, all or nothing
+ * @param {Object} options
+ * @param {Object<string, {add?: Array<string>, remove?: Array<string>, replace?: Array<[string, string]>}>} options.changes - serverId -> change
+ * @param {string} [options.onFailure] - WRITE_FAILURE_MODE value, defaults to the writeFailureMode setting
+ * @param {string} [options.origin] - HISTORY_ORIGIN value
+ * @returns {Promise<{id: string, status: string, mode: string, servers: Array<{serverId: string, name: string|null, state: string, error: string|null, added: number}>}>}
+ *   added: rules the server didn't have before (applied servers only)
+ */
+export async function applyRuleTransaction({ changes, onFailure = null, origin = HISTORY_ORIGIN.POPUP }) {
+    const mode = onFailure || (await storage.getSettings()).writeFailureMode || WRITE_FAILURE_MODE.ROLLBACK;
+    const id = generateUUID();
+
+    // Snapshot every target before anything is written
+    const targets = [];
+    for (const [serverId, change] of Object.entries(changes || {})) {
+        const target = { serverId, name: null, server: null, change, before: null, after: null, state: null, error: null, retryable: false };
+        targets.push(target);
+
+        try {
+            target.server = await storage.getServer(serverId);
+            if (!target.server) {
+                throw new Error('Server not found');
+            }
+            target.name = target.server.name;
+
+            // Writing ahead of undelivered changes would reorder them (retry mode queues it behind them)
+            const pending = await outbox.flush(serverId);
+            if (pending > 0) {
+                target.retryable = true;
+                throw new Error(`${pending} earlier change(s) not delivered yet`);
+            }
+
+            target.before = await apiClient.getUserRules(target.server);
+            target.after = applyRuleChange(target.before, change);
+            if (sameRules(target.before, target.after)) {
+                target.state = WRITE_STATE.UNCHANGED;
+            }
+        } catch (error) {
+            target.state = WRITE_STATE.FAILED;
+            target.error = error.message;
+            target.retryable = target.retryable || apiClient.isTransientError(error);
+        }
+    }
+
+    const hasFailure = () => targets.some(t => t.state === WRITE_STATE.FAILED);
+
+    for (const target of targets) {
+        if (target.state) continue;
+
+        // No point writing more servers that would only be rolled back
+        if (mode === WRITE_FAILURE_MODE.ROLLBACK && hasFailure()) {
+            target.state = WRITE_STATE.SKIPPED;
+            continue;
+        }
+
+        try {
+            await snapshotBeforeWrite(target.server, 'customRules', origin, target.before);
+            await apiClient.setRules(target.server, target.after);
+            target.state = WRITE_STATE.APPLIED;
+        } catch (error) {
+            Logger.warn(`[RuleWrites] Write to ${target.name} failed: ${error.message}`);
+            target.state = WRITE_STATE.FAILED;
+            target.error = error.message;
+            target.retryable = apiClient.isTransientError(error);
+        }
+    }
+
+    if (hasFailure()) {
+        if (mode === WRITE_FAILURE_MODE.ROLLBACK) {
+            await rollback(targets);
+        } else {
+            await queueFailed(targets, origin);
+        }
+    }
+
+    // Written or restored servers need fresh data on next load
+    for (const target of targets) {
+        if (target.state !== WRITE_STATE.UNCHANGED && target.state !== WRITE_STATE.SKIPPED && target.server) {
+            await storage.clearCache(target.serverId);
+        }
+    }
+
+    const status = getStatus(targets);
+    Logger.info(`[RuleWrites] Transaction ${id} ${status} (${targets.map(t => `${t.name || t.serverId}: ${t.state}`).join(', ')})`);
+
+    return {
+        id,
+        status,
+        mode,
+        servers: targets.map(({ serverId, name, state, error, before, after }) => ({
+            serverId,
+            name,
+            state,
+            error,
+            added: state === WRITE_STATE.APPLIED ? countAdded(before, after) : 0
+        }))
+    };
+}
+
+// ============================================================================
+// INTERNALS
+// ============================================================================
+
+async function rollback(targets) {
+    for (const target of targets) {
+        if (target.state !== WRITE_STATE.APPLIED) continue;
+
+        try {
+            // Someone else edited the rules after our write: restoring would clobber their edit
+            const current = await apiClient.getUserRules(target.server);
+            if (!isSameData('customRules', current, target.after)) {
+                throw new Error('Rules changed on the server since the write, not restored');
+            }
+
+            await apiClient.setRules(target.server, target.before);
+            target.state = WRITE_STATE.ROLLED_BACK;
+        } catch (error) {
+            Logger.error(`[RuleWrites] Rollback of ${target.name} failed:`, error);
+            target.state = WRITE_STATE.ROLLBACK_FAILED;
+            target.error = error.message;
+        }
+    }
+}
+
+async function queueFailed(targets, origin) {
+    for (const target of targets) {
+        // A deleted server can't come back, and a rejected write (credentials, invalid rules)
+        // would only be rejected again on every replay: those stay failed
+        if (target.state !== WRITE_STATE.FAILED || !target.server || !target.retryable) continue;
+
+        await outbox.enqueue(target.serverId, outbox.MUTATION.RULE_CHANGE, { change: target.change }, {
+            origin,
+            lastError: target.error
+        });
+        target.state = WRITE_STATE.QUEUED;
+    }
+}
+
+function getStatus(targets) {
+    const states = targets.map(t => t.state);
+
+    if (states.every(s => s === WRITE_STATE.APPLIED || s === WRITE_STATE.UNCHANGED)) {
+        return TRANSACTION_STATUS.COMMITTED;
+    }
+    if (states.includes(WRITE_STATE.ROLLBACK_FAILED)) {
+        return TRANSACTION_STATUS.PARTIAL;
+    }
+    // A failure that wasn't queued only leaves servers apart if another one has the change
+    if (states.includes(WRITE_STATE.FAILED)) {
+        return states.includes(WRITE_STATE.APPLIED) ? TRANSACTION_STATUS.PARTIAL : TRANSACTION_STATUS.ROLLED_BACK;
+    }
+    if (states.includes(WRITE_STATE.QUEUED)) {
+        return TRANSACTION_STATUS.QUEUED;
+    }
+    return TRANSACTION_STATUS.ROLLED_BACK;
+}
+
+function countAdded(before, after) {
+    const existing = new Set(before.map(rule => ruleKey(rule)));
+    return after.filter(rule => !existing.has(ruleKey(rule))).length;
+}
+
+function sameRules(a, b) {
+    return a.length === b.length && a.every((rule, i) => rule === b[i]);
+}
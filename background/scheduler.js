@@ -0,0 +1,184 @@
+// Scheduled Sync
+// Runs group sync headlessly on a per-group interval via chrome.alarms
+
+import * as storage from './storage.js';
+import * as syncEngine from './sync-engine.js';
+import { Logger } from './helpers.js';
+
+const ALARM_PREFIX = 'group-sync:';
+const MIN_INTERVAL_MINUTES = 5;
+
+const BADGE_COLOR = '#dc3545';
+
+// ============================================================================
+// ALARM MANAGEMENT
+// ============================================================================
+
+/**
+ * Recreate alarms for all groups from their schedule settings
+ * Safe to call repeatedly (startup, install, after group changes).
+ */
+export async function rescheduleAll() {
+    const groups = await storage.getGroups();
+    const alarms = await chrome.alarms.getAll();
+    const wanted = new Map();
+
+    for (const group of groups) {
+        if (group.schedule?.enabled && (group.serverIds || []).length >= 2) {
+            const interval = Math.max(MIN_INTERVAL_MINUTES, Number(group.schedule.intervalMinutes) || 60);
+            wanted.set(ALARM_PREFIX + group.id, interval);
+        }
+    }
+
+    // Drop alarms for removed/disabled groups or changed intervals
+    for (const alarm of alarms) {
+        if (!alarm.name.startsWith(ALARM_PREFIX)) continue;
+        if (wanted.get(alarm.name) !== alarm.periodInMinutes) {
+            await chrome.alarms.clear(alarm.name);
+        }
+    }
+
+    const existing = new Set((await chrome.alarms.getAll()).map(a => a.name));
+    for (const [name, interval] of wanted) {
+        if (!existing.has(name)) {
+            chrome.alarms.create(name, { delayInMinutes: interval, periodInMinutes: interval });
+            Logger.info(`[Scheduler] Scheduled ${name} every ${interval} min`);
+        }
+    }
+
+    await updateFailureBadge();
+}
+
+/**
+ * Alarm listener entry point
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {Promise<boolean>} True if the alarm belonged to the scheduler
+ */
+export async function handleAlarm(alarm) {
+    if (!alarm.name.startsWith(ALARM_PREFIX)) return false;
+
+    const groupId = alarm.name.slice(ALARM_PREFIX.length);
+    await runScheduledSync(groupId);
+    return true;
+}
+
+// ============================================================================
+// SYNC RUN
+// ============================================================================
+
+/**
+ * Sync one group headlessly and record the outcome
+ * @param {string} groupId
+ * @param {Date} [now] - For quiet hours evaluation
+ */
+export async function runScheduledSync(groupId, now = new Date()) {
+    const group = await storage.getGroup(groupId);
+    if (!group || !group.schedule?.enabled) {
+        // Group deleted or schedule turned off since the alarm was created
+        await chrome.alarms.clear(ALARM_PREFIX + groupId);
+        return null;
+    }
+
+    // Its drift only goes out from Sync Preview, once approved
+    if (group.requireApproval) {
+        Logger.info(`[Scheduler] Group "${group.name}" requires approval, skipping`);
+        return await storage.setSyncOutcome(groupId, {
+            status: 'skipped',
+            message: 'Requires approval',
+            failures: []
+        });
+    }
+
+    if (isWithinQuietHours(group.schedule.quietHours, now)) {
+        Logger.info(`[Scheduler] Group "${group.name}" in quiet hours, skipping`);
+        return await storage.setSyncOutcome(groupId, {
+            status: 'skipped',
+            message: 'Quiet hours',
+            failures: []
+        });
+    }
+
+    let outcome;
+    try {
+        const { outcomes, unreachable } = await syncEngine.applyGroupSync(groupId, null);
+        const failures = [
+            ...unreachable.map(name => ({ serverName: name, error: 'Unreachable' })),
+            ...outcomes.filter(o => !o.success && !o.skipped).map(o => ({ serverName: o.serverName, type: o.type, error: o.error }))
+        ];
+        const pushed = outcomes.filter(o => o.success).length;
+
+        if (failures.length === 0) {
+            outcome = {
+                status: 'success',
+                message: pushed > 0 ? `Repaired ${pushed} drift${pushed === 1 ? '' : 's'}` : 'In sync',
+                failures
+            };
+        } else {
+            const total = (group.serverIds || []).length;
+            const failedServers = new Set(failures.map(f => f.serverName)).size;
+            outcome = {
+                status: failedServers >= total ? 'failed' : 'partial',
+                message: `${failedServers} of ${total} servers failed`,
+                failures
+            };
+        }
+    } catch (error) {
+        Logger.error(`[Scheduler] Scheduled sync failed for group "${group.name}":`, error);
+        outcome = { status: 'failed', message: error.message, failures: [] };
+    }
+
+    Logger.info(`[Scheduler] Group "${group.name}": ${outcome.status} - ${outcome.message}`);
+    const saved = await storage.setSyncOutcome(groupId, outcome);
+    await updateFailureBadge();
+    return saved;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check whether a time falls within quiet hours ("HH:MM" local time)
+ * A window whose end is before its start wraps past midnight (e.g. 22:00-07:00).
+ * @param {{enabled: boolean, start: string, end: string}} quietHours
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isWithinQuietHours(quietHours, now = new Date()) {
+    if (!quietHours?.enabled) return false;
+
+    const toMinutes = (value) => {
+        const [h, m] = String(value || '').split(':').map(Number);
+        return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+    };
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * Show the number of groups whose last scheduled sync failed on the toolbar icon
+ */
+export async function updateFailureBadge() {
+    const outcomes = await storage.getSyncOutcomes();
+    const failing = Object.values(outcomes).filter(o => o.status === 'failed' || o.status === 'partial').length;
+
+    try {
+        await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+        await chrome.action.setBadgeText({ text: failing > 0 ? String(failing) : '' });
+        await chrome.action.setTitle({
+            title: failing > 0
+                ? `AdGuard Home Manager - scheduled sync failed for ${failing} group${failing === 1 ? '' : 's'}`
+                : 'AdGuard Home Manager'
+        });
+    } catch (error) {
+        Logger.warn('[Scheduler] Failed to update badge:', error.message);
+    }
+}
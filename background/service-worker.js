@@ -4,7 +4,20 @@
 import * as storage from './storage.js';
 import * as apiClient from './api-client.js';
 import * as syncEngine from './sync-engine.js';
-import { generateUUID, validateServer, Logger, setLogLevel } from './helpers.js';
+import * as history from './history.js';
+import * as backup from './backup.js';
+import * as scheduler from './scheduler.js';
+import * as conflicts from './conflicts.js';
+import * as protection from './protection.js';
+import * as certificates from './certificates.js';
+import * as health from './health.js';
+import * as stats from './stats.js';
+import * as queryLog from './query-log.js';
+import * as ruleWrites from './rule-writes.js';
+import * as outbox from './outbox.js';
+import * as temporaryRules from './temporary-rules.js';
+import * as ruleAnnotations from './rule-annotations.js';
+import { generateUUID, validateServer, getServerEndpoints, Logger, setLogLevel } from './helpers.js';
 
 // ============================================================================
 // SERVICE WORKER LIFECYCLE (Phase 2 Reliability)
@@ -17,9 +30,22 @@ let serviceWorkerStartTime = Date.now();
 chrome.runtime.onStartup.addListener(() => {
     console.log('[SW] Extension startup - service worker initialized');
     serviceWorkerStartTime = Date.now();
-    syncEngine.refreshAllFilteringStatuses(); // Background fetch of filter names
+    runStartupTask('Filter name refresh', () => syncEngine.refreshAllFilteringStatuses()); // Background fetch of filter names
+    runStartupTask('Sync schedule restore', () => scheduler.rescheduleAll()); // Restore scheduled group sync alarms and failure badge
+    runStartupTask('Protection resume', () => protection.resumeExpiredPauses()); // Re-enable servers whose pause ended while the browser was closed
+    runStartupTask('Protection check scheduling', () => protection.scheduleRevalidation()); // Periodic protection status check
+    runStartupTask('Health check scheduling', () => health.scheduleHealthChecks()); // Periodic reachability/latency samples
+    runStartupTask('Outbox replay', () => outbox.replayAll()); // Deliver writes queued while a server was unreachable
+    runStartupTask('Temporary rule expiry', () => temporaryRules.expireDueRules()); // Revert temporary rules that expired while the browser was closed
 });
 
+// Startup tasks run side by side; one that throws (even synchronously) doesn't stop the others
+function runStartupTask(label, task) {
+    Promise.resolve().then(task).catch(error => {
+        Logger.error(`[SW] ${label} failed:`, error);
+    });
+}
+
 // Log when service worker is about to suspend
 chrome.runtime.onSuspend.addListener(() => {
     const uptime = Date.now() - serviceWorkerStartTime;
@@ -35,6 +61,44 @@ chrome.runtime.onSuspend.addListener(() => {
 //     }
 // });
 
+// ============================================================================
+// ALARMS (scheduled sync, protection pause timers)
+// ============================================================================
+
+// Must be registered at top level so alarms wake the service worker
+chrome.alarms.onAlarm.addListener((alarm) => {
+    scheduler.handleAlarm(alarm).catch(error => {
+        Logger.error('[SW] Scheduled sync alarm failed:', error);
+    });
+    protection.handleAlarm(alarm).catch(error => {
+        Logger.error('[SW] Protection resume alarm failed:', error);
+    });
+    health.handleAlarm(alarm).catch(error => {
+        Logger.error('[SW] Health check alarm failed:', error);
+    });
+    outbox.handleAlarm(alarm).catch(error => {
+        Logger.error('[SW] Outbox replay alarm failed:', error);
+    });
+    temporaryRules.handleAlarm(alarm).catch(error => {
+        Logger.error('[SW] Temporary rule expiry alarm failed:', error);
+    });
+});
+
+// ============================================================================
+// CERTIFICATE TRUST (self-signed HTTPS servers)
+// ============================================================================
+
+// Once a certificate is accepted, retry the servers behind it right away
+certificates.registerListeners(async (origin) => {
+    const servers = (await storage.getServers())
+        .filter(s => getServerEndpoints(s).some(endpoint => certificates.getOrigin(endpoint) === origin));
+    for (const server of servers) {
+        await storage.clearCache(server.id);
+        await protection.revalidate(server.id);
+        await outbox.flush(server.id);
+    }
+});
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -46,6 +110,12 @@ chrome.runtime.onInstalled.addListener(async () => {
     // Initialize debug mode from storage
     await initializeDebugMode();
 
+    // Scheduled group sync alarms
+    await scheduler.rescheduleAll();
+    await protection.scheduleRevalidation();
+    await health.scheduleHealthChecks();
+    await outbox.scheduleReplay();
+
     // Create context menu
     chrome.contextMenus.create({
         id: 'add-to-adguard',
@@ -161,11 +231,36 @@ const messageHandlers = {
         if (!group.id) {
             group.id = generateUUID();
         }
-        return await storage.saveGroup(group);
+        const saved = await storage.saveGroup(group);
+        await scheduler.rescheduleAll();
+        return saved;
+    },
+
+    // Used by the group server selection view
+    async createGroup({ name, serverIds, syncMode, primaryServerId }) {
+        const saved = await storage.saveGroup({ id: generateUUID(), name, serverIds, syncMode, primaryServerId });
+        await scheduler.rescheduleAll();
+        return saved;
+    },
+
+    async updateGroup({ id, ...changes }) {
+        const group = await storage.getGroup(id);
+        if (!group) {
+            throw new Error('Group not found');
+        }
+        const saved = await storage.saveGroup({ ...group, ...changes });
+        await scheduler.rescheduleAll();
+        return saved;
     },
 
     async deleteGroup({ id }) {
-        return await storage.deleteGroup(id);
+        const result = await storage.deleteGroup(id);
+        await scheduler.rescheduleAll();
+        return result;
+    },
+
+    async getSyncOutcomes() {
+        return await storage.getSyncOutcomes();
     },
 
     async getSettings() {
@@ -177,8 +272,8 @@ const messageHandlers = {
     },
 
     // API operations
-    async testConnection({ host, username, password }) {
-        return await apiClient.testConnection(host, username, password);
+    async testConnection({ host, username, password, auth }) {
+        return await apiClient.testConnection(host, username, password, auth);
     },
 
     async getFilteringStatus({ serverId }) {
@@ -189,21 +284,117 @@ const messageHandlers = {
         return await apiClient.getFilteringStatus(server);
     },
 
-    async setRules({ serverId, rules }) {
+    async setRules({ serverId, rules, base = null, origin = history.HISTORY_ORIGIN.POPUP }) {
         const server = await storage.getServer(serverId);
         if (!server) {
             throw new Error('Server not found');
         }
-        const result = await apiClient.setRules(server, rules);
+        // Queued (not thrown) when the server is unreachable
+        const result = await outbox.write(server, outbox.MUTATION.SET_RULES, { rules }, { origin, base });
 
         // Clear cache after rules update to ensure fresh data on next load
         // This handles: individual rule changes, group create/update operations
-        await storage.clearCache(serverId);
+        // A queued write keeps the cache: it's what the change was based on
+        if (!result?.queued) {
+            await storage.clearCache(serverId);
+        }
 
         return result;
+    },
+
+    async setRewrites({ serverId, rewrites, base = null, origin = history.HISTORY_ORIGIN.POPUP }) {
+        const server = await storage.getServer(serverId);
+        if (!server) {
+            throw new Error('Server not found');
+        }
+        const result = await outbox.write(server, outbox.MUTATION.SET_REWRITES, { rewrites }, { origin, base });
+        if (!result?.queued) {
+            await storage.clearCache(serverId);
+        }
         return result;
     },
 
+    // Same change on several servers, rolled back or queued for retry if one fails
+    // expiresAt (epoch ms) makes the change temporary: it is reverted on the same servers then
+    // annotation ({ note, tags, source }) is recorded for the added rules, with author and date
+    async applyRuleTransaction({ changes, onFailure = null, origin = history.HISTORY_ORIGIN.POPUP, expiresAt = null, annotation = {} }) {
+        const transaction = await ruleWrites.applyRuleTransaction({ changes, onFailure, origin });
+        await ruleAnnotations.annotateTransaction(transaction, changes, { ...annotation, origin });
+        if (expiresAt) {
+            transaction.temporaryRule = await temporaryRules.trackTransaction(transaction, changes, expiresAt, origin);
+        }
+        return transaction;
+    },
+
+    async getRuleAnnotations({ rules }) {
+        return await ruleAnnotations.getAnnotations(rules);
+    },
+
+    async updateRuleAnnotation({ rule, note, tags }) {
+        return await ruleAnnotations.updateAnnotation(rule, { note, tags });
+    },
+
+    async copyRuleAnnotation({ fromRule, toRule }) {
+        return await ruleAnnotations.copyAnnotation(fromRule, toRule);
+    },
+
+    async getTemporaryRules() {
+        return await temporaryRules.getTemporaryRules();
+    },
+
+    async expireTemporaryRule({ id }) {
+        return await temporaryRules.expireTemporaryRule(id);
+    },
+
+    async keepTemporaryRule({ id }) {
+        return await temporaryRules.keepTemporaryRule(id);
+    },
+
+    // Bulk import: append each server's missing rules in a single write per server
+    // A rule transaction re-checks them against the server's current rules, which may
+    // have changed since the preview. Servers are independent here, so one that is down
+    // gets its additions queued in the outbox instead of undoing the others.
+    async importRules({ additions, origin = history.HISTORY_ORIGIN.POPUP }) {
+        const changes = Object.fromEntries(
+            Object.entries(additions || {}).map(([serverId, rules]) => [serverId, { add: rules }])
+        );
+
+        const transaction = await ruleWrites.applyRuleTransaction({
+            changes,
+            onFailure: ruleWrites.WRITE_FAILURE_MODE.RETRY,
+            origin
+        });
+
+        // A queued server's count is the preview's: its rules are re-checked when the change is delivered
+        const results = transaction.servers.map(({ serverId, name, state, error, added }) => {
+            const queued = state === ruleWrites.WRITE_STATE.QUEUED;
+            return { serverId, name, added: queued ? changes[serverId].add.length : added, queued, error };
+        });
+
+        return { results };
+    },
+
+    // Offline outbox: writes waiting for unreachable servers
+    async getOutbox({ serverId }) {
+        return await storage.getServerOutbox(serverId);
+    },
+
+    async getOutboxSummary() {
+        return await outbox.getSummary();
+    },
+
+    async retryOutbox({ serverId }) {
+        return { pending: await outbox.flush(serverId) };
+    },
+
+    async resolveOutboxConflict({ serverId, entryId, action }) {
+        return { pending: await outbox.resolveConflict(serverId, entryId, action) };
+    },
+
+    async discardOutboxEntry({ serverId, entryId }) {
+        return { pending: await outbox.discard(serverId, entryId) };
+    },
+
     async getFilterCache({ serverId }) {
         return await storage.getFilterCache(serverId);
     },
@@ -231,6 +422,14 @@ const messageHandlers = {
         return await apiClient.getServerInfo(server);
     },
 
+    // Uptime, average latency and sparkline data from the health history
+    async getServerHealth({ serverId, windowMs, points }) {
+        return await health.getHealth(serverId, {
+            ...(windowMs !== undefined && { windowMs }),
+            ...(points !== undefined && { points })
+        });
+    },
+
     // Sync operations
     async refreshServerRules({ serverId, force = false }) {
         return await syncEngine.refreshServerRules(serverId, { force });
@@ -244,6 +443,44 @@ const messageHandlers = {
         return await syncEngine.getServerRules(serverId);
     },
 
+    // Backup & restore
+    async exportBackup({ passphrase }) {
+        return await backup.exportBackup(passphrase);
+    },
+
+    async importBackup({ bundle, passphrase, mode = 'merge' }) {
+        const summary = await backup.importBackup(bundle, passphrase, mode);
+        await scheduler.rescheduleAll();
+        return summary;
+    },
+
+    // Change history
+    async getHistory({ serverId, dataType }) {
+        return await history.getHistoryWithDiffs(serverId, dataType);
+    },
+
+    async restoreHistoryEntry({ serverId, entryId }) {
+        return await history.restoreHistoryEntry(serverId, entryId);
+    },
+
+    // Dry-run group sync: per-server, per-type diff without pushing anything
+    async previewGroupSync({ groupId }) {
+        return await syncEngine.previewGroupSync(groupId);
+    },
+
+    async applyGroupSync({ groupId, approvedServerIds = [], previewId = null }) {
+        return await syncEngine.applyGroupSync(groupId, approvedServerIds, previewId);
+    },
+
+    // Conflicting rewrites/clients across a group and how its policy resolves them
+    async getGroupConflicts({ groupId, type }) {
+        return await conflicts.getGroupConflicts(groupId, type);
+    },
+
+    async resolveGroupConflict({ groupId, type, key, serverId = null }) {
+        return await conflicts.resolveGroupConflict(groupId, type, key, serverId);
+    },
+
     // Cache operations
     async getCache({ serverId }) {
         return await storage.getCache(serverId);
@@ -268,7 +505,7 @@ const messageHandlers = {
         if (!server) {
             throw new Error('Server not found');
         }
-        return await apiClient.addFilterURL(server, url, name, whitelist);
+        return await outbox.write(server, outbox.MUTATION.ADD_FILTER_URL, { url, name, whitelist });
     },
 
     async removeFilterURL({ serverId, url, whitelist }) {
@@ -276,7 +513,7 @@ const messageHandlers = {
         if (!server) {
             throw new Error('Server not found');
         }
-        return await apiClient.removeFilterURL(server, url, whitelist);
+        return await outbox.write(server, outbox.MUTATION.REMOVE_FILTER_URL, { url, whitelist });
     },
 
     async setFilteringConfig({ serverId, config }) {
@@ -303,58 +540,38 @@ const messageHandlers = {
         }
     },
 
-    // Protection toggle with group-aware logic
-    async toggleProtection({ serverId, enabled }) {
+    // Protection toggle; scope picks this server, a group or all servers (default: the server and its group mates)
+    async toggleProtection({ serverId, enabled, scope }) {
         try {
             const server = await storage.getServer(serverId);
             if (!server) {
                 throw new Error('Server not found');
             }
 
-            // Find all groups containing this server
-            const allGroups = await storage.getGroups();
-            const serverGroups = allGroups.filter(group =>
-                group.serverIds && group.serverIds.includes(serverId)
-            );
-
-            // Get unique server IDs from all groups
-            const serverIdsSet = new Set([serverId]);
-            for (const group of serverGroups) {
-                for (const id of group.serverIds) {
-                    serverIdsSet.add(id);
-                }
-            }
-
-            const serverIds = Array.from(serverIdsSet);
+            const serverIds = await protection.resolveScope(serverId, scope);
 
-            // Immediately cache the new status for all affected servers
-            const protectionStatus = await chrome.storage.local.get('protectionStatus') || {};
-            const currentStatus = protectionStatus.protectionStatus || {};
+            // A manual toggle supersedes any running timed pause
             for (const id of serverIds) {
-                currentStatus[id] = enabled;
+                await protection.cancelPause(id);
             }
-            await chrome.storage.local.set({ protectionStatus: currentStatus });
+
+            // Mark all affected servers pending until the server confirms
+            await protection.markPending(serverIds, enabled);
 
             // Return immediately with all affected server IDs for instant UI update
-            const affectedServers = serverIds.map(id => ({ id, enabled }));
-
-            // Toggle protection for all linked servers in background (don't wait)
-            (async () => {
-                for (const id of serverIds) {
-                    const srv = await storage.getServer(id);
-                    if (srv) {
-                        try {
-                            await apiClient.setProtectionEnabled(srv, enabled);
-                            Logger.info(`Protection ${enabled ? 'enabled' : 'disabled'} for ${srv.name}`);
-                        } catch (error) {
-                            Logger.error(`Failed to toggle protection for ${srv.name}:`, error);
-                            // Revert cached status on error
-                            currentStatus[id] = !enabled;
-                            await chrome.storage.local.set({ protectionStatus: currentStatus });
-                        }
-                    }
-                }
-            })();
+            const servers = await storage.getServers();
+            const affectedServers = serverIds.map(id => ({
+                id,
+                name: servers.find(s => s.id === id)?.name || id,
+                enabled,
+                state: protection.PROTECTION_STATE.PENDING
+            }));
+
+            // Toggle protection for all linked servers in background (don't wait);
+            // per-server results arrive in the popup as a 'protectionReport' message
+            protection.applyToggle(serverIds, enabled).catch(error => {
+                Logger.error('Protection toggle loop failed:', error);
+            });
 
             Logger.info(`Protection ${enabled ? 'enabled' : 'disabled'} for ${affectedServers.length} server(s)`);
 
@@ -369,28 +586,49 @@ const messageHandlers = {
         }
     },
 
-    async getProtectionStatus({ serverId }) {
-        try {
-            // Check cache first
-            const cached = await chrome.storage.local.get('protectionStatus');
-            if (cached.protectionStatus && cached.protectionStatus[serverId] !== undefined) {
-                return { success: true, enabled: cached.protectionStatus[serverId], fromCache: true };
-            }
+    // Timed pause: disable protection for durationMs on the servers of the scope
+    async pauseProtection({ serverId, durationMs, scope }) {
+        if (!(durationMs > 0)) {
+            throw new Error('Pause duration must be positive');
+        }
+        const server = await storage.getServer(serverId);
+        if (!server) {
+            throw new Error('Server not found');
+        }
 
-            // If not cached, fetch from API
-            const server = await storage.getServer(serverId);
-            if (!server) {
-                throw new Error('Server not found');
-            }
+        const serverIds = await protection.resolveScope(serverId, scope);
+        const affectedServers = await protection.pauseProtection(serverIds, durationMs);
+
+        return {
+            success: affectedServers.some(s => !s.error),
+            affectedServers,
+            totalServers: affectedServers.length
+        };
+    },
+
+    async getProtectionPauses() {
+        return await protection.getActivePauses();
+    },
+
+    // Endpoint a multi-URL server answered on last (null for single-URL servers)
+    async getActiveEndpoint({ serverId }) {
+        return await apiClient.getLastWorkingEndpoint(serverId);
+    },
 
-            const enabled = await apiClient.getProtectionStatus(server);
+    async getCertificateTrust({ host }) {
+        return await certificates.getTrustStatus(host);
+    },
 
-            // Cache the result
-            const currentStatus = cached.protectionStatus || {};
-            currentStatus[serverId] = enabled;
-            await chrome.storage.local.set({ protectionStatus: currentStatus });
+    // Opens the server in a tab to accept its certificate; re-checked automatically
+    async trustCertificate({ host }) {
+        return await certificates.openTrustFlow(host);
+    },
 
-            return { success: true, enabled };
+    // Cached status with a TTL; expired entries are revalidated against /control/status
+    async getProtectionStatus({ serverId, maxAgeMs }) {
+        try {
+            const status = await protection.getStatus(serverId, maxAgeMs !== undefined ? { maxAgeMs } : {});
+            return { success: true, ...status };
         } catch (error) {
             Logger.error('Failed to get protection status:', error);
             throw error;
@@ -413,11 +651,21 @@ const messageHandlers = {
         return await apiClient.getQueryLog(server, params);
     },
 
+    // Query logs of a group (or all servers when groupId is null), interleaved and de-duplicated
+    async getMergedQueryLog({ groupId = null, params = {} }) {
+        return await queryLog.getMergedQueryLog({ groupId, params });
+    },
+
     async getStats({ serverId }) {
         // Use SyncEngine to fetch AND cache the stats
         return await syncEngine.refreshServerStats(serverId);
     },
 
+    // Combined /control/stats of a group, or of all servers when groupId is null
+    async getAggregatedStats({ groupId = null }) {
+        return await stats.getAggregatedStats({ groupId });
+    },
+
     async checkHost({ serverId, name }) {
         const server = await storage.getServer(serverId);
         if (!server) {
@@ -0,0 +1,137 @@
+// Cross-Server Statistics
+// Combines /control/stats of a group (or every server) into one dashboard:
+// totals, hourly/daily series, merged top lists and average processing time.
+// Top lists are each server's own top N, so merged counts are a lower bound
+// for domains that fell off a server's list.
+
+import * as storage from './storage.js';
+import * as syncEngine from './sync-engine.js';
+import { Logger } from './helpers.js';
+
+const TOP_LIMIT = 10;
+
+/**
+ * Stats of a group, or of all servers
+ * Each server's stats are fetched (and cached) through syncEngine.refreshServerStats
+ * @param {Object} [options]
+ * @param {string|null} [options.groupId] - Group to aggregate, null for all servers
+ * @returns {Promise<Object>} aggregateStats() result plus { groupId, servers, unreachable }
+ */
+export async function getAggregatedStats({ groupId = null } = {}) {
+    const servers = await storage.getScopeServers(groupId);
+
+    const results = await Promise.all(servers.map(async server => {
+        try {
+            return { server, stats: await syncEngine.refreshServerStats(server.id) };
+        } catch (error) {
+            Logger.warn(`[Stats] ${server.name} unavailable: ${error.message}`);
+            return { server, error: error.message };
+        }
+    }));
+
+    const answered = results.filter(r => r.stats);
+
+    return {
+        groupId,
+        ...aggregateStats(answered.map(r => r.stats)),
+        servers: answered.map(r => ({
+            id: r.server.id,
+            name: r.server.name,
+            dnsQueries: r.stats.num_dns_queries || 0,
+            blocked: r.stats.num_blocked_filtering || 0
+        })),
+        unreachable: results.filter(r => r.error).map(r => ({ id: r.server.id, name: r.server.name, error: r.error }))
+    };
+}
+
+/**
+ * Combine /control/stats responses
+ * @param {Array<Object>} statsList - Raw /control/stats responses
+ * @returns {{
+ *   totals: {dnsQueries: number, blocked: number, safebrowsing: number, parental: number, safesearch: number, blockedPercent: number},
+ *   avgProcessingTimeMs: number|null,
+ *   series: {hours: Object|null, days: Object|null},
+ *   topQueried: Array, topBlocked: Array, topClients: Array
+ * }}
+ *   series.* are { queries: [], blocked: [] } oldest first, summed over the servers on that time unit.
+ *   Top lists are [{ name, count, servers }] where servers is how many servers reported it.
+ */
+export function aggregateStats(statsList) {
+    const sum = key => statsList.reduce((total, stats) => total + (Number(stats[key]) || 0), 0);
+
+    const dnsQueries = sum('num_dns_queries');
+    const blocked = sum('num_blocked_filtering');
+
+    // avg_processing_time is in seconds; weight each server by its query count
+    const timed = statsList.filter(stats => stats.num_dns_queries > 0 && typeof stats.avg_processing_time === 'number');
+    const timedQueries = timed.reduce((total, stats) => total + stats.num_dns_queries, 0);
+    const avgProcessingTimeMs = timedQueries > 0
+        ? Math.round(timed.reduce((total, stats) => total + stats.avg_processing_time * stats.num_dns_queries, 0) / timedQueries * 1000 * 100) / 100
+        : null;
+
+    return {
+        totals: {
+            dnsQueries,
+            blocked,
+            safebrowsing: sum('num_replaced_safebrowsing'),
+            parental: sum('num_replaced_parental'),
+            safesearch: sum('num_replaced_safesearch'),
+            blockedPercent: dnsQueries > 0 ? Math.round((blocked / dnsQueries) * 1000) / 10 : 0
+        },
+        avgProcessingTimeMs,
+        series: {
+            hours: mergeSeries(statsList.filter(stats => stats.time_units === 'hours')),
+            days: mergeSeries(statsList.filter(stats => stats.time_units === 'days'))
+        },
+        topQueried: mergeTopList(statsList.map(stats => stats.top_queried_domains)),
+        topBlocked: mergeTopList(statsList.map(stats => stats.top_blocked_domains)),
+        topClients: mergeTopList(statsList.map(stats => stats.top_clients))
+    };
+}
+
+/**
+ * Sum time series of servers on the same time unit
+ * Arrays end at the current hour/day, so they're aligned on their last entry
+ */
+function mergeSeries(statsList) {
+    if (statsList.length === 0) return null;
+
+    const length = Math.max(...statsList.map(stats => (stats.dns_queries || []).length));
+    const merge = key => {
+        const merged = new Array(length).fill(0);
+        for (const stats of statsList) {
+            const values = stats[key] || [];
+            const offset = length - values.length;
+            values.forEach((value, i) => { merged[offset + i] += Number(value) || 0; });
+        }
+        return merged;
+    };
+
+    return {
+        queries: merge('dns_queries'),
+        blocked: merge('blocked_filtering'),
+        servers: statsList.length
+    };
+}
+
+/**
+ * Merge top lists ([{ "example.com": 12 }, ...]) across servers
+ */
+function mergeTopList(lists) {
+    const merged = new Map(); // name -> { name, count, servers }
+
+    for (const list of lists) {
+        for (const entry of list || []) {
+            for (const [name, count] of Object.entries(entry)) {
+                const item = merged.get(name) || { name, count: 0, servers: 0 };
+                item.count += Number(count) || 0;
+                item.servers++;
+                merged.set(name, item);
+            }
+        }
+    }
+
+    return [...merged.values()]
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, TOP_LIMIT);
+}
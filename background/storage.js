@@ -2,13 +2,53 @@
 // Provides type-safe access to extension storage
 
 import { encrypt, decrypt, isEncrypted, migratePassword } from './crypto.js';
+import { createSerializer } from './helpers.js';
 
 const STORAGE_KEYS = {
   SERVERS: 'servers',
   GROUPS: 'groups',
   SETTINGS: 'settings',
   CACHE: 'cache',
-  FILTER_CACHE: 'filter_cache'
+  FILTER_CACHE: 'filter_cache',
+  SYNC_BASELINES: 'sync_baselines',
+  HISTORY: 'history',
+  SYNC_OUTCOMES: 'sync_outcomes',
+  SYNC_PREVIEWS: 'sync_previews',
+  PROTECTION_PAUSES: 'protection_pauses',
+  CERTIFICATE_TRUST: 'certificate_trust',
+  ACTIVE_ENDPOINT_PREFIX: 'active_endpoint:', // + serverId
+  HEALTH: 'server_health',
+  OUTBOX: 'outbox',
+  TEMPORARY_RULES: 'temporary_rules',
+  RULE_ANNOTATIONS: 'rule_annotations'
+};
+
+const MAX_HISTORY_PER_TYPE = 20; // Versions kept per server and data type
+const MAX_HEALTH_SAMPLES = 288; // Health samples kept per server (24h at one check per 5 minutes)
+
+const DEFAULT_GROUP_SCHEDULE = {
+  enabled: false,
+  intervalMinutes: 60,
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00'
+  }
+};
+
+// Read-modify-writes of a key share one serializer per key: alarms, popup messages and
+// parallel server requests overlap in the service worker and would drop each other's writes
+const keySerializers = {};
+
+function serializeKey(key, task) {
+  keySerializers[key] = keySerializers[key] || createSerializer();
+  return keySerializers[key](task);
+}
+
+// How group members relate during sync
+export const GROUP_SYNC_MODE = {
+  MERGE: 'merge',                    // Every member contributes to and receives the merged set
+  PRIMARY_REPLICA: 'primary-replica' // Members mirror the primary server exactly
 };
 
 const DEFAULT_SETTINGS = {
@@ -16,7 +56,9 @@ const DEFAULT_SETTINGS = {
   preferLatest: false, // Use cache first for instant popup loading, update in background
   cacheTTLMinutes: 43200, // 30 days (default high TTL, relies on SWR background sync)
   theme: 'dark',
-  logLevel: 0 // 0=ERROR, 1=WARN, 2=INFO, 3=DEBUG (production default: ERROR only)
+  logLevel: 0, // 0=ERROR, 1=WARN, 2=INFO, 3=DEBUG (production default: ERROR only)
+  writeFailureMode: 'rollback', // Multi-server rule write failing on some servers: 'rollback' or 'retry'
+  annotationAuthor: '' // Name recorded as the author of rules added from this browser
 };
 
 // ============================================================================
@@ -53,12 +95,14 @@ export async function getServer(id) {
         const plainPassword = server.password; // Keep for return
 
         // Update storage with encrypted password
-        const allServers = await getServers();
-        const index = allServers.findIndex(s => s.id === id);
-        if (index >= 0) {
-          allServers[index].password = encrypted;
-          await chrome.storage.local.set({ [STORAGE_KEYS.SERVERS]: allServers });
-        }
+        await serializeKey(STORAGE_KEYS.SERVERS, async () => {
+          const allServers = await getServers();
+          const index = allServers.findIndex(s => s.id === id);
+          if (index >= 0) {
+            allServers[index].password = encrypted;
+            await chrome.storage.local.set({ [STORAGE_KEYS.SERVERS]: allServers });
+          }
+        });
 
         server.password = plainPassword; // Return decrypted password
       } catch (error) {
@@ -68,11 +112,20 @@ export async function getServer(id) {
     }
   }
 
+  // Custom auth header values (proxy tokens) are secrets like the password
+  if (server.auth?.headers?.length) {
+    try {
+      server.auth = await mapAuthHeaderValues(server.auth, value => isEncrypted(value) ? decrypt(value) : value);
+    } catch (error) {
+      console.error(`Failed to decrypt auth headers for server ${id}:`, error);
+      server.auth = { ...server.auth, headers: [] };
+    }
+  }
+
   return server;
 }
 
 export async function saveServer(server) {
-  const servers = await getServers();
   const now = new Date().toISOString();
 
   // Encrypt password before saving
@@ -85,37 +138,66 @@ export async function saveServer(server) {
       throw new Error('Failed to encrypt password. Server not saved.');
     }
   }
+  if (serverToSave.auth?.headers?.length) {
+    try {
+      serverToSave.auth = await mapAuthHeaderValues(serverToSave.auth, value => isEncrypted(value) ? value : encrypt(value));
+    } catch (error) {
+      console.error('Failed to encrypt auth headers:', error);
+      throw new Error('Failed to encrypt auth headers. Server not saved.');
+    }
+  }
 
-  const existingIndex = servers.findIndex(s => s.id === serverToSave.id);
+  await serializeKey(STORAGE_KEYS.SERVERS, async () => {
+    const servers = await getServers();
+    const existingIndex = servers.findIndex(s => s.id === serverToSave.id);
 
-  if (existingIndex >= 0) {
-    // Update existing
-    servers[existingIndex] = {
-      ...serverToSave,
-      updatedAt: now
-    };
-  } else {
-    // Add new
-    servers.push({
-      ...serverToSave,
-      createdAt: now,
-      updatedAt: now
-    });
-  }
+    if (existingIndex >= 0) {
+      // Update existing
+      servers[existingIndex] = {
+        ...serverToSave,
+        updatedAt: now
+      };
+    } else {
+      // Add new
+      servers.push({
+        ...serverToSave,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
 
-  await chrome.storage.local.set({ [STORAGE_KEYS.SERVERS]: servers });
+    await chrome.storage.local.set({ [STORAGE_KEYS.SERVERS]: servers });
+  });
 
   // Return server with plaintext password for immediate use
   return server;
 }
 
+/**
+ * Copy of server.auth with every header value passed through fn
+ * @param {Object} auth - { type, headers: [{ name, value }] }
+ * @param {Function} fn - async value => value
+ */
+export async function mapAuthHeaderValues(auth, fn) {
+  const headers = await Promise.all(
+    (auth.headers || []).map(async header => ({ ...header, value: await fn(header.value) }))
+  );
+  return { ...auth, headers };
+}
+
 export async function deleteServer(id) {
-  const servers = await getServers();
-  const filtered = servers.filter(s => s.id !== id);
-  await chrome.storage.local.set({ [STORAGE_KEYS.SERVERS]: filtered });
+  await serializeKey(STORAGE_KEYS.SERVERS, async () => {
+    const servers = await getServers();
+    await chrome.storage.local.set({ [STORAGE_KEYS.SERVERS]: servers.filter(s => s.id !== id) });
+  });
 
-  // Also clear cache for this server
+  // Also clear cache, history and any pending protection pause for this server
   await clearCache(id);
+  await clearHistory(id);
+  await clearProtectionPause(id);
+  await clearActiveEndpoint(id);
+  await clearHealthSamples(id);
+  await serializeOutbox(() => clearOutbox(id));
 
   return true;
 }
@@ -134,6 +216,20 @@ export async function getGroup(id) {
   return groups.find(g => g.id === id) || null;
 }
 
+/**
+ * Servers of a group, or all servers when groupId is null (as stored, credentials not decrypted)
+ * @param {string|null} groupId
+ * @returns {Promise<Array>}
+ */
+export async function getScopeServers(groupId) {
+  const servers = await getServers();
+  if (!groupId) return servers;
+
+  const group = await getGroup(groupId);
+  if (!group) throw new Error('Group not found');
+  return servers.filter(s => (group.serverIds || []).includes(s.id));
+}
+
 export async function saveGroup(group) {
   const groups = await getGroups();
   const now = new Date().toISOString();
@@ -143,12 +239,49 @@ export async function saveGroup(group) {
     customRules: group.syncSettings?.customRules !== false, // Default: enabled
     dnsBlocklists: group.syncSettings?.dnsBlocklists || false, // Default: disabled
     dnsRewrites: group.syncSettings?.dnsRewrites || false, // Default: disabled
-    homeClients: group.syncSettings?.homeClients || false // Default: disabled
+    homeClients: group.syncSettings?.homeClients || false, // Default: disabled
+    blockedServices: group.syncSettings?.blockedServices || false, // Default: disabled
+    dnsUpstreams: group.syncSettings?.dnsUpstreams || false, // Default: disabled
+    safetyFilters: group.syncSettings?.safetyFilters || false, // Default: disabled
+    accessList: group.syncSettings?.accessList || false // Default: disabled
   };
 
+  // Scheduled background sync (chrome.alarms), off by default
+  const schedule = {
+    ...DEFAULT_GROUP_SCHEDULE,
+    ...group.schedule,
+    quietHours: {
+      ...DEFAULT_GROUP_SCHEDULE.quietHours,
+      ...group.schedule?.quietHours
+    }
+  };
+
+  // Conflict policies per data type (see conflicts.js for defaults); the primary
+  // server and explicit resolutions are dropped when their server leaves the group
+  const serverIds = group.serverIds || [];
+  const syncMode = group.syncMode === GROUP_SYNC_MODE.PRIMARY_REPLICA ? GROUP_SYNC_MODE.PRIMARY_REPLICA : GROUP_SYNC_MODE.MERGE;
+  let primaryServerId = serverIds.includes(group.primaryServerId) ? group.primaryServerId : null;
+
+  // A replica group always needs a primary; fall back to the first member
+  if (syncMode === GROUP_SYNC_MODE.PRIMARY_REPLICA && !primaryServerId) {
+    primaryServerId = serverIds[0] || null;
+  }
+  const conflictResolutions = {};
+  for (const [type, resolutions] of Object.entries(group.conflictResolutions || {})) {
+    conflictResolutions[type] = Object.fromEntries(
+      Object.entries(resolutions).filter(([, serverId]) => serverIds.includes(serverId))
+    );
+  }
+
   const groupToSave = {
     ...group,
-    syncSettings
+    syncSettings,
+    schedule,
+    requireApproval: group.requireApproval === true, // Drift only pushed from Sync Preview, no auto-repair
+    conflictPolicy: { ...group.conflictPolicy },
+    conflictResolutions,
+    primaryServerId,
+    syncMode
   };
 
   const existingIndex = groups.findIndex(g => g.id === groupToSave.id);
@@ -176,6 +309,12 @@ export async function deleteGroup(id) {
   const groups = await getGroups();
   const filtered = groups.filter(g => g.id !== id);
   await chrome.storage.local.set({ [STORAGE_KEYS.GROUPS]: filtered });
+
+  // Baselines, outcomes and previews are meaningless without the group
+  await clearSyncBaseline(id);
+  await clearSyncOutcome(id);
+  await clearSyncPreview(id);
+
   return true;
 }
 
@@ -256,6 +395,380 @@ export async function isCacheFresh(serverId) {
   return (now - fetchedAt) < ttlMs;
 }
 
+// ============================================================================
+// SYNC OUTCOMES (result of the last scheduled sync per group)
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [groupId]: { status, at, message, failures } }
+ */
+export async function getSyncOutcomes() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_OUTCOMES);
+  return result[STORAGE_KEYS.SYNC_OUTCOMES] || {};
+}
+
+/**
+ * @param {string} groupId
+ * @param {{status: 'success'|'partial'|'failed'|'skipped', message: string, failures: Array}} outcome
+ */
+export async function setSyncOutcome(groupId, outcome) {
+  return serializeKey(STORAGE_KEYS.SYNC_OUTCOMES, async () => {
+    const outcomes = await getSyncOutcomes();
+    outcomes[groupId] = {
+      ...outcome,
+      at: new Date().toISOString()
+    };
+    await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_OUTCOMES]: outcomes });
+    return outcomes[groupId];
+  });
+}
+
+export async function clearSyncOutcome(groupId) {
+  return serializeKey(STORAGE_KEYS.SYNC_OUTCOMES, async () => {
+    const outcomes = await getSyncOutcomes();
+    if (!outcomes[groupId]) return true;
+    delete outcomes[groupId];
+    await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_OUTCOMES]: outcomes });
+    return true;
+  });
+}
+
+// ============================================================================
+// SYNC PREVIEWS (the plans shown in Sync Preview, applied exactly as shown)
+// ============================================================================
+
+/**
+ * @param {string} groupId
+ * @returns {Promise<{id: string, plans: Array, createdAt: string}|null>}
+ */
+export async function getSyncPreview(groupId) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_PREVIEWS);
+  return (result[STORAGE_KEYS.SYNC_PREVIEWS] || {})[groupId] || null;
+}
+
+/**
+ * Keep the latest preview of a group (replaces the previous one)
+ * @param {string} groupId
+ * @param {{id: string, plans: Array}} preview
+ */
+export async function setSyncPreview(groupId, preview) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_PREVIEWS);
+  const previews = result[STORAGE_KEYS.SYNC_PREVIEWS] || {};
+  previews[groupId] = {
+    ...preview,
+    createdAt: new Date().toISOString()
+  };
+  await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_PREVIEWS]: previews });
+  return previews[groupId];
+}
+
+export async function clearSyncPreview(groupId) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_PREVIEWS);
+  const previews = result[STORAGE_KEYS.SYNC_PREVIEWS] || {};
+  if (!previews[groupId]) return true;
+  delete previews[groupId];
+  await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_PREVIEWS]: previews });
+  return true;
+}
+
+// ============================================================================
+// PROTECTION PAUSES (timed "disable for N minutes")
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [serverId]: { until, native } }
+ */
+export async function getProtectionPauses() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.PROTECTION_PAUSES);
+  return result[STORAGE_KEYS.PROTECTION_PAUSES] || {};
+}
+
+/**
+ * @param {string} serverId
+ * @param {{until: number, native: boolean}} pause - until: epoch ms; native: server resumes by itself
+ */
+export async function setProtectionPause(serverId, pause) {
+  const pauses = await getProtectionPauses();
+  pauses[serverId] = pause;
+  await chrome.storage.local.set({ [STORAGE_KEYS.PROTECTION_PAUSES]: pauses });
+  return pause;
+}
+
+export async function clearProtectionPause(serverId) {
+  const pauses = await getProtectionPauses();
+  if (!pauses[serverId]) return true;
+  delete pauses[serverId];
+  await chrome.storage.local.set({ [STORAGE_KEYS.PROTECTION_PAUSES]: pauses });
+  return true;
+}
+
+// ============================================================================
+// CERTIFICATE TRUST (per HTTPS origin, shared by servers on the same origin)
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [origin]: { trusted, checkedAt, error, pendingTabId } }
+ */
+export async function getCertificateTrust() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CERTIFICATE_TRUST);
+  return result[STORAGE_KEYS.CERTIFICATE_TRUST] || {};
+}
+
+/**
+ * Merge fields into an origin's trust entry
+ * @param {string} origin - e.g. "https://192.168.1.2"
+ * @param {Object} fields
+ */
+export async function updateCertificateTrust(origin, fields) {
+  return serializeKey(STORAGE_KEYS.CERTIFICATE_TRUST, async () => {
+    const trust = await getCertificateTrust();
+    trust[origin] = { ...trust[origin], ...fields };
+    await chrome.storage.local.set({ [STORAGE_KEYS.CERTIFICATE_TRUST]: trust });
+    return trust[origin];
+  });
+}
+
+// ============================================================================
+// ACTIVE ENDPOINTS (last URL that answered, for servers with several)
+// ============================================================================
+// One key per server: stats and the query log fail over all servers at once,
+// and a plain set of each server's own key has no read-modify-write to lose.
+
+const activeEndpointKey = serverId => STORAGE_KEYS.ACTIVE_ENDPOINT_PREFIX + serverId;
+
+/**
+ * @param {string} serverId
+ * @returns {Promise<{url: string, at: number}|null>}
+ */
+export async function getActiveEndpoint(serverId) {
+  const key = activeEndpointKey(serverId);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+export async function setActiveEndpoint(serverId, url) {
+  const endpoint = { url, at: Date.now() };
+  await chrome.storage.local.set({ [activeEndpointKey(serverId)]: endpoint });
+  return endpoint;
+}
+
+export async function clearActiveEndpoint(serverId) {
+  await chrome.storage.local.remove(activeEndpointKey(serverId));
+  return true;
+}
+
+// ============================================================================
+// HEALTH SAMPLES (ring buffer per server)
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [serverId]: [{ at, up, reachable, latencyMs, httpStatus?, error }] } oldest first
+ */
+export async function getHealthSamples() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.HEALTH);
+  return result[STORAGE_KEYS.HEALTH] || {};
+}
+
+export async function appendHealthSample(serverId, sample) {
+  const health = await getHealthSamples();
+  const samples = health[serverId] || [];
+  samples.push(sample);
+  health[serverId] = samples.slice(-MAX_HEALTH_SAMPLES);
+  await chrome.storage.local.set({ [STORAGE_KEYS.HEALTH]: health });
+  return sample;
+}
+
+export async function clearHealthSamples(serverId) {
+  const health = await getHealthSamples();
+  if (!health[serverId]) return true;
+  delete health[serverId];
+  await chrome.storage.local.set({ [STORAGE_KEYS.HEALTH]: health });
+  return true;
+}
+
+// ============================================================================
+// OUTBOX (writes waiting for an unreachable server, replayed in order)
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [serverId]: [{ id, type, payload, base, origin, queuedAt, attempts, lastAttemptAt, nextAttemptAt, lastError, status }] } oldest first
+ */
+export async function getOutbox() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.OUTBOX);
+  return result[STORAGE_KEYS.OUTBOX] || {};
+}
+
+/**
+ * Run an outbox task after the ones before it
+ * The queue writes below don't serialize themselves: outbox.js runs a whole replay
+ * (read queue, write servers, save queue) as one task, and other callers go through here too.
+ */
+export function serializeOutbox(task) {
+  return serializeKey(STORAGE_KEYS.OUTBOX, task);
+}
+
+export async function getServerOutbox(serverId) {
+  return (await getOutbox())[serverId] || [];
+}
+
+export async function enqueueOutbox(serverId, entry) {
+  const outbox = await getOutbox();
+  outbox[serverId] = [...(outbox[serverId] || []), entry];
+  await chrome.storage.local.set({ [STORAGE_KEYS.OUTBOX]: outbox });
+  return entry;
+}
+
+/**
+ * Replace a server's queue (an empty list removes it)
+ */
+export async function setServerOutbox(serverId, entries) {
+  const outbox = await getOutbox();
+  if (entries.length > 0) {
+    outbox[serverId] = entries;
+  } else {
+    delete outbox[serverId];
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.OUTBOX]: outbox });
+  return entries;
+}
+
+export async function clearOutbox(serverId) {
+  const outbox = await getOutbox();
+  if (!outbox[serverId]) return true;
+  delete outbox[serverId];
+  await chrome.storage.local.set({ [STORAGE_KEYS.OUTBOX]: outbox });
+  return true;
+}
+
+// ============================================================================
+// TEMPORARY RULES (rules removed again when they expire)
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [id]: { id, rules, servers: [{ serverId, name, revert }], expiresAt, createdAt, origin } }
+ */
+export async function getTemporaryRules() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.TEMPORARY_RULES);
+  return result[STORAGE_KEYS.TEMPORARY_RULES] || {};
+}
+
+export async function saveTemporaryRule(entry) {
+  return serializeKey(STORAGE_KEYS.TEMPORARY_RULES, async () => {
+    const entries = await getTemporaryRules();
+    entries[entry.id] = entry;
+    await chrome.storage.local.set({ [STORAGE_KEYS.TEMPORARY_RULES]: entries });
+    return entry;
+  });
+}
+
+export async function deleteTemporaryRule(id) {
+  await claimTemporaryRule(id);
+  return true;
+}
+
+/**
+ * Remove an entry and return it, so of two callers only one gets it
+ * @param {string} id
+ * @returns {Promise<Object|null>} The entry, null if it was already gone
+ */
+export async function claimTemporaryRule(id) {
+  return serializeKey(STORAGE_KEYS.TEMPORARY_RULES, async () => {
+    const entries = await getTemporaryRules();
+    const entry = entries[id] || null;
+    if (!entry) return null;
+    delete entries[id];
+    await chrome.storage.local.set({ [STORAGE_KEYS.TEMPORARY_RULES]: entries });
+    return entry;
+  });
+}
+
+// ============================================================================
+// RULE ANNOTATIONS (note, tags, author, date and source page per rule)
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} { [ruleKey]: { rule, note, tags, author, createdAt, updatedAt, source, origin } }
+ */
+export async function getRuleAnnotations() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RULE_ANNOTATIONS);
+  return result[STORAGE_KEYS.RULE_ANNOTATIONS] || {};
+}
+
+export async function saveRuleAnnotations(annotations) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.RULE_ANNOTATIONS]: annotations });
+  return annotations;
+}
+
+// ============================================================================
+// HISTORY (versioned snapshots taken before each write)
+// ============================================================================
+
+/**
+ * Get history entries for a server, newest first
+ * @param {string} serverId
+ * @param {string} [dataType] - Only entries of this type (e.g. 'customRules')
+ * @returns {Promise<Array<{id, timestamp, origin, dataType, data}>>}
+ */
+export async function getHistory(serverId, dataType) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
+  const history = result[STORAGE_KEYS.HISTORY] || {};
+  const entries = history[serverId] || [];
+  return dataType ? entries.filter(e => e.dataType === dataType) : entries;
+}
+
+export async function getHistoryEntry(serverId, entryId) {
+  const entries = await getHistory(serverId);
+  return entries.find(e => e.id === entryId) || null;
+}
+
+/**
+ * Add a history entry (newest first), trimming old versions per data type
+ * Skips the entry if the data is identical to the latest version of the same type.
+ * @param {string} serverId
+ * @param {{id, dataType, origin, data}} entry
+ * @returns {Promise<Object|null>} Saved entry, or null if it was a duplicate
+ */
+export async function addHistoryEntry(serverId, entry) {
+  return serializeKey(STORAGE_KEYS.HISTORY, async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
+    const history = result[STORAGE_KEYS.HISTORY] || {};
+    const entries = history[serverId] || [];
+
+    const latest = entries.find(e => e.dataType === entry.dataType);
+    if (latest && JSON.stringify(latest.data) === JSON.stringify(entry.data)) {
+      return null;
+    }
+
+    const saved = {
+      ...entry,
+      timestamp: new Date().toISOString()
+    };
+
+    let kept = 0;
+    history[serverId] = [saved, ...entries].filter(e => {
+      if (e.dataType !== entry.dataType) return true;
+      kept++;
+      return kept <= MAX_HISTORY_PER_TYPE;
+    });
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: history });
+    return saved;
+  });
+}
+
+export async function clearHistory(serverId) {
+  return serializeKey(STORAGE_KEYS.HISTORY, async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
+    const history = result[STORAGE_KEYS.HISTORY] || {};
+
+    if (!history[serverId]) return true;
+    delete history[serverId];
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: history });
+    return true;
+  });
+}
+
 // ============================================================================
 // FILTER CACHE (Dedicated cache for filter names)
 // ============================================================================
@@ -279,6 +792,68 @@ export async function setFilterCache(serverId, data) {
   return cache[serverId];
 }
 
+// ============================================================================
+// SYNC BASELINES (last synced state per group, used for three-way merge)
+// ============================================================================
+
+/**
+ * Get the baseline snapshot for a group and sync type
+ * customRules: data is the last merged set, servers each member's rules after the last sync that read it.
+ * Older customRules baselines have serverIds (members that took part) instead of servers.
+ * @param {string} groupId
+ * @param {string} syncType - e.g. 'customRules'
+ * @returns {Promise<{data: *, servers?: Object<string, Array<string>>, serverIds?: Array<string>, updatedAt: string} | null>}
+ */
+export async function getSyncBaseline(groupId, syncType) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_BASELINES);
+  const baselines = result[STORAGE_KEYS.SYNC_BASELINES] || {};
+  return baselines[groupId]?.[syncType] || null;
+}
+
+/**
+ * Save the baseline snapshot for a group and sync type
+ * @param {string} groupId
+ * @param {string} syncType
+ * @param {{data: *, servers?: Object<string, Array<string>>, serverIds?: Array<string>}} baseline
+ */
+export async function setSyncBaseline(groupId, syncType, baseline) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_BASELINES);
+  const baselines = result[STORAGE_KEYS.SYNC_BASELINES] || {};
+
+  baselines[groupId] = {
+    ...baselines[groupId],
+    [syncType]: {
+      ...baseline,
+      updatedAt: new Date().toISOString()
+    }
+  };
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_BASELINES]: baselines });
+  return baselines[groupId][syncType];
+}
+
+/**
+ * Clear baselines for a group (all sync types, or just one)
+ * @param {string} groupId
+ * @param {string} [syncType]
+ */
+export async function clearSyncBaseline(groupId, syncType) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_BASELINES);
+  const baselines = result[STORAGE_KEYS.SYNC_BASELINES] || {};
+
+  if (!baselines[groupId]) return true;
+
+  if (syncType) {
+    if (!baselines[groupId][syncType]) return true;
+    delete baselines[groupId][syncType];
+  } else {
+    delete baselines[groupId];
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_BASELINES]: baselines });
+  return true;
+}
+
 // ============================================================================
 // UI SNAPSHOT CACHE (for instant popup rendering)
 // ============================================================================
@@ -410,5 +985,9 @@ export async function initializeStorage() {
     await chrome.storage.local.set(updates);
   }
 
+  // Migration: active endpoints moved from one shared map to a key per server.
+  // They only say which URL to try first, so the old map is dropped.
+  await chrome.storage.local.remove('active_endpoints');
+
   return true;
 }
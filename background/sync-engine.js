@@ -3,7 +3,12 @@
 
 import * as storage from './storage.js';
 import * as apiClient from './api-client.js';
-import { dedupRules, normalizeRule, Logger, getRuleCounts, dedupBlocklists, dedupRewrites, dedupClients } from './helpers.js';
+import { dedupRules, normalizeRule, generateUUID, Logger, getRuleCounts, mergeRulesThreeWay, fromSettingEntries } from './helpers.js';
+import { DATA_TYPES, isSameData, diffData } from './data-types.js';
+import { snapshotBeforeWrite, HISTORY_ORIGIN } from './history.js';
+import { mergeWithPolicy, saveChangeTracking, POLICY_TYPES } from './conflicts.js';
+import { pruneAnnotations } from './rule-annotations.js';
+import { ruleKey } from './rule-parser.js';
 
 // ============================================================================
 // SYNC PRIMITIVES
@@ -81,6 +86,18 @@ export async function refreshServerRules(serverId, options = {}) {
                 Logger.warn(`[SyncEngine] Failed to fetch clients for ${server.name}:`, e.message);
             }
 
+            // Optional settings types are only fetched when a group of this server syncs them.
+            // A failed fetch leaves the field out so group sync skips this server for that type.
+            const optionalData = {};
+            for (const type of await getOptionalSyncTypes(serverId)) {
+                const { field, label, read } = DATA_TYPES[type];
+                try {
+                    optionalData[field] = await read(server);
+                } catch (e) {
+                    Logger.warn(`[SyncEngine] Failed to fetch ${label} for ${server.name}:`, e.message);
+                }
+            }
+
             // Update cache with all data
             const cacheData = {
                 rules: dedupedRules,
@@ -88,6 +105,7 @@ export async function refreshServerRules(serverId, options = {}) {
                 blocklists: blocklists,
                 rewrites: rewrites,
                 clients: clients,
+                ...optionalData,
                 ttlMinutes: settings.cacheTTLMinutes
             };
 
@@ -140,6 +158,7 @@ export async function refreshAllServers(options = {}) {
     const { force = false } = options;
 
     try {
+        const startedAt = Date.now();
         const servers = await storage.getServers();
         const settings = await storage.getSettings();
 
@@ -170,6 +189,20 @@ export async function refreshAllServers(options = {}) {
             Logger.error('[SyncEngine] Group sync failed:', groupError);
         }
 
+        // Annotations of rules deleted outside the extension (AdGuard UI, another browser).
+        // Only when every server's rules are known, a missing server could still have them.
+        if (servers.every(server => results[server.id].success)) {
+            try {
+                const caches = await Promise.all(servers.map(server => storage.getCache(server.id)));
+                const removed = await pruneAnnotations(caches.map(cache => cache?.rules || []), startedAt);
+                if (removed > 0) {
+                    Logger.debug(`[SyncEngine] Removed ${removed} annotations of deleted rules`);
+                }
+            } catch (pruneError) {
+                Logger.error('[SyncEngine] Annotation pruning failed:', pruneError);
+            }
+        }
+
         // Check if any succeeded
         const anySuccess = Object.values(results).some(r => r.success);
 
@@ -238,320 +271,547 @@ export async function getServerRules(serverId) {
     return result;
 }
 
+// ============================================================================
+// GROUP SYNC
+// ============================================================================
+
 /**
- * Synchronize rules across grouped servers
- * Merges, deduplicates, and pushes unified rules to all servers in a group
+ * Get the sync types enabled for a group, in DATA_TYPES order
+ * Custom rules default to ON, everything else must be explicitly enabled
  */
-async function syncGroups(groups, allServers, fetchResults) {
-    const settings = await storage.getSettings();
-
-    for (const group of groups) {
-        Logger.debug(`[SyncEngine] Processing group: ${group.name}`, {
-            groupId: group.id,
-            syncSettings: group.syncSettings,
-            serverIds: group.serverIds
-        });
+function getEnabledSyncTypes(group) {
+    return Object.keys(DATA_TYPES).filter(type => {
+        const value = group?.syncSettings?.[type];
+        return type === 'customRules' ? value !== false : value === true;
+    });
+}
 
-        // Filter servers in this group
-        const groupServerIds = new Set(group.serverIds || []);
-        const groupServers = allServers.filter(s => groupServerIds.has(s.id));
+/**
+ * Optional sync types enabled in any group the server belongs to
+ * @param {string} serverId
+ * @returns {Promise<Array<string>>}
+ */
+async function getOptionalSyncTypes(serverId) {
+    const groups = await storage.getGroups();
+    const types = new Set();
 
-        if (groupServers.length < 2) {
-            Logger.debug(`[SyncEngine] Group "${group.name}" has less than 2 servers, skipping`);
-            continue; // Nothing to sync
+    for (const group of groups.filter(g => (g.serverIds || []).includes(serverId))) {
+        for (const type of getEnabledSyncTypes(group)) {
+            if (DATA_TYPES[type].optional) types.add(type);
         }
+    }
 
-        // Check which sync types are enabled
-        const customRulesSyncEnabled = group?.syncSettings?.customRules !== false;
-        const blocklistsSyncEnabled = group?.syncSettings?.dnsBlocklists === true;
-        const rewritesSyncEnabled = group?.syncSettings?.dnsRewrites === true;
-        const clientsSyncEnabled = group?.syncSettings?.homeClients === true;
+    return [...types];
+}
 
-        // Skip group if no sync types are enabled
-        if (!customRulesSyncEnabled && !blocklistsSyncEnabled && !rewritesSyncEnabled && !clientsSyncEnabled) {
-            Logger.info(`[SyncEngine] Skipping group "${group.name}" - All sync types are DISABLED`);
-            continue;
-        }
+/**
+ * Build the sync plan for one data type in a group (no writes to servers)
+ * @param {string} type - Key of DATA_TYPES
+ * @param {Object} group - Group configuration
+ * @param {Array} groupServers - Servers in the group
+ * @param {Object} fetchResults - Fetch results map
+ * @returns {Promise<Object|null>} { type, participants: [{ server, current, next, drift }], merged, conflicts, tracking } or null if no data
+ *   tracking: change dates of policy-merged types, stored when the plan is applied
+ */
+async function planSyncType(type, group, groupServers, fetchResults) {
+    const { field, dedup } = DATA_TYPES[type];
+    const participants = [];
 
-        Logger.debug(`[SyncEngine] Group "${group.name}" sync settings:`, {
-            customRules: customRulesSyncEnabled,
-            dnsBlocklists: blocklistsSyncEnabled,
-            dnsRewrites: rewritesSyncEnabled,
-            homeClients: clientsSyncEnabled
-        });
+    for (const server of groupServers) {
+        const result = fetchResults[server.id];
+        if (!result?.success || !result.data?.[field]) continue;
 
-        // Sync Custom Rules (if enabled)
-        if (customRulesSyncEnabled) {
-            Logger.debug(`[SyncEngine] Custom Rules sync ENABLED for group "${group.name}"`);
+        // Stale cache fallbacks (network error) would read as rule deletions
+        // in a three-way merge, so leave them out of this round
+        if (type === 'customRules' && result.warning) continue;
 
-            // Collect fresh rules from all successfully fetched servers
-            let allRules = [];
-            let participatingServers = [];
+        participants.push({ server, current: result.data[field] });
+    }
 
-            for (const server of groupServers) {
-                const result = fetchResults[server.id];
-                // Only include if we have valid rule data (fresh or cache)
-                if (result && result.success && result.data && result.data.rules) {
-                    allRules.push(...result.data.rules);
-                    participatingServers.push({ server, currentRules: result.data.rules });
-                }
-            }
+    if (group.syncMode === storage.GROUP_SYNC_MODE.PRIMARY_REPLICA) {
+        return planMirror(type, group, participants, fetchResults);
+    }
 
-            if (participatingServers.length > 0) {
-                // Deduplicate (Union)
-                const normalized = allRules.map(normalizeRule).filter(r => r);
-                const mergedRules = dedupRules(normalized);
-
-                // Check for drift and update
-                for (const participant of participatingServers) {
-                    const { server, currentRules } = participant;
-                    const currentNormalized = currentRules.map(normalizeRule);
-                    const currentDeduped = dedupRules(currentNormalized);
-
-                    // Simple drift check: Compare JSON stringified content (order-independent comparison)
-                    // [Fix] Use [...arr].sort() to avoid mutating the original arrays!
-                    const currentStr = JSON.stringify([...currentDeduped].sort());
-                    const mergedStr = JSON.stringify([...mergedRules].sort());
-
-                    if (currentStr !== mergedStr) {
-                        Logger.info(`[SyncEngine] Drift detected for ${server.name} in group "${group.name}". Auto-Repairing...`);
-                        try {
-                            // Fetch decrypted server credentials first
-                            const serverWithAuth = await storage.getServer(server.id);
-                            await apiClient.setRules(serverWithAuth, mergedRules);
-
-                            // Update cache immediately so UI reflects it
-                            const cacheData = {
-                                rules: mergedRules,
-                                count: mergedRules.length,
-                                ttlMinutes: settings.cacheTTLMinutes || 60
-                            };
-                            await storage.setCache(server.id, cacheData);
-
-                            // Update result for caller (so UI gets fresh merged data)
-                            fetchResults[server.id].data = cacheData;
-
-                            Logger.info(`[SyncEngine] ✅ Auto-Repaired ${server.name} with ${mergedRules.length} rules`);
-
-                            // Notify UI about repair
-                            try {
-                                await chrome.runtime.sendMessage({
-                                    action: 'repairNotification',
-                                    data: {
-                                        serverName: server.name,
-                                        ruleCount: mergedRules.length
-                                    }
-                                });
-                            } catch (ignore) {
-                                // Popup might be closed, ignore
-                            }
-
-                        } catch (e) {
-                            Logger.error(`[SyncEngine] Failed to sync drift for ${server.name}:`, e);
-                        }
-                    }
-                }
-            }
+    if (participants.length === 0) {
+        Logger.debug(`[SyncEngine] No servers with ${field} data for group "${group.name}"`);
+        return null;
+    }
+
+    let merged;
+    let conflicts = [];
+    let tracking = null;
+
+    if (type === 'customRules') {
+        for (const participant of participants) {
+            participant.current = dedupRules(participant.current.map(normalizeRule));
         }
 
-        // Sync DNS Blocklists (if enabled)
-        if (blocklistsSyncEnabled) {
-            await syncBlocklists(group, groupServers, fetchResults);
+        const baseline = await storage.getSyncBaseline(group.id, 'customRules');
+
+        if (baseline) {
+            const serverBaselines = getServerBaselines(baseline);
+            const { merged: mergedRules, added, removed } = mergeRulesThreeWay(
+                baseline.data || [],
+                participants.map(p => ({ id: p.server.id, rules: p.current, baseline: serverBaselines[p.server.id] || null }))
+            );
+            merged = mergedRules;
+
+            Logger.debug(`[SyncEngine] Three-way merge for group "${group.name}": +${added.length} / -${removed.length}`);
+        } else {
+            // No baseline yet - nothing to tell deletions apart from missing rules
+            merged = dedupRules(participants.flatMap(p => p.current).filter(r => r));
+            Logger.debug(`[SyncEngine] No baseline for group "${group.name}", using union of ${merged.length} rules`);
         }
 
-        // Sync DNS Rewrites (if enabled)
-        if (rewritesSyncEnabled) {
-            await syncRewrites(group, groupServers, fetchResults);
+        // Keep each server's own ordering and wording, drop removed rules, append new ones.
+        // Matched by ruleKey like the merge, so a rule worded differently isn't removed and re-added.
+        const mergedSet = new Set(merged.map(ruleKey));
+        for (const participant of participants) {
+            const currentSet = new Set(participant.current.map(ruleKey));
+            participant.next = [
+                ...participant.current.filter(rule => mergedSet.has(ruleKey(rule))),
+                ...merged.filter(rule => !currentSet.has(ruleKey(rule)))
+            ];
+        }
+    } else if (POLICY_TYPES.includes(type)) {
+        const resolution = await mergeWithPolicy(type, group, participants);
+        merged = resolution.merged;
+        conflicts = resolution.conflicts;
+        tracking = resolution.tracking;
+        Logger.debug(`[SyncEngine] Merged ${field} into ${merged.length} entries (${conflicts.length} conflicts)`);
+
+        // Unresolved conflicts (manual policy) stay as they are on each server
+        const { key } = DATA_TYPES[type];
+        for (const participant of participants) {
+            participant.current = dedup(participant.current);
+            participant.next = [
+                ...merged,
+                ...participant.current.filter(entry => resolution.unresolvedKeys.has(key(entry)))
+            ];
         }
+    } else {
+        const allEntries = participants.flatMap(p => p.current);
+        merged = dedup(allEntries);
+        Logger.debug(`[SyncEngine] Merged ${allEntries.length} ${field} into ${merged.length} unique entries`);
 
-        // Sync Home Clients (if enabled)
-        if (clientsSyncEnabled) {
-            await syncClients(group, groupServers, fetchResults);
+        for (const participant of participants) {
+            participant.current = dedup(participant.current);
+            participant.next = merged;
         }
     }
+
+    for (const participant of participants) {
+        participant.drift = !isSameData(type, participant.current, participant.next);
+    }
+
+    return {
+        type,
+        participants,
+        merged,
+        conflicts,
+        tracking
+    };
 }
 
 /**
- * Synchronize DNS Blocklists across grouped servers
- * @param {Object} group - Group configuration
- * @param {Array} groupServers - Servers in the group
- * @param {Object} fetchResults - Fetch results map
+ * Primary/replica plan: every replica is made identical to the primary,
+ * so entries missing on the primary are removed from the replicas
+ * @returns {Object|null} Same shape as planSyncType, null if the primary has no fresh data
  */
-async function syncBlocklists(group, groupServers, fetchResults) {
-    Logger.info(`[SyncEngine] Syncing DNS Blocklists for group "${group.name}"`);
+function planMirror(type, group, participants, fetchResults) {
+    const { field, dedup } = DATA_TYPES[type];
+    const primary = participants.find(p => p.server.id === group.primaryServerId);
+
+    // A stale cache fallback is no source of truth: mirroring it could revert changes
+    if (!primary || fetchResults[primary.server.id].warning) {
+        Logger.warn(`[SyncEngine] Primary of group "${group.name}" has no fresh ${field}, skipping mirror`);
+        return null;
+    }
 
-    // Collect all blocklists from group servers
-    let allBlocklists = [];
-    let participatingServers = [];
+    const normalize = type === 'customRules'
+        ? list => dedupRules(list.map(normalizeRule))
+        : dedup;
+    const merged = normalize(primary.current);
 
-    for (const server of groupServers) {
-        const result = fetchResults[server.id];
-        if (result?.success && result.data?.blocklists) {
-            allBlocklists.push(...result.data.blocklists);
-            participatingServers.push({ server, currentBlocklists: result.data.blocklists });
-        }
+    for (const participant of participants) {
+        participant.current = normalize(participant.current);
+        participant.next = merged;
+        participant.drift = !isSameData(type, participant.current, participant.next);
     }
 
-    if (participatingServers.length === 0) {
-        Logger.debug(`[SyncEngine] No servers with blocklist data for group "${group.name}"`);
-        return;
-    }
+    Logger.debug(`[SyncEngine] Mirroring ${merged.length} ${field} from primary ${primary.server.name} in group "${group.name}"`);
 
-    // Deduplicate
-    const mergedBlocklists = dedupBlocklists(allBlocklists);
-    Logger.debug(`[SyncEngine] Merged ${allBlocklists.length} blocklists into ${mergedBlocklists.length} unique entries`);
+    return {
+        type,
+        participants,
+        merged,
+        conflicts: [],
+        tracking: null
+    };
+}
 
-    // Check for drift and update
-    for (const participant of participatingServers) {
-        const { server, currentBlocklists } = participant;
-        const currentDeduped = dedupBlocklists(currentBlocklists);
+/**
+ * Build sync plans for every enabled type in a group
+ * @returns {Promise<Array>} Plans (types without data are omitted)
+ */
+async function planGroupSync(group, groupServers, fetchResults) {
+    const plans = [];
+    for (const type of getEnabledSyncTypes(group)) {
+        const plan = await planSyncType(type, group, groupServers, fetchResults);
+        if (plan) plans.push(plan);
+    }
+    return plans;
+}
 
-        const currentStr = JSON.stringify([...currentDeduped].sort((a, b) => a.url.localeCompare(b.url)));
-        const mergedStr = JSON.stringify([...mergedBlocklists].sort((a, b) => a.url.localeCompare(b.url)));
+/**
+ * Push a sync plan to drifting servers
+ * @param {Object} plan - From planSyncType
+ * @param {Object} group - Group configuration
+ * @param {Object} fetchResults - Fetch results map (updated in place)
+ * @param {Object} settings - Extension settings
+ * @param {Set<string>|null} approvedServerIds - Only push to these servers (null = all)
+ * @returns {Promise<Array>} Outcomes [{ serverId, serverName, type, success, skipped, error }]
+ */
+async function applySyncPlan(plan, group, fetchResults, settings, approvedServerIds = null) {
+    const { type } = plan;
+    const { field, label, push } = DATA_TYPES[type];
+    const outcomes = [];
+
+    for (const participant of plan.participants) {
+        const { server, next } = participant;
+        if (!participant.drift) continue;
+
+        if (approvedServerIds && !approvedServerIds.has(server.id)) {
+            Logger.info(`[SyncEngine] ${label} push to ${server.name} rejected by user, skipping`);
+            outcomes.push({ serverId: server.id, serverName: server.name, type, success: false, skipped: true });
+            continue;
+        }
 
-        if (currentStr !== mergedStr) {
-            Logger.info(`[SyncEngine] Blocklist drift detected for ${server.name}. Auto-Repairing...`);
+        Logger.info(`[SyncEngine] ${label} drift detected for ${server.name} in group "${group.name}". Auto-Repairing...`);
+        try {
+            // Fetch decrypted server credentials first
+            const serverWithAuth = await storage.getServer(server.id);
+            const origin = approvedServerIds ? HISTORY_ORIGIN.GROUP_SYNC : HISTORY_ORIGIN.GROUP_AUTO_REPAIR;
+            await snapshotBeforeWrite(serverWithAuth, type, origin, participant.current);
+            await push(serverWithAuth, next);
 
-            try {
-                const serverWithAuth = await storage.getServer(server.id);
-                await apiClient.setBlocklists(serverWithAuth, mergedBlocklists);
+            // Update cache immediately so UI reflects it
+            const cacheData = {
+                ...fetchResults[server.id].data,
+                [field]: next
+            };
+            if (type === 'customRules') {
+                cacheData.count = next.length;
+                cacheData.ttlMinutes = settings.cacheTTLMinutes || 60;
+            }
+            await storage.setCache(server.id, cacheData);
+
+            // Update result for caller (so UI gets fresh merged data)
+            fetchResults[server.id].data = cacheData;
+
+            Logger.info(`[SyncEngine] ✅ Auto-Repaired ${server.name} with ${next.length} ${field}`);
+            outcomes.push({ serverId: server.id, serverName: server.name, type, success: true });
+
+            // Notify UI about repair
+            if (type === 'customRules') {
+                try {
+                    await chrome.runtime.sendMessage({
+                        action: 'repairNotification',
+                        data: {
+                            serverName: server.name,
+                            ruleCount: next.length
+                        }
+                    });
+                } catch (ignore) {
+                    // Popup might be closed, ignore
+                }
+            }
+        } catch (e) {
+            Logger.error(`[SyncEngine] Failed to sync ${field} for ${server.name}:`, e);
+            outcomes.push({ serverId: server.id, serverName: server.name, type, success: false, error: e.message });
+        }
+    }
 
-                // Update cache
-                const cacheData = {
-                    ...fetchResults[server.id].data,
-                    blocklists: mergedBlocklists
-                };
-                await storage.setCache(server.id, cacheData);
-                fetchResults[server.id].data = cacheData;
+    if (plan.tracking) {
+        await saveChangeTracking(group, type, plan.tracking);
+    }
 
-                Logger.info(`[SyncEngine] ✅ Auto-Repaired ${server.name} with ${mergedBlocklists.length} blocklists`);
-            } catch (e) {
-                Logger.error(`[SyncEngine] Failed to sync blocklists for ${server.name}:`, e);
-            }
+    // A server's rules baseline is what it holds now as far as this sync knows: the
+    // merged set if it got it, its own rules if it was left alone (rejected, failed).
+    // Servers that weren't read keep theirs, so their changes since still count later.
+    if (type === 'customRules') {
+        const previous = await storage.getSyncBaseline(group.id, 'customRules');
+        const serverBaselines = previous ? getServerBaselines(previous) : {};
+        const memberIds = new Set(group.serverIds || []);
+
+        for (const participant of plan.participants) {
+            const pushed = outcomes.some(o => o.serverId === participant.server.id && o.success);
+            serverBaselines[participant.server.id] = pushed ? participant.next : participant.current;
         }
+
+        await storage.setSyncBaseline(group.id, 'customRules', {
+            data: plan.merged,
+            servers: Object.fromEntries(Object.entries(serverBaselines).filter(([id]) => memberIds.has(id)))
+        });
     }
+
+    return outcomes;
 }
 
 /**
- * Synchronize DNS Rewrites across grouped servers
- * @param {Object} group - Group configuration
- * @param {Array} groupServers - Servers in the group
- * @param {Object} fetchResults - Fetch results map
+ * Rules baseline of each server
+ * Baselines saved before per-server tracking hold one list for all the servers that took part.
+ * @param {Object} baseline - customRules sync baseline
+ * @returns {Object<string, Array<string>>} serverId -> rules
  */
-async function syncRewrites(group, groupServers, fetchResults) {
-    Logger.info(`[SyncEngine] Syncing DNS Rewrites for group "${group.name}"`);
-
-    // Collect all rewrites from group servers
-    let allRewrites = [];
-    let participatingServers = [];
+function getServerBaselines(baseline) {
+    if (baseline.servers) return { ...baseline.servers };
+    return Object.fromEntries((baseline.serverIds || []).map(id => [id, baseline.data || []]));
+}
 
-    for (const server of groupServers) {
-        const result = fetchResults[server.id];
-        if (result?.success && result.data?.rewrites) {
-            allRewrites.push(...result.data.rewrites);
-            participatingServers.push({ server, currentRewrites: result.data.rewrites });
-        }
-    }
+/**
+ * Synchronize rules across grouped servers
+ * Merges (three-way for custom rules), deduplicates, and pushes unified data to all servers in a group
+ */
+async function syncGroups(groups, allServers, fetchResults) {
+    const settings = await storage.getSettings();
 
-    if (participatingServers.length === 0) {
-        Logger.debug(`[SyncEngine] No servers with rewrite data for group "${group.name}"`);
-        return;
-    }
+    for (const group of groups) {
+        Logger.debug(`[SyncEngine] Processing group: ${group.name}`, {
+            groupId: group.id,
+            syncMode: group.syncMode,
+            syncSettings: group.syncSettings,
+            serverIds: group.serverIds
+        });
 
-    // Deduplicate
-    const mergedRewrites = dedupRewrites(allRewrites);
-    Logger.debug(`[SyncEngine] Merged ${allRewrites.length} rewrites into ${mergedRewrites.length} unique entries`);
+        // Filter servers in this group
+        const groupServerIds = new Set(group.serverIds || []);
+        const groupServers = allServers.filter(s => groupServerIds.has(s.id));
 
-    // Check for drift and update
-    for (const participant of participatingServers) {
-        const { server, currentRewrites } = participant;
-        const currentDeduped = dedupRewrites(currentRewrites);
+        if (groupServers.length < 2) {
+            Logger.debug(`[SyncEngine] Group "${group.name}" has less than 2 servers, skipping`);
+            continue; // Nothing to sync
+        }
 
-        const currentStr = JSON.stringify([...currentDeduped].sort((a, b) => a.domain.localeCompare(b.domain)));
-        const mergedStr = JSON.stringify([...mergedRewrites].sort((a, b) => a.domain.localeCompare(b.domain)));
+        const enabledTypes = getEnabledSyncTypes(group);
 
-        if (currentStr !== mergedStr) {
-            Logger.info(`[SyncEngine] Rewrite drift detected for ${server.name}. Auto-Repairing...`);
+        // Drop stale baseline so re-enabling rule sync starts from a plain union
+        if (!enabledTypes.includes('customRules')) {
+            await storage.clearSyncBaseline(group.id, 'customRules');
+        }
 
-            try {
-                const serverWithAuth = await storage.getServer(server.id);
-                await apiClient.setRewrites(serverWithAuth, mergedRewrites);
+        // Skip group if no sync types are enabled
+        if (enabledTypes.length === 0) {
+            Logger.info(`[SyncEngine] Skipping group "${group.name}" - All sync types are DISABLED`);
+            continue;
+        }
 
-                // Update cache
-                const cacheData = {
-                    ...fetchResults[server.id].data,
-                    rewrites: mergedRewrites
-                };
-                await storage.setCache(server.id, cacheData);
-                fetchResults[server.id].data = cacheData;
+        Logger.debug(`[SyncEngine] Group "${group.name}" enabled sync types:`, enabledTypes);
 
-                Logger.info(`[SyncEngine] ✅ Auto-Repaired ${server.name} with ${mergedRewrites.length} rewrites`);
-            } catch (e) {
-                Logger.error(`[SyncEngine] Failed to sync rewrites for ${server.name}:`, e);
+        // Replica groups only sync from a reachable primary
+        if (group.syncMode === storage.GROUP_SYNC_MODE.PRIMARY_REPLICA) {
+            const primaryResult = fetchResults[group.primaryServerId];
+            if (!primaryResult?.success || primaryResult.warning) {
+                Logger.warn(`[SyncEngine] Primary of group "${group.name}" is unreachable, skipping replica sync`);
+                continue;
             }
         }
+
+        // Their drift only goes out from Sync Preview, once approved
+        if (group.requireApproval) {
+            Logger.debug(`[SyncEngine] Group "${group.name}" requires approval, skipping auto-repair`);
+            continue;
+        }
+
+        const plans = await planGroupSync(group, groupServers, fetchResults);
+        for (const plan of plans) {
+            await applySyncPlan(plan, group, fetchResults, settings);
+        }
     }
 }
 
 /**
- * Synchronize Home Clients across grouped servers
- * @param {Object} group - Group configuration
- * @param {Array} groupServers - Servers in the group
- * @param {Object} fetchResults - Fetch results map
+ * Fetch fresh data for every server of a group
+ * @returns {Promise<{group, groupServers, fetchResults}>}
  */
-async function syncClients(group, groupServers, fetchResults) {
-    Logger.info(`[SyncEngine] Syncing Home Clients for group "${group.name}"`);
+async function loadGroupForSync(groupId) {
+    const group = await storage.getGroup(groupId);
+    if (!group) throw new Error('Group not found');
 
-    // Collect all clients from group servers
-    let allClients = [];
-    let participatingServers = [];
+    const allServers = await storage.getServers();
+    const groupServerIds = new Set(group.serverIds || []);
+    const groupServers = allServers.filter(s => groupServerIds.has(s.id));
 
+    const fetchResults = {};
     for (const server of groupServers) {
+        fetchResults[server.id] = await refreshServerRules(server.id, { force: true });
+    }
+
+    return { group, groupServers, fetchResults };
+}
+
+/**
+ * Dry-run group sync: compute what a sync would push, per server and data type
+ * Nothing is written to any server. The plans are kept so that applyGroupSync()
+ * pushes exactly what was shown.
+ * @param {string} groupId
+ * @returns {Promise<Object>} { groupId, groupName, previewId, requireApproval, enabledTypes, servers: [{ serverId, serverName, reachable, error, hasChanges, changes: { [type]: { added, removed, changed } } }], unresolvedConflicts: { [type]: count }, generatedAt }
+ */
+export async function previewGroupSync(groupId) {
+    const { group, groupServers, fetchResults } = await loadGroupForSync(groupId);
+    const plans = groupServers.length >= 2 ? await planGroupSync(group, groupServers, fetchResults) : [];
+
+    const preview = await storage.setSyncPreview(group.id, {
+        id: generateUUID(),
+        plans: plans.map(toStoredPlan)
+    });
+
+    const servers = groupServers.map(server => {
         const result = fetchResults[server.id];
-        if (result?.success && result.data?.clients) {
-            allClients.push(...result.data.clients);
-            participatingServers.push({ server, currentClients: result.data.clients });
+        const changes = {};
+
+        for (const plan of plans) {
+            const participant = plan.participants.find(p => p.server.id === server.id);
+            if (participant?.drift) {
+                changes[plan.type] = diffData(plan.type, participant.current, participant.next);
+            }
         }
+
+        return {
+            serverId: server.id,
+            serverName: server.name,
+            reachable: !!result?.success && !result.warning,
+            error: result?.error || result?.warning || null,
+            hasChanges: Object.keys(changes).length > 0,
+            changes,
+            warnings: getLockoutWarnings(plans, server.id)
+        };
+    });
+
+    return {
+        groupId: group.id,
+        groupName: group.name,
+        previewId: preview.id,
+        requireApproval: !!group.requireApproval,
+        enabledTypes: getEnabledSyncTypes(group),
+        servers,
+        // Conflicts left unsynced until resolved in the group's rewrites/clients view
+        unresolvedConflicts: Object.fromEntries(plans
+            .map(plan => [plan.type, plan.conflicts.filter(c => !c.resolved).length])
+            .filter(([, count]) => count > 0)),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Run group sync
+ * - Headless (approvedServerIds null): plans against live server state and pushes to
+ *   every drifting server. Refused for groups that require approval.
+ * - Approved: pushes the plans of a preview, as shown, to the approved servers only.
+ *   Refused if the servers no longer hold what the preview was built from.
+ * @param {string} groupId
+ * @param {Array<string>|null} approvedServerIds - null pushes to every drifting server (headless sync)
+ * @param {string|null} [previewId] - previewGroupSync() result's previewId, required with approvedServerIds
+ * @returns {Promise<Object>} { outcomes: [{ serverId, serverName, type, success, skipped, error }], unreachable: [serverName] }
+ */
+export async function applyGroupSync(groupId, approvedServerIds = null, previewId = null) {
+    const { group, groupServers, fetchResults } = await loadGroupForSync(groupId);
+
+    if (!approvedServerIds && group.requireApproval) {
+        throw new Error(`Group "${group.name}" requires approval: sync it from Sync Preview`);
     }
 
-    if (participatingServers.length === 0) {
-        Logger.debug(`[SyncEngine] No servers with client data for group "${group.name}"`);
-        return;
+    const unreachable = groupServers
+        .filter(s => !fetchResults[s.id]?.success || fetchResults[s.id].warning)
+        .map(s => s.name);
+
+    if (groupServers.length < 2) {
+        return { outcomes: [], unreachable };
     }
 
-    // Deduplicate
-    const mergedClients = dedupClients(allClients);
-    Logger.debug(`[SyncEngine] Merged ${allClients.length} clients into ${mergedClients.length} unique entries`);
+    const settings = await storage.getSettings();
+    const approved = approvedServerIds ? new Set(approvedServerIds) : null;
+    const plans = approved
+        ? await getPreviewedPlans(group, groupServers, fetchResults, previewId)
+        : await planGroupSync(group, groupServers, fetchResults);
+
+    const outcomes = [];
+    for (const plan of plans) {
+        outcomes.push(...await applySyncPlan(plan, group, fetchResults, settings, approved));
+    }
 
-    // Check for drift and update
-    for (const participant of participatingServers) {
-        const { server, currentClients } = participant;
-        const currentDeduped = dedupClients(currentClients);
+    // A preview is applied once
+    if (approved) {
+        await storage.clearSyncPreview(group.id);
+    }
 
-        const currentStr = JSON.stringify([...currentDeduped].sort((a, b) => a.name.localeCompare(b.name)));
-        const mergedStr = JSON.stringify([...mergedClients].sort((a, b) => a.name.localeCompare(b.name)));
+    return { outcomes, unreachable };
+}
 
-        if (currentStr !== mergedStr) {
-            Logger.info(`[SyncEngine] Client drift detected for ${server.name}. Auto-Repairing...`);
+/**
+ * The plans of the group's preview, if the servers still hold what they were built from
+ * @throws {Error} If the preview is gone or replaced, or a server changed since
+ */
+async function getPreviewedPlans(group, groupServers, fetchResults, previewId) {
+    const preview = await storage.getSyncPreview(group.id);
+    if (!preview || preview.id !== previewId) {
+        throw new Error('This preview is out of date, preview the sync again');
+    }
 
-            try {
-                const serverWithAuth = await storage.getServer(server.id);
-                await apiClient.setClients(serverWithAuth, mergedClients);
+    // Planned again only to compare each server's current data with what the preview read
+    const livePlans = await planGroupSync(group, groupServers, fetchResults);
+    const unchanged = livePlans.length === preview.plans.length && preview.plans.every(plan => {
+        const live = livePlans.find(p => p.type === plan.type);
+        return live?.participants.length === plan.participants.length && plan.participants.every(participant => {
+            const current = live.participants.find(p => p.server.id === participant.server.id)?.current;
+            return current && isSameData(plan.type, participant.current, current);
+        });
+    });
 
-                // Update cache
-                const cacheData = {
-                    ...fetchResults[server.id].data,
-                    clients: mergedClients
-                };
-                await storage.setCache(server.id, cacheData);
-                fetchResults[server.id].data = cacheData;
+    if (!unchanged) {
+        throw new Error('Servers changed since the preview, preview the sync again');
+    }
 
-                Logger.info(`[SyncEngine] ✅ Auto-Repaired ${server.name} with ${mergedClients.length} clients`);
-            } catch (e) {
-                Logger.error(`[SyncEngine] Failed to sync clients for ${server.name}:`, e);
-            }
-        }
+    return preview.plans;
+}
+
+/**
+ * Access list pushes that would stop clients from using a server: an allowlist
+ * replacing "every client allowed", or clients dropped from an allowlist
+ * @returns {Array<string>}
+ */
+function getLockoutWarnings(plans, serverId) {
+    const participant = plans
+        .find(plan => plan.type === 'accessList')
+        ?.participants.find(p => p.server.id === serverId);
+    if (!participant?.drift) return [];
+
+    const before = fromSettingEntries(participant.current).allowed_clients || [];
+    const after = fromSettingEntries(participant.next).allowed_clients || [];
+    if (after.length === 0) return [];
+
+    if (before.length === 0) {
+        return [`Only ${after.join(', ')} could use this server afterwards, every other client would be locked out`];
     }
+    const dropped = before.filter(client => !after.includes(client));
+    return dropped.length > 0
+        ? [`${dropped.join(', ')} would no longer be allowed to use this server`]
+        : [];
+}
+
+/**
+ * A plan as kept with a preview: servers reduced to id and name (no credentials)
+ */
+function toStoredPlan(plan) {
+    return {
+        ...plan,
+        participants: plan.participants.map(({ server, current, next, drift }) => ({
+            server: { id: server.id, name: server.name },
+            current,
+            next,
+            drift
+        }))
+    };
 }
 
 /**
@@ -0,0 +1,140 @@
+// Temporary Rules
+// Rules added with an expiry ("allow for today"). Each one is recorded with the
+// servers it was written to and an alarm reverts the change on all of them when
+// it expires: an added rule is removed, a rule that replaced another one (allow
+// instead of block) puts the original back. The revert is a rule transaction in
+// retry mode, so a server that is down at that moment gets it through the outbox.
+
+import * as storage from './storage.js';
+import { applyRuleTransaction, WRITE_FAILURE_MODE, WRITE_STATE } from './rule-writes.js';
+import { HISTORY_ORIGIN } from './history.js';
+import { generateUUID, Logger } from './helpers.js';
+
+const ALARM_PREFIX = 'temporary-rule:';
+
+/**
+ * Remember a rule transaction as temporary, to be reverted at expiresAt
+ * Only servers that got the change (or have it queued) are recorded: a server
+ * that already had the rule keeps it when the temporary one expires.
+ * @param {Object} transaction - applyRuleTransaction() result
+ * @param {Object} changes - The changes the transaction was given (serverId -> change)
+ * @param {number} expiresAt - Epoch ms
+ * @param {string} [origin] - HISTORY_ORIGIN value of the write
+ * @returns {Promise<Object|null>} Stored entry, null if no server was changed
+ */
+export async function trackTransaction(transaction, changes, expiresAt, origin = HISTORY_ORIGIN.POPUP) {
+    const servers = transaction.servers
+        .filter(s => s.state === WRITE_STATE.APPLIED || s.state === WRITE_STATE.QUEUED)
+        .map(s => ({ serverId: s.serverId, name: s.name, revert: invertChange(changes[s.serverId]) }));
+
+    if (servers.length === 0) return null;
+
+    const first = changes[servers[0].serverId];
+    const entry = {
+        id: generateUUID(),
+        rules: [...(first.add || []), ...(first.replace || []).map(([, to]) => to)],
+        servers,
+        expiresAt,
+        createdAt: Date.now(),
+        origin
+    };
+
+    await storage.saveTemporaryRule(entry);
+    chrome.alarms.create(ALARM_PREFIX + entry.id, { when: expiresAt });
+    Logger.info(`[TemporaryRules] ${entry.rules.join(', ')} on ${servers.length} server(s) until ${new Date(expiresAt).toISOString()}`);
+
+    return entry;
+}
+
+/**
+ * Active temporary rules, soonest expiry first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getTemporaryRules() {
+    const entries = Object.values(await storage.getTemporaryRules());
+    return entries.sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+/**
+ * Revert a temporary rule on its servers now (its expiry, or "remove now")
+ * The entry is taken out of storage before the revert: the startup catch-up and the
+ * alarm can fire together, and only the caller that claimed it reverts. A server that
+ * is down gets the revert queued in its outbox; one that refuses it keeps the entry,
+ * listed with the error, until it is removed or kept by hand.
+ * @param {string} id
+ * @returns {Promise<Object|null>} applyRuleTransaction() result, null if the entry is gone
+ */
+export async function expireTemporaryRule(id) {
+    await chrome.alarms.clear(ALARM_PREFIX + id);
+    const entry = await storage.claimTemporaryRule(id);
+    if (!entry) return null;
+
+    const transaction = await applyRuleTransaction({
+        changes: Object.fromEntries(entry.servers.map(s => [s.serverId, s.revert])),
+        onFailure: WRITE_FAILURE_MODE.RETRY,
+        origin: HISTORY_ORIGIN.RULE_EXPIRY
+    });
+
+    const serverIds = new Set((await storage.getServers()).map(s => s.id));
+    const refused = transaction.servers.filter(s => s.state === WRITE_STATE.FAILED && serverIds.has(s.serverId));
+    if (refused.length > 0) {
+        await storage.saveTemporaryRule({
+            ...entry,
+            servers: entry.servers.filter(s => refused.some(r => r.serverId === s.serverId)),
+            lastError: refused.map(s => `${s.name || s.serverId}: ${s.error}`).join('; ')
+        });
+    }
+    Logger.info(`[TemporaryRules] ${entry.rules.join(', ')} expired (${transaction.status})`);
+
+    return transaction;
+}
+
+/**
+ * Keep a temporary rule for good: forget its expiry, leave the servers as they are
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function keepTemporaryRule(id) {
+    await chrome.alarms.clear(ALARM_PREFIX + id);
+    return await storage.deleteTemporaryRule(id);
+}
+
+/**
+ * Alarm listener entry point
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {Promise<boolean>} True if the alarm was a temporary rule expiry
+ */
+export async function handleAlarm(alarm) {
+    if (!alarm.name.startsWith(ALARM_PREFIX)) return false;
+
+    await expireTemporaryRule(alarm.name.slice(ALARM_PREFIX.length));
+    return true;
+}
+
+/**
+ * Revert rules whose alarm was missed (browser closed when they expired)
+ */
+export async function expireDueRules() {
+    const now = Date.now();
+
+    for (const entry of await getTemporaryRules()) {
+        if (entry.expiresAt <= now) {
+            await expireTemporaryRule(entry.id);
+        }
+    }
+}
+
+// ============================================================================
+// INTERNALS
+// ============================================================================
+
+/**
+ * The change that undoes a rule change
+ */
+function invertChange({ add = [], remove = [], replace = [] }) {
+    return {
+        add: [...remove],
+        remove: [...add],
+        replace: replace.map(([from, to]) => [to, from])
+    };
+}
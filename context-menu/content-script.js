@@ -68,6 +68,42 @@
         return rule;
     }
 
+    // INLINE: expiry options from popup/utils/rule-expiry.js
+    const EXPIRY_OPTIONS = [
+        { value: '', label: 'Permanent' },
+        { value: '60', label: '1 hour' },
+        { value: '480', label: '8 hours' },
+        { value: 'midnight', label: 'Until midnight' },
+        { value: '1440', label: '1 day' },
+        { value: '10080', label: '1 week' }
+    ];
+
+    function getExpiryTime(value, now = new Date()) {
+        if (!value) return null;
+
+        if (value === 'midnight') {
+            const midnight = new Date(now);
+            midnight.setHours(24, 0, 0, 0);
+            return midnight.getTime();
+        }
+
+        return now.getTime() + Number(value) * 60 * 1000;
+    }
+
+    // INLINE: parseNoteInput logic from popup/utils/rule-annotations.js
+    function parseNoteInput(text) {
+        const tags = [];
+        const note = String(text || '')
+            .replace(/(^|\s)#([\w-]+)/g, (match, space, tag) => {
+                tags.push(tag.toLowerCase());
+                return space;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return { note, tags: [...new Set(tags)] };
+    }
+
     // Setup window.app for chrome.runtime access
     if (!window.app) {
         // Check if chrome API is available
@@ -239,6 +275,21 @@
                             </div>
                         </div>
 
+                        <input
+                            type="text"
+                            id="adguard-note-input"
+                            class="adguard-note-input"
+                            placeholder="Note (optional), #tags"
+                            maxlength="500"
+                        />
+
+                        <div class="adguard-expiry-row">
+                            <label class="adguard-form-label" for="adguard-expiry-select">Expires:</label>
+                            <select id="adguard-expiry-select" class="adguard-expiry-select" title="Remove the rule again after">
+                                ${EXPIRY_OPTIONS.map(o => `<option value="${o.value}">${o.label}</option>`).join('')}
+                            </select>
+                        </div>
+
                         <div class="adguard-rule-preview" id="adguard-rule-preview" role="status" aria-live="polite">||example.com^</div>
                         
                         <div class="adguard-actions">
@@ -481,6 +532,12 @@
             if (finalClientValue) {
                 rule += `$client=${finalClientValue}`;
             }
+            // Temporary rule: reverted on the same servers at this time
+            const expiresAt = getExpiryTime(container.querySelector('#adguard-expiry-select').value);
+            // Note and #tags, plus the page the rule was added from
+            const annotation = { ...parseNoteInput(container.querySelector('#adguard-note-input').value), source: window.location.href };
+            const until = expiresAt ? ` until ${new Date(expiresAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}` : '';
+
             const [type, id] = target.split(':');
             let serverIds = [];
 
@@ -546,46 +603,28 @@
                     return;
                 }
 
-                // User confirmed - replace rules
-                let successCount = 0;
-                for (const serverId of serverIds) {
-                    try {
-                        const currentRules = await window.app.sendMessage('getUserRules', { serverId });
-                        const updatedRules = currentRules.map(r => r === conflictingRule ? rule : r);
-                        await window.app.sendMessage('setRules', { serverId, rules: updatedRules });
-                        successCount++;
-                    } catch (err) {
-                        console.error(`Failed to update server ${serverId}:`, err);
-                    }
-                }
+                // User confirmed - replace rules on all servers at once
+                const changes = Object.fromEntries(serverIds.map(serverId => [serverId, { replace: [[conflictingRule, rule]] }]));
+                const transaction = await window.app.sendMessage('applyRuleTransaction', { changes, origin: 'context-menu', expiresAt, annotation });
+                const outcome = describeTransaction(transaction, `Rule replaced${until}`);
+                if (!outcome.ok) throw new Error(outcome.message);
 
-                showSuccess(errorContainer, `Rule replaced on ${successCount}/${serverIds.length} server(s)`);
+                showSuccess(errorContainer, outcome.message);
                 setTimeout(() => container.close(), 1500);
                 addBtn.disabled = false;
                 addBtn.textContent = 'Add Rule';
                 return;
             }
 
-            // No conflicts - add normally
-            let successCount = 0;
-            for (const serverId of serverIds) {
-                try {
-                    const currentRules = await window.app.sendMessage('getUserRules', { serverId });
-                    const updatedRules = [...currentRules, rule];
-                    await window.app.sendMessage('setRules', { serverId, rules: updatedRules });
-                    successCount++;
-                } catch (err) {
-                    console.error(`Failed to add to server ${serverId}:`, err);
-                }
-            }
+            // No conflicts - add to all servers at once
+            const changes = Object.fromEntries(serverIds.map(serverId => [serverId, { add: [rule] }]));
+            const transaction = await window.app.sendMessage('applyRuleTransaction', { changes, origin: 'context-menu', expiresAt, annotation });
+            const ruleType = action === 'block' ? 'Block' : 'Allow';
+            const outcome = describeTransaction(transaction, `${ruleType} rule added${until}`);
+            if (!outcome.ok) throw new Error(outcome.message);
 
-            if (successCount > 0) {
-                const ruleType = action === 'block' ? 'Block' : 'Allow';
-                showSuccess(errorContainer, `${ruleType} rule added to ${successCount}/${serverIds.length} server(s)`);
-                setTimeout(() => container.close(), 1500);
-            } else {
-                throw new Error('Failed to add rule to any server');
-            }
+            showSuccess(errorContainer, outcome.message);
+            setTimeout(() => container.close(), 1500);
 
             addBtn.disabled = false;
             addBtn.textContent = 'Add Rule';
@@ -597,6 +636,28 @@
         }
     }
 
+    /**
+     * Turn an applyRuleTransaction result into a modal message
+     * @returns {{ok: boolean, message: string}} ok: every server has (or will get) the rule
+     */
+    function describeTransaction(transaction, done) {
+        const servers = transaction.servers;
+        const failed = servers.filter(s => s.state === 'failed' || s.state === 'rollback-failed').map(s => s.name || s.serverId);
+        const written = servers.filter(s => s.state === 'applied' || s.state === 'unchanged').length;
+        const queued = servers.filter(s => s.state === 'queued').length;
+
+        switch (transaction.status) {
+            case 'committed':
+                return { ok: true, message: `${done} on ${written}/${servers.length} server(s)` };
+            case 'queued':
+                return { ok: true, message: `${done} on ${written}/${servers.length} server(s), ${queued} queued for retry` };
+            case 'rolled-back':
+                return { ok: false, message: `Failed on ${failed.join(', ')} - no server was changed` };
+            default:
+                return { ok: false, message: `Failed on ${failed.join(', ')} - servers are out of sync` };
+        }
+    }
+
     /**
      * Sanitize text to prevent XSS attacks
      * Ensures all user-controlled data is safely rendered as text
@@ -14,10 +14,14 @@ import { renderGroupBlocklists } from './views/group-blocklists.js';
 import { renderGroupRewrites } from './views/group-rewrites.js';
 import { renderGroupClients } from './views/group-clients.js';
 import { renderGroupServerSelection } from './views/group-server-selection.js';
+import { renderGroupSyncPreview } from './views/group-sync-preview.js';
 import { renderAddRuleSection } from './views/add-rule.js';
 import { renderAbout } from './views/about.js';
 import { renderQueryLog } from './views/query-log.js';
 import { renderLogDetail } from './views/log-detail.js';
+import { renderStatsDashboard } from './views/stats-dashboard.js';
+import { renderBulkImport } from './views/bulk-import.js';
+import { renderTemporaryRules } from './views/temporary-rules.js';
 import { initializeKeyboardHandler, focusFirstElement, storeFocus, restoreFocus } from './shared/keyboard-handler.js';
 import { announceNavigation, announceLoading, initializeAnnouncer } from './shared/announcer.js';
 
@@ -214,6 +218,11 @@ function renderCurrentView() {
             renderGroupServerSelection(mainContent, state.viewData);
             break;
 
+        case 'group-sync-preview':
+            document.getElementById('add-rule-container').innerHTML = '';
+            renderGroupSyncPreview(mainContent, state.viewData);
+            break;
+
         case 'about':
             document.getElementById('add-rule-container').innerHTML = '';
             renderAbout(mainContent);
@@ -229,6 +238,21 @@ function renderCurrentView() {
             renderLogDetail(mainContent, state.viewData);
             break;
 
+        case 'stats-dashboard':
+            document.getElementById('add-rule-container').innerHTML = '';
+            renderStatsDashboard(mainContent, state.viewData);
+            break;
+
+        case 'bulk-import':
+            document.getElementById('add-rule-container').innerHTML = '';
+            renderBulkImport(mainContent, state.viewData);
+            break;
+
+        case 'temporary-rules':
+            document.getElementById('add-rule-container').innerHTML = '';
+            renderTemporaryRules(mainContent, state.viewData);
+            break;
+
         default:
             mainContent.innerHTML = `
         <div class="empty-state">
@@ -4,6 +4,7 @@
  */
 
 import { checkDomainExists, getRuleType } from '../utils/rule-domain-validator.js';
+import { validateRule } from '../../background/rule-parser.js';
 
 /**
  * Show custom styled confirmation dialog for replace operation
@@ -110,65 +111,42 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-export async function addRuleToTarget(targetValue, rule) {
+/**
+ * Add a rule to every server of a target
+ * @param {string} targetValue - "group:<id>" or "server:<id>"
+ * @param {string} rule
+ * @param {Object} [options]
+ * @param {number|null} [options.expiresAt] - Epoch ms: the rule is removed again (or the replaced rule restored) then
+ * @param {{note?: string, tags?: Array<string>}} [options.annotation] - Recorded with the rule, along with author and date
+ */
+export async function addRuleToTarget(targetValue, rule, { expiresAt = null, annotation = {} } = {}) {
     if (!targetValue || !rule) {
         throw new Error('Target and rule required');
     }
 
-    const [type, id] = targetValue.split(':');
-    let serverIds = [];
-
-    if (type === 'group') {
-        serverIds = await getServerIdsForGroup(id);
-        console.log('[AddRule] Target type: group', { groupId: id, serverIds });
-    } else if (type === 'server') {
-        const groupId = await getGroupForServer(id);
-        console.log('[AddRule] Target type: server', { serverId: id, groupId });
-
-        if (groupId) {
-            // Check if Custom Rules sync is enabled for this group
-            const groups = await window.app.sendMessage('getGroups');
-            const group = groups.find(g => g.id === groupId);
-
-            // Only sync across group if customRules sync is enabled (default: true for backward compatibility)
-            const customRulesSyncEnabled = group?.syncSettings?.customRules !== false;
-
-            console.log('[AddRule] Sync settings check', {
-                groupId,
-                groupName: group?.name,
-                syncSettings: group?.syncSettings,
-                customRulesSyncEnabled
-            });
-
-            if (customRulesSyncEnabled) {
-                // Sync enabled: add to all servers in group
-                serverIds = await getServerIdsForGroup(groupId);
-                console.log('[AddRule] Sync ENABLED - targeting all group servers', { serverIds });
-            } else {
-                // Sync disabled: only add to this specific server
-                serverIds = [id];
-                console.log('[AddRule] Sync DISABLED - targeting only selected server', { serverId: id });
-            }
-        } else {
-            serverIds = [id];
-            console.log('[AddRule] Server not in any group - targeting only this server', { serverId: id });
-        }
-    } else {
-        throw new Error('Invalid target');
+    const validation = validateRule(rule);
+    if (!validation.valid) {
+        throw new Error(`Invalid rule: ${validation.error}`);
     }
 
+    const serverIds = await resolveTargetServerIds(targetValue);
+
     const results = {
         success: 0,
         duplicate: 0,
         replaced: 0,
         failed: 0,
+        queued: 0,
         total: serverIds.length,
         domainConflicts: [],
-        affectedServers: []
+        affectedServers: [],
+        transaction: null, // applyRuleTransaction result: { status, servers: [{ serverId, name, state, error }] }
+        temporaryRule: null // Stored temporary rule when expiresAt was given and a server got the rule
     };
 
     // First pass: detect all conflicts across all servers
     const conflictMap = new Map(); // domain -> { domain, existingRule, newRule, servers: [{ serverId, currentRules }] }
+    const duplicateServerIds = new Set();
 
     for (const serverId of serverIds) {
         try {
@@ -177,6 +155,7 @@ export async function addRuleToTarget(targetValue, rule) {
             // Check for exact duplicate
             if (currentRules.includes(rule)) {
                 results.duplicate++;
+                duplicateServerIds.add(serverId);
                 continue;
             }
 
@@ -238,44 +217,50 @@ export async function addRuleToTarget(targetValue, rule) {
         console.log('[DEBUG] No domain conflicts detected');
     }
 
-    // Second pass: apply rules based on conflicts and user decision
+    // Second pass: one transaction for all servers, based on conflicts and user decision
+    // Servers whose check failed are still included, so the transaction fails (and rolls back or queues) on them
+    const changes = {};
     for (const serverId of serverIds) {
-        try {
-            const currentRules = await window.app.sendMessage('getUserRules', { serverId });
+        const conflict = [...conflictMap.values()].find(c => c.servers.some(s => s.serverId === serverId));
 
-            // Check for exact duplicate (skip if already counted)
-            if (currentRules.includes(rule)) {
-                continue; // Already counted in first pass
-            }
+        if (duplicateServerIds.has(serverId)) {
+            continue; // Already counted in first pass
+        }
 
-            // Check for domain duplicate
-            const domainCheck = checkDomainExists(rule, currentRules);
+        if (conflict) {
+            // User already decided for all servers
+            if (userDecision === false) {
+                results.failed++;
+                continue;
+            }
+            changes[serverId] = { replace: [[conflict.existingRule, rule]] };
+        } else {
+            changes[serverId] = { add: [rule] };
+        }
+    }
 
-            if (domainCheck.exists) {
-                // User already decided for all servers
-                if (userDecision === false) {
+    if (Object.keys(changes).length > 0) {
+        const transaction = await window.app.sendMessage('applyRuleTransaction', { changes, expiresAt, annotation });
+        results.transaction = transaction;
+        results.temporaryRule = transaction.temporaryRule || null;
+
+        for (const server of transaction.servers) {
+            switch (server.state) {
+                case 'applied':
+                    results.success++;
+                    if (changes[server.serverId].replace) results.replaced++;
+                    results.affectedServers.push(server.serverId);
+                    break;
+                case 'unchanged':
+                    results.duplicate++;
+                    break;
+                case 'queued':
+                    results.queued++;
+                    break;
+                default:
+                    console.error(`Failed to add rule to server ${server.serverId}:`, server.error);
                     results.failed++;
-                    continue;
-                }
-
-                // Replace the rule
-                const updatedRules = currentRules.map(r =>
-                    r === domainCheck.conflictingRule ? rule : r
-                );
-                await window.app.sendMessage('setRules', { serverId, rules: updatedRules });
-                results.replaced++;
-                results.success++;
-                results.affectedServers.push(serverId);
-            } else {
-                // No conflict, add normally
-                const updatedRules = [...currentRules, rule];
-                await window.app.sendMessage('setRules', { serverId, rules: updatedRules });
-                results.success++;
-                results.affectedServers.push(serverId);
             }
-        } catch (error) {
-            console.error(`Failed to add rule to server ${serverId}:`, error);
-            results.failed++;
         }
     }
 
@@ -303,6 +288,58 @@ export async function addRuleToTarget(targetValue, rule) {
     return results;
 }
 
+/**
+ * Servers a rule for a target ("group:<id>" or "server:<id>") is written to
+ * A server in a group with Custom Rules sync targets the whole group
+ * @param {string} targetValue
+ * @returns {Promise<Array<string>>} Server IDs
+ */
+export async function resolveTargetServerIds(targetValue) {
+    const [type, id] = targetValue.split(':');
+    let serverIds = [];
+
+    if (type === 'group') {
+        serverIds = await getServerIdsForGroup(id);
+        console.log('[AddRule] Target type: group', { groupId: id, serverIds });
+    } else if (type === 'server') {
+        const groupId = await getGroupForServer(id);
+        console.log('[AddRule] Target type: server', { serverId: id, groupId });
+
+        if (groupId) {
+            // Check if Custom Rules sync is enabled for this group
+            const groups = await window.app.sendMessage('getGroups');
+            const group = groups.find(g => g.id === groupId);
+
+            // Only sync across group if customRules sync is enabled (default: true for backward compatibility)
+            const customRulesSyncEnabled = group?.syncSettings?.customRules !== false;
+
+            console.log('[AddRule] Sync settings check', {
+                groupId,
+                groupName: group?.name,
+                syncSettings: group?.syncSettings,
+                customRulesSyncEnabled
+            });
+
+            if (customRulesSyncEnabled) {
+                // Sync enabled: add to all servers in group
+                serverIds = await getServerIdsForGroup(groupId);
+                console.log('[AddRule] Sync ENABLED - targeting all group servers', { serverIds });
+            } else {
+                // Sync disabled: only add to this specific server
+                serverIds = [id];
+                console.log('[AddRule] Sync DISABLED - targeting only selected server', { serverId: id });
+            }
+        } else {
+            serverIds = [id];
+            console.log('[AddRule] Server not in any group - targeting only this server', { serverId: id });
+        }
+    } else {
+        throw new Error('Invalid target');
+    }
+
+    return serverIds;
+}
+
 /**
  * Show confirmation dialog for replacing existing rule
  * @deprecated - Now using inline confirmation in addRuleToTarget
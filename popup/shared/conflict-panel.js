@@ -0,0 +1,140 @@
+// Conflict Panel
+// Shared by the group rewrites and clients views: policy selection and
+// explicit resolution of entries that differ between servers
+
+import { escapeHtml } from '../utils.js';
+
+const POLICY_OPTIONS = [
+    { value: 'primary', label: 'Primary server wins' },
+    { value: 'newest', label: 'Newest change wins' },
+    { value: 'most-restrictive', label: 'Most restrictive wins' },
+    { value: 'least-restrictive', label: 'Least restrictive wins' },
+    { value: 'manual', label: 'Manual (leave unsynced until resolved)' }
+];
+
+/**
+ * Conflict panel markup
+ * @param {Object} conflictData - Result of the getGroupConflicts message
+ * @param {Array} groupServers - Servers in the group
+ * @param {Function} describe - entry => short text for one server's version
+ * @returns {string} HTML
+ */
+export function renderConflictPanel(conflictData, groupServers, describe) {
+    const { policy, primaryServerId, conflicts } = conflictData;
+    const unresolved = conflicts.filter(c => !c.resolved).length;
+
+    return `
+        <div id="conflict-panel" style="background: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 6px; padding: 12px; margin-bottom: 14px;">
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
+                <span style="font-size: 9px; color: var(--color-text-tertiary); text-transform: uppercase; letter-spacing: 0.8px; font-weight: 600;">CONFLICTS</span>
+                <span style="font-size: 10px; color: ${unresolved > 0 ? 'var(--color-warning)' : 'var(--color-text-secondary)'}; font-weight: 500;">
+                    ${conflicts.length} total${unresolved > 0 ? `, ${unresolved} unresolved` : ''}
+                </span>
+            </div>
+
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; margin-bottom: 10px;">
+                <label style="font-size: 9px; color: var(--color-text-secondary);">
+                    Policy
+                    <select class="form-input" id="conflict-policy" style="width: 100%; margin-top: 3px;">
+                        ${POLICY_OPTIONS.map(o => `<option value="${o.value}" ${o.value === policy ? 'selected' : ''}>${o.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label style="font-size: 9px; color: var(--color-text-secondary);">
+                    Primary server
+                    <select class="form-input" id="conflict-primary" style="width: 100%; margin-top: 3px;">
+                        <option value="">First server in group</option>
+                        ${groupServers.map(s => `<option value="${escapeHtml(s.id)}" ${s.id === primaryServerId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+
+            ${conflicts.length === 0 ? `
+                <div style="font-size: 10px; color: var(--color-text-secondary); text-align: center; padding: 6px;">All servers agree on every entry.</div>
+            ` : `
+                <div style="max-height: 200px; overflow-y: auto; display: flex; flex-direction: column; gap: 6px;">
+                    ${conflicts.map(conflict => renderConflict(conflict, describe)).join('')}
+                </div>
+            `}
+        </div>
+    `;
+}
+
+/**
+ * Wire the policy selectors and resolve buttons of a rendered conflict panel
+ * @param {HTMLElement} container - View container
+ * @param {Object} options
+ * @param {Object} options.group - Group configuration
+ * @param {string} options.type - 'dnsRewrites' | 'homeClients'
+ * @param {Function} options.onChange - Called after a policy or resolution was saved (re-render)
+ */
+export function bindConflictPanel(container, { group, type, onChange }) {
+    const savePolicy = async () => {
+        const policy = container.querySelector('#conflict-policy').value;
+        const primaryServerId = container.querySelector('#conflict-primary').value || null;
+
+        try {
+            await window.app.sendMessage('saveGroup', {
+                group: {
+                    ...group,
+                    conflictPolicy: { ...group.conflictPolicy, [type]: policy },
+                    primaryServerId
+                }
+            });
+            window.app.showToast('Conflict policy saved', 'success');
+            await onChange();
+        } catch (error) {
+            window.app.showToast(`Failed to save policy: ${error.message}`, 'error');
+        }
+    };
+
+    container.querySelector('#conflict-policy')?.addEventListener('change', savePolicy);
+    container.querySelector('#conflict-primary')?.addEventListener('change', savePolicy);
+
+    container.querySelectorAll('.conflict-resolve-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            try {
+                await window.app.sendMessage('resolveGroupConflict', {
+                    groupId: group.id,
+                    type,
+                    key: btn.dataset.key,
+                    serverId: btn.dataset.serverId || null
+                });
+                await onChange();
+            } catch (error) {
+                window.app.showToast(`Failed to resolve conflict: ${error.message}`, 'error');
+            }
+        });
+    });
+}
+
+function renderConflict(conflict, describe) {
+    const status = conflict.resolvedBy === 'manual'
+        ? { text: 'RESOLVED', color: '#42d392' }
+        : conflict.resolvedBy === 'policy'
+            ? { text: 'BY POLICY', color: '#64b5f6' }
+            : { text: 'UNRESOLVED', color: 'var(--color-warning)' };
+
+    return `
+        <div style="background: var(--color-bg-primary); border: 1px solid var(--color-border); border-left: 2px solid ${status.color}; border-radius: 4px; padding: 8px;">
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 6px; margin-bottom: 6px;">
+                <span style="font-size: 11px; font-weight: 600; color: var(--color-text-primary); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(conflict.key)}</span>
+                <span style="font-size: 8px; padding: 2px 6px; border-radius: 3px; color: ${status.color}; font-weight: 600; white-space: nowrap;">${status.text}</span>
+            </div>
+            ${conflict.versions.map(version => {
+                const chosen = version.serverId === conflict.resolvedServerId;
+                return `
+                    <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+                        <span style="font-size: 9px; color: var(--color-text-tertiary); min-width: 70px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(version.serverName)}</span>
+                        <span style="flex: 1; font-size: 10px; color: ${chosen ? '#42d392' : 'var(--color-text-secondary)'}; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(describe(version.entry))}</span>
+                        <button class="btn btn-secondary btn-sm conflict-resolve-btn" data-key="${escapeHtml(conflict.key)}" data-server-id="${escapeHtml(version.serverId)}" ${chosen && conflict.resolvedBy === 'manual' ? 'disabled' : ''}>Use</button>
+                    </div>
+                `;
+            }).join('')}
+            ${conflict.resolvedBy === 'manual' ? `
+                <div style="text-align: right; margin-top: 4px;">
+                    <button class="btn btn-secondary btn-sm conflict-resolve-btn" data-key="${escapeHtml(conflict.key)}" data-server-id="">Clear choice</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
@@ -160,3 +160,83 @@ export function createInput(id, label, options = {}) {
         </div>
     `;
 }
+
+/**
+ * Create an inline SVG latency sparkline
+ * Answered samples are joined by a line; failed checks are marked with a red tick
+ * @param {Array<{latencyMs: number|null, up: boolean}>} points - Oldest first
+ * @param {Object} options - { width, height, className }
+ * @returns {string} HTML string ('' with fewer than two points)
+ */
+export function createSparkline(points, options = {}) {
+    const { width = 60, height = 14, className = 'sparkline' } = options;
+
+    if (!points || points.length < 2) {
+        return '';
+    }
+
+    const max = Math.max(1, ...points.map(p => p.latencyMs || 0));
+    const step = width / (points.length - 1);
+    const x = i => (i * step).toFixed(1);
+    const y = ms => (height - 1 - (ms / max) * (height - 2)).toFixed(1);
+
+    let path = '';
+    let penDown = false;
+    points.forEach((point, i) => {
+        if (point.latencyMs === null || point.latencyMs === undefined) {
+            penDown = false;
+            return;
+        }
+        path += `${penDown ? 'L' : 'M'}${x(i)},${y(point.latencyMs)} `;
+        penDown = true;
+    });
+
+    const failures = points
+        .map((point, i) => point.up ? '' : `<line class="sparkline-failure" x1="${x(i)}" y1="0" x2="${x(i)}" y2="${height}"/>`)
+        .join('');
+
+    return `
+        <svg class="${className}" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none">
+            <path class="sparkline-line" d="${path.trim()}"/>
+            ${failures}
+        </svg>
+    `;
+}
+
+/**
+ * Create an inline SVG bar chart of queries with their blocked share
+ * Each bar is the query count; its blocked part is drawn over it in red
+ * @param {{queries: Array<number>, blocked: Array<number>}} series - Oldest first
+ * @param {Object} options - { width, height, className, labels }
+ * @returns {string} HTML string ('' without data)
+ */
+export function createBarChart(series, options = {}) {
+    const { width = 300, height = 60, className = 'bar-chart', labels = [] } = options;
+
+    if (!series || !series.queries || series.queries.length === 0) {
+        return '';
+    }
+
+    const max = Math.max(1, ...series.queries);
+    const step = width / series.queries.length;
+    const barWidth = Math.max(1, step - 1).toFixed(1);
+    const barHeight = value => ((value / max) * (height - 1)).toFixed(1);
+
+    const bars = series.queries.map((queries, i) => {
+        const blocked = series.blocked?.[i] || 0;
+        const x = (i * step).toFixed(1);
+        return `
+            <g>
+                <title>${labels[i] ? `${labels[i]}: ` : ''}${queries.toLocaleString()} queries, ${blocked.toLocaleString()} blocked</title>
+                <rect class="bar-chart-queries" x="${x}" y="${height - barHeight(queries)}" width="${barWidth}" height="${barHeight(queries)}"/>
+                <rect class="bar-chart-blocked" x="${x}" y="${height - barHeight(blocked)}" width="${barWidth}" height="${barHeight(blocked)}"/>
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="${className}" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none">
+            ${bars}
+        </svg>
+    `;
+}
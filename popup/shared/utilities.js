@@ -2,6 +2,8 @@
 // Consolidates common utilities used across views
 // Eliminates code duplication and provides single source of truth
 
+import { classifyParsedRule, ruleKey } from '../../background/rule-parser.js';
+
 /**
  * Normalize a filtering rule
  * @param {string} rule - Raw rule text
@@ -25,6 +27,7 @@ export function normalizeRule(rule) {
 
 /**
  * Deduplicate array of rules while preserving order
+ * Rules with the same canonical form (see ruleKey) count once
  * [FIXED] Now deduplicates ALL rules including comments
  * @param {string[]} rules - Array of rules
  * @returns {string[]} Deduplicated array
@@ -44,9 +47,10 @@ export function dedupRules(rules) {
         // [BUG FIX] Deduplicate ALL rules including comments
         // Previously, comments were always kept without dedup check,
         // causing double counting in group merges
-        if (seen.has(normalized)) continue;
+        const key = ruleKey(normalized);
+        if (seen.has(key)) continue;
 
-        seen.add(normalized);
+        seen.add(key);
         result.push(normalized);
     }
 
@@ -54,29 +58,17 @@ export function dedupRules(rules) {
 }
 
 /**
- * Classify a rule using STRICT golden rule
+ * Classify a rule from its parsed form
  * @param {string} rule - Rule to classify
  * @returns {'block'|'allow'|'disabled'} Rule type
- * 
- * GOLDEN RULE:
- * - "@@" at start = Allow
- * - "||" at start = Block
- * - Everything else = Disabled/Inactive
+ *
+ * - "@@" exception rules = Allow
+ * - Any other valid rule (||, |, /regex/, plain domain, hosts line, $dnsrewrite) = Block
+ * - Comments, empty lines, unparseable and $badfilter rules = Disabled/Inactive
  */
 export function classifyRule(rule) {
     if (!rule || typeof rule !== 'string') return 'disabled';
-
-    const trimmed = rule.trim();
-
-    // Empty
-    if (!trimmed) return 'disabled';
-
-    // GOLDEN RULE: Apply strict matching
-    if (trimmed.startsWith('@@')) return 'allow';
-    if (trimmed.startsWith('||')) return 'block';
-
-    // Everything else is disabled/inactive
-    return 'disabled';
+    return classifyParsedRule(rule);
 }
 
 /**
@@ -1,6 +1,8 @@
 // Shared Utility Functions for Popup Views
 // Eliminates code duplication across view files
 
+import { classifyParsedRule } from '../background/rule-parser.js';
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} text - Text to escape
@@ -13,30 +15,17 @@ export function escapeHtml(text) {
 }
 
 /**
- * Classify a filtering rule by type using STRICT golden rule
+ * Classify a filtering rule by type from its parsed form
  * @param {string} rule - AdGuard filtering rule
  * @returns {string} Rule type: 'allow' | 'block' | 'disabled' | 'unknown'
- * 
- * GOLDEN RULE:
- * - "@@" at start = Allow (green)
- * - "||" at start = Block (red)
- * - Everything else = Disabled/Inactive (gray)
+ *
+ * - "@@" exception rules = Allow (green)
+ * - Any other valid rule (||, |, /regex/, plain domain, hosts line, $dnsrewrite) = Block (red)
+ * - Comments, empty lines, unparseable and $badfilter rules = Disabled/Inactive (gray)
  */
 export function classifyRule(rule) {
     if (typeof rule !== 'string') return 'unknown';
-
-    const trimmed = rule.trim();
-
-    // Empty lines are disabled
-    if (!trimmed) return 'disabled';
-
-    // GOLDEN RULE: Apply strict matching
-    if (trimmed.startsWith('@@')) return 'allow';
-    if (trimmed.startsWith('||')) return 'block';
-
-    // Everything else is disabled/inactive
-    // This includes: comments (!, #), single pipe (|), domain-only, etc.
-    return 'disabled';
+    return classifyParsedRule(rule);
 }
 
 /**
@@ -78,9 +67,10 @@ export function getRuleCounts(rules) {
  * @param {string} title - Dialog title
  * @param {string} message - Main message
  * @param {string} subtitle - Optional subtitle
+ * @param {string} confirmLabel - Label of the confirm button
  * @returns {Promise<boolean>} True if confirmed, false if cancelled
  */
-export function showConfirmDialog(title, message, subtitle = '') {
+export function showConfirmDialog(title, message, subtitle = '', confirmLabel = 'Delete') {
     return new Promise((resolve) => {
         // Create overlay
         const overlay = document.createElement('div');
@@ -99,7 +89,7 @@ export function showConfirmDialog(title, message, subtitle = '') {
             </div>
             <div class="confirm-actions">
                 <button class="btn btn-secondary btn-block" id="confirm-cancel">Cancel</button>
-                <button class="btn btn-danger btn-block" id="confirm-ok">Delete</button>
+                <button class="btn btn-danger btn-block" id="confirm-ok">${escapeHtml(confirmLabel)}</button>
             </div>
         `;
 
@@ -153,6 +143,27 @@ export function formatCount(num) {
     return num.toString();
 }
 
+/**
+ * One-line description of a synced setting entry ({ name, value })
+ * Used for blocked services, DNS upstreams, safety filters and access lists
+ * @param {{name: string, value: *}} setting
+ * @returns {string}
+ */
+export function formatSettingEntry(setting) {
+    const { name, value } = setting;
+    if (Array.isArray(value)) {
+        return `${name}: ${value.join(', ') || '(none)'}`;
+    }
+    if (typeof value === 'boolean') {
+        return `${name}: ${value ? 'on' : 'off'}`;
+    }
+    if (value && typeof value === 'object') {
+        const on = Object.entries(value).filter(([, v]) => v === true).map(([k]) => k);
+        return `${name}: ${on.length > 0 ? on.join(', ') : JSON.stringify(value)}`;
+    }
+    return `${name}: ${value === '' ? '(default)' : value}`;
+}
+
 // ============================================================================
 // DEDUPLICATION UTILITIES FOR SYNC FEATURES
 // ============================================================================
@@ -0,0 +1,42 @@
+/**
+ * Rule Annotations - note and tags typed as one line ("kids' homework #school #temp")
+ * parseNoteInput is inlined in context-menu/content-script.js, keep both in step
+ */
+
+/**
+ * Split a note line into note text and #tags
+ * @param {string} text
+ * @returns {{note: string, tags: Array<string>}}
+ */
+export function parseNoteInput(text) {
+    const tags = [];
+    const note = String(text || '')
+        .replace(/(^|\s)#([\w-]+)/g, (match, space, tag) => {
+            tags.push(tag.toLowerCase());
+            return space;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return { note, tags: [...new Set(tags)] };
+}
+
+/**
+ * The note line an annotation was typed as
+ * @param {Object|null} annotation
+ * @returns {string}
+ */
+export function formatNoteInput(annotation) {
+    if (!annotation) return '';
+    return [annotation.note, ...(annotation.tags || []).map(tag => `#${tag}`)].filter(Boolean).join(' ');
+}
+
+/**
+ * Everything a search should match in an annotation
+ * @param {Object|null} annotation
+ * @returns {string} Lowercase
+ */
+export function getAnnotationSearchText(annotation) {
+    if (!annotation) return '';
+    return [formatNoteInput(annotation), annotation.author, annotation.source].filter(Boolean).join(' ').toLowerCase();
+}
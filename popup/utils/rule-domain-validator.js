@@ -3,6 +3,8 @@
  * Extracts domain from AdGuard rules and checks for duplicates
  */
 
+import { parseRule, hasModifier, RULE_KIND } from '../../background/rule-parser.js';
+
 /**
  * Extract domain from an AdGuard rule
  * @param {string} rule - AdGuard rule (e.g., "||domain.com^", "@@||domain.com^$important")
@@ -13,55 +15,14 @@ export function extractDomainFromRule(rule) {
         return null;
     }
 
-    const trimmed = rule.trim();
+    const ast = parseRule(rule);
 
-    // Skip comments and empty lines
-    if (!trimmed || trimmed.startsWith('!') || trimmed.startsWith('#')) {
+    // Comments, regex rules and wildcard patterns don't target a single domain
+    if (ast.error || !ast.hostname || ast.hostname.includes('*')) {
         return null;
     }
 
-    // Remove exception marker @@
-    let pattern = trimmed.startsWith('@@') ? trimmed.substring(2) : trimmed;
-
-    // Remove modifiers (everything after $)
-    const dollarIndex = pattern.indexOf('$');
-    if (dollarIndex !== -1) {
-        pattern = pattern.substring(0, dollarIndex);
-    }
-
-    // Extract domain from pattern
-    let domain = pattern;
-
-    // Remove ||  prefix
-    if (domain.startsWith('||')) {
-        domain = domain.substring(2);
-    } else if (domain.startsWith('|')) {
-        domain = domain.substring(1);
-        // Remove protocol if present
-        domain = domain.replace(/^https?:\/\//, '');
-    }
-
-    // Remove ^ separator and everything after
-    const caretIndex = domain.indexOf('^');
-    if (caretIndex !== -1) {
-        domain = domain.substring(0, caretIndex);
-    }
-
-    // Remove / and everything after (path)
-    const slashIndex = domain.indexOf('/');
-    if (slashIndex !== -1) {
-        domain = domain.substring(0, slashIndex);
-    }
-
-    // Remove wildcards and clean up
-    domain = domain.replace(/[*?]/g, '');
-
-    // Validate domain-like pattern
-    if (domain && domain.match(/^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/)) {
-        return domain.toLowerCase();
-    }
-
-    return null;
+    return ast.hostname.replace(/\.$/, '');
 }
 
 /**
@@ -101,15 +62,15 @@ export function checkDomainExists(newRule, existingRules) {
  */
 export function getRuleType(rule) {
     if (!rule) return 'block';
-    const trimmed = rule.trim();
+    const ast = parseRule(rule);
 
     // Skip comments
-    if (trimmed.startsWith('!') || trimmed.startsWith('#')) {
+    if (ast.kind === RULE_KIND.COMMENT) {
         return 'comment';
     }
 
     // Exception rule (allow)
-    if (trimmed.startsWith('@@')) {
+    if (ast.exception) {
         return 'allow';
     }
 
@@ -123,9 +84,5 @@ export function getRuleType(rule) {
  */
 export function hasImportantModifier(rule) {
     if (!rule) return false;
-    const dollarIndex = rule.indexOf('$');
-    if (dollarIndex === -1) return false;
-
-    const modifiers = rule.substring(dollarIndex + 1);
-    return modifiers.split(',').some(m => m.trim() === 'important');
+    return hasModifier(parseRule(rule), 'important');
 }
@@ -0,0 +1,46 @@
+/**
+ * Rule Expiry - how long a temporary rule stays
+ * Inlined in context-menu/content-script.js, keep both in step
+ */
+
+export const EXPIRY_OPTIONS = [
+    { value: '', label: 'Permanent' },
+    { value: '60', label: '1 hour' },
+    { value: '480', label: '8 hours' },
+    { value: 'midnight', label: 'Until midnight' },
+    { value: '1440', label: '1 day' },
+    { value: '10080', label: '1 week' }
+];
+
+/**
+ * Expiry time of an EXPIRY_OPTIONS value
+ * @param {string} value - Minutes, 'midnight', or '' for permanent
+ * @param {Date} [now]
+ * @returns {number|null} Epoch ms, null for a permanent rule
+ */
+export function getExpiryTime(value, now = new Date()) {
+    if (!value) return null;
+
+    if (value === 'midnight') {
+        const midnight = new Date(now);
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.getTime();
+    }
+
+    return now.getTime() + Number(value) * 60 * 1000;
+}
+
+/**
+ * Time left until an expiry: "45 min", "3 h 05 min", "2 days"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatTimeLeft(ms) {
+    const minutes = Math.max(0, Math.ceil(ms / 60000));
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days >= 2) return `${days} days`;
+    if (hours > 0) return `${hours} h ${String(minutes % 60).padStart(2, '0')} min`;
+    return `${minutes} min`;
+}
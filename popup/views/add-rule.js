@@ -6,7 +6,10 @@
 import { parseInput } from '../utils/rule-parser.js';
 import { generateRule } from '../utils/rule-generator.js';
 import { addRuleToTarget } from '../services/add-rule-service.js';
+import { EXPIRY_OPTIONS, getExpiryTime } from '../utils/rule-expiry.js';
+import { parseNoteInput } from '../utils/rule-annotations.js';
 import { escapeHtml } from '../utils.js';
+import { evaluateHost, VERDICT } from '../../background/rule-evaluator.js';
 
 
 export async function renderAddRuleSection(container, options = {}) {
@@ -25,6 +28,10 @@ export async function renderAddRuleSection(container, options = {}) {
                 ${compact ? '' : `
                 <div class="add-rule-header">
                     <h2>ADD RULE</h2>
+                    <div class="add-rule-header-links">
+                        <button id="temporary-rules-btn" class="add-rule-bulk-link" title="Rules that remove themselves">Temporary</button>
+                        <button id="bulk-import-btn" class="add-rule-bulk-link" title="Import many rules at once">Bulk import</button>
+                    </div>
                 </div>
                 `}
                 <div class="add-rule-body" style="${compact ? 'padding: 0;' : ''}">
@@ -98,6 +105,22 @@ export async function renderAddRuleSection(container, options = {}) {
                     </div>
                     
                     <div id="rule-preview" class="rule-preview">||example.com^</div>
+                    <div id="rule-effect" class="rule-effect hidden"></div>
+
+                    <input
+                        type="text"
+                        id="rule-note"
+                        class="add-rule-input add-rule-note"
+                        placeholder="Note (optional), #tags"
+                        maxlength="500"
+                    />
+
+                    <label class="add-rule-expiry">
+                        <span class="toggle-text">EXPIRES</span>
+                        <select id="rule-expiry" class="add-rule-select" title="Remove the rule again after">
+                            ${EXPIRY_OPTIONS.map(o => `<option value="${o.value}">${o.label}</option>`).join('')}
+                        </select>
+                    </label>
                     
                     <button id="add-sync-btn" class="btn btn-primary">ADD TO RULES</button>
                 </div>
@@ -106,6 +129,14 @@ export async function renderAddRuleSection(container, options = {}) {
     `;
 
     setupEventListeners();
+
+    document.getElementById('bulk-import-btn')?.addEventListener('click', () => {
+        window.app.navigateTo('bulk-import');
+    });
+
+    document.getElementById('temporary-rules-btn')?.addEventListener('click', () => {
+        window.app.navigateTo('temporary-rules');
+    });
 }
 
 function setupEventListeners() {
@@ -119,6 +150,9 @@ function setupEventListeners() {
     const clientInput = document.getElementById('client-input');
 
     const preview = document.getElementById('rule-preview');
+    const effect = document.getElementById('rule-effect');
+    const expirySelect = document.getElementById('rule-expiry');
+    const noteInput = document.getElementById('rule-note');
     const btn = document.getElementById('add-sync-btn');
 
     // Custom dropdown elements
@@ -227,6 +261,8 @@ function setupEventListeners() {
         // Close dropdown
         dropdownOptions.classList.remove('show');
         dropdownSelected.classList.remove('open');
+
+        loadTargetRules();
     });
 
     // Close dropdown when clicking outside
@@ -240,6 +276,19 @@ function setupEventListeners() {
     // Helper function to get dropdown value
     const getTargetValue = () => selectedValue;
 
+    // Cached rules of the selected target, for the local effect preview
+    let targetRules = [];
+    let targetRulesFor = null;
+
+    async function loadTargetRules() {
+        const targetValue = getTargetValue();
+        if (!targetValue || targetValue === targetRulesFor) return;
+
+        targetRulesFor = targetValue;
+        targetRules = await getTargetRules(targetValue);
+        updatePreview();
+    }
+
     function updatePreview() {
         const inputValue = input.value.trim();
         const isBlock = blockToggle.checked;
@@ -249,6 +298,7 @@ function setupEventListeners() {
         if (!inputValue) {
             preview.textContent = '||example.com^';
             preview.className = 'rule-preview';
+            effect.classList.add('hidden');
             return;
         }
 
@@ -256,6 +306,7 @@ function setupEventListeners() {
         if (error) {
             preview.textContent = error;
             preview.className = 'rule-preview error';
+            effect.classList.add('hidden');
             return;
         }
 
@@ -271,6 +322,10 @@ function setupEventListeners() {
 
         preview.textContent = rule;
         preview.className = isBlock ? 'rule-preview block' : 'rule-preview allow';
+
+        // Client-specific rules are previewed for the first listed client
+        const client = isClientSpecific && clientValue ? clientValue.split('|')[0].trim() : null;
+        renderEffect(effect, hostname, rule, targetRules, client);
     }
 
     blockToggle.addEventListener('change', () => {
@@ -299,6 +354,8 @@ function setupEventListeners() {
     input.addEventListener('input', updatePreview);
     clientInput.addEventListener('input', updatePreview);
 
+    loadTargetRules();
+
     btn.addEventListener('click', async () => {
         const inputValue = input.value.trim();
         const targetValue = getTargetValue();
@@ -340,7 +397,8 @@ function setupEventListeners() {
         btn.textContent = 'Adding...';
 
         try {
-            const summary = await addRuleToTarget(targetValue, rule);
+            const expiresAt = getExpiryTime(expirySelect.value);
+            const summary = await addRuleToTarget(targetValue, rule, { expiresAt, annotation: parseNoteInput(noteInput.value) });
 
             if (summary.success > 0) {
                 const ruleType = isBlock ? 'Block' : 'Allow';
@@ -350,8 +408,15 @@ function setupEventListeners() {
                     message += ` (${summary.replaced} replaced)`;
                 }
 
+                if (summary.temporaryRule) {
+                    message += ` until ${new Date(expiresAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`;
+                }
+
                 window.app.showToast(message, 'success');
+                // Writes clear the server cache, so track the new rule locally for the preview
+                targetRules = [...targetRules, rule];
                 input.value = '';
+                noteInput.value = '';
                 // Don't clear client input - might want to add another for same kid
                 updatePreview();
             }
@@ -360,10 +425,20 @@ function setupEventListeners() {
                 window.app.showToast(`Rule exists on ${summary.duplicate} server(s)`, 'info');
             }
 
+            if (summary.queued > 0) {
+                window.app.showToast(`Unreachable: queued for retry on ${summary.queued} server(s)`, 'warning');
+            }
+
             if (summary.failed > 0) {
-                const errorMsg = summary.domainConflicts.length > 0
+                const failedNames = (summary.transaction?.servers || [])
+                    .filter(s => s.state === 'failed' || s.state === 'rollback-failed')
+                    .map(s => s.name || s.serverId);
+                let errorMsg = summary.domainConflicts.length > 0
                     ? `Cancelled or failed on ${summary.failed} server(s)`
-                    : `Failed on ${summary.failed} server(s)`;
+                    : `Failed on ${failedNames.join(', ') || `${summary.failed} server(s)`}`;
+                if (summary.transaction?.status === 'rolled-back') {
+                    errorMsg += ' - no server was changed';
+                }
                 window.app.showToast(errorMsg, 'error');
             }
         } catch (error) {
@@ -375,3 +450,48 @@ function setupEventListeners() {
         }
     });
 }
+
+/**
+ * Cached user rules of a target ("server:<id>" or "group:<id>")
+ * Uses the local cache only so the preview never waits on the network
+ */
+async function getTargetRules(targetValue) {
+    const [type, id] = targetValue.split(':');
+    let serverIds = [id];
+
+    try {
+        if (type === 'group') {
+            const group = await window.app.sendMessage('getGroup', { id });
+            serverIds = group?.serverIds || [];
+        }
+
+        const caches = await Promise.all(serverIds.map(serverId => window.app.sendMessage('getCache', { serverId })));
+        return caches.flatMap(cache => cache?.rules || []);
+    } catch (error) {
+        console.warn('Add rule: could not load cached rules for preview', error);
+        return [];
+    }
+}
+
+/**
+ * Show what the candidate rule would change for the hostname, evaluated locally
+ */
+function renderEffect(effect, hostname, rule, targetRules, client) {
+    const before = evaluateHost(hostname, targetRules, { client });
+    const after = evaluateHost(hostname, [...targetRules, rule], { client });
+
+    const label = verdict => verdict === VERDICT.NONE ? 'not filtered' : verdict;
+
+    if (after.rule === rule && before.verdict !== after.verdict) {
+        effect.textContent = `${hostname}: ${label(before.verdict)} → ${label(after.verdict)}`;
+        effect.className = `rule-effect ${after.verdict}`;
+    } else if (after.rule === rule) {
+        effect.textContent = `${hostname}: already ${label(before.verdict)} by ${before.rule}`;
+        effect.className = 'rule-effect';
+    } else {
+        // Another rule wins over the candidate (e.g. an $important rule)
+        effect.textContent = `No effect: ${after.rule ? `${after.rule} wins (${after.reason})` : 'rule does not match'}`;
+        effect.className = 'rule-effect error';
+    }
+    effect.title = after.matches.map(m => `${m.kind}: ${m.rule}`).join('\n');
+}
@@ -0,0 +1,240 @@
+// Bulk Import View
+// Paste or upload a rule list (AdGuard, hosts, domains, Pi-hole regex), preview it
+// against the target's current rules, then write each server once
+
+import { escapeHtml } from '../utils.js';
+import { Logger } from '../utils/logger.js';
+import { resolveTargetServerIds } from '../services/add-rule-service.js';
+import { parseImportText, planImport, IMPORT_FORMAT, IMPORT_STATUS } from '../../background/rule-import.js';
+
+const FORMAT_OPTIONS = [
+    { value: IMPORT_FORMAT.AUTO, label: 'Auto-detect' },
+    { value: IMPORT_FORMAT.ADGUARD, label: 'AdGuard rules' },
+    { value: IMPORT_FORMAT.HOSTS, label: 'Hosts file' },
+    { value: IMPORT_FORMAT.DOMAINS, label: 'Domain list' },
+    { value: IMPORT_FORMAT.REGEX, label: 'Pi-hole regex list' }
+];
+
+// Keep the popup responsive on very large lists; the import itself isn't capped
+const MAX_PREVIEW_ROWS = 200;
+
+export async function renderBulkImport(container, data = {}) {
+    const [servers, groups] = await Promise.all([
+        window.app.sendMessage('getServers'),
+        window.app.sendMessage('getGroups')
+    ]);
+
+    const selected = data.target || (groups[0] ? `group:${groups[0].id}` : servers[0] ? `server:${servers[0].id}` : '');
+
+    container.innerHTML = `
+        <div class="view-container">
+            <div class="view-header">
+                <button class="header-icon-btn" id="back-btn" title="Back">
+                    <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+                </button>
+                <h1 class="view-title">BULK IMPORT</h1>
+                <div class="header-action-area"></div>
+            </div>
+
+            <div class="view-body">
+                <div class="form-group">
+                    <label class="form-label" for="import-target">Import to</label>
+                    <select id="import-target" class="form-select">
+                        ${groups.length > 0 ? `
+                            <optgroup label="Groups">
+                                ${groups.map(g => `<option value="group:${g.id}" ${selected === `group:${g.id}` ? 'selected' : ''}>${escapeHtml(g.name)}</option>`).join('')}
+                            </optgroup>
+                        ` : ''}
+                        <optgroup label="Servers">
+                            ${servers.map(s => `<option value="server:${s.id}" ${selected === `server:${s.id}` ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('')}
+                        </optgroup>
+                    </select>
+                </div>
+
+                <div class="bulk-import-options">
+                    <select id="import-format" class="form-select" title="Input format">
+                        ${FORMAT_OPTIONS.map(f => `<option value="${f.value}">${f.label}</option>`).join('')}
+                    </select>
+                    <select id="import-mode" class="form-select" title="Domains, hosts and regex lines become">
+                        <option value="block">Block</option>
+                        <option value="allow">Allow (@@)</option>
+                    </select>
+                </div>
+
+                <div class="form-group">
+                    <textarea
+                        id="import-text"
+                        class="form-textarea bulk-import-text"
+                        rows="8"
+                        placeholder="||ads.example.com^&#10;0.0.0.0 tracker.example.com&#10;example.org&#10;^ad[0-9]*\\.example\\.net$"
+                        spellcheck="false"
+                    ></textarea>
+                    <div class="bulk-import-file-row">
+                        <label class="btn btn-secondary btn-sm" for="import-file">Upload file</label>
+                        <input type="file" id="import-file" accept=".txt,.list,.conf,.hosts,text/plain" class="hidden">
+                        <span id="import-file-name" class="text-xs text-tertiary"></span>
+                    </div>
+                </div>
+
+                <button id="import-preview-btn" class="btn btn-primary btn-block">Preview</button>
+
+                <div id="import-preview" class="bulk-import-preview"></div>
+            </div>
+        </div>
+    `;
+
+    const targetSelect = container.querySelector('#import-target');
+    const formatSelect = container.querySelector('#import-format');
+    const modeSelect = container.querySelector('#import-mode');
+    const textArea = container.querySelector('#import-text');
+    const fileInput = container.querySelector('#import-file');
+    const previewEl = container.querySelector('#import-preview');
+
+    container.querySelector('#back-btn').addEventListener('click', () => {
+        window.app.navigateTo('server-list');
+    });
+
+    // Any change makes the preview stale
+    const clearPreview = () => { previewEl.innerHTML = ''; };
+    [targetSelect, formatSelect, modeSelect].forEach(el => el.addEventListener('change', clearPreview));
+    textArea.addEventListener('input', clearPreview);
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        textArea.value = await file.text();
+        container.querySelector('#import-file-name').textContent = file.name;
+        clearPreview();
+    });
+
+    container.querySelector('#import-preview-btn').addEventListener('click', async () => {
+        const target = targetSelect.value;
+        if (!target) {
+            window.app.showToast('Add a server first', 'error');
+            return;
+        }
+
+        const parsed = parseImportText(textArea.value, {
+            format: formatSelect.value,
+            allow: modeSelect.value === 'allow'
+        });
+        if (parsed.entries.length === 0) {
+            window.app.showToast('Nothing to import', 'warning');
+            return;
+        }
+
+        window.app.showLoading();
+        try {
+            const serverIds = await resolveTargetServerIds(target);
+            const currentRules = {};
+            for (const serverId of serverIds) {
+                currentRules[serverId] = await window.app.sendMessage('getUserRules', { serverId });
+            }
+
+            const plan = planImport(parsed.entries, currentRules);
+            renderPreview(previewEl, plan, parsed.skipped, servers);
+        } catch (error) {
+            Logger.error('[Import] Preview failed:', error);
+            window.app.showToast('Failed to load current rules: ' + error.message, 'error');
+        } finally {
+            window.app.hideLoading();
+        }
+    });
+}
+
+function renderPreview(previewEl, plan, skipped, servers) {
+    const serverName = id => servers.find(s => s.id === id)?.name || id;
+    const serverIds = Object.keys(plan.additions);
+    const count = status => plan.entries.filter(e => e.status === status).length;
+    const totalAdditions = serverIds.reduce((total, id) => total + plan.additions[id].length, 0);
+
+    const badge = entry => {
+        switch (entry.status) {
+            case IMPORT_STATUS.INVALID:
+                return `<span class="badge badge-danger" title="${escapeHtml(entry.error || '')}">INVALID</span>`;
+            case IMPORT_STATUS.REPEATED:
+                return '<span class="badge badge-warning">REPEATED</span>';
+            case IMPORT_STATUS.EXISTING:
+                return '<span class="badge badge-info">EXISTS</span>';
+            default:
+                return entry.existsOn.length > 0
+                    ? `<span class="badge badge-warning" title="Already on ${escapeHtml(entry.existsOn.map(serverName).join(', '))}">ON ${entry.existsOn.length}/${serverIds.length}</span>`
+                    : '<span class="badge badge-success">NEW</span>';
+        }
+    };
+
+    const rows = plan.entries.slice(0, MAX_PREVIEW_ROWS);
+
+    previewEl.innerHTML = `
+        <div class="bulk-import-summary">
+            <span class="text-success">${count(IMPORT_STATUS.NEW)} new</span> ·
+            ${count(IMPORT_STATUS.EXISTING)} already present ·
+            ${count(IMPORT_STATUS.REPEATED)} repeated ·
+            <span class="${count(IMPORT_STATUS.INVALID) > 0 ? 'text-danger' : ''}">${count(IMPORT_STATUS.INVALID)} invalid</span>
+            ${skipped > 0 ? ` · ${skipped} skipped` : ''}
+        </div>
+        <div class="bulk-import-servers">
+            ${serverIds.map(id => `<span class="bulk-import-server">${escapeHtml(serverName(id))} +${plan.additions[id].length}</span>`).join('')}
+        </div>
+
+        <div class="bulk-import-list">
+            ${rows.map(entry => `
+                <div class="bulk-import-row ${entry.status}" title="Line ${entry.lineNumber}: ${escapeHtml(entry.source)}">
+                    <span class="bulk-import-line">${entry.lineNumber}</span>
+                    <span class="bulk-import-rule">${escapeHtml(entry.rule || entry.source)}</span>
+                    ${badge(entry)}
+                </div>
+                ${entry.status === IMPORT_STATUS.INVALID ? `<div class="bulk-import-error">${escapeHtml(entry.error || '')}</div>` : ''}
+            `).join('')}
+            ${plan.entries.length > rows.length ? `<div class="bulk-import-more">…and ${plan.entries.length - rows.length} more</div>` : ''}
+        </div>
+
+        <button id="import-apply-btn" class="btn btn-primary btn-block" ${totalAdditions === 0 ? 'disabled' : ''}>
+            ${totalAdditions === 0 ? 'Nothing new to import' : `Import to ${serverIds.length} server${serverIds.length === 1 ? '' : 's'}`}
+        </button>
+    `;
+
+    previewEl.querySelector('#import-apply-btn').addEventListener('click', async (e) => {
+        e.target.disabled = true;
+        window.app.showLoading();
+
+        let results;
+        try {
+            ({ results } = await window.app.sendMessage('importRules', { additions: plan.additions }));
+        } catch (error) {
+            Logger.error('[Import] Import failed:', error);
+            window.app.showToast('Import failed: ' + error.message, 'error');
+            e.target.disabled = false;
+            return;
+        } finally {
+            window.app.hideLoading();
+        }
+
+        const failed = results.filter(r => r.error && !r.queued);
+        const queued = results.filter(r => r.queued);
+        const added = results.reduce((total, r) => total + r.added, 0);
+
+        // Refresh rule counts of the servers that changed
+        await Promise.allSettled(
+            results.filter(r => r.added > 0 && !r.queued).map(r =>
+                window.app.sendMessage('refreshServerRules', { serverId: r.serverId, force: true })
+            )
+        );
+
+        if (failed.length > 0) {
+            window.app.showToast(`Added ${added} rules; failed on ${failed.map(r => r.name || r.serverId).join(', ')}: ${failed[0].error}`, 'error');
+            e.target.disabled = false;
+            return;
+        }
+
+        if (queued.length > 0) {
+            window.app.showToast(`Imported ${added} rules; queued for ${queued.map(r => r.name || r.serverId).join(', ')} until reachable`, 'warning');
+            window.app.navigateTo('server-list');
+            return;
+        }
+
+        window.app.showToast(`Imported ${added} rules to ${results.length} server${results.length === 1 ? '' : 's'}`, 'success');
+        window.app.navigateTo('server-list');
+    });
+}
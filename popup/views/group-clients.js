@@ -2,7 +2,7 @@
 // Shows merged home clients for a group (accessed from Home Clients card)
 
 import { escapeHtml } from '../utils.js';
-import { dedupClients } from '../utils.js';
+import { renderConflictPanel, bindConflictPanel } from '../shared/conflict-panel.js';
 
 export async function renderGroupClients(container, data = {}) {
     const { groupId } = data;
@@ -27,18 +27,13 @@ export async function renderGroupClients(container, data = {}) {
     let filteringEnabledCount = 0;
     let parentalEnabledCount = 0;
 
+    // Merged clients as group sync resolves them (conflict policy applied)
+    let conflictData = { policy: null, primaryServerId: null, merged: [], conflicts: [] };
+
     if (group.serverIds && group.serverIds.length > 0) {
         try {
-            const allClients = [];
-            for (const serverId of group.serverIds) {
-                const cache = await window.app.sendMessage('getCache', { serverId });
-                if (cache && cache.clients) {
-                    allClients.push(...cache.clients);
-                }
-            }
-
-            // Deduplicate
-            mergedClients = dedupClients(allClients);
+            conflictData = await window.app.sendMessage('getGroupConflicts', { groupId, type: 'homeClients' });
+            mergedClients = conflictData.merged;
 
             // Calculate stats
             filteringEnabledCount = mergedClients.filter(c => c.filtering_enabled).length;
@@ -111,6 +106,8 @@ export async function renderGroupClients(container, data = {}) {
                     </div>
                 </div>
 
+                ${groupServers.length > 1 && group.syncMode !== 'primary-replica' ? renderConflictPanel(conflictData, groupServers, describeClient) : ''}
+
                 <!-- Merged Clients Preview -->
                 <div style="background: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 6px; padding: 12px;">
                     <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
@@ -196,4 +193,25 @@ export async function renderGroupClients(container, data = {}) {
     backBtn?.addEventListener('click', () => {
         window.app.navigateTo('group-settings', { groupId });
     });
+
+    bindConflictPanel(container, {
+        group,
+        type: 'homeClients',
+        onChange: () => renderGroupClients(container, data)
+    });
+}
+
+/**
+ * One-line summary of a client's settings for the conflict list
+ */
+function describeClient(client) {
+    const parts = [];
+    if (client.filtering_enabled) parts.push('filtering');
+    if (client.parental_enabled) parts.push('parental');
+    if (client.safebrowsing_enabled) parts.push('safe browsing');
+    if (client.safesearch?.enabled) parts.push('safe search');
+    const blocked = client.blocked_services?.ids?.length || 0;
+    if (blocked > 0) parts.push(`${blocked} blocked services`);
+    if (client.use_global_settings) parts.push('global settings');
+    return parts.length > 0 ? parts.join(', ') : 'no protection';
 }
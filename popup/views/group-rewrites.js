@@ -2,7 +2,7 @@
 // Shows merged DNS rewrites for a group (accessed from DNS Rewrites card)
 
 import { escapeHtml } from '../utils.js';
-import { dedupRewrites } from '../utils.js';
+import { renderConflictPanel, bindConflictPanel } from '../shared/conflict-panel.js';
 
 export async function renderGroupRewrites(container, data = {}) {
     const { groupId } = data;
@@ -25,18 +25,13 @@ export async function renderGroupRewrites(container, data = {}) {
     // Fetch merged rewrites from server caches
     let mergedRewrites = [];
 
+    // Merged rewrites as group sync resolves them (conflict policy applied)
+    let conflictData = { policy: null, primaryServerId: null, merged: [], conflicts: [] };
+
     if (group.serverIds && group.serverIds.length > 0) {
         try {
-            const allRewrites = [];
-            for (const serverId of group.serverIds) {
-                const cache = await window.app.sendMessage('getCache', { serverId });
-                if (cache && cache.rewrites) {
-                    allRewrites.push(...cache.rewrites);
-                }
-            }
-
-            // Deduplicate
-            mergedRewrites = dedupRewrites(allRewrites);
+            conflictData = await window.app.sendMessage('getGroupConflicts', { groupId, type: 'dnsRewrites' });
+            mergedRewrites = conflictData.merged;
         } catch (error) {
             console.error('Error fetching merged rewrites:', error);
         }
@@ -95,6 +90,8 @@ export async function renderGroupRewrites(container, data = {}) {
                     </div>
                 </div>
 
+                ${groupServers.length > 1 && group.syncMode !== 'primary-replica' ? renderConflictPanel(conflictData, groupServers, rewrite => rewrite.answer) : ''}
+
                 <!-- Merged Rewrites Preview -->
                 <div style="background: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 6px; padding: 12px;">
                     <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
@@ -161,4 +158,10 @@ export async function renderGroupRewrites(container, data = {}) {
     backBtn?.addEventListener('click', () => {
         window.app.navigateTo('group-settings', { groupId });
     });
+
+    bindConflictPanel(container, {
+        group,
+        type: 'dnsRewrites',
+        onChange: () => renderGroupRewrites(container, data)
+    });
 }
@@ -34,6 +34,8 @@ export async function renderGroupServerSelection(container, data = {}) {
 
     const availableServers = servers.filter(s => !usedServerIds.has(s.id));
     const selectedServerIds = new Set(group?.serverIds || []);
+    const syncMode = group?.syncMode || 'merge';
+    const primaryServerId = group?.primaryServerId || null;
 
     // Fetch server info for versions
     const serverInfoMap = {};
@@ -245,6 +247,31 @@ export async function renderGroupServerSelection(container, data = {}) {
                         opacity: 0.8;
                     }
 
+                    /* Primary pick - only shown in primary/replica mode */
+                    .primary-pick {
+                        display: none;
+                        align-items: center;
+                        gap: 4px;
+                        margin-top: 3px;
+                        font-size: 0.65rem;
+                        font-weight: 600;
+                        color: var(--color-text-secondary);
+                        cursor: pointer;
+                    }
+
+                    .replica-mode .primary-pick {
+                        display: flex;
+                    }
+
+                    .primary-pick input {
+                        margin: 0;
+                        accent-color: var(--color-success);
+                    }
+
+                    .primary-pick input:checked + span {
+                        color: var(--color-success);
+                    }
+
                     /* Info Banner */
                     .info-banner {
                         background: linear-gradient(135deg, rgba(76, 175, 80, 0.1) 0%, rgba(76, 175, 80, 0.05) 100%);
@@ -364,7 +391,7 @@ export async function renderGroupServerSelection(container, data = {}) {
                     }
                 </style>
 
-                <div class="manage-servers-container">
+                <div class="manage-servers-container ${syncMode === 'primary-replica' ? 'replica-mode' : ''}">
                     <!-- Group Name - Inline -->
                     <div class="group-name-section">
                         <label class="group-name-label">GROUP NAME</label>
@@ -412,6 +439,16 @@ export async function renderGroupServerSelection(container, data = {}) {
                                         <div class="server-info">
                                             <div class="server-name">${escapeHtml(server.name)}</div>
                                             <div class="server-version">${escapeHtml(version)}</div>
+                                            <label class="primary-pick">
+                                                <input
+                                                    type="radio"
+                                                    name="primary-server"
+                                                    class="server-primary-radio"
+                                                    value="${server.id}"
+                                                    ${server.id === primaryServerId ? 'checked' : ''}
+                                                />
+                                                <span>PRIMARY</span>
+                                            </label>
                                         </div>
                                     </div>
                                 `}).join('')}
@@ -428,6 +465,15 @@ export async function renderGroupServerSelection(container, data = {}) {
                         `}
                     </div>
 
+                    <!-- Sync Mode -->
+                    <div class="group-name-section">
+                        <label class="group-name-label" for="sync-mode">SYNC MODE</label>
+                        <select id="sync-mode" class="group-name-input">
+                            <option value="merge" ${syncMode === 'merge' ? 'selected' : ''}>Merge all servers</option>
+                            <option value="primary-replica" ${syncMode === 'primary-replica' ? 'selected' : ''}>Primary &rarr; replicas (mirror)</option>
+                        </select>
+                    </div>
+
                     <!-- Spacer to push content to bottom -->
                     <div class="spacer"></div>
 
@@ -441,7 +487,8 @@ export async function renderGroupServerSelection(container, data = {}) {
                             <div class="info-banner-title">About Group Sync</div>
                             <div class="info-banner-text">
                                 <strong>Default:</strong> Sync is disabled when creating a new group. Rules will only apply to the server you select.<br>
-                                <strong>Enable Sync:</strong> After creation, go to Sync Settings to enable Custom Rules sync across all group members.
+                                <strong>Enable Sync:</strong> After creation, go to Sync Settings to enable Custom Rules sync across all group members.<br>
+                                <strong>Primary &rarr; replicas:</strong> The primary is the source of truth. Other servers are mirrored from it exactly, including removals.
                             </div>
                         </div>
                     </div>
@@ -463,16 +510,25 @@ export async function renderGroupServerSelection(container, data = {}) {
     const groupNameInput = container.querySelector('#group-name');
     const serverCards = container.querySelectorAll('.server-card');
     const serverCheckboxes = container.querySelectorAll('.server-checkbox');
+    const syncModeSelect = container.querySelector('#sync-mode');
+    const primaryRadios = container.querySelectorAll('.server-primary-radio');
+
+    // A deselected server can't stay primary
+    const setCardSelected = (card, selected) => {
+        card.classList.toggle('selected', selected);
+        const radio = card.querySelector('.server-primary-radio');
+        if (!selected && radio) radio.checked = false;
+    };
 
     // Server card click handling
     serverCards.forEach(card => {
         card.addEventListener('click', (e) => {
-            // Don't toggle if clicking directly on checkbox
-            if (e.target.classList.contains('server-checkbox')) return;
+            // Don't toggle if clicking directly on checkbox or the primary pick
+            if (e.target.classList.contains('server-checkbox') || e.target.closest('.primary-pick')) return;
 
             const checkbox = card.querySelector('.server-checkbox');
             checkbox.checked = !checkbox.checked;
-            card.classList.toggle('selected', checkbox.checked);
+            setCardSelected(card, checkbox.checked);
         });
     });
 
@@ -480,10 +536,24 @@ export async function renderGroupServerSelection(container, data = {}) {
     serverCheckboxes.forEach(checkbox => {
         checkbox.addEventListener('change', (e) => {
             const card = e.target.closest('.server-card');
-            card.classList.toggle('selected', e.target.checked);
+            setCardSelected(card, e.target.checked);
         });
     });
 
+    // Picking a primary also selects the server
+    primaryRadios.forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            const card = e.target.closest('.server-card');
+            card.querySelector('.server-checkbox').checked = true;
+            setCardSelected(card, true);
+        });
+    });
+
+    syncModeSelect?.addEventListener('change', () => {
+        container.querySelector('.manage-servers-container')
+            .classList.toggle('replica-mode', syncModeSelect.value === 'primary-replica');
+    });
+
     backBtn?.addEventListener('click', () => {
         if (isEdit && groupId) {
             window.app.navigateTo('group-settings', { groupId });
@@ -515,6 +585,14 @@ export async function renderGroupServerSelection(container, data = {}) {
             return;
         }
 
+        const selectedMode = syncModeSelect?.value || 'merge';
+        const selectedPrimary = container.querySelector('.server-primary-radio:checked')?.value || null;
+
+        if (selectedMode === 'primary-replica' && !selectedPrimary) {
+            window.app.showToast('Please choose the primary server', 'error');
+            return;
+        }
+
         try {
             saveBtn.disabled = true;
             saveBtn.textContent = 'Saving...';
@@ -524,7 +602,9 @@ export async function renderGroupServerSelection(container, data = {}) {
                 await window.app.sendMessage('updateGroup', {
                     id: groupId,
                     name,
-                    serverIds: selectedServerIds
+                    serverIds: selectedServerIds,
+                    syncMode: selectedMode,
+                    primaryServerId: selectedPrimary
                 });
                 window.app.showToast('Group updated successfully', 'success');
                 window.app.navigateTo('group-settings', { groupId });
@@ -532,7 +612,9 @@ export async function renderGroupServerSelection(container, data = {}) {
                 // Create new group
                 const result = await window.app.sendMessage('createGroup', {
                     name,
-                    serverIds: selectedServerIds
+                    serverIds: selectedServerIds,
+                    syncMode: selectedMode,
+                    primaryServerId: selectedPrimary
                 });
                 window.app.showToast('Group created successfully', 'success');
                 window.app.navigateTo('group-settings', { groupId: result.id });
@@ -36,7 +36,11 @@ export async function renderGroupSettings(container, data = {}) {
         customRules: group.syncSettings?.customRules !== undefined ? group.syncSettings.customRules : isNewGroup ? false : true,
         dnsBlocklists: group.syncSettings?.dnsBlocklists ?? false,
         dnsRewrites: group.syncSettings?.dnsRewrites ?? false,
-        homeClients: group.syncSettings?.homeClients ?? false
+        homeClients: group.syncSettings?.homeClients ?? false,
+        blockedServices: group.syncSettings?.blockedServices ?? false,
+        dnsUpstreams: group.syncSettings?.dnsUpstreams ?? false,
+        safetyFilters: group.syncSettings?.safetyFilters ?? false,
+        accessList: group.syncSettings?.accessList ?? false
     };
 
     console.log('[GroupSettings] Initialized sync settings', {
@@ -46,11 +50,32 @@ export async function renderGroupSettings(container, data = {}) {
         syncSettings
     });
 
+    // Scheduled background sync settings and last outcome
+    const schedule = {
+        enabled: group.schedule?.enabled ?? false,
+        intervalMinutes: group.schedule?.intervalMinutes ?? 60,
+        quietHours: {
+            enabled: group.schedule?.quietHours?.enabled ?? false,
+            start: group.schedule?.quietHours?.start ?? '22:00',
+            end: group.schedule?.quietHours?.end ?? '07:00'
+        }
+    };
+
+    // Drift only pushed from Sync Preview: no auto-repair on refresh or schedule
+    let requireApproval = !!group.requireApproval;
+    const syncOutcomes = await window.app.sendMessage('getSyncOutcomes').catch(() => ({}));
+    const lastOutcome = syncOutcomes?.[groupId] || null;
+
     // Calculate counts from server data (for display)
     let ruleCount = 0;
     let blocklistCount = 0;
     let rewriteCount = 0;
     let clientCount = 0;
+    // Settings types are only cached once a group syncs them (null = not fetched yet)
+    let blockedServiceCount = null;
+    let upstreamCount = null;
+    let safetyOnCount = null;
+    let accessEntryCount = null;
 
     if (group.serverIds && group.serverIds.length > 0) {
         try {
@@ -69,6 +94,24 @@ export async function renderGroupSettings(container, data = {}) {
                     blocklistCount = Math.max(blocklistCount, cache.blocklists?.length || 0);
                     rewriteCount = Math.max(rewriteCount, cache.rewrites?.length || 0);
                     clientCount = Math.max(clientCount, cache.clients?.length || 0);
+
+                    const setting = (field, name) => cache[field]?.find(entry => entry.name === name)?.value;
+                    if (cache.blockedServices) {
+                        blockedServiceCount = Math.max(blockedServiceCount || 0, setting('blockedServices', 'ids')?.length || 0);
+                    }
+                    if (cache.dnsConfig) {
+                        upstreamCount = Math.max(upstreamCount || 0, setting('dnsConfig', 'upstream_dns')?.length || 0);
+                    }
+                    if (cache.safetySettings) {
+                        const on = [setting('safetySettings', 'safesearch')?.enabled, setting('safetySettings', 'safebrowsing'), setting('safetySettings', 'parental')]
+                            .filter(value => value === true).length;
+                        safetyOnCount = Math.max(safetyOnCount || 0, on);
+                    }
+                    if (cache.accessList) {
+                        const entries = ['allowed_clients', 'disallowed_clients', 'blocked_hosts']
+                            .reduce((sum, name) => sum + (setting('accessList', name)?.length || 0), 0);
+                        accessEntryCount = Math.max(accessEntryCount || 0, entries);
+                    }
                 }
             }
 
@@ -89,7 +132,14 @@ export async function renderGroupSettings(container, data = {}) {
                     <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
                 </button>
                 <h1 class="view-title">${escapeHtml(group.name)}</h1>
-                <div class="header-action-area"></div>
+                <div class="header-action-area">
+                    <button class="header-icon-btn" id="group-stats-btn" title="Group statistics">
+                        <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/></svg>
+                    </button>
+                    <button class="header-icon-btn" id="preview-sync-btn" title="Preview sync">
+                        <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
+                    </button>
+                </div>
             </div>
 
             <div class="view-body">
@@ -216,6 +266,142 @@ export async function renderGroupSettings(container, data = {}) {
                                 </label>
                             </div>
                         </div>
+
+                        <!-- Blocked Services -->
+                        <div class="sync-pill ${syncSettings.blockedServices ? 'active' : 'inactive'}" data-sync-type="blockedServices">
+                            <div class="pill-left">
+                                <div class="pill-icon">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="9"/><path d="M5.6 5.6l12.8 12.8"/></svg>
+                                </div>
+                                <div class="pill-text">
+                                    <div class="pill-title">Blocked Services</div>
+                                    <div class="pill-subtitle">Global services and block schedule</div>
+                                    <div class="pill-count">${blockedServiceCount === null ? 'Counted after first sync' : `${blockedServiceCount} services`}</div>
+                                </div>
+                            </div>
+                            <div class="pill-right">
+                                <label class="sync-toggle">
+                                    <input type="checkbox" class="sync-toggle-input" data-sync-type="blockedServices" ${syncSettings.blockedServices ? 'checked' : ''}>
+                                    <span class="sync-toggle-slider"></span>
+                                </label>
+                            </div>
+                        </div>
+
+                        <!-- DNS Upstreams -->
+                        <div class="sync-pill ${syncSettings.dnsUpstreams ? 'active' : 'inactive'}" data-sync-type="dnsUpstreams">
+                            <div class="pill-left">
+                                <div class="pill-icon">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 19V5"/><path d="M5 12l7-7 7 7"/><path d="M5 21h14"/></svg>
+                                </div>
+                                <div class="pill-text">
+                                    <div class="pill-title">DNS Upstreams</div>
+                                    <div class="pill-subtitle">Upstream, bootstrap and fallback DNS</div>
+                                    <div class="pill-count">${upstreamCount === null ? 'Counted after first sync' : `${upstreamCount} upstreams`}</div>
+                                </div>
+                            </div>
+                            <div class="pill-right">
+                                <label class="sync-toggle">
+                                    <input type="checkbox" class="sync-toggle-input" data-sync-type="dnsUpstreams" ${syncSettings.dnsUpstreams ? 'checked' : ''}>
+                                    <span class="sync-toggle-slider"></span>
+                                </label>
+                            </div>
+                        </div>
+
+                        <!-- Safe Search & Parental -->
+                        <div class="sync-pill ${syncSettings.safetyFilters ? 'active' : 'inactive'}" data-sync-type="safetyFilters">
+                            <div class="pill-left">
+                                <div class="pill-icon">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="7" r="3"/><path d="M3 20c0-3.3 2.7-6 6-6s6 2.7 6 6"/><path d="M17 11l2 2 3-3"/></svg>
+                                </div>
+                                <div class="pill-text">
+                                    <div class="pill-title">Safe Search & Parental</div>
+                                    <div class="pill-subtitle">Safe search, safe browsing, parental</div>
+                                    <div class="pill-count">${safetyOnCount === null ? 'Counted after first sync' : `${safetyOnCount} of 3 on`}</div>
+                                </div>
+                            </div>
+                            <div class="pill-right">
+                                <label class="sync-toggle">
+                                    <input type="checkbox" class="sync-toggle-input" data-sync-type="safetyFilters" ${syncSettings.safetyFilters ? 'checked' : ''}>
+                                    <span class="sync-toggle-slider"></span>
+                                </label>
+                            </div>
+                        </div>
+
+                        <!-- Access List -->
+                        <div class="sync-pill ${syncSettings.accessList ? 'active' : 'inactive'}" data-sync-type="accessList">
+                            <div class="pill-left">
+                                <div class="pill-icon">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="4" y="11" width="16" height="10" rx="2"/><path d="M8 11V7a4 4 0 0 1 8 0v4"/></svg>
+                                </div>
+                                <div class="pill-text">
+                                    <div class="pill-title">Access List</div>
+                                    <div class="pill-subtitle">Allowed/disallowed clients, blocked hosts</div>
+                                    <div class="pill-count">${accessEntryCount === null ? 'Counted after first sync' : `${accessEntryCount} entries`}</div>
+                                </div>
+                            </div>
+                            <div class="pill-right">
+                                <label class="sync-toggle">
+                                    <input type="checkbox" class="sync-toggle-input" data-sync-type="accessList" ${syncSettings.accessList ? 'checked' : ''}>
+                                    <span class="sync-toggle-slider"></span>
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Scheduled Sync -->
+                    <div class="schedule-card">
+                        <div class="schedule-row">
+                            <div>
+                                <div class="pill-title">Scheduled Sync</div>
+                                <div class="pill-subtitle">Repair drift in the background, even with the popup closed</div>
+                            </div>
+                            <label class="sync-toggle">
+                                <input type="checkbox" id="schedule-enabled" ${schedule.enabled ? 'checked' : ''}>
+                                <span class="sync-toggle-slider"></span>
+                            </label>
+                        </div>
+
+                        <div class="schedule-options" id="schedule-options" style="${schedule.enabled ? '' : 'display: none;'}">
+                            <div class="schedule-row">
+                                <span class="schedule-label">Every</span>
+                                <select id="schedule-interval" class="schedule-input">
+                                    ${[15, 30, 60, 180, 360, 720, 1440].map(minutes => `
+                                        <option value="${minutes}" ${schedule.intervalMinutes === minutes ? 'selected' : ''}>${minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="schedule-row">
+                                <label class="schedule-label" style="display: flex; align-items: center; gap: 6px; cursor: pointer;">
+                                    <input type="checkbox" id="quiet-hours-enabled" ${schedule.quietHours.enabled ? 'checked' : ''}>
+                                    Quiet hours
+                                </label>
+                                <div style="display: flex; align-items: center; gap: 4px;">
+                                    <input type="time" id="quiet-hours-start" class="schedule-input" value="${escapeHtml(schedule.quietHours.start)}">
+                                    <span class="schedule-label">–</span>
+                                    <input type="time" id="quiet-hours-end" class="schedule-input" value="${escapeHtml(schedule.quietHours.end)}">
+                                </div>
+                            </div>
+                        </div>
+
+                        ${lastOutcome ? `
+                            <div class="schedule-outcome outcome-${escapeHtml(lastOutcome.status)}" title="${escapeHtml((lastOutcome.failures || []).map(f => `${f.serverName}: ${f.error}`).join('\n'))}">
+                                Last run ${escapeHtml(new Date(lastOutcome.at).toLocaleString())}: ${escapeHtml(lastOutcome.message)}
+                            </div>
+                        ` : ''}
+                    </div>
+
+                    <!-- Require Approval -->
+                    <div class="schedule-card">
+                        <div class="schedule-row">
+                            <div>
+                                <div class="pill-title">Require Approval</div>
+                                <div class="pill-subtitle">No automatic repair: changes are only pushed from Sync Preview</div>
+                            </div>
+                            <label class="sync-toggle">
+                                <input type="checkbox" id="require-approval" ${requireApproval ? 'checked' : ''}>
+                                <span class="sync-toggle-slider"></span>
+                            </label>
+                        </div>
                     </div>
 
                     <!-- Action Buttons -->
@@ -278,7 +464,58 @@ export async function renderGroupSettings(container, data = {}) {
                         letter-spacing: 0.3px;
                     }
 
-                    .sync-pills-container {
+.schedule-card {
+                        background: var(--color-bg-secondary);
+                        border: 1px solid var(--color-border);
+                        border-radius: 8px;
+                        padding: 10px 12px;
+                        display: flex;
+                        flex-direction: column;
+                        gap: 8px;
+                    }
+
+                    .schedule-row {
+                        display: flex;
+                        align-items: center;
+                        justify-content: space-between;
+                        gap: 8px;
+                    }
+
+                    .schedule-options {
+                        display: flex;
+                        flex-direction: column;
+                        gap: 6px;
+                    }
+
+                    .schedule-label {
+                        font-size: 0.7rem;
+                        color: var(--color-text-secondary);
+                    }
+
+                    .schedule-input {
+                        background: var(--color-bg-primary);
+                        border: 1px solid var(--color-border);
+                        border-radius: 4px;
+                        color: var(--color-text-primary);
+                        font-size: 0.7rem;
+                        padding: 2px 4px;
+                    }
+
+                    .schedule-outcome {
+                        font-size: 0.65rem;
+                        color: var(--color-text-tertiary);
+                    }
+
+                    .schedule-outcome.outcome-success {
+                        color: var(--color-success);
+                    }
+
+                    .schedule-outcome.outcome-partial,
+                    .schedule-outcome.outcome-failed {
+                        color: #ff6b6b;
+                    }
+
+                                        .sync-pills-container {
                         display: flex;
                         flex-direction: column;
                         gap: 6px;
@@ -557,6 +794,13 @@ export async function renderGroupSettings(container, data = {}) {
     // Track changes
     let hasChanges = false;
     const pendingChanges = { ...syncSettings };
+    const pendingSchedule = { ...schedule, quietHours: { ...schedule.quietHours } };
+
+    let pendingRequireApproval = requireApproval;
+    const computeHasChanges = () =>
+        Object.keys(pendingChanges).some(key => pendingChanges[key] !== syncSettings[key]) ||
+        JSON.stringify(pendingSchedule) !== JSON.stringify(schedule) ||
+        pendingRequireApproval !== requireApproval;
 
     // Event Listeners
     const backBtn = container.querySelector('#back-btn');
@@ -578,6 +822,20 @@ export async function renderGroupSettings(container, data = {}) {
         window.app.navigateTo('group-server-selection', { mode: 'edit', groupId });
     });
 
+    // Dry-run: preview what a sync would push before approving it per server
+    const previewBtn = container.querySelector('#preview-sync-btn');
+    previewBtn?.addEventListener('click', () => {
+        if (hasChanges) {
+            window.app.showToast('Click Update first - preview uses saved sync settings', 'warning');
+            return;
+        }
+        window.app.navigateTo('group-sync-preview', { groupId });
+    });
+
+    container.querySelector('#group-stats-btn')?.addEventListener('click', () => {
+        window.app.navigateTo('stats-dashboard', { groupId, from: 'group-settings' });
+    });
+
     // Toggle change handlers (preview mode)
     toggles.forEach(toggle => {
         toggle.addEventListener('change', (e) => {
@@ -605,7 +863,7 @@ export async function renderGroupSettings(container, data = {}) {
             }
 
             // Check if there are changes
-            hasChanges = Object.keys(pendingChanges).some(key => pendingChanges[key] !== syncSettings[key]);
+            hasChanges = computeHasChanges();
             updateBtn.disabled = !hasChanges;
 
             console.log('[GroupSettings] Changes detected', { hasChanges, updateBtnDisabled: updateBtn.disabled });
@@ -615,6 +873,38 @@ export async function renderGroupSettings(container, data = {}) {
         });
     });
 
+    // Scheduled sync inputs
+    const scheduleInputs = {
+        enabled: container.querySelector('#schedule-enabled'),
+        interval: container.querySelector('#schedule-interval'),
+        quietEnabled: container.querySelector('#quiet-hours-enabled'),
+        quietStart: container.querySelector('#quiet-hours-start'),
+        quietEnd: container.querySelector('#quiet-hours-end')
+    };
+
+    const onScheduleChange = () => {
+        pendingSchedule.enabled = scheduleInputs.enabled.checked;
+        pendingSchedule.intervalMinutes = parseInt(scheduleInputs.interval.value, 10);
+        pendingSchedule.quietHours = {
+            enabled: scheduleInputs.quietEnabled.checked,
+            start: scheduleInputs.quietStart.value || schedule.quietHours.start,
+            end: scheduleInputs.quietEnd.value || schedule.quietHours.end
+        };
+
+        container.querySelector('#schedule-options').style.display = pendingSchedule.enabled ? '' : 'none';
+
+        hasChanges = computeHasChanges();
+        updateBtn.disabled = !hasChanges;
+    };
+
+    Object.values(scheduleInputs).forEach(input => input?.addEventListener('change', onScheduleChange));
+
+    container.querySelector('#require-approval')?.addEventListener('change', (e) => {
+        pendingRequireApproval = e.target.checked;
+        hasChanges = computeHasChanges();
+        updateBtn.disabled = !hasChanges;
+    });
+
     // Helper function to update preview banner visibility
     const updatePreviewBanner = () => {
         const previewBanner = container.querySelector('#preview-banner');
@@ -725,10 +1015,16 @@ export async function renderGroupSettings(container, data = {}) {
                 syncJustEnabled
             });
 
+            if (pendingSchedule.enabled && (group.serverIds || []).length < 2) {
+                window.app.showToast('Scheduled sync needs at least 2 servers in the group', 'warning');
+            }
+
             // Update group with new sync settings
             const updatedGroup = {
                 ...group,
-                syncSettings: pendingChanges
+                syncSettings: pendingChanges,
+                schedule: pendingSchedule,
+                requireApproval: pendingRequireApproval
             };
 
             await window.app.sendMessage('saveGroup', { group: updatedGroup });
@@ -738,11 +1034,18 @@ export async function renderGroupSettings(container, data = {}) {
 
             // Reset change tracking
             Object.assign(syncSettings, pendingChanges);
+            Object.assign(schedule, pendingSchedule, { quietHours: { ...pendingSchedule.quietHours } });
+            requireApproval = pendingRequireApproval;
             hasChanges = false;
             updateBtn.disabled = true;
 
+            // Nothing is pushed without approval: the merge is left to Sync Preview
+            if (syncJustEnabled && requireApproval) {
+                window.app.showToast('Open Sync Preview to merge rules across group members', 'info');
+            }
+
             // If sync was just enabled, trigger immediate merge
-            if (syncJustEnabled) {
+            if (syncJustEnabled && !requireApproval) {
                 console.log('[GroupSettings] Custom Rules sync was just ENABLED - triggering immediate merge');
                 window.app.showToast('Merging rules across group members...', 'info');
 
@@ -0,0 +1,250 @@
+// Group Sync Preview View
+// Dry-run of a group sync: shows per-server, per-type diff and lets the user approve each push
+
+import { escapeHtml, formatSettingEntry } from '../utils.js';
+import { Logger } from '../utils/logger.js';
+
+const TYPE_LABELS = {
+    customRules: 'Custom Rules',
+    dnsBlocklists: 'DNS Blocklists',
+    dnsRewrites: 'DNS Rewrites',
+    homeClients: 'Home Clients',
+    blockedServices: 'Blocked Services',
+    dnsUpstreams: 'DNS Upstreams',
+    safetyFilters: 'Safe Search & Parental',
+    accessList: 'Access List'
+};
+
+// Keep the popup responsive on very large diffs
+const MAX_ENTRIES_PER_LIST = 50;
+
+export async function renderGroupSyncPreview(container, data = {}) {
+    const { groupId } = data;
+
+    if (!groupId) {
+        window.app.showToast('No group specified', 'error');
+        window.app.navigateTo('settings');
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="view-container">
+            <div class="view-header">
+                <button class="header-icon-btn" id="back-btn" title="Back to Group Settings">
+                    <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+                </button>
+                <h1 class="view-title">SYNC PREVIEW</h1>
+                <div class="header-action-area"></div>
+            </div>
+            <div class="view-body">
+                <div class="skeleton skeleton-title"></div>
+                <div class="skeleton skeleton-text"></div>
+                <div class="skeleton skeleton-text"></div>
+            </div>
+        </div>
+    `;
+    container.querySelector('#back-btn')?.addEventListener('click', () => {
+        window.app.navigateTo('group-settings', { groupId });
+    });
+
+    let preview;
+    try {
+        preview = await window.app.sendMessage('previewGroupSync', { groupId });
+    } catch (error) {
+        Logger.error('[SyncPreview] Failed to compute preview:', error);
+        window.app.showToast('Failed to preview sync: ' + error.message, 'error');
+        window.app.navigateTo('group-settings', { groupId });
+        return;
+    }
+
+    renderPreview(container, preview);
+}
+
+function renderPreview(container, preview) {
+    const { groupId } = preview;
+    const changedServers = preview.servers.filter(s => s.hasChanges);
+
+    container.innerHTML = `
+        <div class="view-container">
+            <div class="view-header">
+                <button class="header-icon-btn" id="back-btn" title="Back to Group Settings">
+                    <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+                </button>
+                <h1 class="view-title">SYNC PREVIEW</h1>
+                <div class="header-action-area"></div>
+            </div>
+
+            <div class="view-body">
+                <!-- Summary Card -->
+                <div style="background: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 6px; padding: 12px; margin-bottom: 14px;">
+                    <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                        <span style="font-size: 9px; color: var(--color-text-tertiary); text-transform: uppercase; letter-spacing: 0.8px; font-weight: 600;">GROUP :</span>
+                        <div style="background: rgba(76, 175, 80, 0.1); border: 1px solid rgba(76, 175, 80, 0.2); padding: 2px 8px; border-radius: 8px;">
+                            <span style="font-size: 10px; font-weight: 600; color: #42d392;">${escapeHtml(preview.groupName)}</span>
+                        </div>
+                    </div>
+                    <div style="font-size: 10px; color: var(--color-text-secondary);">
+                        ${changedServers.length === 0
+            ? 'All servers are in sync. Nothing to push.'
+            : `${changedServers.length} of ${preview.servers.length} servers would change. Untick a server to skip its push.`}
+                    </div>
+                    <div style="font-size: 9px; color: var(--color-text-tertiary); margin-top: 4px;">
+                        Syncing: ${preview.enabledTypes.map(t => escapeHtml(TYPE_LABELS[t] || t)).join(', ') || 'nothing (all sync types disabled)'}
+                    </div>
+                    ${!preview.requireApproval && changedServers.length > 0 ? `
+                    <div style="font-size: 9px; color: var(--color-text-tertiary); margin-top: 4px;">
+                        Automatic repair is on: skipped servers are still synced on the next refresh. Turn on Require Approval in group settings to keep them as they are.
+                    </div>` : ''}
+                    ${Object.entries(preview.unresolvedConflicts || {}).map(([type, count]) => `
+                    <div style="font-size: 9px; color: #ff9800; margin-top: 4px;">
+                        ${count} unresolved ${escapeHtml(TYPE_LABELS[type] || type)} conflict${count === 1 ? '' : 's'} left unsynced (manual policy)
+                    </div>`).join('')}
+                </div>
+
+                <div id="preview-servers" style="display: flex; flex-direction: column; gap: 10px; margin-bottom: 14px;">
+                    ${preview.servers.map(renderServerCard).join('')}
+                </div>
+
+                <div style="display: flex; gap: 8px;">
+                    <button class="btn btn-secondary btn-block" id="cancel-btn">Cancel</button>
+                    <button class="btn btn-primary btn-block" id="apply-btn" ${changedServers.length === 0 ? 'disabled' : ''}>
+                        Push to ${changedServers.length} server${changedServers.length === 1 ? '' : 's'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const applyBtn = container.querySelector('#apply-btn');
+    const approvals = container.querySelectorAll('.sync-approve-input');
+
+    const updateApplyLabel = () => {
+        const count = [...approvals].filter(input => input.checked).length;
+        applyBtn.textContent = `Push to ${count} server${count === 1 ? '' : 's'}`;
+        applyBtn.disabled = count === 0;
+    };
+    approvals.forEach(input => input.addEventListener('change', updateApplyLabel));
+
+    container.querySelector('#back-btn')?.addEventListener('click', () => {
+        window.app.navigateTo('group-settings', { groupId });
+    });
+
+    container.querySelector('#cancel-btn')?.addEventListener('click', () => {
+        window.app.navigateTo('group-settings', { groupId });
+    });
+
+    applyBtn?.addEventListener('click', async () => {
+        const approvedServerIds = [...approvals]
+            .filter(input => input.checked)
+            .map(input => input.dataset.serverId);
+
+        if (approvedServerIds.length === 0) return;
+
+        applyBtn.disabled = true;
+        applyBtn.textContent = 'Pushing...';
+
+        try {
+            const { outcomes } = await window.app.sendMessage('applyGroupSync', { groupId, approvedServerIds, previewId: preview.previewId });
+            const failed = outcomes.filter(o => !o.success && !o.skipped);
+            const pushed = new Set(outcomes.filter(o => o.success).map(o => o.serverId));
+
+            if (failed.length > 0) {
+                const names = [...new Set(failed.map(o => o.serverName))].join(', ');
+                window.app.showToast(`Sync failed for ${names}`, 'error');
+            } else {
+                window.app.showToast(`Synced ${pushed.size} server${pushed.size === 1 ? '' : 's'}`, 'success');
+            }
+
+            // Main screen counts are stale now
+            await chrome.storage.local.remove('ui_snapshot');
+            window.app.navigateTo('group-settings', { groupId });
+        } catch (error) {
+            // A stale preview is refused before anything is pushed: show what a sync would do now
+            Logger.error('[SyncPreview] Failed to apply sync:', error);
+            window.app.showToast('Failed to sync: ' + error.message, 'error');
+            await renderGroupSyncPreview(container, { groupId });
+        }
+    });
+}
+
+function renderServerCard(server) {
+    const statusColor = server.reachable ? '#42d392' : '#ff6b6b';
+    const types = Object.keys(server.changes);
+
+    return `
+        <div style="background: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 6px; padding: 10px;">
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <span style="width: 6px; height: 6px; border-radius: 50%; background: ${statusColor}; flex-shrink: 0;"></span>
+                <span style="font-size: 11px; font-weight: 600; color: var(--color-text-primary); flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(server.serverName)}</span>
+                ${server.hasChanges ? `
+                    <label style="display: flex; align-items: center; gap: 4px; font-size: 10px; color: var(--color-text-secondary); cursor: pointer;">
+                        <input type="checkbox" class="sync-approve-input" data-server-id="${escapeHtml(server.serverId)}" checked>
+                        Push
+                    </label>
+                ` : `
+                    <span style="font-size: 9px; color: var(--color-text-tertiary);">${server.reachable ? 'In sync' : 'Skipped'}</span>
+                `}
+            </div>
+            ${!server.reachable && server.error ? `
+                <div style="font-size: 9px; color: #ff6b6b; margin-top: 6px;">${escapeHtml(server.error)}</div>
+            ` : ''}
+            ${(server.warnings || []).map(warning => `
+                <div style="font-size: 9px; color: #ff9800; margin-top: 6px;">⚠ ${escapeHtml(warning)}</div>
+            `).join('')}
+            ${types.map(type => renderTypeDiff(type, server.changes[type])).join('')}
+        </div>
+    `;
+}
+
+function renderTypeDiff(type, diff) {
+    const entries = [
+        ...diff.added.map(entry => ({ sign: '+', color: '#42d392', text: formatEntry(type, entry) })),
+        ...diff.removed.map(entry => ({ sign: '−', color: '#ff6b6b', text: formatEntry(type, entry) })),
+        ...diff.changed.map(({ before, after }) => ({
+            sign: '~',
+            color: '#ffa726',
+            text: `${formatEntry(type, before)}  ⇒  ${formatEntry(type, after)}`
+        }))
+    ];
+    const hidden = entries.length - MAX_ENTRIES_PER_LIST;
+
+    return `
+        <div style="margin-top: 8px;">
+            <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+                <span style="font-size: 8px; color: var(--color-text-tertiary); text-transform: uppercase; letter-spacing: 0.8px; font-weight: 600;">${escapeHtml(TYPE_LABELS[type] || type)}</span>
+                <span style="font-size: 9px; color: #42d392;">+${diff.added.length}</span>
+                <span style="font-size: 9px; color: #ff6b6b;">−${diff.removed.length}</span>
+                ${diff.changed.length > 0 ? `<span style="font-size: 9px; color: #ffa726;">~${diff.changed.length}</span>` : ''}
+            </div>
+            <div style="max-height: 120px; overflow-y: auto; background: var(--color-bg-primary); border: 1px solid var(--color-border); border-radius: 4px; padding: 4px 6px;">
+                ${entries.slice(0, MAX_ENTRIES_PER_LIST).map(entry => `
+                    <div style="font-family: monospace; font-size: 10px; color: ${entry.color}; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${entry.sign} ${escapeHtml(entry.text)}</div>
+                `).join('')}
+                ${hidden > 0 ? `<div style="font-size: 9px; color: var(--color-text-tertiary);">…and ${hidden} more</div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * One-line description of a sync entry
+ */
+function formatEntry(type, entry) {
+    switch (type) {
+        case 'customRules':
+            return entry;
+        case 'dnsBlocklists':
+            return `${entry.name || entry.url}${entry.enabled === false ? ' (disabled)' : ''}`;
+        case 'dnsRewrites':
+            return `${entry.domain} → ${entry.answer}`;
+        case 'homeClients':
+            return `${entry.name}${entry.ids?.length ? ` (${entry.ids.join(', ')})` : ''}`;
+        case 'blockedServices':
+        case 'dnsUpstreams':
+        case 'safetyFilters':
+        case 'accessList':
+            return formatSettingEntry(entry);
+        default:
+            return JSON.stringify(entry);
+    }
+}
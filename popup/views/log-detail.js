@@ -8,11 +8,11 @@ import { Logger } from '../utils/logger.js';
 export function renderLogDetail(container, data) {
     if (!data || !data.log) {
         window.app.showToast('Error: No log data', 'error');
-        window.app.navigateTo('query-log', { serverId: data?.serverId });
+        window.app.navigateTo('query-log', { serverId: data?.serverId, scope: data?.scope });
         return;
     }
 
-    const { log, serverId } = data;
+    const { log, serverId, scope } = data;
     const domain = log.question.name;
     const client = log.client;
 
@@ -416,7 +416,7 @@ export function renderLogDetail(container, data) {
 
     // Navigation
     document.getElementById('detail-back-btn').addEventListener('click', () => {
-        window.app.navigateTo('query-log', { serverId });
+        window.app.navigateTo('query-log', { serverId, scope });
     });
 
     // Add Rule Overlay Handling
@@ -3,29 +3,72 @@
 
 import { escapeHtml } from '../utils.js';
 
+const PAGE_SIZE = 100;
+// Client-side filters can empty a page; fetch at most this many per scroll
+const MAX_PAGES_PER_SCROLL = 5;
+
+// response_status values of /control/querylog
+const STATUS_FILTERS = [
+    { value: 'all', label: 'All' },
+    { value: 'blocked', label: 'Blocked' },
+    { value: 'whitelisted', label: 'Allowed' },
+    { value: 'rewritten', label: 'Rewritten' },
+    { value: 'safe_search', label: 'Safe search' },
+    { value: 'blocked_safebrowsing', label: 'Safe browsing' },
+    { value: 'blocked_parental', label: 'Parental' },
+    { value: 'processed', label: 'Processed' }
+];
+
+const QUERY_TYPES = ['A', 'AAAA', 'HTTPS', 'CNAME', 'MX', 'TXT', 'PTR', 'SRV'];
+
+const TIME_WINDOWS = [
+    { value: 'all', label: 'Any time', ms: null },
+    { value: '15m', label: 'Last 15 min', ms: 15 * 60 * 1000 },
+    { value: '1h', label: 'Last hour', ms: 60 * 60 * 1000 },
+    { value: '24h', label: 'Last 24 h', ms: 24 * 60 * 60 * 1000 }
+];
+
 let pollingInterval = null;
 let isPaused = false;
 let currentServerId = null;
-// Cache to restore view state instantly
+// 'server:<id>' for one server, 'group:<id>' or 'all' for a merged log
+let currentScope = null;
+// Cache to restore view state instantly (for cachedScope only)
 let cachedLogs = [];
+let cachedScope = null;
 // Track rendered IDs to prevent duplicates (moved to top scope)
 const renderedLogKeys = new Set();
 // Store current search query to preserve it when navigating
 let currentSearchQuery = '';
+// Filter chips, preserved with the search query
+let currentFilters = { status: 'all', client: '', qtype: '', window: 'all' };
+// older_than of the next page down (null: nothing older), and whether the user paged past the live page
+let olderCursor = null;
+let hasPagedOlder = false;
+let isLoadingOlder = false;
+// Bumped whenever the list is reset, so responses for an older filter/scope are dropped
+let logGeneration = 0;
+// Scroll position to restore when coming back from log-detail
+let savedScrollTop = 0;
 
 export async function renderQueryLog(container, data) {
-    if (!data || !data.serverId) {
+    if (!data || (!data.serverId && !data.scope)) {
         window.app.showToast('Error: No server specified', 'error');
         window.app.navigateTo('server-list');
         return;
     }
 
-    currentServerId = data.serverId;
+    currentScope = data.scope || `server:${data.serverId}`;
+    currentServerId = currentScope.startsWith('server:') ? currentScope.substring('server:'.length) : null;
     isPaused = false;
 
     // Reset rendered keys because we are creating a fresh DOM
     renderedLogKeys.clear();
 
+    if (cachedScope !== currentScope) {
+        resetLogState();
+        cachedScope = currentScope;
+    }
     const hasCache = cachedLogs.length > 0;
 
     // Set the base HTML structure
@@ -43,6 +86,8 @@ export async function renderQueryLog(container, data) {
             </div>
 
             <div class="search-bar-container" style="padding: 12px 16px; border-bottom: 1px solid var(--color-border); background-color: var(--color-bg-secondary);">
+                <select id="log-scope" class="form-select log-scope-select" title="Servers to follow"></select>
+                <div id="log-scope-warning" class="log-scope-warning hidden"></div>
                 <div style="position: relative; width: 100%;">
                     <svg viewBox="0 0 24 24" width="13" height="13" fill="none" stroke="var(--color-text-tertiary)" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="position: absolute; left: 10px; top: 50%; transform: translateY(-50%); pointer-events: none;">
                         <circle cx="11" cy="11" r="8"></circle>
@@ -53,6 +98,7 @@ export async function renderQueryLog(container, data) {
                         <svg viewBox="0 0 24 24" width="13" height="13" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                     </button>
                 </div>
+                ${renderFilterChips()}
             </div>
 
             <div class="view-body" style="padding: 0; display: flex; flex-direction: column; overflow: hidden;">
@@ -223,9 +269,9 @@ export async function renderQueryLog(container, data) {
     const clearBtn = document.getElementById('search-clear-btn');
 
     if (searchInput) {
-        // Debounce fetchLogs
-        const debouncedFetch = debounce((val) => {
-            fetchLogs(val);
+        // Debounce the reload
+        const debouncedFetch = debounce(() => {
+            reloadLogs();
         }, 500);
 
         searchInput.addEventListener('input', (e) => {
@@ -250,20 +296,71 @@ export async function renderQueryLog(container, data) {
             searchInput.value = '';
             currentSearchQuery = ''; // Clear stored query
             searchInput.focus();
-            fetchLogs(''); // Immediate fetch on clear
+            reloadLogs(); // Immediate fetch on clear
             clearBtn.style.display = 'none';
         });
     }
 
-    // Render Cache Immediately if available
+    attachFilterListeners();
+    loadScopeOptions();
+
+    // Infinite scroll: page backwards with older_than near the bottom
+    const listContainer = document.getElementById('log-list-container');
+    listContainer?.addEventListener('scroll', () => {
+        savedScrollTop = listContainer.scrollTop;
+        if (listContainer.scrollTop + listContainer.clientHeight >= listContainer.scrollHeight - 120) {
+            loadOlderLogs();
+        }
+    });
+
+    // Render Cache Immediately if available (and go back to where the user was)
     if (hasCache) {
-        renderLogList(cachedLogs);
+        const logs = cachedLogs;
+        cachedLogs = [];
+        renderLogList(logs, { append: true });
+        if (listContainer) listContainer.scrollTop = savedScrollTop;
     }
 
     // Start Polling
     startPolling();
 }
 
+// One server, a group (merged) or all servers (merged)
+async function loadScopeOptions() {
+    const select = document.getElementById('log-scope');
+    if (!select) return;
+
+    let servers;
+    let groups;
+    try {
+        [servers, groups] = await Promise.all([
+            window.app.sendMessage('getServers'),
+            window.app.sendMessage('getGroups')
+        ]);
+    } catch (error) {
+        console.error('Failed to load servers for the query log scope:', error);
+        return;
+    }
+
+    const option = (value, label) => `<option value="${escapeHtml(value)}" ${value === currentScope ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    select.innerHTML = `
+        ${servers.length > 1 ? option('all', 'All servers (merged)') : ''}
+        ${groups.length > 0 ? `
+            <optgroup label="Groups">
+                ${groups.map(g => option(`group:${g.id}`, `${g.name} (merged)`)).join('')}
+            </optgroup>
+        ` : ''}
+        <optgroup label="Servers">
+            ${servers.map(s => option(`server:${s.id}`, s.name)).join('')}
+        </optgroup>
+    `;
+
+    select.addEventListener('change', () => {
+        stopPolling();
+        window.app.navigateTo('query-log', { scope: select.value });
+    });
+}
+
 function togglePlayPause() {
     isPaused = !isPaused;
     updatePlayPauseButton();
@@ -327,27 +424,222 @@ function stopPolling() {
 }
 
 async function fetchLogs(searchQuery) {
-    if (!currentServerId) return;
+    if (!currentScope) return;
+
+    const generation = logGeneration;
 
     try {
-        const result = await window.app.sendMessage('getQueryLog', {
-            serverId: currentServerId,
-            params: {
-                limit: 100, // Fetch 100 for context
-                search: searchQuery
-            }
-        });
+        const result = await requestLogPage(searchQuery);
+
+        // Filters or scope changed while the request was in flight
+        if (generation !== logGeneration) return;
 
         if (result && result.data) {
-            cachedLogs = result.data; // Update Cache
-            renderLogList(result.data);
+            renderLogList(result.data.filter(matchesFilters));
+
+            // Until the user pages down, the bottom of the list is the end of the live page
+            if (!hasPagedOlder) {
+                olderCursor = nextCursor(result);
+            }
         }
+        renderUnreachable(result?.unreachable || []);
     } catch (error) {
         console.error('Failed to fetch logs:', error);
     }
 }
 
-function renderLogList(logs) {
+/**
+ * Append older entries (infinite scroll), skipping pages the client-side filters empty
+ */
+async function loadOlderLogs() {
+    if (isLoadingOlder || !olderCursor || !currentScope) return;
+
+    isLoadingOlder = true;
+    const generation = logGeneration;
+    const container = document.getElementById('log-list-container');
+    const loader = document.createElement('div');
+    loader.className = 'log-page-loader';
+    loader.textContent = 'Loading older queries...';
+    container?.appendChild(loader);
+
+    try {
+        for (let page = 0; page < MAX_PAGES_PER_SCROLL && olderCursor; page++) {
+            const result = await requestLogPage(currentSearchQuery, olderCursor);
+            if (generation !== logGeneration) return;
+
+            hasPagedOlder = true;
+            olderCursor = nextCursor(result);
+
+            const matching = (result?.data || []).filter(matchesFilters);
+            if (matching.length > 0) {
+                renderLogList(matching, { append: true });
+                break;
+            }
+        }
+    } catch (error) {
+        console.error('Failed to fetch older logs:', error);
+    } finally {
+        loader.remove();
+        if (generation === logGeneration) isLoadingOlder = false;
+    }
+
+    if (!olderCursor && container && hasPagedOlder && !container.querySelector('.log-page-end')) {
+        const end = document.createElement('div');
+        end.className = 'log-page-end';
+        end.textContent = 'No older queries';
+        container.appendChild(end);
+    }
+}
+
+// One page of the current scope; response_status and search are filtered by the server
+function requestLogPage(searchQuery, olderThan = null) {
+    const params = {
+        limit: PAGE_SIZE,
+        search: searchQuery,
+        ...(currentFilters.status !== 'all' && { response_status: currentFilters.status }),
+        ...(olderThan && { older_than: olderThan })
+    };
+
+    if (currentServerId) {
+        return window.app.sendMessage('getQueryLog', { serverId: currentServerId, params });
+    }
+    return window.app.sendMessage('getMergedQueryLog', {
+        groupId: currentScope.startsWith('group:') ? currentScope.substring('group:'.length) : null,
+        params
+    });
+}
+
+// older_than for the page after this one; null when there's nothing older (or it's outside the time window)
+function nextCursor(result) {
+    const oldest = result?.oldest;
+
+    // Only an empty page ends the log: a filtered page can come back short with older matches left
+    if (!oldest || (result.data || []).length === 0) return null;
+
+    const windowStart = getWindowStart();
+    if (windowStart && Date.parse(oldest) < windowStart) return null;
+
+    return oldest;
+}
+
+function getWindowStart() {
+    const windowMs = TIME_WINDOWS.find(w => w.value === currentFilters.window)?.ms;
+    return windowMs ? Date.now() - windowMs : null;
+}
+
+// Client, query type and time window are filtered here (the API only searches by text)
+function matchesFilters(log) {
+    const client = currentFilters.client.trim().toLowerCase();
+    if (client) {
+        const ip = (log.client || '').toLowerCase();
+        const name = (log.client_info?.name || '').toLowerCase();
+        if (!ip.includes(client) && !name.includes(client)) return false;
+    }
+
+    if (currentFilters.qtype && log.question?.type !== currentFilters.qtype) return false;
+
+    const windowStart = getWindowStart();
+    if (windowStart && Date.parse(log.time) < windowStart) return false;
+
+    return true;
+}
+
+function resetLogState() {
+    logGeneration++;
+    cachedLogs = [];
+    renderedLogKeys.clear();
+    olderCursor = null;
+    hasPagedOlder = false;
+    isLoadingOlder = false;
+    savedScrollTop = 0;
+}
+
+// Filters or search changed: start over from the newest page
+function reloadLogs() {
+    resetLogState();
+
+    const container = document.getElementById('log-list-container');
+    if (container) {
+        container.innerHTML = '';
+        container.scrollTop = 0;
+    }
+
+    fetchLogs(currentSearchQuery);
+}
+
+function renderFilterChips() {
+    const chip = (group, value, label) => `
+        <button class="log-filter-chip ${currentFilters[group] === value ? 'active' : ''}" data-filter="${group}" data-value="${value}">${label}</button>
+    `;
+
+    return `
+        <div class="log-filter-chips" id="log-status-chips">
+            ${STATUS_FILTERS.map(f => chip('status', f.value, f.label)).join('')}
+        </div>
+        <div class="log-filter-row">
+            <input type="text" id="log-client-filter" class="log-filter-input" placeholder="Client IP or name" value="${escapeHtml(currentFilters.client)}">
+            <select id="log-qtype-filter" class="log-filter-select" title="Query type">
+                <option value="">Any type</option>
+                ${QUERY_TYPES.map(t => `<option value="${t}" ${currentFilters.qtype === t ? 'selected' : ''}>${t}</option>`).join('')}
+            </select>
+            <select id="log-window-filter" class="log-filter-select" title="Time window">
+                ${TIME_WINDOWS.map(w => `<option value="${w.value}" ${currentFilters.window === w.value ? 'selected' : ''}>${w.label}</option>`).join('')}
+            </select>
+        </div>
+    `;
+}
+
+function attachFilterListeners() {
+    document.querySelectorAll('.log-filter-chip').forEach(chipBtn => {
+        chipBtn.addEventListener('click', () => {
+            currentFilters.status = chipBtn.dataset.value;
+            document.querySelectorAll('.log-filter-chip').forEach(c => c.classList.toggle('active', c === chipBtn));
+            reloadLogs();
+        });
+    });
+
+    const clientInput = document.getElementById('log-client-filter');
+    const debouncedReload = debounce(() => reloadLogs(), 500);
+    clientInput?.addEventListener('input', () => {
+        currentFilters.client = clientInput.value;
+        debouncedReload();
+    });
+
+    const qtypeSelect = document.getElementById('log-qtype-filter');
+    qtypeSelect?.addEventListener('change', () => {
+        currentFilters.qtype = qtypeSelect.value;
+        reloadLogs();
+    });
+
+    const windowSelect = document.getElementById('log-window-filter');
+    windowSelect?.addEventListener('change', () => {
+        currentFilters.window = windowSelect.value;
+        reloadLogs();
+    });
+}
+
+// Merged logs still show the servers that answered; name the ones that didn't
+function renderUnreachable(unreachable) {
+    const warning = document.getElementById('log-scope-warning');
+    if (!warning) return;
+
+    warning.classList.toggle('hidden', unreachable.length === 0);
+    warning.textContent = unreachable.length > 0 ? `Not included: ${unreachable.map(s => s.name).join(', ')}` : '';
+    warning.title = unreachable.map(s => `${s.name}: ${s.error}`).join('\n');
+}
+
+// "Pi-1" or "Pi-1 + Pi-2" when the same query reached several resolvers
+function describeServers(log) {
+    return (log.servers || []).map(s => s.name).join(' + ');
+}
+
+/**
+ * Render entries not on screen yet
+ * @param {Array} logs - Newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.append=false] - Older entries (paging) go below, live entries on top
+ */
+function renderLogList(logs, { append = false } = {}) {
     const container = document.getElementById('log-list-container');
     if (!container) return; // View changed
 
@@ -356,7 +648,7 @@ function renderLogList(logs) {
     if (loadingState) loadingState.remove();
 
     if (!logs || logs.length === 0) {
-        if (container.children.length === 0) {
+        if (container.children.length === 0 && !append) {
             container.innerHTML = '<div class="empty-state-text" style="padding:40px; text-align:center; color: var(--color-text-tertiary);">No queries found</div>';
         }
         return;
@@ -381,11 +673,15 @@ function renderLogList(logs) {
     const newLogs = [];
 
     logs.forEach(log => {
-        // Create unique key
-        const key = `${log.time}-${log.question.name}-${log.client}-${log.status}`;
+        // Create unique key (merged entries: one per server that first logged the query)
+        const key = `${log.time}-${log.question.name}-${log.client}-${log.status}${log.serverId ? `-${log.serverId}` : ''}`;
         if (!renderedLogKeys.has(key)) {
             newLogs.push({ log, key });
             renderedLogKeys.add(key);
+        } else if (log.servers) {
+            // A copy from another resolver may arrive after the entry was rendered
+            const tag = container.querySelector(`[data-key="${CSS.escape(key)}"] .log-server-tag`);
+            if (tag) tag.textContent = describeServers(log);
         }
     });
 
@@ -399,7 +695,14 @@ function renderLogList(logs) {
     // We prepend B. List: [B, C].
     // We prepend A. List: [A, B, C]. Correct.
 
-    newLogs.reverse().forEach(({ log, key }) => {
+    // Cache mirrors the list on screen, newest first
+    if (append) {
+        cachedLogs.push(...newLogs.map(({ log }) => log));
+    } else {
+        cachedLogs = [...newLogs.map(({ log }) => log), ...cachedLogs];
+    }
+
+    (append ? newLogs : newLogs.reverse()).forEach(({ log, key }) => {
         const item = document.createElement('div');
         item.dataset.key = key; // Store key for reference
 
@@ -487,6 +790,12 @@ function renderLogList(logs) {
                         <svg class="log-meta-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>
                         <span>${time}</span>
                     </div>
+                    ${log.servers ? `
+                        <div class="log-meta-item" style="opacity: 0.5; margin: 0 4px;">|</div>
+                        <div class="log-meta-item">
+                            <span class="log-server-tag" title="Answered by">${escapeHtml(describeServers(log))}</span>
+                        </div>
+                    ` : ''}
                 </div>
             </div>
             <div class="log-right-col">
@@ -504,22 +813,29 @@ function renderLogList(logs) {
             stopPolling();
             window.app.navigateTo('log-detail', {
                 log: log,
-                serverId: currentServerId
+                serverId: log.serverId || currentServerId,
+                scope: currentScope
             });
         });
 
-        // Prepend to container
-        container.insertBefore(item, container.firstChild);
+        // Prepend live entries, append older pages
+        if (append) {
+            container.appendChild(item);
+        } else {
+            container.insertBefore(item, container.firstChild);
+        }
     });
 
-    // Cleanup: Remove old logs if > 100
-    while (container.children.length > 100) {
+    // Cleanup: Remove old logs if > 100 (kept once the user scrolled into older pages)
+    if (hasPagedOlder) return;
+    while (container.children.length > PAGE_SIZE) {
         const lastChild = container.lastChild;
         if (lastChild && lastChild.dataset && lastChild.dataset.key) {
             renderedLogKeys.delete(lastChild.dataset.key);
         }
         container.removeChild(lastChild);
     }
+    cachedLogs.length = Math.min(cachedLogs.length, PAGE_SIZE);
 }
 
 // Utilities
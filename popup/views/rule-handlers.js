@@ -2,12 +2,15 @@
 // Separate module to keep server-detail.js manageable
 
 import { classifyRule, getRuleCounts, escapeHtml } from '../utils.js';
+import { validateRule } from '../../background/rule-parser.js';
 import { Logger } from '../utils/logger.js';
+import { parseNoteInput, formatNoteInput } from '../utils/rule-annotations.js';
 
 /**
  * Handle clicking the edit button on a rule
+ * annotations (rule text -> annotation) is updated in place so the note follows the edit
  */
-export function handleEditRule(ruleItem, serverId, allRules, ruleIndex) {
+export function handleEditRule(ruleItem, serverId, allRules, ruleIndex, annotations = {}) {
     // Prevent editing if already in edit mode
     if (ruleItem.classList.contains('editing')) return;
 
@@ -57,7 +60,7 @@ export function handleEditRule(ruleItem, serverId, allRules, ruleIndex) {
                 return;
             }
             if (newRule !== originalRule) {
-                await saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule);
+                await saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule, annotations);
             } else {
                 cancelEdit(ruleItem, originalRule);
             }
@@ -72,7 +75,7 @@ export function handleEditRule(ruleItem, serverId, allRules, ruleIndex) {
             e.preventDefault();
             const newRule = input.value.trim();
             if (newRule && newRule !== originalRule) {
-                await saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule);
+                await saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule, annotations);
             } else {
                 cancelEdit(ruleItem, originalRule);
             }
@@ -96,6 +99,7 @@ function cancelEdit(ruleItem, originalRule) {
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'rule-actions';
     actionsDiv.innerHTML = `
+    <button class="rule-action-btn" data-action="note" title="Note and tags">📝</button>
     <button class="rule-action-btn" data-action="edit" title="Edit rule">✏️</button>
     <button class="rule-action-btn" data-action="delete" title="Delete rule">⛔</button>
   `;
@@ -108,7 +112,13 @@ function cancelEdit(ruleItem, originalRule) {
 /**
  * Save edited rule to server(s)
  */
-async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule) {
+async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule, annotations) {
+    const { valid, error } = validateRule(newRule);
+    if (!valid) {
+        window.app.showToast(`Invalid rule: ${error}`, 'error');
+        return;
+    }
+
     try {
         window.app.showToast('Updating rule...', 'info');
 
@@ -122,14 +132,17 @@ async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule) {
         const targetServerIds = serverGroup ? serverGroup.serverIds : [serverId];
         const groupName = serverGroup ? serverGroup.name : null;
 
-        // Update servers
+        // Update servers (unreachable ones get the change queued; base lets replay spot conflicting edits)
         let successCount = 0;
+        let queuedCount = 0;
         for (const targetId of targetServerIds) {
             try {
-                await window.app.sendMessage('setRules', {
+                const result = await window.app.sendMessage('setRules', {
                     serverId: targetId,
-                    rules: updatedRules
+                    rules: updatedRules,
+                    base: allRules
                 });
+                if (result?.queued) queuedCount++;
                 successCount++;
             } catch (error) {
                 Logger.error(`Failed to update server ${targetId}:`, error);
@@ -137,6 +150,14 @@ async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule) {
         }
 
         if (successCount > 0) {
+            // The note stays with the rule
+            const originalRule = allRules[ruleIndex];
+            if (annotations[originalRule]) {
+                annotations[newRule] = { ...annotations[originalRule], rule: newRule };
+                window.app.sendMessage('copyRuleAnnotation', { fromRule: originalRule, toRule: newRule })
+                    .catch(error => Logger.error('Failed to copy rule annotation:', error));
+            }
+
             // Update local state
             allRules[ruleIndex] = newRule;
 
@@ -148,6 +169,7 @@ async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule) {
             const actionsDiv = document.createElement('div');
             actionsDiv.className = 'rule-actions';
             actionsDiv.innerHTML = `
+        <button class="rule-action-btn" data-action="note" title="Note and tags">📝</button>
         <button class="rule-action-btn" data-action="edit" title="Edit rule">✏️</button>
         <button class="rule-action-btn" data-action="delete" title="Delete rule">⛔</button>
       `;
@@ -179,8 +201,9 @@ async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule) {
             const message = groupName
                 ? `Rule updated in group "${groupName}" (${successCount}/${targetServerIds.length} servers)`
                 : 'Rule updated successfully';
+            const queuedNote = queuedCount > 0 ? ` · ${queuedCount} queued until reachable` : '';
 
-            window.app.showToast(message, successCount === targetServerIds.length ? 'success' : 'warning');
+            window.app.showToast(message + queuedNote, successCount === targetServerIds.length && queuedCount === 0 ? 'success' : 'warning');
 
             // Refresh cache in background AND wait for it
             // This ensures server list will show updated counts
@@ -200,6 +223,85 @@ async function saveRuleEdit(ruleItem, serverId, allRules, ruleIndex, newRule) {
     }
 }
 
+/**
+ * Handle clicking the note button on a rule: edit its note and #tags inline
+ * Enter saves, Escape cancels. annotations (rule text -> annotation) is updated in place.
+ */
+export function handleAnnotateRule(ruleItem, rule, annotations) {
+    if (ruleItem.querySelector('.rule-note-input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'rule-note-input';
+    input.placeholder = 'Note, #tags (Enter to save)';
+    input.maxLength = 500;
+    input.value = formatNoteInput(annotations[rule]);
+
+    const shown = ruleItem.querySelector('.rule-annotation');
+    if (shown) {
+        shown.replaceWith(input);
+    } else {
+        ruleItem.appendChild(input);
+    }
+    input.focus();
+
+    const close = (annotation) => {
+        if (annotation) {
+            input.outerHTML = renderRuleAnnotation(annotation);
+        } else {
+            input.remove();
+        }
+    };
+
+    input.addEventListener('keydown', async (e) => {
+        if (e.key === 'Escape') {
+            close(annotations[rule]);
+            return;
+        }
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+
+        try {
+            const annotation = await window.app.sendMessage('updateRuleAnnotation', { rule, ...parseNoteInput(input.value) });
+            if (annotation) {
+                annotations[rule] = annotation;
+            } else {
+                delete annotations[rule];
+            }
+            close(annotation);
+            window.app.showToast('Note saved', 'success');
+        } catch (error) {
+            window.app.showToast('Failed to save note: ' + error.message, 'error');
+        }
+    });
+}
+
+/**
+ * Annotation line under a rule: note, #tags, then author, date and source page
+ */
+export function renderRuleAnnotation(annotation) {
+    let sourceHost = null;
+    try {
+        sourceHost = annotation.source ? new URL(annotation.source).hostname : null;
+    } catch (ignore) {
+        // Not a URL; the full text is still in the title
+    }
+
+    const meta = [
+        annotation.author,
+        annotation.createdAt ? new Date(annotation.createdAt).toLocaleDateString() : null,
+        sourceHost
+    ].filter(Boolean);
+
+    return `
+      <div class="rule-annotation" title="${escapeHtml(annotation.source || '')}">
+        ${annotation.note ? `<span class="rule-annotation-note">${escapeHtml(annotation.note)}</span>` : ''}
+        ${(annotation.tags || []).map(tag => `<span class="rule-annotation-tag">#${escapeHtml(tag)}</span>`).join('')}
+        ${meta.length > 0 ? `<span class="rule-annotation-meta">${escapeHtml(meta.join(' · '))}</span>` : ''}
+      </div>
+    `;
+}
+
 /**
  * Handle clicking the delete button on a rule
  */
@@ -258,14 +360,17 @@ async function performDeleteRule(ruleItem, serverId, allRules, ruleIndex) {
         const targetServerIds = serverGroup ? serverGroup.serverIds : [serverId];
         const groupName = serverGroup ? serverGroup.name : null;
 
-        // Update servers
+        // Update servers (unreachable ones get the change queued; base lets replay spot conflicting edits)
         let successCount = 0;
+        let queuedCount = 0;
         for (const targetId of targetServerIds) {
             try {
-                await window.app.sendMessage('setRules', {
+                const result = await window.app.sendMessage('setRules', {
                     serverId: targetId,
-                    rules: updatedRules
+                    rules: updatedRules,
+                    base: allRules
                 });
+                if (result?.queued) queuedCount++;
                 successCount++;
             } catch (error) {
                 Logger.error(`Failed to update server ${targetId}:`, error);
@@ -301,8 +406,9 @@ async function performDeleteRule(ruleItem, serverId, allRules, ruleIndex) {
             const message = groupName
                 ? `Rule deleted from group "${groupName}" (${successCount}/${targetServerIds.length} servers)`
                 : 'Rule deleted successfully';
+            const queuedNote = queuedCount > 0 ? ` · ${queuedCount} queued until reachable` : '';
 
-            window.app.showToast(message, successCount === targetServerIds.length ? 'success' : 'warning');
+            window.app.showToast(message + queuedNote, successCount === targetServerIds.length && queuedCount === 0 ? 'success' : 'warning');
 
             // Refresh cache in background AND clear UI snapshot
             try {
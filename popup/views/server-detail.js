@@ -1,9 +1,14 @@
 // Server Detail View
 // Displays server rules with search and color coding
 
-import { escapeHtml, classifyRule, getRuleCounts, showConfirmDialog } from '../utils.js';
-import { handleEditRule, handleDeleteRule } from './rule-handlers.js';
+import { escapeHtml, classifyRule, getRuleCounts, showConfirmDialog, formatSettingEntry } from '../utils.js';
+import { handleEditRule, handleDeleteRule, handleAnnotateRule, renderRuleAnnotation } from './rule-handlers.js';
 import { Logger } from '../utils/logger.js';
+import { getAnnotationSearchText } from '../utils/rule-annotations.js';
+import { createSparkline } from '../shared/ui-components.js';
+
+// Annotations of the rules on screen (rule text -> annotation)
+let ruleAnnotations = {};
 
 export async function renderServerDetail(container, data = {}) {
   const { serverId } = data;
@@ -162,6 +167,10 @@ function renderServerDetailView(container, server, version, rules, fromCache, wa
           <button class="header-icon-btn btn-refresh" id="refresh-btn" title="Refresh rules">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><path d="M23 4v6h-6"/><path d="M1 20v-6h6"/><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/></svg>
           </button>
+          <!-- History Button -->
+          <button class="header-icon-btn" id="history-btn" title="Change history">
+            <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 1 0 3-6.7L3 8"/><path d="M3 3v5h5"/><path d="M12 7v5l3 3"/></svg>
+          </button>
           <!-- Awesome Delete Button -->
           <button class="header-icon-btn btn-delete" id="delete-server-btn" title="Delete server">
              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>
@@ -183,12 +192,16 @@ function renderServerDetailView(container, server, version, rules, fromCache, wa
           <span class="badge badge-info">${counts.total} Total</span>
         </div>
 
+        <div class="health-card hidden" id="health-card"></div>
+
+        <div class="pending-card hidden" id="pending-card"></div>
+
         <div class="search-card">
           <input
             type="text"
             id="rule-search"
             class="form-input"
-            placeholder="🔍 Search rules..."
+            placeholder="🔍 Search rules, notes, #tags..."
           />
         </div>
 
@@ -210,6 +223,7 @@ function renderServerDetailView(container, server, version, rules, fromCache, wa
     const updatedRules = await handleRefresh(serverId);
     if (updatedRules) {
       allRules = updatedRules;
+      loadRuleAnnotations(allRules);
     }
   });
 
@@ -217,11 +231,16 @@ function renderServerDetailView(container, server, version, rules, fromCache, wa
     await handleDeleteServer(serverId);
   });
 
-  // Search functionality
+  document.getElementById('history-btn').addEventListener('click', () => {
+    renderHistoryView(container, server, serverId);
+  });
+
+  // Search functionality (rule text, or its note, #tags, author and source page)
   document.getElementById('rule-search').addEventListener('input', (e) => {
     const searchTerm = e.target.value.toLowerCase();
     const filtered = allRules.filter(rule =>
-      rule.toLowerCase().includes(searchTerm)
+      rule.toLowerCase().includes(searchTerm) ||
+      getAnnotationSearchText(ruleAnnotations[rule]).includes(searchTerm)
     );
     // Pass full rules array so we can find correct indices
     document.getElementById('rules-list').innerHTML = renderRulesList(filtered, allRules);
@@ -232,6 +251,149 @@ function renderServerDetailView(container, server, version, rules, fromCache, wa
 
   // Attach initial event listeners
   attachRuleEventListeners(serverId, allRules);
+
+  loadHealthCard(serverId);
+  loadPendingCard(serverId);
+  loadRuleAnnotations(allRules);
+}
+
+// Annotations arrive after the list is drawn; re-running the search draws them
+async function loadRuleAnnotations(rules) {
+  try {
+    ruleAnnotations = await window.app.sendMessage('getRuleAnnotations', { rules });
+  } catch (error) {
+    Logger.warn('[ServerDetail] Rule annotations unavailable:', error);
+    return;
+  }
+
+  document.getElementById('rule-search')?.dispatchEvent(new Event('input'));
+}
+
+// Uptime, latency and last failure from the background health monitor
+async function loadHealthCard(serverId) {
+  const card = document.getElementById('health-card');
+  if (!card) return;
+
+  let health;
+  try {
+    health = await window.app.sendMessage('getServerHealth', { serverId });
+  } catch (error) {
+    Logger.error('Failed to load server health:', error);
+    return;
+  }
+
+  if (health.samples === 0) return;
+
+  const formatTime = at => new Date(at).toLocaleTimeString([], { hour12: false, hour: '2-digit', minute: '2-digit' });
+  const lastError = health.lastError;
+
+  card.innerHTML = `
+    <div class="health-card-header">
+      <span class="health-card-title">Health · 24h</span>
+      <span class="health-card-uptime ${health.uptime < 99 ? 'low' : ''}">${health.uptime}% uptime</span>
+    </div>
+    ${createSparkline(health.sparkline, { width: 300, height: 28, className: 'sparkline health-card-sparkline' })}
+    <div class="health-card-meta">
+      ${health.avgLatencyMs !== null ? `avg ${health.avgLatencyMs} ms · ` : ''}${health.samples} checks · last at ${formatTime(health.lastSample.at)}
+    </div>
+    ${lastError ? `
+      <div class="health-card-error" title="${escapeHtml(lastError.error || '')}">
+        Last failure at ${formatTime(lastError.at)}: ${escapeHtml(lastError.reachable ? `HTTP ${lastError.httpStatus}` : 'unreachable')}
+      </div>
+    ` : ''}
+  `;
+  card.classList.remove('hidden');
+}
+
+// Writes queued while the server was unreachable, with conflict resolution
+const PENDING_LABELS = {
+  setRules: 'Custom rules',
+  ruleChange: 'Rule change',
+  setRewrites: 'DNS rewrites',
+  addFilterURL: 'Add blocklist',
+  removeFilterURL: 'Remove blocklist'
+};
+
+async function loadPendingCard(serverId) {
+  const card = document.getElementById('pending-card');
+  if (!card) return;
+
+  let entries;
+  try {
+    entries = await window.app.sendMessage('getOutbox', { serverId });
+  } catch (error) {
+    Logger.error('Failed to load pending changes:', error);
+    return;
+  }
+
+  if (entries.length === 0) {
+    card.classList.add('hidden');
+    card.innerHTML = '';
+    return;
+  }
+
+  const describe = entry => {
+    const { payload } = entry;
+    switch (entry.type) {
+      case 'setRules': return `${payload.rules.length} rules`;
+      case 'ruleChange': {
+        const { add = [], remove = [], replace = [] } = payload.change;
+        return [...add.map(r => `+${r}`), ...replace.map(([, to]) => `~${to}`), ...remove.map(r => `-${r}`)].join(', ');
+      }
+      case 'setRewrites': return `${payload.rewrites.length} rewrites`;
+      default: return payload.url;
+    }
+  };
+
+  card.innerHTML = `
+    <div class="health-card-header">
+      <span class="health-card-title">Pending changes · ${entries.length}</span>
+      <button class="btn btn-sm btn-secondary" id="pending-retry-btn">Retry now</button>
+    </div>
+    ${entries.map(entry => `
+      <div class="pending-entry ${entry.status}" data-entry-id="${entry.id}">
+        <div class="pending-entry-text" title="${escapeHtml(entry.lastError || '')}">
+          <strong>${PENDING_LABELS[entry.type] || entry.type}</strong> ${escapeHtml(describe(entry))}
+          <div class="pending-entry-meta">
+            ${entry.status === 'conflict'
+              ? escapeHtml(entry.lastError || 'Changed on the server')
+              : entry.status === 'rejected'
+              ? escapeHtml(`Rejected by the server: ${entry.lastError || 'unknown error'}`)
+              : `queued ${new Date(entry.queuedAt).toLocaleString()}${entry.attempts > 0 ? ` · ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}` : ''}`}
+          </div>
+        </div>
+        <div class="pending-entry-actions">
+          ${entry.status === 'conflict' ? '<button class="btn btn-sm btn-primary" data-action="overwrite" title="Write it anyway, replacing the server\'s changes">Overwrite</button>' : ''}
+          ${entry.status === 'rejected' ? '<button class="btn btn-sm btn-primary" data-action="retry" title="Try it again, e.g. after fixing the credentials">Retry</button>' : ''}
+          <button class="btn btn-sm btn-ghost" data-action="discard" title="Drop this change">Discard</button>
+        </div>
+      </div>
+    `).join('')}
+  `;
+  card.classList.remove('hidden');
+
+  const run = async (message, data) => {
+    card.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+    try {
+      const { pending } = await window.app.sendMessage(message, { serverId, ...data });
+      window.app.showToast(pending === 0 ? 'All changes delivered' : `${pending} change(s) still pending`, pending === 0 ? 'success' : 'info');
+    } catch (error) {
+      window.app.showToast('Failed: ' + error.message, 'error');
+    }
+    loadPendingCard(serverId);
+  };
+
+  card.querySelector('#pending-retry-btn').addEventListener('click', () => run('retryOutbox'));
+  card.querySelectorAll('.pending-entry-actions button').forEach(btn => {
+    const entryId = btn.closest('.pending-entry').dataset.entryId;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.action === 'overwrite' || btn.dataset.action === 'retry') {
+        run('resolveOutboxConflict', { entryId, action: btn.dataset.action });
+      } else {
+        run('discardOutboxEntry', { entryId });
+      }
+    });
+  });
 }
 
 // Separate function for event listeners to avoid duplication
@@ -257,8 +419,10 @@ function attachRuleEventListeners(serverId, allRules) {
       return;
     }
 
-    if (action === 'edit') {
-      handleEditRule(ruleItem, serverId, allRules, ruleIndex);
+    if (action === 'note') {
+      handleAnnotateRule(ruleItem, allRules[ruleIndex], ruleAnnotations);
+    } else if (action === 'edit') {
+      handleEditRule(ruleItem, serverId, allRules, ruleIndex, ruleAnnotations);
     } else if (action === 'delete') {
       handleDeleteRule(ruleItem, serverId, allRules, ruleIndex);
     }
@@ -286,15 +450,19 @@ function renderRulesList(rules, allRules = null) {
     // Find the actual index in the full rules array
     const actualIndex = sourceRules.indexOf(rule);
 
+    const annotation = ruleAnnotations[rule];
+
     // Store index instead of text to avoid HTML escaping issues
     return `
       <div class="rule-item ${colorClass}" data-rule-index="${actualIndex}" style="position: relative;">
         <span class="rule-indicator"></span>
         <span class="rule-text">${escapeHtml(rule)}</span>
         <div class="rule-actions">
+          <button class="rule-action-btn" data-action="note" title="Note and tags">📝</button>
           <button class="rule-action-btn" data-action="edit" title="Edit rule">✏️</button>
           <button class="rule-action-btn" data-action="delete" title="Delete rule">⛔</button>
         </div>
+        ${annotation ? renderRuleAnnotation(annotation) : ''}
       </div>
     `;
   }).join('');
@@ -378,5 +546,186 @@ async function handleDeleteServer(serverId) {
   }
 }
 
+// ============================================================================
+// CHANGE HISTORY
+// ============================================================================
+
+const HISTORY_TYPE_LABELS = {
+  customRules: 'Custom Rules',
+  dnsBlocklists: 'DNS Blocklists',
+  dnsRewrites: 'DNS Rewrites',
+  homeClients: 'Home Clients',
+  blockedServices: 'Blocked Services',
+  dnsUpstreams: 'DNS Upstreams',
+  safetyFilters: 'Safe Search & Parental',
+  accessList: 'Access List'
+};
+
+const HISTORY_ORIGIN_LABELS = {
+  'popup': 'Popup',
+  'context-menu': 'Context Menu',
+  'group-auto-repair': 'Group Auto-Repair',
+  'group-sync': 'Group Sync',
+  'restore': 'Restore',
+  'rule-expiry': 'Rule Expiry'
+};
+
+/**
+ * History view: versions saved before each write, with diffs and restore
+ */
+async function renderHistoryView(container, server, serverId, dataType = '') {
+  container.innerHTML = `
+    <div class="view-container">
+      <div class="view-header">
+        <button class="header-icon-btn" id="history-back-btn" title="Back to rules">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+        </button>
+        <div class="view-title">${escapeHtml(server.name)} · History</div>
+        <div class="header-action-area"></div>
+      </div>
+
+      <div class="view-body">
+        <div class="search-card">
+          <select id="history-type-filter" class="form-input">
+            <option value="">All data types</option>
+            ${Object.entries(HISTORY_TYPE_LABELS).map(([type, label]) => `
+              <option value="${type}" ${type === dataType ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div id="history-list">
+          <div class="skeleton skeleton-text"></div>
+          <div class="skeleton skeleton-text"></div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('history-back-btn').addEventListener('click', () => {
+    window.app.navigateTo('server-detail', { serverId });
+  });
+
+  document.getElementById('history-type-filter').addEventListener('change', (e) => {
+    renderHistoryView(container, server, serverId, e.target.value);
+  });
+
+  let entries;
+  try {
+    entries = await window.app.sendMessage('getHistory', { serverId, dataType: dataType || undefined });
+  } catch (error) {
+    Logger.error('[History] Failed to load history:', error);
+    window.app.showToast('Failed to load history: ' + error.message, 'error');
+    return;
+  }
+
+  const list = document.getElementById('history-list');
+  if (!list) return;
+
+  if (entries.length === 0) {
+    list.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-text">No changes recorded yet</div>
+      </div>
+    `;
+    return;
+  }
+
+  list.innerHTML = entries.map(renderHistoryItem).join('');
+
+  list.addEventListener('click', async (e) => {
+    const restoreBtn = e.target.closest('.history-restore-btn');
+    if (restoreBtn) {
+      e.stopPropagation();
+      await handleRestore(container, server, serverId, restoreBtn.dataset.entryId, dataType);
+      return;
+    }
+
+    const header = e.target.closest('.history-item-header');
+    if (header) {
+      header.parentElement.querySelector('.history-diff')?.classList.toggle('hidden');
+    }
+  });
+}
+
+function renderHistoryItem(entry) {
+  const diff = entry.diff;
+  const when = new Date(entry.timestamp).toLocaleString();
+  const diffSummary = diff
+    ? `<span style="color:#42d392;">+${diff.added.length}</span> <span style="color:#ff6b6b;">−${diff.removed.length}</span>${diff.changed.length ? ` <span style="color:#ffa726;">~${diff.changed.length}</span>` : ''}`
+    : '<span style="color:var(--color-text-tertiary);">current state unknown</span>';
+
+  // Diff shows what the write after this version changed
+  const lines = diff ? [
+    ...diff.added.map(item => `<div style="color:#42d392;">+ ${escapeHtml(formatHistoryEntry(entry.dataType, item))}</div>`),
+    ...diff.removed.map(item => `<div style="color:#ff6b6b;">− ${escapeHtml(formatHistoryEntry(entry.dataType, item))}</div>`),
+    ...diff.changed.map(({ before, after }) => `<div style="color:#ffa726;">~ ${escapeHtml(formatHistoryEntry(entry.dataType, before))} ⇒ ${escapeHtml(formatHistoryEntry(entry.dataType, after))}</div>`)
+  ] : [];
+
+  return `
+    <div class="history-item" style="background: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 6px; padding: 8px 10px; margin-bottom: 6px;">
+      <div class="history-item-header" style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+        <div style="flex: 1; min-width: 0;">
+          <div style="font-size: 11px; font-weight: 600; color: var(--color-text-primary);">${escapeHtml(when)}</div>
+          <div style="font-size: 9px; color: var(--color-text-secondary);">
+            ${escapeHtml(HISTORY_TYPE_LABELS[entry.dataType] || entry.dataType)} · ${entry.count} entries · before ${escapeHtml(HISTORY_ORIGIN_LABELS[entry.origin] || entry.origin)} write
+          </div>
+          <div style="font-size: 10px; margin-top: 2px;">${diffSummary}</div>
+        </div>
+        <button class="btn btn-sm btn-secondary history-restore-btn" data-entry-id="${escapeHtml(entry.id)}">Restore</button>
+      </div>
+      <div class="history-diff hidden" style="margin-top: 6px; max-height: 140px; overflow-y: auto; font-family: monospace; font-size: 10px; background: var(--color-bg-primary); border: 1px solid var(--color-border); border-radius: 4px; padding: 4px 6px;">
+        ${lines.length ? lines.join('') : '<div style="color:var(--color-text-tertiary);">No differences</div>'}
+      </div>
+    </div>
+  `;
+}
+
+function formatHistoryEntry(dataType, item) {
+  switch (dataType) {
+    case 'customRules':
+      return item;
+    case 'dnsBlocklists':
+      return item.name || item.url;
+    case 'dnsRewrites':
+      return `${item.domain} → ${item.answer}`;
+    case 'homeClients':
+      return item.name;
+    case 'blockedServices':
+    case 'dnsUpstreams':
+    case 'safetyFilters':
+    case 'accessList':
+      return formatSettingEntry(item);
+    default:
+      return JSON.stringify(item);
+  }
+}
+
+async function handleRestore(container, server, serverId, entryId, dataType) {
+  const confirmed = await showConfirmDialog(
+    'Restore Version',
+    `Replace the current data on "${server.name}" with this version?`,
+    'The current state is saved to history first, so you can undo this.',
+    'Restore'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    window.app.showLoading();
+    const result = await window.app.sendMessage('restoreHistoryEntry', { serverId, entryId });
+
+    // Refresh cache so the rules list and main screen show restored data
+    await window.app.sendMessage('refreshServerRules', { serverId, force: true });
+    await chrome.storage.local.remove('ui_snapshot');
+
+    window.app.hideLoading();
+    window.app.showToast(`Restored ${result.count} ${HISTORY_TYPE_LABELS[result.dataType] || 'entries'}`, 'success');
+    renderHistoryView(container, server, serverId, dataType);
+  } catch (error) {
+    window.app.hideLoading();
+    window.app.showToast('Restore failed: ' + error.message, 'error');
+  }
+}
+
 // showConfirmDialog removed - now imported from utils.js
 
@@ -3,6 +3,14 @@
 
 import { escapeHtml, showConfirmDialog } from '../utils.js';
 
+// Mirrors AUTH_TYPE in background/api-interceptors.js
+const AUTH_OPTIONS = [
+  { value: 'basic', label: 'Username & password (Basic)' },
+  { value: 'session', label: 'Session login (/control/login)' },
+  { value: 'headers', label: 'Custom headers (reverse proxy)' },
+  { value: 'none', label: 'No authentication' }
+];
+
 export async function renderServerForm(container, data = {}) {
   const { mode = 'add', serverId = null } = data;
   const isEdit = mode === 'edit';
@@ -29,6 +37,10 @@ export async function renderServerForm(container, data = {}) {
     }
   }
 
+  const authType = server?.auth?.type || 'basic';
+  const fallbackUrls = (server?.endpoints || []).slice(1).join('\n');
+  const authHeaders = (server?.auth?.headers || []).map(h => `${h.name}: ${h.value}`).join('\n');
+
   // Render form
   container.innerHTML = `
     <div class="view-header">
@@ -75,6 +87,18 @@ export async function renderServerForm(container, data = {}) {
             Include protocol (http:// or https://)
           </div>
         </div>
+
+        <div class="form-group">
+          <label class="form-label" for="server-fallback-urls">Fallback URLs <span class="text-tertiary text-xs">(optional)</span></label>
+          <textarea
+            id="server-fallback-urls"
+            class="form-textarea"
+            rows="2"
+            placeholder="https://adguard.example.com"
+            spellcheck="false"
+          >${escapeHtml(fallbackUrls)}</textarea>
+          <div class="text-xs text-tertiary mt-1">One per line, tried in order when the Server URL is unreachable (e.g. a public name for when you're away from home)</div>
+        </div>
         
         ${mode === 'add' ? `
         <!-- Connection Security Info - Only shown when adding new server -->
@@ -82,12 +106,33 @@ export async function renderServerForm(container, data = {}) {
           <div class="alert-box-title">ℹ️ Connection Security for Home Networks</div>
           <div class="alert-box-content">
             <strong class="alert-box-strong">HTTP is fine for local networks</strong> (192.168.x.x, 10.x.x.x) when AdGuard Home runs on your private network.<br><br>
-            <strong class="alert-box-strong">Use self-signed certificates?</strong> Enable "Bypass SSL Validation" below for HTTPS connections with self-signed certs.
+            <strong class="alert-box-strong">Use self-signed certificates?</strong> Use "Trust certificate" below to accept the certificate once in a browser tab.
           </div>
         </div>
         ` : ''}
         
         <div class="form-group">
+          <label class="form-label" for="server-auth-type">Authentication</label>
+          <select id="server-auth-type" class="form-select">
+            ${AUTH_OPTIONS.map(option => `
+              <option value="${option.value}" ${authType === option.value ? 'selected' : ''}>${option.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-group auth-field" data-auth="headers">
+          <label class="form-label" for="server-auth-headers">Headers</label>
+          <textarea
+            id="server-auth-headers"
+            class="form-textarea"
+            rows="3"
+            placeholder="X-Proxy-Token: secret"
+            spellcheck="false"
+          >${escapeHtml(authHeaders)}</textarea>
+          <div class="text-xs text-tertiary mt-1">One "Name: value" per line, sent with every request</div>
+        </div>
+
+        <div class="form-group auth-field" data-auth="basic session">
           <label class="form-label" for="server-username">Username</label>
           <input
             type="text"
@@ -100,7 +145,7 @@ export async function renderServerForm(container, data = {}) {
           />
         </div>
         
-        <div class="form-group">
+        <div class="form-group auth-field" data-auth="basic session">
           <label class="form-label" for="server-password">Password</label>
           <input
             type="password"
@@ -113,18 +158,13 @@ export async function renderServerForm(container, data = {}) {
           ${isEdit ? '<div class="text-xs text-tertiary mt-1">Leave blank to keep existing password</div>' : ''}
         </div>
         
-        <div class="form-group">
-          <label class="form-label toggle-label">
-            <input
-              type="checkbox"
-              id="bypass-ssl"
-              class="toggle-input"
-              ${server && server.bypassSSL ? 'checked' : ''}
-            />
-            <span class="toggle-slider"></span>
-            <span class="toggle-text">Bypass SSL Validation</span>
-          </label>
-          <div class="text-xs text-tertiary mt-1">Enable for self-signed certificates</div>
+        <div class="form-group hidden" id="certificate-group">
+          <label class="form-label">Certificate</label>
+          <div class="certificate-status">
+            <span class="certificate-status-text" id="certificate-status-text">Not checked yet</span>
+            <button type="button" class="btn btn-sm btn-secondary" id="trust-certificate-btn">Trust certificate</button>
+          </div>
+          <div class="text-xs text-tertiary mt-1">Self-signed certificates are accepted once in a browser tab, then re-checked automatically</div>
         </div>
         
         ${isEdit ? `
@@ -163,6 +203,12 @@ export async function renderServerForm(container, data = {}) {
   });
 
   document.getElementById('test-connection-btn').addEventListener('click', handleTestConnection);
+  document.getElementById('server-auth-type').addEventListener('change', updateAuthFields);
+  updateAuthFields();
+  document.getElementById('server-host').addEventListener('change', refreshCertificateStatus);
+  document.getElementById('trust-certificate-btn').addEventListener('click', handleTrustCertificate);
+  listenForCertificateTrust();
+  refreshCertificateStatus();
   document.getElementById('server-form').addEventListener('submit', (e) => {
     e.preventDefault();
     handleSaveServer(isEdit, serverId);
@@ -177,15 +223,18 @@ export async function renderServerForm(container, data = {}) {
 
 async function handleTestConnection() {
   const host = document.getElementById('server-host').value.trim();
+  const endpoints = [host, ...readFallbackUrls()];
   const username = document.getElementById('server-username').value.trim();
   let password = document.getElementById('server-password').value;
+  const auth = readAuthFromForm();
+  const needsCredentials = auth.type === 'basic' || auth.type === 'session';
 
   // Get serverId from form data if editing
   const isEdit = document.querySelector('[data-mode="edit"]') !== null;
   const serverId = document.querySelector('[data-server-id]')?.dataset.serverId;
 
   // If editing and password not provided, fetch existing password
-  if (isEdit && !password && serverId) {
+  if (needsCredentials && isEdit && !password && serverId) {
     try {
       const existingServer = await window.app.sendMessage('getServer', { id: serverId });
       password = existingServer.password;
@@ -196,25 +245,155 @@ async function handleTestConnection() {
   }
 
   // Validation
-  if (!host || !username || !password) {
+  if (!host || (needsCredentials && (!username || !password))) {
     window.app.showToast('Please fill in all required fields', 'warning');
     return;
   }
 
   try {
     window.app.showLoading();
-    const result = await window.app.sendMessage('testConnection', { host, username, password });
+    // Each URL on its own, so the user sees which ones work from here
+    const results = [];
+    for (const endpoint of endpoints) {
+      results.push({ endpoint, ...await window.app.sendMessage('testConnection', { host: endpoint, username, password, auth }) });
+    }
     window.app.hideLoading();
 
-    if (result.success) {
-      window.app.showToast('Connection successful!', 'success');
+    const failed = results.filter(r => !r.success);
+    if (failed.length === 0) {
+      window.app.showToast(endpoints.length > 1 ? `All ${endpoints.length} URLs reachable` : 'Connection successful!', 'success');
+    } else if (failed.some(r => r.errorType === 'CertificateError')) {
+      window.app.showToast('Certificate not trusted. Use "Trust certificate" to accept it.', 'warning');
+    } else if (failed.length < results.length) {
+      window.app.showToast(`Connected, but unreachable from here: ${failed.map(r => r.endpoint).join(', ')}`, 'warning');
     } else {
-      window.app.showToast('Connection failed: ' + result.error, 'error');
+      window.app.showToast('Connection failed: ' + failed[0].error, 'error');
     }
   } catch (error) {
     window.app.hideLoading();
     window.app.showToast('Connection test failed: ' + error.message, 'error');
   }
+
+  refreshCertificateStatus();
+}
+
+// Show the inputs the selected authentication strategy uses
+function updateAuthFields() {
+  const type = document.getElementById('server-auth-type').value;
+  const isEdit = document.querySelector('[data-mode="edit"]') !== null;
+
+  document.querySelectorAll('.auth-field').forEach(field => {
+    const visible = field.dataset.auth.split(' ').includes(type);
+    field.classList.toggle('hidden', !visible);
+  });
+
+  // Hidden inputs must not block form submission
+  const needsCredentials = type === 'basic' || type === 'session';
+  document.getElementById('server-username').required = needsCredentials;
+  document.getElementById('server-password').required = needsCredentials && !isEdit;
+}
+
+function readFallbackUrls() {
+  return document.getElementById('server-fallback-urls').value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+function readAuthFromForm() {
+  const type = document.getElementById('server-auth-type').value;
+  if (type !== 'headers') return { type };
+
+  const headers = document.getElementById('server-auth-headers').value
+    .split('\n')
+    .map(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return null;
+      return { name: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+    })
+    .filter(header => header && header.name);
+
+  return { type, headers };
+}
+
+// Certificate trust row, shown for HTTPS hosts only
+async function refreshCertificateStatus() {
+  const group = document.getElementById('certificate-group');
+  const text = document.getElementById('certificate-status-text');
+  const host = document.getElementById('server-host')?.value.trim();
+  if (!group || !text) return;
+
+  let status;
+  try {
+    status = await window.app.sendMessage('getCertificateTrust', { host });
+  } catch (error) {
+    group.classList.add('hidden');
+    return;
+  }
+
+  group.classList.toggle('hidden', !status.https);
+  if (!status.https) return;
+
+  let label = 'Not checked yet';
+  let state = 'unknown';
+  if (status.pending) {
+    label = 'Waiting for you to accept it in the opened tab';
+    state = 'pending';
+  } else if (status.trusted === true) {
+    label = 'Trusted';
+    state = 'trusted';
+  } else if (status.trusted === false) {
+    label = `Not trusted (${status.error || 'certificate rejected'})`;
+    state = 'untrusted';
+  }
+
+  text.textContent = label;
+  text.dataset.state = state;
+  document.getElementById('trust-certificate-btn').classList.toggle('hidden', status.trusted === true);
+}
+
+async function handleTrustCertificate() {
+  const host = document.getElementById('server-host').value.trim();
+  if (!host) {
+    window.app.showToast('Please enter the server URL first', 'warning');
+    return;
+  }
+
+  try {
+    const result = await window.app.sendMessage('trustCertificate', { host });
+    if (result.trusted) {
+      window.app.showToast('Certificate is already trusted', 'success');
+    } else {
+      // Opening the tab usually closes the popup; the background retries on its own
+      window.app.showToast('Accept the certificate in the new tab. It is re-checked automatically.', 'info');
+    }
+  } catch (error) {
+    window.app.showToast('Failed to open the server: ' + error.message, 'error');
+  }
+
+  refreshCertificateStatus();
+}
+
+// Background reports when the trust flow succeeded while this form is still open
+let certificateTrustListener = null;
+
+function listenForCertificateTrust() {
+  if (certificateTrustListener) {
+    chrome.runtime.onMessage.removeListener(certificateTrustListener);
+  }
+
+  certificateTrustListener = (message) => {
+    if (message?.action !== 'certificateTrusted') return;
+    if (!document.getElementById('certificate-group')) {
+      chrome.runtime.onMessage.removeListener(certificateTrustListener);
+      certificateTrustListener = null;
+      return;
+    }
+
+    window.app.showToast('Certificate trusted', 'success');
+    handleTestConnection();
+  };
+  chrome.runtime.onMessage.addListener(certificateTrustListener);
 }
 
 async function handleSaveServer(isEdit, serverId) {
@@ -222,7 +401,9 @@ async function handleSaveServer(isEdit, serverId) {
   const host = document.getElementById('server-host').value.trim();
   const username = document.getElementById('server-username').value.trim();
   const password = document.getElementById('server-password').value;
-  const bypassSSL = document.getElementById('bypass-ssl').checked;
+  const auth = readAuthFromForm();
+  const needsCredentials = auth.type === 'basic' || auth.type === 'session';
+  const fallbackUrls = readFallbackUrls();
 
   // Clear previous errors
   const errorsDiv = document.getElementById('form-errors');
@@ -234,9 +415,14 @@ async function handleSaveServer(isEdit, serverId) {
     name,
     host,
     username,
-    bypassSSL
+    auth
   };
 
+  // Ordered endpoint list; the Server URL always comes first
+  if (fallbackUrls.length > 0) {
+    server.endpoints = [host, ...fallbackUrls];
+  }
+
   if (isEdit) {
     server.id = serverId;
     // Only update password if provided
@@ -253,8 +439,8 @@ async function handleSaveServer(isEdit, serverId) {
       }
     }
   } else {
-    // New server - password required
-    if (!password) {
+    // New server - password required unless the strategy doesn't use one
+    if (!password && needsCredentials) {
       errorsDiv.textContent = 'Password is required';
       errorsDiv.classList.remove('hidden');
       return;
@@ -3,6 +3,25 @@
 
 import { escapeHtml, classifyRule, getRuleCounts, formatCount } from '../utils.js';
 import { Logger } from '../utils/logger.js';
+import { createSparkline } from '../shared/ui-components.js';
+
+// Timed pause choices offered when turning protection off
+const PAUSE_OPTIONS = [
+  { label: 'For 30 seconds', durationMs: 30 * 1000 },
+  { label: 'For 10 minutes', durationMs: 10 * 60 * 1000 },
+  { label: 'For 1 hour', durationMs: 60 * 60 * 1000 },
+  { label: 'Until tomorrow', durationMs: null } // Computed at click time (next local midnight)
+];
+
+// Running pauses ({ [serverId]: { until, native } }) and the countdown ticker
+let protectionPauses = {};
+let countdownTimer = null;
+
+// Background reports the outcome of a protection toggle once every server answered
+let protectionReportListener = null;
+
+// Hold the protection button this long to choose this server / a group / all servers
+const LONG_PRESS_MS = 500;
 
 /**
  * Create an interactive SVG donut chart with hoverable slices
@@ -249,7 +268,9 @@ async function saveUISnapshot(servers, groups, serverData) {
 
     // Add protection status to each server's data
     for (const serverId of Object.keys(serverData)) {
-      serverData[serverId].protectionEnabled = protectionStatus.protectionStatus?.[serverId];
+      // Entries are { enabled, state, ... } (plain booleans before the status model)
+      const entry = protectionStatus.protectionStatus?.[serverId];
+      serverData[serverId].protectionEnabled = typeof entry === 'object' ? entry?.enabled ?? undefined : entry;
     }
 
     await window.app.sendMessage('setUISnapshot', { servers, groups, serverData });
@@ -382,7 +403,9 @@ async function renderServersList(container, servers, groups, cachedServerData =
             <span class="server-name-text" title="${escapeHtml(server.name)}">${escapeHtml(server.name.substring(0, 7))}</span>
             ${groupBadgesHtml}
             <span class="server-version-capsule">${escapeHtml(cached?.version || 'v...')}</span>
+            ${renderEndpointCapsule(server, cached?.activeEndpoint)}
           </div>
+          <div class="server-health" data-server-id="${server.id}"></div>
         </div>
         <div class="chart-legend-container">
           <div class="protection-group">
@@ -441,6 +464,9 @@ async function renderServersList(container, servers, groups, cachedServerData =
         </button>
         <h1 class="view-title">Servers</h1>
         <div class="header-action-area">
+          <button class="header-icon-btn btn-stats" id="stats-btn" title="Statistics">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line></svg>
+          </button>
           <button class="header-icon-btn btn-add" id="add-server-btn" title="Add Server">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
               <line x1="12" y1="5" x2="12" y2="19"></line>
@@ -461,6 +487,10 @@ async function renderServersList(container, servers, groups, cachedServerData =
     window.app.navigateTo('server-form', { mode: 'add' });
   });
 
+  document.getElementById('stats-btn').addEventListener('click', () => {
+    window.app.navigateTo('stats-dashboard');
+  });
+
   const aboutBtn = document.getElementById('about-btn');
   if (aboutBtn) {
     aboutBtn.addEventListener('click', () => {
@@ -481,6 +511,8 @@ async function renderServersList(container, servers, groups, cachedServerData =
   document.querySelectorAll('.protection-btn').forEach(btn => {
     setupProtectionButton(btn, btn.dataset.serverId);
   });
+  loadProtectionPauses();
+  listenForProtectionReports();
 
   // Group badge click handlers (initial render)
   document.querySelectorAll('.group-badge-inline').forEach(badge => {
@@ -511,6 +543,9 @@ async function renderServersList(container, servers, groups, cachedServerData =
     });
   });
 
+  servers.forEach(server => loadServerHealth(server.id));
+  loadPendingChanges(servers.map(server => server.id));
+
   // Fetch data for each server progressively (even if we have cache, update it)
   const shouldFetch = !cachedServerData || Object.keys(cachedServerData).length === 0;
 
@@ -531,11 +566,8 @@ async function renderServersList(container, servers, groups, cachedServerData =
 
       const protectionBtn = document.querySelector(`.protection-btn[data-server-id="${serverId}"]`);
       if (protectionBtn && result.success) {
-        // Remove ALL state classes first
-        protectionBtn.classList.remove('protection-loading', 'protection-on', 'protection-off');
-        protectionBtn.classList.add(result.enabled ? 'protection-on' : 'protection-off');
-        protectionBtn.title = `Protection ${result.enabled ? 'enabled' : 'disabled'}. Click to ${result.enabled ? 'disable' : 'enable'}.`;
-        Logger.debug(`${serverName} protection: ${result.enabled ? 'ON' : 'OFF'}${result.fromCache ? ' (cached)' : ''}`);
+        applyProtectionStatus(protectionBtn, result);
+        Logger.debug(`${serverName} protection: ${result.enabled ? 'ON' : 'OFF'} [${result.state}]${result.fromCache ? ' (cached)' : ''}`);
       }
     });
   });
@@ -570,8 +602,13 @@ async function renderServersList(container, servers, groups, cachedServerData =
         const version = serverInfo?.version || 'Unknown';
         const isOnline = serverInfo !== null;
 
+        // Multi-URL servers: which URL answered
+        const activeEndpoint = server.endpoints?.length > 1
+          ? await window.app.sendMessage('getActiveEndpoint', { serverId: server.id }).catch(() => null)
+          : null;
+
         // Store server data for change detection
-        serverDataMap[server.id] = { rules, trafficStats, version, isOnline, protectionEnabled: protectionResult?.enabled };
+        serverDataMap[server.id] = { rules, trafficStats, version, isOnline, activeEndpoint, protectionEnabled: protectionResult?.enabled };
         Logger.debug(`[ServerList] Stored data for ${server.name}`, {
           ruleCount: rules.length,
           trafficStats,
@@ -622,7 +659,9 @@ async function renderServersList(container, servers, groups, cachedServerData =
               <span class="server-name-text">${escapeHtml(server.name)}</span>
               ${groupBadgesHtml}
               <span class="server-version-capsule">${escapeHtml(version)}</span>
+              ${renderEndpointCapsule(server, activeEndpoint)}
             </div>
+            <div class="server-health" data-server-id="${server.id}"></div>
           </div>
           <div class="chart-legend-container">
             <div class="protection-group">
@@ -668,6 +707,8 @@ async function renderServersList(container, servers, groups, cachedServerData =
           </div>
         `;
           serverCard.innerHTML = statusHtml;
+          loadServerHealth(server.id);
+          loadPendingChanges([server.id]);
 
           // Re-attach click handler
           serverCard.addEventListener('click', (e) => {
@@ -690,7 +731,7 @@ async function renderServersList(container, servers, groups, cachedServerData =
             setupProtectionButton(srvProtectionBtn, server.id);
             // Update state based on fetched result
             if (protectionResult) {
-              updateProtectionButtonState(srvProtectionBtn, protectionResult.enabled);
+              applyProtectionStatus(srvProtectionBtn, protectionResult);
             }
           }
 
@@ -748,7 +789,9 @@ async function renderServersList(container, servers, groups, cachedServerData =
             </div>
           </div>
           <div class="server-actions">
-            <span class="badge badge-danger">Error</span>
+            ${/^Certificate not trusted/.test(error.message)
+              ? '<span class="badge badge-warning" title="Certificate not trusted. Edit the server and use Trust certificate.">Untrusted</span>'
+              : '<span class="badge badge-danger">Error</span>'}
             <button class="btn btn-sm btn-ghost edit-server-btn" data-server-id="${server.id}" title="Edit server">
               <svg viewBox="0 0 24 24" class="icon-gear-svg" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <circle cx="12" cy="12" r="3"></circle>
@@ -783,62 +826,409 @@ async function renderServersList(container, servers, groups, cachedServerData =
 
 
 
+// Helper: Uptime and latency sparkline under the server name, plus a status dot tooltip
+async function loadServerHealth(serverId) {
+  let healthData;
+  try {
+    healthData = await window.app.sendMessage('getServerHealth', { serverId, points: 24 });
+  } catch (error) {
+    Logger.error('Failed to load server health:', error);
+    return;
+  }
+
+  const slot = document.querySelector(`.server-health[data-server-id="${serverId}"]`);
+  if (!slot || healthData.samples === 0) return;
+
+  slot.innerHTML = `
+    ${createSparkline(healthData.sparkline, { width: 48, height: 12 })}
+    <span class="server-health-uptime">${healthData.uptime}%</span>
+  `;
+  slot.title = `Uptime (24h): ${healthData.uptime}% of ${healthData.samples} checks` +
+    (healthData.avgLatencyMs !== null ? ` · avg ${healthData.avgLatencyMs} ms` : '');
+
+  // Answering with HTTP errors is "reachable" but not healthy
+  const dot = document.querySelector(`#server-${serverId} .status-dot-overlay`);
+  const last = healthData.lastSample;
+  if (dot && last) {
+    dot.classList.toggle('degraded', last.reachable && !last.up);
+    dot.title = last.up
+      ? `Last check: online · ${last.latencyMs} ms`
+      : `Last check: ${last.reachable ? `HTTP ${last.httpStatus}` : 'unreachable'}: ${last.error}`;
+  }
+}
+
+// Helper: Capsule counting writes queued while a server was unreachable (offline outbox)
+async function loadPendingChanges(serverIds) {
+  let summary;
+  try {
+    summary = await window.app.sendMessage('getOutboxSummary');
+  } catch (error) {
+    Logger.error('Failed to load pending changes:', error);
+    return;
+  }
+
+  for (const serverId of serverIds) {
+    const pending = summary[serverId];
+    const nameRow = document.querySelector(`#server-${serverId} .server-name`);
+    if (!pending || !nameRow || nameRow.querySelector('.server-pending-capsule')) continue;
+
+    const capsule = document.createElement('span');
+    const blocked = pending.conflicts + (pending.rejected || 0);
+    capsule.className = `server-pending-capsule${blocked > 0 ? ' conflict' : ''}`;
+    capsule.textContent = `${pending.pending} pending`;
+    capsule.title = pending.conflicts > 0
+      ? `${pending.conflicts} of ${pending.pending} queued change(s) conflict with the server. Open the server to resolve.`
+      : pending.rejected > 0
+      ? `${pending.rejected} of ${pending.pending} queued change(s) were rejected by the server. Open the server to retry or discard.`
+      : `${pending.pending} change(s) waiting for the server` +
+        (pending.nextAttemptAt ? ` · next try ${new Date(pending.nextAttemptAt).toLocaleTimeString()}` : '') +
+        (pending.lastError ? `\n${pending.lastError}` : '');
+    nameRow.appendChild(capsule);
+  }
+}
+
+// Helper: Capsule naming the endpoint a multi-URL server is reached on
+function renderEndpointCapsule(server, activeEndpoint) {
+  if (!activeEndpoint || !(server.endpoints?.length > 1)) return '';
+
+  let label = activeEndpoint;
+  try {
+    label = new URL(activeEndpoint).hostname;
+  } catch (ignore) {
+    // Keep the raw URL
+  }
+
+  const isFallback = server.endpoints[0].replace(/\/+$/, '') !== activeEndpoint;
+  return `<span class="server-endpoint-capsule${isFallback ? ' fallback' : ''}" title="Connected via ${escapeHtml(activeEndpoint)}${isFallback ? ' (fallback URL)' : ''}">${escapeHtml(label)}</span>`;
+}
+
 // Helper: Setup protection button click listener
+// Turning protection off opens the pause menu; turning it on is immediate.
+// Long-press or right-click first asks which servers to apply the change to.
 function setupProtectionButton(btn, serverId) {
+  let longPressTimer = null;
+  let longPressed = false;
+
+  btn.addEventListener('pointerdown', () => {
+    longPressed = false;
+    longPressTimer = setTimeout(() => {
+      longPressed = true;
+      showScopeMenu(btn, serverId);
+    }, LONG_PRESS_MS);
+  });
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+    btn.addEventListener(type, () => clearTimeout(longPressTimer));
+  });
+
+  btn.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    clearTimeout(longPressTimer);
+    showScopeMenu(btn, serverId);
+  });
+
   btn.addEventListener('click', async (e) => {
     e.stopPropagation();
 
-    // Determine new state (toggle)
-    const isCurrentlyEnabled = btn.classList.contains('protection-on');
-    const newState = !isCurrentlyEnabled;
+    // The long-press already opened the scope menu
+    if (longPressed) {
+      longPressed = false;
+      return;
+    }
 
-    // Show loading
-    btn.classList.remove('protection-on', 'protection-off');
-    btn.classList.add('protection-loading');
-    btn.disabled = true;
+    if (btn.classList.contains('protection-on')) {
+      showPauseMenu(btn, serverId);
+      return;
+    }
 
-    try {
-      const result = await window.app.sendMessage('toggleProtection', {
-        serverId,
-        enabled: newState
+    await toggleProtection(btn, serverId, true);
+  });
+}
+
+// Helper: Pick which servers a protection change applies to, then continue with on/off
+async function showScopeMenu(btn, serverId) {
+  let groups = [];
+  try {
+    groups = (await window.app.sendMessage('getGroups')).filter(g => g.serverIds?.includes(serverId));
+  } catch (error) {
+    Logger.error('Failed to load groups for protection scope:', error);
+  }
+
+  const turningOn = !btn.classList.contains('protection-on');
+  const scopes = [
+    { scope: { type: 'server' }, label: 'This server only' },
+    ...groups.map(group => ({ scope: { type: 'group', groupId: group.id }, label: `Group ${group.name}` })),
+    { scope: { type: 'all' }, label: 'All servers' }
+  ];
+
+  openProtectionMenu(btn, `
+    <div class="protection-menu-label">Turn protection ${turningOn ? 'on' : 'off'} for</div>
+    ${scopes.map((entry, index) => `
+      <button class="protection-menu-item" data-option="${index}">${escapeHtml(entry.label)}</button>
+    `).join('')}
+  `, (option) => {
+    const { scope, label } = scopes[Number(option)];
+    if (turningOn) {
+      toggleProtection(btn, serverId, true, scope);
+    } else {
+      showPauseMenu(btn, serverId, scope, label);
+    }
+  });
+}
+
+// Helper: Switch protection on/off for the servers of a scope (default: the server and its group mates)
+async function toggleProtection(btn, serverId, newState, scope = null) {
+  // Show loading
+  btn.classList.remove('protection-on', 'protection-off');
+  btn.classList.add('protection-loading');
+  btn.disabled = true;
+
+  try {
+    const result = await window.app.sendMessage('toggleProtection', {
+      serverId,
+      enabled: newState,
+      ...(scope && { scope })
+    });
+
+    if (result.success) {
+      // Buttons show the requested state as pending; the protectionReport message confirms or reverts it
+      result.affectedServers.forEach(affectedServer => {
+        // A manual toggle ends any running pause
+        delete protectionPauses[affectedServer.id];
+
+        const affectedBtn = document.querySelector(`.protection-btn[data-server-id="${affectedServer.id}"]`);
+        if (affectedBtn) {
+          updateProtectionButtonState(affectedBtn, newState, { state: affectedServer.state });
+        }
       });
 
-      if (result.success) {
-        // Update all affected server buttons
-        result.affectedServers.forEach(affectedServer => {
-          const affectedBtn = document.querySelector(`.protection-btn[data-server-id="${affectedServer.id}"]`);
-          if (affectedBtn) {
-            if (affectedServer.error) {
-              // Error for this specific server
-              affectedBtn.classList.remove('protection-loading');
-              affectedBtn.classList.add('protection-off');
-              const icon = affectedBtn.querySelector('.protection-icon');
-              if (icon) icon.textContent = 'OFF';
-              window.app.showToast(`Error for ${affectedServer.id}: ${affectedServer.error}`, 'error');
-            } else {
-              updateProtectionButtonState(affectedBtn, newState);
-            }
-          }
-        });
+      window.app.showToast(
+        `${newState ? 'Enabling' : 'Disabling'} protection on ${result.affectedServers.map(s => s.name).join(', ')}...`,
+        'info'
+      );
+    }
+  } catch (error) {
+    Logger.error('Failed to toggle protection:', error);
+    updateProtectionButtonState(btn, !newState); // Revert visual
+    window.app.showToast('Failed to toggle protection: ' + error.message, 'error');
+  }
+}
 
-        const successCount = result.affectedServers.filter(s => !s.error).length;
-        window.app.showToast(
-          `Protection ${newState ? 'enabled' : 'disabled'} for ${successCount} server(s)`,
-          'success'
-        );
+// Helper: Disable protection for a limited time
+async function pauseProtection(btn, serverId, durationMs, scope = null) {
+  btn.classList.remove('protection-on', 'protection-off');
+  btn.classList.add('protection-loading');
+  btn.disabled = true;
+
+  try {
+    const result = await window.app.sendMessage('pauseProtection', { serverId, durationMs, ...(scope && { scope }) });
+
+    result.affectedServers.forEach(affectedServer => {
+      const affectedBtn = document.querySelector(`.protection-btn[data-server-id="${affectedServer.id}"]`);
+      if (affectedServer.error) {
+        if (affectedBtn) updateProtectionButtonState(affectedBtn, true, { state: 'failed', error: affectedServer.error });
+        return;
       }
-    } catch (error) {
-      Logger.error('Failed to toggle protection:', error);
-      updateProtectionButtonState(btn, !newState); // Revert visual
-      window.app.showToast('Failed to toggle protection: ' + error.message, 'error');
+
+      protectionPauses[affectedServer.id] = { until: affectedServer.until, native: affectedServer.native };
+      if (affectedBtn) updateProtectionButtonState(affectedBtn, false);
+    });
+
+    const paused = result.affectedServers.filter(s => !s.error);
+    const failed = result.affectedServers.filter(s => s.error);
+    showProtectionSummary(`Paused for ${formatRemaining(durationMs)}`, paused, failed);
+    startCountdowns();
+  } catch (error) {
+    Logger.error('Failed to pause protection:', error);
+    updateProtectionButtonState(btn, true);
+    window.app.showToast('Failed to pause protection: ' + error.message, 'error');
+  }
+}
+
+// Helper: Menu of "turn off" choices anchored under the protection button
+function showPauseMenu(btn, serverId, scope = null, scopeLabel = null) {
+  openProtectionMenu(btn, `
+    <div class="protection-menu-label">Turn protection off${scopeLabel ? ` · ${escapeHtml(scopeLabel)}` : ''}</div>
+    <button class="protection-menu-item" data-option="off">Until I turn it on</button>
+    ${PAUSE_OPTIONS.map((option, index) => `
+      <button class="protection-menu-item" data-option="${index}">${option.label}</button>
+    `).join('')}
+  `, (option) => {
+    if (option === 'off') {
+      toggleProtection(btn, serverId, false, scope);
+    } else {
+      const { durationMs } = PAUSE_OPTIONS[Number(option)];
+      pauseProtection(btn, serverId, durationMs ?? msUntilTomorrow(), scope);
     }
   });
 }
 
+// Helper: Popover anchored to the protection button; onPick gets the chosen item's data-option
+function openProtectionMenu(btn, html, onPick) {
+  closeProtectionMenu();
+
+  const menu = document.createElement('div');
+  menu.className = 'protection-menu';
+  menu.innerHTML = html;
+
+  const rect = btn.getBoundingClientRect();
+  menu.style.left = `${rect.left}px`;
+  menu.style.top = `${rect.bottom + 4}px`;
+  document.body.appendChild(menu);
+
+  // Keep the menu inside the popup
+  const menuRect = menu.getBoundingClientRect();
+  if (menuRect.bottom > window.innerHeight) {
+    menu.style.top = `${Math.max(0, rect.top - menuRect.height - 4)}px`;
+  }
+
+  menu.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const item = e.target.closest('.protection-menu-item');
+    if (!item) return;
+
+    closeProtectionMenu();
+    onPick(item.dataset.option);
+  });
+
+  setTimeout(() => document.addEventListener('click', closeProtectionMenu, { once: true }), 0);
+}
+
+function closeProtectionMenu() {
+  document.querySelectorAll('.protection-menu').forEach(menu => menu.remove());
+}
+
+// Helper: Toast naming exactly which servers changed and which failed
+function showProtectionSummary(action, changed, failed) {
+  const names = list => list.map(s => s.name).join(', ');
+
+  if (failed.length === 0) {
+    window.app.showToast(`${action}: ${names(changed)}`, 'success');
+  } else if (changed.length === 0) {
+    window.app.showToast(`Failed on ${names(failed)}`, 'error');
+  } else {
+    window.app.showToast(`${action}: ${names(changed)}. Failed on ${names(failed)}`, 'error');
+  }
+}
+
+function msUntilTomorrow() {
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  return midnight.getTime() - Date.now();
+}
+
+// Helper: Load running pauses from the background and start the countdowns
+async function loadProtectionPauses() {
+  try {
+    protectionPauses = await window.app.sendMessage('getProtectionPauses') || {};
+  } catch (error) {
+    Logger.error('Failed to load protection pauses:', error);
+    protectionPauses = {};
+  }
+  startCountdowns();
+}
+
+function startCountdowns() {
+  if (countdownTimer || Object.keys(protectionPauses).length === 0) return;
+  tickCountdowns();
+  countdownTimer = setInterval(tickCountdowns, 1000);
+}
+
+// Helper: Refresh the countdown on every paused button, flipping it back on when the pause ends
+function tickCountdowns() {
+  // Stop once the server list is no longer shown
+  if (!document.querySelector('.protection-btn')) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    return;
+  }
+
+  const now = Date.now();
+  for (const [serverId, pause] of Object.entries(protectionPauses)) {
+    const btn = document.querySelector(`.protection-btn[data-server-id="${serverId}"]`);
+    const remaining = pause.until - now;
+
+    if (remaining <= 0) {
+      delete protectionPauses[serverId];
+      if (btn) updateProtectionButtonState(btn, true);
+      continue;
+    }
+
+    if (btn && btn.classList.contains('protection-off')) {
+      btn.dataset.countdown = formatRemaining(remaining);
+      btn.title = `Protection paused, resumes in ${formatRemaining(remaining)}. Click to enable now.`;
+    }
+  }
+
+  if (Object.keys(protectionPauses).length === 0) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+}
+
+// Helper: "0:42", "9:58", "1h05"
+function formatRemaining(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h${String(minutes).padStart(2, '0')}`;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Helper: Apply a status result ({ enabled, state, desired, error }) to a button
+function applyProtectionStatus(btn, status) {
+  if (status.state === 'pending') {
+    updateProtectionButtonState(btn, status.desired, status);
+  } else if (typeof status.enabled === 'boolean') {
+    updateProtectionButtonState(btn, status.enabled, status);
+  }
+}
+
+// Helper: Confirm or revert buttons when the background toggle loop finishes
+function listenForProtectionReports() {
+  if (protectionReportListener) return;
+
+  protectionReportListener = (message) => {
+    if (message.action !== 'protectionReport' || !message.data) return;
+
+    const { enabled, results } = message.data;
+    for (const result of results) {
+      const btn = document.querySelector(`.protection-btn[data-server-id="${result.id}"]`);
+      if (!btn) continue;
+      updateProtectionButtonState(btn, result.success ? enabled : !enabled, result.success
+        ? {}
+        : { state: 'failed', error: result.error });
+    }
+
+    showProtectionSummary(
+      `Protection ${enabled ? 'enabled' : 'disabled'}`,
+      results.filter(r => r.success),
+      results.filter(r => !r.success)
+    );
+  };
+
+  chrome.runtime.onMessage.addListener(protectionReportListener);
+}
+
 // Helper: Update protection button visual state
-function updateProtectionButtonState(btn, isEnabled) {
-  btn.classList.remove('protection-loading', 'protection-on', 'protection-off');
+function updateProtectionButtonState(btn, isEnabled, status = {}) {
+  btn.classList.remove('protection-loading', 'protection-on', 'protection-off', 'protection-pending', 'protection-failed');
   btn.classList.add(isEnabled ? 'protection-on' : 'protection-off');
+
+  if (status.state === 'pending') {
+    btn.classList.add('protection-pending');
+    btn.title = `Turning protection ${isEnabled ? 'on' : 'off'}, waiting for the server...`;
+  } else if (status.state === 'failed') {
+    btn.classList.add('protection-failed');
+    btn.title = `Protection ${isEnabled ? 'enabled' : 'disabled'}. Last change failed: ${status.error || 'unknown error'}`;
+  } else if (status.error) {
+    btn.title = `Protection ${isEnabled ? 'enabled' : 'disabled'} (last known, server unreachable: ${status.error})`;
+  } else {
+    btn.title = `Protection ${isEnabled ? 'enabled' : 'disabled'}. Click to ${isEnabled ? 'disable' : 'enable'}.`;
+  }
+  if (isEnabled || !protectionPauses[btn.dataset.serverId]) delete btn.dataset.countdown;
   const icon = btn.querySelector('.protection-icon');
   if (icon) icon.textContent = isEnabled ? 'ON' : 'OFF';
   btn.disabled = false;
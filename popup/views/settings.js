@@ -31,6 +31,51 @@ export async function renderSettings(container) {
                         <div class="skeleton skeleton-text"></div>
                     </div>
                 </div>
+
+                <!-- BACKUP & RESTORE -->
+                <div class="settings-section">
+                    <h2 class="settings-section-title">Backup &amp; Restore</h2>
+                    <p class="settings-section-description">
+                        Move servers, groups and settings to another browser. Passwords are encrypted with your passphrase.
+                    </p>
+
+                    <input type="password" id="backup-passphrase" class="form-input" placeholder="Passphrase (min 8 characters)" autocomplete="new-password" style="margin-bottom: 8px;" />
+
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 8px;">
+                        <button class="btn btn-secondary btn-sm" id="export-backup-btn">Export</button>
+                        <button class="btn btn-secondary btn-sm" id="import-backup-btn">Import…</button>
+                    </div>
+
+                    <select id="import-mode" class="form-input" style="font-size: 11px;">
+                        <option value="merge">Import mode: Merge with current setup</option>
+                        <option value="replace">Import mode: Replace current setup</option>
+                    </select>
+
+                    <input type="file" id="import-file" accept="application/json,.json" style="display: none;" />
+                </div>
+
+                <!-- MULTI-SERVER WRITES -->
+                <div class="settings-section">
+                    <h2 class="settings-section-title">Multi-Server Writes</h2>
+                    <p class="settings-section-description">
+                        When a rule change fails on some servers of a group.
+                    </p>
+
+                    <select id="write-failure-mode" class="form-input" style="font-size: 11px;">
+                        <option value="rollback">Roll back the servers already changed</option>
+                        <option value="retry">Keep the change and retry the failed servers</option>
+                    </select>
+                </div>
+
+                <!-- RULE NOTES -->
+                <div class="settings-section">
+                    <h2 class="settings-section-title">Rule Notes</h2>
+                    <p class="settings-section-description">
+                        Name saved as the author of rules you add.
+                    </p>
+
+                    <input type="text" id="annotation-author" class="form-input" style="font-size: 11px;" placeholder="e.g. Alex" maxlength="40">
+                </div>
             </div>
             
             <!-- DEVELOPER & CACHE TOOLS - Fixed at Bottom -->
@@ -133,11 +178,113 @@ export async function renderSettings(container) {
         }
     });
 
+    // Backup & restore
+    setupBackupControls();
+
     // Load and display groups
     loadGroups();
 
     // Load and initialize debug mode toggle
     loadDebugSetting();
+
+    // Failure handling of multi-server rule writes
+    loadWriteFailureMode();
+
+    // Author recorded in rule annotations
+    loadAnnotationAuthor();
+}
+
+function setupBackupControls() {
+    const passphraseInput = document.getElementById('backup-passphrase');
+    const exportBtn = document.getElementById('export-backup-btn');
+    const importBtn = document.getElementById('import-backup-btn');
+    const fileInput = document.getElementById('import-file');
+
+    exportBtn.addEventListener('click', async () => {
+        const passphrase = passphraseInput.value;
+        if (passphrase.length < 8) {
+            window.app.showToast('Passphrase must be at least 8 characters', 'error');
+            passphraseInput.focus();
+            return;
+        }
+
+        exportBtn.disabled = true;
+        try {
+            const bundle = await window.app.sendMessage('exportBackup', { passphrase });
+
+            // Trigger download of the bundle
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `adguard-home-manager-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            window.app.showToast(`Exported ${bundle.data.servers.length} servers and ${bundle.data.groups.length} groups`, 'success');
+        } catch (error) {
+            console.error('Failed to export backup:', error);
+            window.app.showToast('Export failed: ' + error.message, 'error');
+        } finally {
+            exportBtn.disabled = false;
+        }
+    });
+
+    importBtn.addEventListener('click', () => {
+        if (!passphraseInput.value) {
+            window.app.showToast('Enter the passphrase used for the backup first', 'error');
+            passphraseInput.focus();
+            return;
+        }
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow re-selecting the same file
+        if (!file) return;
+
+        const mode = document.getElementById('import-mode').value;
+
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            window.app.showToast('Not a valid JSON file', 'error');
+            return;
+        }
+
+        if (mode === 'replace') {
+            const confirmed = await showConfirmDialog(
+                'Replace Setup',
+                'All current servers and groups will be removed and replaced by the backup.',
+                'This action cannot be undone.',
+                'Replace'
+            );
+            if (!confirmed) return;
+        }
+
+        try {
+            window.app.showLoading();
+            const summary = await window.app.sendMessage('importBackup', {
+                bundle,
+                passphrase: passphraseInput.value,
+                mode
+            });
+            window.app.hideLoading();
+
+            passphraseInput.value = '';
+            window.app.showToast(
+                `Imported ${summary.servers.added + summary.servers.updated} servers, ${summary.groups.added + summary.groups.updated} groups`,
+                'success'
+            );
+            loadGroups();
+        } catch (error) {
+            window.app.hideLoading();
+            console.error('Failed to import backup:', error);
+            window.app.showToast('Import failed: ' + error.message, 'error');
+        }
+    });
 }
 
 async function loadDebugSetting() {
@@ -177,6 +324,48 @@ async function loadDebugSetting() {
     }
 }
 
+async function loadWriteFailureMode() {
+    const select = document.getElementById('write-failure-mode');
+
+    try {
+        const settings = await window.app.sendMessage('getSettings');
+        select.value = settings.writeFailureMode || 'rollback';
+    } catch (error) {
+        console.error('Failed to load write failure mode:', error);
+    }
+
+    select.addEventListener('change', async () => {
+        try {
+            await window.app.sendMessage('updateSettings', { settings: { writeFailureMode: select.value } });
+            window.app.showToast('Setting saved', 'success');
+        } catch (error) {
+            console.error('Failed to save write failure mode:', error);
+            window.app.showToast('Failed to save setting', 'error');
+        }
+    });
+}
+
+async function loadAnnotationAuthor() {
+    const input = document.getElementById('annotation-author');
+
+    try {
+        const settings = await window.app.sendMessage('getSettings');
+        input.value = settings.annotationAuthor || '';
+    } catch (error) {
+        console.error('Failed to load annotation author:', error);
+    }
+
+    input.addEventListener('change', async () => {
+        try {
+            await window.app.sendMessage('updateSettings', { settings: { annotationAuthor: input.value.trim() } });
+            window.app.showToast('Setting saved', 'success');
+        } catch (error) {
+            console.error('Failed to save annotation author:', error);
+            window.app.showToast('Failed to save setting', 'error');
+        }
+    });
+}
+
 async function loadGroups() {
     try {
         const groups = await window.app.sendMessage('getGroups');
@@ -196,7 +385,7 @@ async function loadGroups() {
                 <div class="list-item-content">
                     <div class="list-item-title">${escapeHtml(group.name)}</div>
                     <div class="text-xs text-tertiary">
-                        ${group.serverIds.length} servers • ${group.rules.length} rules
+                        ${(group.serverIds || []).length} servers${group.rules ? ` • ${group.rules.length} rules` : ''}
                     </div>
                 </div>
                 <div class="flex gap-2">
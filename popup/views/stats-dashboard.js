@@ -0,0 +1,248 @@
+// Statistics Dashboard View
+// Combined /control/stats of a group or all servers, with quick allow/block of top domains
+
+import { escapeHtml, formatCount } from '../utils.js';
+import { Logger } from '../utils/logger.js';
+import { createBarChart } from '../shared/ui-components.js';
+import { generateRule } from '../utils/rule-generator.js';
+import { addRuleToTarget } from '../services/add-rule-service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hourly or daily chart, kept while switching scope
+let chartUnit = 'hours';
+
+export async function renderStatsDashboard(container, data = {}) {
+    const { groupId = null, from = 'server-list' } = data;
+
+    renderShell(container, from, groupId, `
+        <div class="skeleton skeleton-title"></div>
+        <div class="skeleton skeleton-text"></div>
+        <div class="skeleton skeleton-text"></div>
+    `);
+
+    let groups;
+    let stats;
+    try {
+        [groups, stats] = await Promise.all([
+            window.app.sendMessage('getGroups'),
+            window.app.sendMessage('getAggregatedStats', { groupId })
+        ]);
+    } catch (error) {
+        Logger.error('[Stats] Failed to load statistics:', error);
+        window.app.showToast('Failed to load statistics: ' + error.message, 'error');
+        renderShell(container, from, groupId, '<div class="empty-state-text">Statistics unavailable.</div>');
+        return;
+    }
+
+    if (!stats.series[chartUnit]) {
+        chartUnit = stats.series.hours ? 'hours' : 'days';
+    }
+
+    renderShell(container, from, groupId, `
+        <select id="stats-scope" class="form-select stats-scope">
+            <option value="">All servers</option>
+            ${groups.map(g => `<option value="${g.id}" ${g.id === groupId ? 'selected' : ''}>${escapeHtml(g.name)}</option>`).join('')}
+        </select>
+
+        ${stats.unreachable.length > 0 ? `
+            <div class="stats-warning" title="${escapeHtml(stats.unreachable.map(s => `${s.name}: ${s.error}`).join('\n'))}">
+                ⚠️ Not included: ${escapeHtml(stats.unreachable.map(s => s.name).join(', '))}
+            </div>
+        ` : ''}
+
+        ${stats.servers.length === 0 ? `
+            <div class="empty-state-text">No statistics from any server.</div>
+        ` : `
+            <div class="stats-totals">
+                ${renderTotal('Queries', formatCount(stats.totals.dnsQueries))}
+                ${renderTotal('Blocked', `${formatCount(stats.totals.blocked)} <span class="stats-total-sub">${stats.totals.blockedPercent}%</span>`, 'blocked')}
+                ${renderTotal('Avg time', stats.avgProcessingTimeMs !== null ? `${stats.avgProcessingTimeMs} ms` : '—')}
+            </div>
+            ${stats.totals.safebrowsing + stats.totals.parental + stats.totals.safesearch > 0 ? `
+                <div class="stats-subtotals">
+                    Safe browsing ${formatCount(stats.totals.safebrowsing)} · Parental ${formatCount(stats.totals.parental)} · Safe search ${formatCount(stats.totals.safesearch)}
+                </div>
+            ` : ''}
+
+            <div class="stats-section">
+                <div class="stats-section-header">
+                    <span class="stats-section-title">Queries</span>
+                    <div class="stats-unit-switch">
+                        ${stats.series.hours ? `<button class="stats-unit-btn ${chartUnit === 'hours' ? 'active' : ''}" data-unit="hours">Hourly</button>` : ''}
+                        ${stats.series.days ? `<button class="stats-unit-btn ${chartUnit === 'days' ? 'active' : ''}" data-unit="days">Daily</button>` : ''}
+                    </div>
+                </div>
+                ${renderChart(stats)}
+            </div>
+
+            ${renderTopList('Top blocked domains', stats.topBlocked, 'allow')}
+            ${renderTopList('Top queried domains', stats.topQueried, 'block')}
+            ${renderTopList('Top clients', stats.topClients, null)}
+
+            <div class="stats-section">
+                <div class="stats-section-header">
+                    <span class="stats-section-title">Servers</span>
+                </div>
+                ${stats.servers.map(s => `
+                    <div class="stats-row">
+                        <span class="stats-row-name">${escapeHtml(s.name)}</span>
+                        <span class="stats-row-count">${formatCount(s.dnsQueries)} / <span class="stats-blocked-text">${formatCount(s.blocked)}</span></span>
+                    </div>
+                `).join('')}
+            </div>
+        `}
+    `);
+
+    container.querySelector('#stats-scope')?.addEventListener('change', (e) => {
+        window.app.navigateTo('stats-dashboard', { groupId: e.target.value || null, from });
+    });
+
+    container.querySelectorAll('.stats-unit-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            chartUnit = btn.dataset.unit;
+            renderStatsDashboard(container, data);
+        });
+    });
+
+    container.querySelectorAll('.stats-rule-btn').forEach(btn => {
+        btn.addEventListener('click', () => applyQuickRule(btn, groupId, groups));
+    });
+}
+
+function renderShell(container, from, groupId, body) {
+    container.innerHTML = `
+        <div class="view-container">
+            <div class="view-header">
+                <button class="header-icon-btn" id="back-btn" title="Back">
+                    <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+                </button>
+                <h1 class="view-title">STATISTICS</h1>
+                <div class="header-action-area"></div>
+            </div>
+            <div class="view-body">
+                ${body}
+            </div>
+        </div>
+    `;
+
+    container.querySelector('#back-btn')?.addEventListener('click', () => {
+        if (from === 'group-settings' && groupId) {
+            window.app.navigateTo('group-settings', { groupId });
+        } else {
+            window.app.navigateTo('server-list');
+        }
+    });
+}
+
+function renderTotal(label, value, className = '') {
+    return `
+        <div class="stats-total ${className}">
+            <div class="stats-total-value">${value}</div>
+            <div class="stats-total-label">${label}</div>
+        </div>
+    `;
+}
+
+function renderChart(stats) {
+    const series = stats.series[chartUnit];
+    if (!series) return '';
+
+    // Series end at the current hour/day
+    const unitMs = chartUnit === 'hours' ? HOUR_MS : DAY_MS;
+    const labels = series.queries.map((_, i) => {
+        const at = new Date(Date.now() - (series.queries.length - 1 - i) * unitMs);
+        return chartUnit === 'hours'
+            ? at.toLocaleTimeString([], { hour12: false, hour: '2-digit', minute: '2-digit' })
+            : at.toLocaleDateString();
+    });
+
+    return `
+        ${createBarChart(series, { width: 300, height: 60, className: 'bar-chart stats-chart', labels })}
+        <div class="stats-chart-axis">
+            <span>${escapeHtml(labels[0])}</span>
+            <span>${escapeHtml(labels[labels.length - 1])}</span>
+        </div>
+    `;
+}
+
+/**
+ * @param {string} title
+ * @param {Array<{name: string, count: number, servers: number}>} items
+ * @param {'allow'|'block'|null} action - Quick rule offered per entry
+ */
+function renderTopList(title, items, action) {
+    if (items.length === 0) return '';
+
+    const max = items[0].count || 1;
+
+    return `
+        <div class="stats-section">
+            <div class="stats-section-header">
+                <span class="stats-section-title">${title}</span>
+            </div>
+            ${items.map(item => `
+                <div class="stats-row">
+                    <div class="stats-row-bar ${action === 'allow' ? 'blocked' : ''}" style="width: ${Math.round((item.count / max) * 100)}%"></div>
+                    <span class="stats-row-name" title="${escapeHtml(item.name)} · ${item.servers} server${item.servers === 1 ? '' : 's'}">${escapeHtml(item.name)}</span>
+                    <span class="stats-row-count">${formatCount(item.count)}</span>
+                    ${action ? `
+                        <button class="btn btn-sm stats-rule-btn ${action}" data-domain="${escapeHtml(item.name)}" data-action="${action}" title="${action === 'allow' ? 'Allow' : 'Block'} ${escapeHtml(item.name)}">
+                            ${action === 'allow' ? 'Allow' : 'Block'}
+                        </button>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Add ||domain^ or @@||domain^ to the dashboard's scope
+ * A group gets the rule on all its servers; "All servers" adds it per group plus ungrouped servers
+ */
+async function applyQuickRule(btn, groupId, groups) {
+    const { domain, action } = btn.dataset;
+    const rule = generateRule(domain, action === 'block');
+
+    let targets;
+    if (groupId) {
+        targets = [`group:${groupId}`];
+    } else {
+        const servers = await window.app.sendMessage('getServers');
+        const grouped = new Set(groups.flatMap(g => g.serverIds || []));
+        targets = [
+            ...groups.filter(g => g.serverIds?.length > 0).map(g => `group:${g.id}`),
+            ...servers.filter(s => !grouped.has(s.id)).map(s => `server:${s.id}`)
+        ];
+    }
+
+    btn.disabled = true;
+    const totals = { success: 0, duplicate: 0, failed: 0, queued: 0 };
+    try {
+        for (const target of targets) {
+            const result = await addRuleToTarget(target, rule);
+            totals.success += result.success;
+            totals.duplicate += result.duplicate;
+            totals.failed += result.failed;
+            totals.queued += result.queued;
+        }
+    } catch (error) {
+        Logger.error('[Stats] Quick rule failed:', error);
+        window.app.showToast('Failed to add rule: ' + error.message, 'error');
+        btn.disabled = false;
+        return;
+    }
+
+    if (totals.failed > 0) {
+        window.app.showToast(`${rule}: added on ${totals.success}, failed on ${totals.failed} server(s)`, 'warning');
+        btn.disabled = false;
+    } else if (totals.queued > 0) {
+        window.app.showToast(`${rule}: added on ${totals.success}, queued for retry on ${totals.queued} server(s)`, 'warning');
+    } else if (totals.success === 0 && totals.duplicate > 0) {
+        window.app.showToast(`${rule} already exists`, 'info');
+    } else {
+        window.app.showToast(`${rule} added on ${totals.success} server(s)`, 'success');
+    }
+}
@@ -0,0 +1,144 @@
+// Temporary Rules View
+// Rules added with an expiry, the servers they're on and the time left until
+// they're reverted; each can be reverted now or kept for good
+
+import { escapeHtml, showConfirmDialog } from '../utils.js';
+import { Logger } from '../utils/logger.js';
+import { formatTimeLeft } from '../utils/rule-expiry.js';
+
+let countdownTimer = null;
+
+export async function renderTemporaryRules(container) {
+    container.innerHTML = `
+        <div class="view-container">
+            <div class="view-header">
+                <button class="header-icon-btn" id="back-btn" title="Back">
+                    <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+                </button>
+                <h1 class="view-title">TEMPORARY RULES</h1>
+                <div class="header-action-area"></div>
+            </div>
+
+            <div class="view-body">
+                <div id="temporary-rules-list" class="temporary-rules-list"></div>
+            </div>
+        </div>
+    `;
+
+    container.querySelector('#back-btn').addEventListener('click', () => {
+        window.app.navigateTo('server-list');
+    });
+
+    await loadTemporaryRules(container);
+}
+
+async function loadTemporaryRules(container) {
+    const listEl = container.querySelector('#temporary-rules-list');
+    if (!listEl) return;
+
+    let entries;
+    try {
+        entries = await window.app.sendMessage('getTemporaryRules');
+    } catch (error) {
+        Logger.error('[TemporaryRules] Failed to load:', error);
+        listEl.innerHTML = '<div class="empty-state-text">Temporary rules unavailable.</div>';
+        return;
+    }
+
+    if (entries.length === 0) {
+        listEl.innerHTML = '<div class="empty-state-text">No temporary rules. Pick an expiry when adding a rule.</div>';
+        stopCountdown();
+        return;
+    }
+
+    listEl.innerHTML = entries.map(entry => `
+        <div class="temporary-rule" data-id="${escapeHtml(entry.id)}">
+            <div class="temporary-rule-text">${entry.rules.map(rule => escapeHtml(rule)).join('<br>')}</div>
+            <div class="temporary-rule-meta">
+                ${escapeHtml(entry.servers.map(s => s.name || s.serverId).join(', '))} ·
+                ${entry.lastError
+                    ? `<span class="temporary-rule-error">Not removed: ${escapeHtml(entry.lastError)}</span>`
+                    : `<span class="temporary-rule-left" data-expires-at="${entry.expiresAt}">${describeTimeLeft(entry.expiresAt)}</span>`}
+            </div>
+            <div class="temporary-rule-actions">
+                <button class="btn btn-secondary btn-sm" data-action="keep" title="Forget the expiry, keep the rule">Keep</button>
+                <button class="btn btn-primary btn-sm" data-action="expire" title="Revert on all servers now">Remove now</button>
+            </div>
+        </div>
+    `).join('');
+
+    listEl.querySelectorAll('.temporary-rule').forEach(row => {
+        const id = row.dataset.id;
+        const entry = entries.find(e => e.id === id);
+
+        row.querySelector('[data-action="keep"]').addEventListener('click', async () => {
+            try {
+                await window.app.sendMessage('keepTemporaryRule', { id });
+                window.app.showToast('Rule kept permanently', 'success');
+                await loadTemporaryRules(container);
+            } catch (error) {
+                window.app.showToast('Failed: ' + error.message, 'error');
+            }
+        });
+
+        row.querySelector('[data-action="expire"]').addEventListener('click', async () => {
+            const confirmed = await showConfirmDialog(
+                'Remove Temporary Rule',
+                `Revert ${entry.rules.join(', ')} on ${entry.servers.length} server(s) now?`,
+                'A rule it replaced is put back.',
+                'Remove'
+            );
+            if (!confirmed) return;
+
+            window.app.showLoading();
+            try {
+                const transaction = await window.app.sendMessage('expireTemporaryRule', { id });
+                // Servers that couldn't be written get the revert from their outbox
+                const queued = (transaction?.servers || []).filter(s => s.state === 'queued');
+                const refused = (transaction?.servers || []).filter(s => s.state === 'failed');
+
+                if (refused.length > 0) {
+                    window.app.showToast(`Not removed on ${refused.map(s => s.name || s.serverId).join(', ')}: ${refused[0].error}`, 'error');
+                } else if (queued.length > 0) {
+                    window.app.showToast(`Removed; queued for ${queued.map(s => s.name || s.serverId).join(', ')}`, 'warning');
+                } else {
+                    window.app.showToast('Temporary rule removed', 'success');
+                }
+            } catch (error) {
+                window.app.showToast('Failed: ' + error.message, 'error');
+            } finally {
+                window.app.hideLoading();
+            }
+            await loadTemporaryRules(container);
+        });
+    });
+
+    startCountdown(container);
+}
+
+function describeTimeLeft(expiresAt) {
+    const left = expiresAt - Date.now();
+    return left > 0 ? `${formatTimeLeft(left)} left` : 'removing…';
+}
+
+// Refresh the time left while the view is open; stops once it's gone
+function startCountdown(container) {
+    stopCountdown();
+    countdownTimer = setInterval(() => {
+        if (!container.querySelector('#temporary-rules-list')) {
+            stopCountdown();
+            return;
+        }
+
+        container.querySelectorAll('.temporary-rule-left').forEach(label => {
+            label.textContent = describeTimeLeft(Number(label.dataset.expiresAt));
+        });
+    }, 30 * 1000);
+}
+
+function stopCountdown() {
+    if (countdownTimer) {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+    }
+}